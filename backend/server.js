@@ -9,7 +9,17 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 import { NetworkScanner } from './src/services/NetworkScanner.js';
+import { OUIDatabase } from './src/services/OUIDatabase.js';
+import { ScanJobManager } from './src/services/ScanJobManager.js';
+import { DiscoveryScheduler } from './src/services/DiscoveryScheduler.js';
+import { LatencyProbeScheduler } from './src/services/LatencyProbeScheduler.js';
+import { PathMonitor } from './src/services/PathMonitor.js';
+import { TopologyManager } from './src/services/TopologyManager.js';
+import { DeviceIdentityManager } from './src/services/DeviceIdentityManager.js';
+import { HostnameResolver } from './src/services/HostnameResolver.js';
 import { SNMPCollector } from './src/services/SNMPCollector.js';
+import { CredentialVault } from './src/services/CredentialVault.js';
+import { TrapReceiver } from './src/services/TrapReceiver.js';
 import { DatabaseManager } from './src/services/DatabaseManager.js';
 import { MonitoringService } from './src/services/MonitoringService.js';
 import { AlertManager } from './src/services/AlertManager.js';
@@ -19,6 +29,10 @@ import deviceRoutes from './src/routes/devices.js';
 import metricsRoutes from './src/routes/metrics.js';
 import alertRoutes from './src/routes/alerts.js';
 import scanRoutes from './src/routes/scan.js';
+import latencyRoutes from './src/routes/latency.js';
+import topologyRoutes from './src/routes/topology.js';
+import credentialRoutes from './src/routes/credentials.js';
+import trapRoutes from './src/routes/traps.js';
 import systemRoutes from './src/routes/system.js';
 
 // Load environment variables
@@ -36,13 +50,32 @@ const PORT = process.env.PORT || 3001;
 // Initialize services
 const logger = new Logger();
 const dbManager = new DatabaseManager();
-const networkScanner = new NetworkScanner();
+const ouiDatabase = new OUIDatabase();
+const networkScanner = new NetworkScanner({ ouiDatabase });
+const credentialVault = new CredentialVault({ dbManager, logger });
+const scanJobManager = new ScanJobManager({ dbManager, networkScanner, credentialVault, logger });
+const discoveryScheduler = new DiscoveryScheduler({ dbManager, networkScanner, scanJobManager, logger });
+const latencyProbeScheduler = new LatencyProbeScheduler({ dbManager, networkScanner, logger });
+const identityManager = new DeviceIdentityManager({ dbManager, logger });
+const hostnameResolver = new HostnameResolver({ dbManager, logger });
+const pathMonitor = new PathMonitor({ dbManager, networkScanner, hostnameResolver, logger });
 const snmpCollector = new SNMPCollector();
+const topologyManager = new TopologyManager({ dbManager, snmpCollector, credentialVault, ouiDatabase, logger });
+const trapReceiver = new TrapReceiver({ dbManager, snmpCollector, credentialVault, logger });
 const alertManager = new AlertManager();
 const monitoringService = new MonitoringService({
   dbManager,
   networkScanner,
+  scanJobManager,
+  discoveryScheduler,
+  latencyProbeScheduler,
+  pathMonitor,
+  topologyManager,
+  identityManager,
+  hostnameResolver,
   snmpCollector,
+  credentialVault,
+  trapReceiver,
   alertManager,
   logger
 });
@@ -51,7 +84,17 @@ const monitoringService = new MonitoringService({
 app.locals.logger = logger;
 app.locals.dbManager = dbManager;
 app.locals.networkScanner = networkScanner;
+app.locals.ouiDatabase = ouiDatabase;
+app.locals.scanJobManager = scanJobManager;
+app.locals.discoveryScheduler = discoveryScheduler;
+app.locals.latencyProbeScheduler = latencyProbeScheduler;
+app.locals.pathMonitor = pathMonitor;
+app.locals.topologyManager = topologyManager;
+app.locals.identityManager = identityManager;
+app.locals.hostnameResolver = hostnameResolver;
 app.locals.snmpCollector = snmpCollector;
+app.locals.credentialVault = credentialVault;
+app.locals.trapReceiver = trapReceiver;
 app.locals.alertManager = alertManager;
 app.locals.monitoringService = monitoringService;
 
@@ -93,6 +136,10 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/scan', scanRoutes);
+app.use('/api/latency', latencyRoutes);
+app.use('/api/topology', topologyRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/traps', trapRoutes);
 app.use('/api/system', systemRoutes);
 
 // Health check endpoint
@@ -182,14 +229,45 @@ async function startServer() {
     await dbManager.initialize();
     logger.info('Database initialized successfully');
 
+    // Unlock the credential vault before anything polls devices
+    await credentialVault.initialize();
+    logger.info('Credential vault initialized');
+
+    // Load the MAC vendor database; scans still work without it
+    try {
+      const ouiStatus = await ouiDatabase.initialize();
+      logger.info(`OUI database loaded: ${ouiStatus.entries} vendor prefixes from ${ouiStatus.source}`);
+    } catch (error) {
+      logger.warn(`OUI database unavailable, vendors will not be resolved: ${error.message}`);
+    }
+
+    // Initialize scan job manager
+    await scanJobManager.initialize();
+    logger.info('Scan job manager initialized');
+
     // Initialize alert manager
     alertManager.initialize(dbManager, logger);
     logger.info('Alert manager initialized');
 
+    // Load latency targets; probing starts with the monitoring service
+    await latencyProbeScheduler.initialize();
+    logger.info('Latency probe scheduler initialized');
+
+    // Load path monitoring targets; tracing starts with the monitoring service
+    await pathMonitor.initialize();
+    logger.info('Path monitor initialized');
+
     // Initialize monitoring service
     await monitoringService.initialize();
     logger.info('Monitoring service initialized');
 
+    // Start recurring discovery schedules
+    await discoveryScheduler.initialize();
+    logger.info('Discovery scheduler initialized');
+
+    // Listen for SNMP traps; polling works without them
+    await trapReceiver.start();
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`LAN Insight backend server running on port ${PORT}`);
@@ -207,7 +285,9 @@ async function startServer() {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
-  // Stop monitoring service
+  // Stop monitoring service, discovery schedules and the trap receiver
+  discoveryScheduler.stop();
+  trapReceiver.stop();
   await monitoringService.stop();
   
   // Close database connections
@@ -223,6 +303,8 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   
+  discoveryScheduler.stop();
+  trapReceiver.stop();
   await monitoringService.stop();
   await dbManager.close();
   
@@ -1,5 +1,6 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
+import { ALERT_TYPES } from '../services/AlertManager.js';
 
 const router = express.Router();
 
@@ -29,7 +30,7 @@ const handleValidationErrors = (req, res, next) => {
 router.get('/', [
   query('deviceId').optional().isUUID(),
   query('deviceIp').optional().isIP(),
-  query('type').optional().isIn(['cpu', 'memory', 'disk', 'network', 'offline']),
+  query('type').optional().isIn(ALERT_TYPES),
   query('severity').optional().isIn(['warning', 'critical']),
   query('acknowledged').optional().isBoolean(),
   query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
@@ -81,7 +82,8 @@ router.get('/', [
         acknowledgedBy: alert.acknowledged_by,
         acknowledgedAt: alert.acknowledged_at,
         createdAt: alert.created_at,
-        resolvedAt: alert.resolved_at
+        resolvedAt: alert.resolved_at,
+        metadata: alert.metadata ? JSON.parse(alert.metadata) : {}
       });
     });
 
@@ -172,7 +174,8 @@ router.get('/:id', [
           acknowledgedBy: dbAlert.acknowledged_by,
           acknowledgedAt: dbAlert.acknowledged_at,
           createdAt: dbAlert.created_at,
-          resolvedAt: dbAlert.resolved_at
+          resolvedAt: dbAlert.resolved_at,
+          metadata: dbAlert.metadata ? JSON.parse(dbAlert.metadata) : {}
         };
       }
     }
@@ -451,7 +454,7 @@ router.get('/device/:deviceId', [
 router.post('/test', [
   body('deviceId').isUUID().withMessage('Valid device ID is required'),
   body('deviceIp').isIP().withMessage('Valid device IP is required'),
-  body('type').isIn(['cpu', 'memory', 'disk', 'network', 'offline']).withMessage('Valid alert type is required'),
+  body('type').isIn(ALERT_TYPES).withMessage('Valid alert type is required'),
   body('severity').isIn(['warning', 'critical']).withMessage('Valid severity is required'),
   body('message').isLength({ min: 1, max: 500 }).withMessage('Message is required')
 ], handleValidationErrors, async (req, res) => {
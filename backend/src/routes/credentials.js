@@ -0,0 +1,320 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { CREDENTIAL_TYPES, HTTP_AUTH_SCHEMES, normalizeCredentials, validateCredentials } from '../utils/CredentialProfile.js';
+import { SNMP_VERSIONS, SECURITY_LEVELS, AUTH_PROTOCOLS, PRIV_PROTOCOLS } from '../utils/SNMPCredentials.js';
+
+const router = express.Router();
+
+// Middleware to get services from app locals
+const getServices = (req) => ({
+  credentialVault: req.app.locals.credentialVault,
+  logger: req.app.locals.logger
+});
+
+// Secrets are never echoed back, not even in validation errors
+const SECRET_FIELDS = ['community', 'authKey', 'privKey', 'password', 'privateKey', 'passphrase', 'token'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array().map(error =>
+        SECRET_FIELDS.includes(error.path) ? { ...error, value: undefined } : error
+      )
+    });
+  }
+  next();
+};
+
+// Fields of every profile type; which are required depends on the type and is checked by validateCredentials
+const profileValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 255 }),
+    body('version').optional().isIn(SNMP_VERSIONS),
+    body('community').optional().isString().isLength({ min: 1, max: 64 }),
+    body('user').optional().isString().isLength({ min: 1, max: 32 }),
+    body('securityLevel').optional().isIn(SECURITY_LEVELS),
+    body('authProtocol').optional().isIn(AUTH_PROTOCOLS),
+    body('authKey').optional().isString().isLength({ max: 128 }),
+    body('privProtocol').optional().isIn(PRIV_PROTOCOLS),
+    body('privKey').optional().isString().isLength({ max: 128 }),
+    body('username').optional().isString().isLength({ min: 1, max: 100 }),
+    body('password').optional().isString().isLength({ max: 256 }),
+    body('privateKey').optional().isString().isLength({ max: 16384 }),
+    body('passphrase').optional().isString().isLength({ max: 256 }),
+    body('port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+    body('authScheme').optional().isIn(HTTP_AUTH_SCHEMES),
+    body('token').optional().isString().isLength({ max: 4096 })
+  ];
+};
+
+/**
+ * GET /api/credentials
+ * List credential profiles; secrets are never included
+ */
+router.get('/', [
+  query('type').optional().isIn(CREDENTIAL_TYPES)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+
+    const profiles = await credentialVault.getProfiles(req.query.type || null);
+
+    res.json({
+      profiles,
+      total: profiles.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get credential profiles:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve credential profiles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/credentials/discovery
+ * SNMP profiles discovery tries against new hosts, in order
+ */
+router.get('/discovery', async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+
+    const profiles = await credentialVault.getDiscoveryProfiles();
+
+    res.json({
+      profiles,
+      total: profiles.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get discovery credentials:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve discovery credentials',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/credentials/discovery
+ * Set which SNMP profiles discovery tries, first tried first
+ */
+router.put('/discovery', [
+  body('profileIds').isArray({ max: 50 }).withMessage('profileIds must be an array'),
+  body('profileIds.*').isUUID().withMessage('Valid profile IDs are required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault, logger } = getServices(req);
+
+    let profiles;
+    try {
+      profiles = await credentialVault.setDiscoveryOrder(req.body.profileIds);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid discovery credentials',
+        message: error.message
+      });
+    }
+
+    logger.info(`Discovery credentials set: ${profiles.map(profile => profile.name).join(', ') || 'none'}`);
+
+    res.json({
+      message: 'Discovery credentials updated',
+      profiles
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to set discovery credentials:', error);
+    res.status(500).json({
+      error: 'Failed to set discovery credentials',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/credentials/:id
+ * Get a credential profile without its secrets
+ */
+router.get('/:id', [
+  param('id').isUUID().withMessage('Valid profile ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+
+    const profile = await credentialVault.getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Credential profile not found',
+        profileId: req.params.id
+      });
+    }
+
+    res.json({ profile });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get credential profile ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve credential profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/credentials
+ * Create a credential profile
+ */
+router.post('/', [
+  body('type').isIn(CREDENTIAL_TYPES).withMessage(`Type must be one of ${CREDENTIAL_TYPES.join(', ')}`),
+  ...profileValidators(false)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+    const { name, type } = req.body;
+
+    try {
+      validateCredentials(type, normalizeCredentials(type, req.body));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: error.message
+      });
+    }
+
+    if (await credentialVault.getProfileByName(name)) {
+      return res.status(409).json({
+        error: 'Credential profile already exists',
+        name
+      });
+    }
+
+    const profile = await credentialVault.createProfile(req.body);
+
+    res.status(201).json({
+      message: 'Credential profile created',
+      profile
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to create credential profile:', error);
+    res.status(500).json({
+      error: 'Failed to create credential profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/credentials/:id
+ * Update a credential profile; secrets left out keep their stored values,
+ * and every device using the profile picks up the change
+ */
+router.put('/:id', [
+  param('id').isUUID().withMessage('Valid profile ID is required'),
+  ...profileValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+    const profileId = req.params.id;
+
+    const current = await credentialVault.getProfile(profileId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Credential profile not found',
+        profileId
+      });
+    }
+
+    const { type, ...changes } = req.body;
+    try {
+      validateCredentials(current.type, await credentialVault.previewChanges(profileId, changes));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: error.message
+      });
+    }
+
+    const sameName = changes.name ? await credentialVault.getProfileByName(changes.name) : null;
+    if (sameName && sameName.id !== profileId) {
+      return res.status(409).json({
+        error: 'Credential profile already exists',
+        name: changes.name
+      });
+    }
+
+    const profile = await credentialVault.updateProfile(profileId, changes);
+
+    res.json({
+      message: 'Credential profile updated',
+      profile
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to update credential profile ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to update credential profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/credentials/:id
+ * Delete a credential profile no device uses
+ */
+router.delete('/:id', [
+  param('id').isUUID().withMessage('Valid profile ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { credentialVault } = getServices(req);
+    const profileId = req.params.id;
+
+    const current = await credentialVault.getProfile(profileId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Credential profile not found',
+        profileId
+      });
+    }
+
+    if (current.devices > 0) {
+      return res.status(409).json({
+        error: 'Credential profile is in use',
+        message: `${current.devices} devices use this profile; point them at another profile first`,
+        profileId
+      });
+    }
+
+    const profile = await credentialVault.deleteProfile(profileId);
+
+    res.json({
+      message: 'Credential profile deleted',
+      profile
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to delete credential profile ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete credential profile',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,18 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
+import { parsePortList } from '../utils/PortList.js';
+import { UDP_SERVICES } from '../services/UDPProber.js';
+import { normalizeMAC } from '../utils/MACAddress.js';
+import {
+  SNMP_VERSIONS,
+  SECURITY_LEVELS,
+  AUTH_PROTOCOLS,
+  PRIV_PROTOCOLS,
+  sessionCredentials,
+  credentialsFromBody,
+  describeCredentials
+} from '../utils/SNMPCredentials.js';
+import { normalizeCredentials, validateCredentials, withoutSecrets } from '../utils/CredentialProfile.js';
 
 const router = express.Router();
 
@@ -7,22 +20,121 @@ const router = express.Router();
 const getServices = (req) => ({
   dbManager: req.app.locals.dbManager,
   monitoringService: req.app.locals.monitoringService,
+  identityManager: req.app.locals.identityManager,
+  hostnameResolver: req.app.locals.hostnameResolver,
+  networkScanner: req.app.locals.networkScanner,
   snmpCollector: req.app.locals.snmpCollector,
+  topologyManager: req.app.locals.topologyManager,
+  credentialVault: req.app.locals.credentialVault,
   logger: req.app.locals.logger
 });
 
+// Community strings and SNMPv3 keys, never echoed back, not even in validation errors
+const SNMP_SECRET_FIELDS = ['community', 'authKey', 'privKey'];
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: errors.array()
+      details: errors.array().map(error =>
+        SNMP_SECRET_FIELDS.includes(error.path) ? { ...error, value: undefined } : error
+      )
     });
   }
   next();
 };
 
+// A credential profile ID that must exist and hold credentials of a type
+const profileRule = (field, type) => body(field).optional({ values: 'null' }).isUUID()
+  .withMessage(`${field} must be a credential profile ID`)
+  .bail()
+  .custom(async (profileId, { req }) => {
+    const credentials = await req.app.locals.credentialVault.getCredentials(profileId);
+    if (!credentials) {
+      throw new Error('Credential profile not found');
+    }
+    if (credentials.type !== type) {
+      throw new Error(`Credential profile is not an ${type.toUpperCase()} profile`);
+    }
+    return true;
+  });
+
+// Credential profiles and inline SNMP credentials accepted when adding, updating
+// or testing a device; inline credentials end up in a vault profile
+const snmpCredentialRules = [
+  profileRule('snmpProfileId', 'snmp'),
+  profileRule('sshProfileId', 'ssh'),
+  profileRule('httpProfileId', 'http'),
+  body('snmpVersion').optional().isIn(SNMP_VERSIONS).withMessage(`SNMP version must be one of ${SNMP_VERSIONS.join(', ')}`),
+  body('snmpUser').optional().isString().isLength({ min: 1, max: 32 }),
+  body('securityLevel').optional().isIn(SECURITY_LEVELS),
+  body('authProtocol').optional().isIn(AUTH_PROTOCOLS),
+  body('authKey').optional().isString().isLength({ max: 128 }),
+  body('privProtocol').optional().isIn(PRIV_PROTOCOLS),
+  body('privKey').optional().isString().isLength({ max: 128 }),
+  body('snmpVersion').optional().custom((value, { req }) => {
+    validateCredentials('snmp', normalizeCredentials('snmp', credentialsFromBody(req.body)));
+    return true;
+  })
+];
+
+const CREDENTIAL_FIELDS = [
+  'community', 'snmpVersion', 'snmpUser', 'securityLevel', 'authProtocol', 'authKey', 'privProtocol', 'privKey',
+  'snmpProfileId', 'sshProfileId', 'httpProfileId'
+];
+
+// Request body without credentials, which live in the vault rather than on the device
+const withoutCredentials = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => !CREDENTIAL_FIELDS.includes(key))
+);
+
+/**
+ * Point a device at the profiles a request body names. Inline SNMP
+ * credentials go to the profile already holding them, or a new one, so
+ * devices sharing a community share the profile.
+ */
+const assignCredentialProfiles = async (credentialVault, deviceId, body) => {
+  const inline = credentialsFromBody(body);
+  if (inline && body.snmpProfileId === undefined) {
+    const profile = await credentialVault.findOrCreateSNMPProfile(inline);
+    await credentialVault.assignProfile(deviceId, 'snmp', profile.id);
+  }
+
+  for (const type of ['snmp', 'ssh', 'http']) {
+    const profileId = body[`${type}ProfileId`];
+    if (profileId !== undefined) {
+      await credentialVault.assignProfile(deviceId, type, profileId);
+    }
+  }
+};
+
+// Convert a device_services row to the API representation
+const formatService = (row) => {
+  const details = row.details ? JSON.parse(row.details) : {};
+  return {
+    protocol: row.protocol,
+    port: row.port,
+    service: row.service,
+    product: row.product,
+    version: row.version,
+    banner: row.banner,
+    http: details.http || null,
+    tls: details.tls || null,
+    probe: withoutSecrets(details.probe),
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen
+  };
+};
+
+const formatHostname = (row) => ({
+  source: row.source,
+  name: row.name,
+  changedAt: row.changed_at,
+  resolvedAt: row.resolved_at
+});
+
 /**
  * GET /api/devices
  * Get all monitored devices
@@ -77,6 +189,35 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/devices/locate/:mac
+ * Where a MAC address is plugged in: switch, port, VLAN and last-seen time
+ */
+router.get('/locate/:mac', [
+  param('mac').custom((value) => {
+    if (!normalizeMAC(value)) {
+      throw new Error('Valid MAC address is required');
+    }
+    return true;
+  })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const result = await topologyManager.locateMAC(normalizeMAC(req.params.mac));
+
+    res.json(result);
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to locate MAC ${req.params.mac}:`, error);
+    res.status(500).json({
+      error: 'Failed to locate MAC address',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/devices/:id
  * Get specific device details
@@ -109,13 +250,29 @@ router.get('/:id', [
     // Get device alerts
     const alerts = await req.app.locals.alertManager.getDeviceAlerts(deviceId);
     
+    // Get IP address history
+    const addresses = await dbManager.getDeviceAddresses(deviceId);
+    
+    // Get services found on open ports
+    const services = (await dbManager.getDeviceServices(deviceId)).map(formatService);
+    
+    // Get the name each source gives the device
+    const hostnames = (await dbManager.getDeviceHostnames(deviceId)).map(formatHostname);
+    
+    // Credential profiles the device uses, without secrets
+    const credentials = await req.app.locals.credentialVault.getDeviceProfiles(device);
+    
     res.json({
       device: {
         ...device,
+        credentials,
         metrics,
         systemInfo,
         networkInterfaces,
-        alerts
+        alerts,
+        addresses,
+        services,
+        hostnames
       }
     });
     
@@ -139,11 +296,12 @@ router.post('/', [
   body('community').optional().isLength({ min: 1, max: 50 }),
   body('description').optional().isLength({ max: 500 }),
   body('location').optional().isLength({ max: 255 }),
-  body('contact').optional().isLength({ max: 255 })
+  body('contact').optional().isLength({ max: 255 }),
+  ...snmpCredentialRules
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { dbManager, snmpCollector, monitoringService, logger } = getServices(req);
-    const { ip, hostname, community = 'public', description, location, contact } = req.body;
+    const { dbManager, snmpCollector, monitoringService, credentialVault, logger } = getServices(req);
+    const { ip, hostname, description, location, contact, snmpProfileId } = req.body;
     
     // Check if device already exists
     const existingDevice = await dbManager.getDeviceByIP(ip);
@@ -154,10 +312,15 @@ router.post('/', [
       });
     }
     
+    // A chosen profile, else the inline credentials, else community 'public'
+    const snmpFields = snmpProfileId
+      ? (await credentialVault.getCredentials(snmpProfileId)).fields
+      : normalizeCredentials('snmp', credentialsFromBody({ community: 'public', ...req.body }));
+    
     // Try to collect system information via SNMP
     let systemInfo = null;
     try {
-      systemInfo = await snmpCollector.collectSystemInfo(ip, community);
+      systemInfo = await snmpCollector.collectSystemInfo(ip, sessionCredentials(snmpFields));
     } catch (error) {
       logger.warn(`Failed to collect SNMP info for ${ip}:`, error);
     }
@@ -172,24 +335,43 @@ router.post('/', [
       description: description || systemInfo?.description || 'Manually added device',
       location: location || systemInfo?.location || '',
       contact: contact || systemInfo?.contact || '',
-      community,
       status: 'unknown'
     };
     
     await dbManager.saveDevice(deviceData);
+    await dbManager.recordDeviceAddress(deviceId, ip, null, 'manual');
+    // Every added device gets an SNMP profile, shared with devices using the same credentials
+    await assignCredentialProfiles(credentialVault, deviceId, {
+      ...req.body,
+      snmpProfileId: snmpProfileId || (await credentialVault.findOrCreateSNMPProfile(snmpFields)).id
+    });
     
     // Add to monitoring service
-    monitoringService.currentDevices.set(ip, {
+    monitoringService.currentDevices.set(deviceId, {
       ...deviceData,
       lastSeen: new Date(),
       firstSeen: new Date()
     });
     
+    // A typed-in hostname is kept over every discovered name
+    const naming = await monitoringService.updateHostname({ id: deviceId, ip }, {
+      manual: hostname,
+      snmp: systemInfo?.sysName
+    });
+    if (naming) {
+      deviceData.hostname = naming.hostname;
+      deviceData.hostname_source = naming.source;
+    }
+    await monitoringService.classifyDevice(deviceId);
+    
     logger.info(`Device added manually: ${ip} (${deviceData.hostname})`);
     
     res.status(201).json({
       message: 'Device added successfully',
-      device: deviceData
+      device: {
+        ...deviceData,
+        credentials: await credentialVault.getDeviceProfiles(await dbManager.getDevice(deviceId))
+      }
     });
     
   } catch (error) {
@@ -212,10 +394,11 @@ router.put('/:id', [
   body('community').optional().isLength({ min: 1, max: 50 }),
   body('description').optional().isLength({ max: 500 }),
   body('location').optional().isLength({ max: 255 }),
-  body('contact').optional().isLength({ max: 255 })
+  body('contact').optional().isLength({ max: 255 }),
+  ...snmpCredentialRules
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { dbManager, monitoringService, logger } = getServices(req);
+    const { dbManager, monitoringService, credentialVault, logger } = getServices(req);
     const deviceId = req.params.id;
     
     // Get existing device
@@ -230,23 +413,32 @@ router.put('/:id', [
     // Update device data
     const updatedData = {
       ...existingDevice,
-      ...req.body,
+      ...withoutCredentials(req.body),
       updated_at: new Date().toISOString()
     };
     
     await dbManager.saveDevice(updatedData);
+    await assignCredentialProfiles(credentialVault, deviceId, req.body);
     
     // Update in monitoring service
-    const monitoredDevice = monitoringService.currentDevices.get(existingDevice.ip);
+    const monitoredDevice = monitoringService.currentDevices.get(deviceId);
     if (monitoredDevice) {
       Object.assign(monitoredDevice, updatedData);
     }
     
+    if (req.body.hostname) {
+      await monitoringService.updateHostname(existingDevice, { manual: req.body.hostname }, { lookup: false });
+      updatedData.hostname_source = 'manual';
+    }
+    
     logger.info(`Device updated: ${existingDevice.ip} (${updatedData.hostname})`);
     
     res.json({
       message: 'Device updated successfully',
-      device: updatedData
+      device: {
+        ...updatedData,
+        credentials: await credentialVault.getDeviceProfiles(await dbManager.getDevice(deviceId))
+      }
     });
     
   } catch (error) {
@@ -283,7 +475,7 @@ router.delete('/:id', [
     await dbManager.deleteDevice(deviceId);
     
     // Remove from monitoring service
-    monitoringService.currentDevices.delete(device.ip);
+    monitoringService.currentDevices.delete(deviceId);
     
     logger.info(`Device removed: ${device.ip} (${device.hostname})`);
     
@@ -302,18 +494,461 @@ router.delete('/:id', [
   }
 });
 
+/**
+ * GET /api/devices/:id/addresses
+ * Get the IP address history of a device
+ */
+router.get('/:id/addresses', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, identityManager } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    const addresses = await identityManager.getAddressHistory(deviceId);
+    
+    res.json({
+      deviceId,
+      currentIp: device.ip,
+      addresses,
+      total: addresses.length
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get addresses for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve device addresses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/location
+ * Switch ports the device is plugged into, one per MAC address it has used
+ */
+router.get('/:id/location', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, topologyManager } = getServices(req);
+    const deviceId = req.params.id;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    const locations = await topologyManager.locateDevice(device);
+
+    res.json({
+      deviceId,
+      locations,
+      total: locations.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to locate device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to locate device',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/ports
+ * Switch port view: endpoints and LLDP/CDP neighbours on each port
+ */
+router.get('/:id/ports', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, topologyManager } = getServices(req);
+    const deviceId = req.params.id;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    const { ports, updatedAt } = await topologyManager.getSwitchPorts(deviceId);
+
+    res.json({
+      deviceId,
+      ports,
+      total: ports.length,
+      updatedAt
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get ports for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve switch ports',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/hostnames
+ * Get the name each source (manual, SNMP, DNS, mDNS, NetBIOS) gives a device, and which one is used
+ */
+router.get('/:id/hostnames', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, hostnameResolver } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    const hostnames = (await dbManager.getDeviceHostnames(deviceId)).map(formatHostname);
+    
+    res.json({
+      deviceId,
+      hostname: device.hostname,
+      source: device.hostname_source,
+      precedence: ['manual', ...hostnameResolver.precedence],
+      hostnames
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get hostnames for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve hostnames',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:id/hostnames/resolve
+ * Look up the device's PTR record now and re-pick its hostname
+ */
+router.post('/:id/hostnames/resolve', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, monitoringService } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    const result = await monitoringService.updateHostname(device);
+    const hostnames = (await dbManager.getDeviceHostnames(deviceId)).map(formatHostname);
+    
+    res.json({
+      deviceId,
+      hostname: result?.hostname ?? device.hostname,
+      source: result?.source ?? device.hostname_source,
+      changed: result?.changed ?? false,
+      hostnames
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to resolve hostname for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to resolve hostname',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:id/hostnames/manual
+ * Drop a typed-in hostname so the device is named from discovered sources again
+ */
+router.delete('/:id/hostnames/manual', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, hostnameResolver, monitoringService, logger } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    await dbManager.deleteDeviceHostname(deviceId, 'manual');
+    hostnameResolver.forget(deviceId);
+    const result = await hostnameResolver.applyPrecedence(deviceId);
+    if (result?.changed) {
+      await monitoringService.announceHostnameChange(deviceId, result);
+    }
+    
+    logger.info(`Manual hostname cleared for device ${device.ip}`);
+    
+    res.json({
+      message: 'Manual hostname cleared',
+      deviceId,
+      hostname: result?.hostname ?? device.hostname,
+      source: result?.source ?? null
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to clear manual hostname for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to clear manual hostname',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/services
+ * Get the services found on a device's open ports
+ */
+router.get('/:id/services', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    const services = (await dbManager.getDeviceServices(deviceId)).map(formatService);
+    
+    res.json({
+      deviceId,
+      services,
+      total: services.length
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get services for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve device services',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:id/services/scan
+ * Scan a device's TCP ports and probe its UDP services now, storing what answers
+ */
+router.post('/:id/services/scan', [
+  param('id').notEmpty().withMessage('Device ID is required'),
+  body('ports').optional({ values: 'null' }).custom((value) => {
+    parsePortList(value);
+    return true;
+  }),
+  body('timeout').optional().isInt({ min: 200, max: 10000 }).toInt(),
+  body('udpServices').optional().isArray(),
+  body('udpServices.*').isIn(Object.keys(UDP_SERVICES)).withMessage('Unknown UDP service')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, networkScanner, monitoringService, logger } = getServices(req);
+    const deviceId = req.params.id;
+    const { ports = 'common', timeout = 1000, udpServices = Object.keys(UDP_SERVICES) } = req.body;
+    
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+    
+    const startTime = Date.now();
+    
+    const result = await networkScanner.scanPorts(device.ip, ports || 'common', { timeout });
+    const openPorts = await networkScanner.fingerprintServices(device.ip, result.ports);
+    await dbManager.saveDeviceServices(deviceId, openPorts);
+    
+    const udpPorts = (await networkScanner.probeUDPServices(device.ip, udpServices))
+      .filter(port => port.status === 'open');
+    await dbManager.saveDeviceServices(deviceId, udpPorts, 'udp');
+    
+    // What answers on the ports says a lot about what the device is
+    const classified = await monitoringService.classifyDevice(deviceId);
+    
+    const scanTime = Date.now() - startTime;
+    logger.info(`Service scan of ${device.ip} found ${openPorts.length} open TCP ports and ${udpPorts.length} UDP services in ${scanTime}ms`);
+    
+    const services = (await dbManager.getDeviceServices(deviceId)).map(formatService);
+    
+    res.json({
+      deviceId,
+      ip: device.ip,
+      openPorts,
+      udpPorts,
+      services,
+      classification: {
+        deviceType: classified?.deviceType || null,
+        deviceTypeConfidence: classified?.deviceTypeConfidence || 0,
+        osFamily: classified?.osFamily || null,
+        osFamilyConfidence: classified?.osFamilyConfidence || 0,
+        reasons: classified?.classificationReasons || []
+      },
+      summary: result.summary,
+      scanTime
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to scan services for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to scan device services',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:id/merge
+ * Merge other devices (e.g. the same host seen under an old DHCP address) into this one
+ */
+router.post('/:id/merge', [
+  param('id').notEmpty().withMessage('Device ID is required'),
+  body('sourceIds').isArray({ min: 1 }).withMessage('sourceIds must be a non-empty array'),
+  body('sourceIds.*').isString().notEmpty().withMessage('Each source ID must be a device ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { identityManager, logger } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const device = await identityManager.mergeDevices(deviceId, req.body.sourceIds);
+    const addresses = await identityManager.getAddressHistory(deviceId);
+    
+    logger.info(`Devices ${req.body.sourceIds.join(', ')} merged into ${deviceId}`);
+    
+    res.json({
+      message: 'Devices merged successfully',
+      device: {
+        ...device,
+        addresses
+      },
+      mergedIds: req.body.sourceIds
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to merge into device ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        error: 'Device not found',
+        message: error.message
+      });
+    } else if (error.message.includes('Cannot')) {
+      res.status(400).json({
+        error: 'Invalid merge',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to merge devices',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * POST /api/devices/:id/split
+ * Move addresses that belong to a different host into a new device
+ */
+router.post('/:id/split', [
+  param('id').notEmpty().withMessage('Device ID is required'),
+  body('ips').isArray({ min: 1 }).withMessage('ips must be a non-empty array'),
+  body('ips.*').isIP().withMessage('Each address must be a valid IP address')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { identityManager, logger } = getServices(req);
+    const deviceId = req.params.id;
+    
+    const { device, created } = await identityManager.splitDevice(deviceId, req.body.ips);
+    
+    logger.info(`Addresses ${req.body.ips.join(', ')} split from ${deviceId} into ${created.id}`);
+    
+    res.status(201).json({
+      message: 'Device split successfully',
+      device,
+      created
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to split device ${req.params.id}:`, error);
+    
+    if (error.message.includes('Device not found')) {
+      res.status(404).json({
+        error: 'Device not found',
+        message: error.message
+      });
+    } else if (error.message.includes('not in the history') || error.message.includes('Cannot')) {
+      res.status(400).json({
+        error: 'Invalid split',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to split device',
+        message: error.message
+      });
+    }
+  }
+});
+
 /**
  * POST /api/devices/:id/test-snmp
- * Test SNMP connectivity for a device
+ * Test SNMP connectivity for a device, with its stored credentials or ones given in the body
  */
 router.post('/:id/test-snmp', [
   param('id').notEmpty().withMessage('Device ID is required'),
-  body('community').optional().isLength({ min: 1, max: 50 })
+  body('community').optional().isLength({ min: 1, max: 50 }),
+  ...snmpCredentialRules
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { dbManager, snmpCollector, logger } = getServices(req);
+    const { dbManager, snmpCollector, credentialVault, logger } = getServices(req);
     const deviceId = req.params.id;
-    const { community } = req.body;
+    const { snmpProfileId } = req.body;
     
     // Get device
     const device = await dbManager.getDevice(deviceId);
@@ -324,33 +959,48 @@ router.post('/:id/test-snmp', [
       });
     }
     
-    const testCommunity = community || device.community || 'public';
+    // A profile to try, else inline credentials, else the profile the device uses
+    const inline = credentialsFromBody(req.body);
+    let credentials;
+    if (snmpProfileId) {
+      credentials = sessionCredentials((await credentialVault.getCredentials(snmpProfileId)).fields);
+    } else if (inline) {
+      credentials = sessionCredentials(normalizeCredentials('snmp', inline));
+    } else {
+      credentials = await credentialVault.snmpCredentials(device);
+    }
+    const profileId = snmpProfileId || (inline ? null : device.snmp_profile_id);
+    const tested = {
+      snmpVersion: typeof credentials === 'string' ? '2c' : credentials.version,
+      ...(credentials.version === '3' ? { user: credentials.user } : {}),
+      profile: profileId ? await credentialVault.getProfile(profileId) : null
+    };
     const startTime = Date.now();
     
     try {
       // Test SNMP connectivity
-      const systemInfo = await snmpCollector.collectSystemInfo(device.ip, testCommunity);
+      const systemInfo = await snmpCollector.collectSystemInfo(device.ip, credentials);
       const responseTime = Date.now() - startTime;
       
-      logger.info(`SNMP test successful for ${device.ip} with community '${testCommunity}'`);
+      logger.info(`SNMP test successful for ${device.ip} with ${describeCredentials(credentials)}`);
       
       res.json({
         success: true,
         responseTime,
         systemInfo,
-        community: testCommunity
+        ...tested
       });
       
     } catch (error) {
       const responseTime = Date.now() - startTime;
       
-      logger.warn(`SNMP test failed for ${device.ip} with community '${testCommunity}':`, error);
+      logger.warn(`SNMP test failed for ${device.ip} with ${describeCredentials(credentials)}:`, error);
       
       res.json({
         success: false,
         responseTime,
         error: error.message,
-        community: testCommunity
+        ...tested
       });
     }
     
@@ -372,7 +1022,7 @@ router.post('/:id/collect-metrics', [
   param('id').notEmpty().withMessage('Device ID is required')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { dbManager, snmpCollector, logger } = getServices(req);
+    const { dbManager, snmpCollector, credentialVault, logger } = getServices(req);
     const deviceId = req.params.id;
     
     // Get device
@@ -387,7 +1037,8 @@ router.post('/:id/collect-metrics', [
     const startTime = Date.now();
     
     // Collect all metrics
-    const metrics = await snmpCollector.collectAllMetrics(device.ip, device.community);
+    const credentials = await credentialVault.snmpCredentials(device);
+    const metrics = await snmpCollector.collectAllMetrics(device.ip, credentials);
     const collectionTime = Date.now() - startTime;
     
     // Save metrics to database
@@ -426,6 +1077,7 @@ router.post('/:id/collect-metrics', [
     res.json({
       success: true,
       collectionTime,
+      snmpRequests: snmpCollector.getTimingStats(device.ip)?.lastCollection?.requests ?? null,
       metrics,
       savedMetrics: metricsToSave.length
     });
@@ -495,4 +1147,130 @@ router.get('/:id/metrics/history', [
   }
 });
 
-export default router;
\ No newline at end of file
+/**
+ * GET /api/devices/:id/interfaces
+ * Get a device's interfaces with their latest traffic rates
+ */
+router.get('/:id/interfaces', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, monitoringService } = getServices(req);
+    const deviceId = req.params.id;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    const interfaces = await monitoringService.getInterfaces(deviceId);
+
+    res.json({
+      deviceId,
+      interfaces,
+      total: interfaces.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get interfaces for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve interfaces',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/interfaces/:ifIndex/history
+ * Get an interface's bit rates, utilization, packet rates, errors and discards over time
+ */
+router.get('/:id/interfaces/:ifIndex/history', [
+  param('id').notEmpty().withMessage('Device ID is required'),
+  param('ifIndex').isInt({ min: 0 }).withMessage('Valid interface index is required').toInt(),
+  query('hours').optional().isInt({ min: 1, max: 720 }).toInt(),
+  query('points').optional().isInt({ min: 10, max: 1000 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, monitoringService } = getServices(req);
+    const deviceId = req.params.id;
+    const ifIndex = req.params.ifIndex;
+    const hours = req.query.hours || 24;
+    const points = req.query.points || 200;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    const iface = (await monitoringService.getInterfaces(deviceId)).find(entry => entry.index === ifIndex);
+    if (!iface) {
+      return res.status(404).json({
+        error: 'Interface not found',
+        deviceId,
+        ifIndex
+      });
+    }
+
+    const { series, summary } = await monitoringService.getInterfaceSeries(deviceId, ifIndex, { hours, points });
+
+    res.json({
+      deviceId,
+      interface: iface,
+      hours,
+      series,
+      summary
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get interface history for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve interface history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:id/snmp-stats
+ * Get how many SNMP requests polling a device takes and how long they run
+ */
+router.get('/:id/snmp-stats', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, snmpCollector } = getServices(req);
+    const deviceId = req.params.id;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    res.json({
+      deviceId,
+      ip: device.ip,
+      stats: snmpCollector.getTimingStats(device.ip)
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get SNMP stats for device ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve SNMP stats',
+      message: error.message
+    });
+  }
+});
+
+export default router;
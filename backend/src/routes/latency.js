@@ -0,0 +1,275 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Middleware to get services from app locals
+const getServices = (req) => ({
+  latencyProbeScheduler: req.app.locals.latencyProbeScheduler,
+  logger: req.app.locals.logger
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const targetValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 100 }).withMessage('Target name is required'),
+    body('host').optional({ values: 'null' }).custom((value) => {
+      if (typeof value !== 'string' || !/^[A-Za-z0-9.:-]+$/.test(value)) {
+        throw new Error('Host must be an IP address or hostname');
+      }
+      return true;
+    }),
+    body('deviceId').optional({ values: 'null' }).isString().notEmpty(),
+    body('intervalSeconds').optional().isInt({ min: 5, max: 3600 }).toInt(),
+    body('packetCount').optional().isInt({ min: 1, max: 20 }).toInt(),
+    body('timeout').optional().isInt({ min: 500, max: 10000 }).toInt(),
+    body('enabled').optional().isBoolean()
+  ];
+};
+
+// Errors thrown by the scheduler that describe a bad request rather than a failure
+const isInvalidTarget = (error) =>
+  error.message.includes('required') || error.message.includes('not both') || error.message.includes('Device not found');
+
+/**
+ * GET /api/latency/targets
+ * List latency probe targets
+ */
+router.get('/targets', async (req, res) => {
+  try {
+    const { latencyProbeScheduler } = getServices(req);
+
+    const targets = latencyProbeScheduler.getTargets();
+
+    res.json({
+      targets,
+      total: targets.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get latency targets:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve latency targets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/latency/targets
+ * Create a latency probe target for a host or a device
+ */
+router.post('/targets', targetValidators(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { latencyProbeScheduler, logger } = getServices(req);
+
+    const target = await latencyProbeScheduler.createTarget(req.body);
+
+    logger.info(`Latency target created via API: ${target.name}`);
+
+    res.status(201).json({
+      message: 'Latency target created',
+      target
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to create latency target:', error);
+
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Latency target already exists',
+        message: error.message
+      });
+    } else if (isInvalidTarget(error)) {
+      res.status(400).json({
+        error: 'Invalid latency target',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to create latency target',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * PUT /api/latency/targets/:id
+ * Update a latency probe target
+ */
+router.put('/targets/:id', [
+  param('id').isUUID().withMessage('Valid target ID is required'),
+  ...targetValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { latencyProbeScheduler } = getServices(req);
+    const targetId = req.params.id;
+
+    const target = await latencyProbeScheduler.updateTarget(targetId, req.body);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Latency target not found',
+        targetId
+      });
+    }
+
+    res.json({
+      message: 'Latency target updated',
+      target
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to update latency target ${req.params.id}:`, error);
+
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Latency target already exists',
+        message: error.message
+      });
+    } else if (isInvalidTarget(error)) {
+      res.status(400).json({
+        error: 'Invalid latency target',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to update latency target',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * DELETE /api/latency/targets/:id
+ * Delete a latency probe target and its samples
+ */
+router.delete('/targets/:id', [
+  param('id').isUUID().withMessage('Valid target ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { latencyProbeScheduler } = getServices(req);
+    const targetId = req.params.id;
+
+    const target = await latencyProbeScheduler.deleteTarget(targetId);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Latency target not found',
+        targetId
+      });
+    }
+
+    res.json({
+      message: 'Latency target deleted',
+      target
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to delete latency target ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete latency target',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/latency/targets/:id/probe
+ * Probe a target now and store the sample
+ */
+router.post('/targets/:id/probe', [
+  param('id').isUUID().withMessage('Valid target ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { latencyProbeScheduler } = getServices(req);
+    const targetId = req.params.id;
+
+    if (!latencyProbeScheduler.getTarget(targetId)) {
+      return res.status(404).json({
+        error: 'Latency target not found',
+        targetId
+      });
+    }
+
+    const sample = await latencyProbeScheduler.probeTarget(targetId);
+    if (!sample) {
+      return res.status(409).json({
+        error: 'A probe of this target is already running'
+      });
+    }
+
+    res.json({
+      targetId,
+      sample
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to probe latency target ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to probe latency target',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/latency/targets/:id/series
+ * Get a target's latency series with median, percentiles, jitter and loss
+ */
+router.get('/targets/:id/series', [
+  param('id').isUUID().withMessage('Valid target ID is required'),
+  query('hours').optional().isInt({ min: 1, max: 720 }).toInt(),
+  query('points').optional().isInt({ min: 10, max: 1000 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { latencyProbeScheduler } = getServices(req);
+    const targetId = req.params.id;
+    const hours = req.query.hours || 3;
+    const points = req.query.points || 200;
+
+    const target = latencyProbeScheduler.getTarget(targetId);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Latency target not found',
+        targetId
+      });
+    }
+
+    const { series, summary } = await latencyProbeScheduler.getSeries(targetId, { hours, points });
+
+    res.json({
+      target,
+      hours,
+      series,
+      summary
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get latency series for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve latency series',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,9 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { parsePortList, listPortProfiles } from '../utils/PortList.js';
+import { UDP_SERVICES } from '../services/UDPProber.js';
+import { validateScanWindow } from '../utils/ScanWindow.js';
+import { TRACE_METHODS } from '../services/Tracerouter.js';
 
 const router = express.Router();
 
@@ -7,6 +11,10 @@ const router = express.Router();
 const getServices = (req) => ({
   monitoringService: req.app.locals.monitoringService,
   networkScanner: req.app.locals.networkScanner,
+  scanJobManager: req.app.locals.scanJobManager,
+  discoveryScheduler: req.app.locals.discoveryScheduler,
+  pathMonitor: req.app.locals.pathMonitor,
+  hostnameResolver: req.app.locals.hostnameResolver,
   dbManager: req.app.locals.dbManager,
   logger: req.app.locals.logger
 });
@@ -23,52 +31,695 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Port lists are profile names, ports and ranges ("web,22,8000-8100") or an array of them
+const isPortSpec = (value) => {
+  parsePortList(value);
+  return true;
+};
+
+const portOptionValidators = [
+  body('options.ports').optional().custom(isPortSpec),
+  body('options.portTimeout').optional().isInt({ min: 200, max: 10000 }),
+  body('options.portConcurrency').optional().isInt({ min: 1, max: 1000 }),
+  body('options.fingerprint').optional().isBoolean(),
+  body('options.udpServices').optional().isArray(),
+  body('options.udpServices.*').isIn(Object.keys(UDP_SERVICES)).withMessage('Unknown UDP service'),
+  body('options.announcements').optional().isBoolean()
+];
+
+// Pacing: rateLimit is probes per second (0 = unlimited); polite turns on a slow preset
+const rateOptionValidators = [
+  body('options.rateLimit').optional().isFloat({ min: 0, max: 10000 }),
+  body('options.adaptive').optional().isBoolean(),
+  body('options.randomize').optional().isBoolean(),
+  body('options.polite').optional().isBoolean()
+];
+
+const scanOptionValidators = [
+  body('options.timeout').optional().isInt({ min: 1000, max: 30000 }),
+  body('options.concurrent').optional().isInt({ min: 1, max: 100 }),
+  body('options.includePorts').optional().isBoolean(),
+  ...portOptionValidators,
+  ...rateOptionValidators,
+  body('options.exclude').optional()
+];
+
 /**
  * POST /api/scan/start
- * Start network scan
+ * Start network scan (queued behind any scan already running)
  */
 router.post('/start', [
   body('range').notEmpty().withMessage('IP range is required'),
-  body('options.timeout').optional().isInt({ min: 1000, max: 30000 }),
-  body('options.concurrent').optional().isInt({ min: 1, max: 100 }),
-  body('options.includePorts').optional().isBoolean()
+  ...scanOptionValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { monitoringService, networkScanner, logger } = getServices(req);
+    const { range, options = {} } = req.body;
+    
+    // Reject malformed or oversized ranges before queueing anything
+    try {
+      networkScanner.describeIPRange(range, { exclude: options.exclude });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid IP range',
+        message: error.message
+      });
+    }
+    
+    const job = await monitoringService.scanNetwork(range, options);
+    logger.info(`Network scan job ${job.id} ${job.status} for range: ${range}`);
+    
+    res.status(202).json({
+      message: job.status === 'queued' ? 'Network scan queued' : 'Network scan started',
+      range,
+      options,
+      totalIPs: job.totalIPs,
+      scanId: job.id,
+      job
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to start network scan:', error);
+    res.status(500).json({
+      error: 'Failed to start network scan',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan/local
+ * Scan every IPv4 subnet this machine is attached to ("scan my networks")
+ */
+router.post('/local', scanOptionValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const { monitoringService, networkScanner, logger } = getServices(req);
+    const { options = {} } = req.body;
+    
+    const subnets = await monitoringService.getLocalSubnets();
+    if (subnets.length === 0) {
+      return res.status(404).json({
+        error: 'No local networks found',
+        message: 'This machine has no IPv4 address outside loopback and link-local ranges'
+      });
+    }
+    
+    const range = subnets.map(subnet => subnet.range).join(', ');
+    try {
+      networkScanner.describeIPRange(range, { exclude: options.exclude });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid IP range',
+        message: error.message
+      });
+    }
+    
+    const job = await monitoringService.scanNetwork(range, options);
+    logger.info(`Local network scan job ${job.id} ${job.status} for ${range}`);
+    
+    res.status(202).json({
+      message: job.status === 'queued' ? 'Network scan queued' : 'Network scan started',
+      range,
+      subnets,
+      options,
+      totalIPs: job.totalIPs,
+      scanId: job.id,
+      job
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to start local network scan:', error);
+    res.status(500).json({
+      error: 'Failed to start local network scan',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/jobs
+ * List scan jobs, newest first
+ */
+router.get('/jobs', [
+  query('status').optional().isIn(['queued', 'running', 'completed', 'cancelled', 'failed', 'interrupted']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager } = getServices(req);
+    
+    const jobs = await scanJobManager.getJobs({
+      status: req.query.status || null,
+      limit: req.query.limit || 50
+    });
+    
+    res.json({
+      jobs,
+      total: jobs.length,
+      ...scanJobManager.getQueueStatus()
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get scan jobs:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve scan jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/jobs/:id
+ * Get a scan job and its per-host results
+ */
+router.get('/jobs/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Valid scan job ID is required').toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager } = getServices(req);
+    const jobId = req.params.id;
+    
+    const job = await scanJobManager.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Scan job not found',
+        jobId
+      });
+    }
+    
+    const results = await scanJobManager.getJobResults(jobId);
+    
+    res.json({
+      job,
+      results
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get scan job ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve scan job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/jobs/:id/diff
+ * Compare a scan job with the previous completed scan of the same range
+ */
+router.get('/jobs/:id/diff', [
+  param('id').isInt({ min: 1 }).withMessage('Valid scan job ID is required').toInt(),
+  query('against').optional().isInt({ min: 1 }).withMessage('Valid scan job ID is required').toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager } = getServices(req);
+    const jobId = req.params.id;
+    
+    const diff = await scanJobManager.getJobDiff(jobId, req.query.against || null);
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Scan job not found',
+        jobId
+      });
+    }
+    
+    res.json({
+      diff,
+      summary: {
+        newHosts: diff.newHosts.length,
+        vanishedHosts: diff.vanishedHosts.length,
+        changedHosts: diff.changedHosts.length,
+        unchangedHosts: diff.unchangedCount
+      }
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to diff scan job ${req.params.id}:`, error);
+    
+    if (error.message.includes('not found')) {
+      res.status(404).json({
+        error: 'Scan job not found',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to diff scan job',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * POST /api/scan/jobs/:id/cancel
+ * Cancel a queued or running scan job
+ */
+router.post('/jobs/:id/cancel', [
+  param('id').isInt({ min: 1 }).withMessage('Valid scan job ID is required').toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager, logger } = getServices(req);
+    const jobId = req.params.id;
+    
+    const job = await scanJobManager.cancelJob(jobId);
+    if (!job) {
+      const stored = await scanJobManager.getJob(jobId);
+      if (!stored) {
+        return res.status(404).json({
+          error: 'Scan job not found',
+          jobId
+        });
+      }
+      
+      return res.status(409).json({
+        error: 'Scan job is not queued or running',
+        job: stored
+      });
+    }
+    
+    logger.info(`Scan job ${jobId} cancelled by user request`);
+    
+    res.json({
+      message: 'Scan job cancelled',
+      job
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to cancel scan job ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to cancel scan job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/schedules
+ * List recurring discovery schedules
+ */
+router.get('/schedules', async (req, res) => {
+  try {
+    const { discoveryScheduler } = getServices(req);
+    
+    const schedules = discoveryScheduler.getSchedules();
+    
+    res.json({
+      schedules,
+      total: schedules.length
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get discovery schedules:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve discovery schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/schedules/:id
+ * Get a discovery schedule and its recent runs
+ */
+router.get('/schedules/:id', [
+  param('id').isUUID().withMessage('Valid schedule ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { discoveryScheduler, scanJobManager } = getServices(req);
+    const scheduleId = req.params.id;
+    
+    const schedule = discoveryScheduler.getSchedule(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Discovery schedule not found',
+        scheduleId
+      });
+    }
+    
+    const jobs = await scanJobManager.getJobs({ scheduleId, limit: 20 });
+    
+    res.json({
+      schedule,
+      jobs
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get discovery schedule ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve discovery schedule',
+      message: error.message
+    });
+  }
+});
+
+const scheduleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 100 }).withMessage('Schedule name is required'),
+    field('cronExpression').isString().withMessage('Cron expression is required'),
+    field('range').isString().notEmpty().withMessage('IP range is required'),
+    body('exclude').optional().isArray().withMessage('Exclude must be an array'),
+    body('exclude.*').optional().isString(),
+    body('enabled').optional().isBoolean(),
+    body('options.timeout').optional().isInt({ min: 1000, max: 30000 }),
+    body('options.concurrent').optional().isInt({ min: 1, max: 100 }),
+    body('options.includePorts').optional().isBoolean(),
+    ...portOptionValidators,
+    ...rateOptionValidators
+  ];
+};
+
+/**
+ * POST /api/scan/schedules
+ * Create a recurring discovery schedule
+ */
+router.post('/schedules', scheduleValidators(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { discoveryScheduler, logger } = getServices(req);
+    const { name, cronExpression, range, options = {}, exclude = [], enabled = true } = req.body;
+    
+    try {
+      discoveryScheduler.validateSchedule({ name, cronExpression, range, exclude, options });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid discovery schedule',
+        message: error.message
+      });
+    }
+    
+    const schedule = await discoveryScheduler.createSchedule({
+      name, cronExpression, range, options, exclude, enabled
+    });
+    
+    logger.info(`Discovery schedule created via API: ${schedule.name}`);
+    
+    res.status(201).json({
+      message: 'Discovery schedule created',
+      schedule
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to create discovery schedule:', error);
+    
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Discovery schedule already exists',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to create discovery schedule',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * PUT /api/scan/schedules/:id
+ * Update a discovery schedule
+ */
+router.put('/schedules/:id', [
+  param('id').isUUID().withMessage('Valid schedule ID is required'),
+  ...scheduleValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { discoveryScheduler } = getServices(req);
+    const scheduleId = req.params.id;
+    
+    const current = discoveryScheduler.getSchedule(scheduleId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Discovery schedule not found',
+        scheduleId
+      });
+    }
+    
+    try {
+      discoveryScheduler.validateSchedule({ ...current, ...req.body });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid discovery schedule',
+        message: error.message
+      });
+    }
+    
+    const schedule = await discoveryScheduler.updateSchedule(scheduleId, req.body);
+    
+    res.json({
+      message: 'Discovery schedule updated',
+      schedule
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to update discovery schedule ${req.params.id}:`, error);
+    
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Discovery schedule already exists',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to update discovery schedule',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * DELETE /api/scan/schedules/:id
+ * Delete a discovery schedule (its past scan jobs are kept)
+ */
+router.delete('/schedules/:id', [
+  param('id').isUUID().withMessage('Valid schedule ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { discoveryScheduler } = getServices(req);
+    const scheduleId = req.params.id;
+    
+    const schedule = await discoveryScheduler.deleteSchedule(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Discovery schedule not found',
+        scheduleId
+      });
+    }
+    
+    res.json({
+      message: 'Discovery schedule deleted',
+      schedule
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to delete discovery schedule ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete discovery schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan/schedules/:id/run
+ * Run a discovery schedule now
+ */
+router.post('/schedules/:id/run', [
+  param('id').isUUID().withMessage('Valid schedule ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { discoveryScheduler } = getServices(req);
+    const scheduleId = req.params.id;
+    
+    if (!discoveryScheduler.getSchedule(scheduleId)) {
+      return res.status(404).json({
+        error: 'Discovery schedule not found',
+        scheduleId
+      });
+    }
+    
+    const job = await discoveryScheduler.runSchedule(scheduleId, 'manual');
+    if (!job) {
+      return res.status(409).json({
+        error: 'Previous run of this schedule is still queued or running'
+      });
+    }
+    
+    res.status(202).json({
+      message: 'Discovery schedule run queued',
+      job
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to run discovery schedule ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to run discovery schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/windows
+ * List per-subnet scan windows
+ */
+router.get('/windows', async (req, res) => {
+  try {
+    const { scanJobManager } = getServices(req);
+    
+    res.json({
+      windows: scanJobManager.getWindows()
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get scan windows:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve scan windows',
+      message: error.message
+    });
+  }
+});
+
+const windowValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('subnet').isString().notEmpty().withMessage('Subnet is required'),
+    field('startTime').isString().withMessage('Start time is required'),
+    field('endTime').isString().withMessage('End time is required'),
+    body('days').optional().isArray().withMessage('Days must be an array'),
+    body('days.*').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('enabled').optional().isBoolean()
+  ];
+};
+
+/**
+ * POST /api/scan/windows
+ * Create a scan window; addresses in the subnet are then only scanned inside its windows
+ */
+router.post('/windows', windowValidators(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager, logger } = getServices(req);
+    const { subnet, days = [], startTime, endTime, description = null, enabled = true } = req.body;
+    
+    try {
+      validateScanWindow({ subnet, days, startTime, endTime });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid scan window',
+        message: error.message
+      });
+    }
+    
+    const window = await scanJobManager.createWindow({
+      subnet, days, startTime, endTime, description, enabled
+    });
+    
+    logger.info(`Scan window created via API: ${window.subnet}`);
+    
+    res.status(201).json({
+      message: 'Scan window created',
+      window
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to create scan window:', error);
+    res.status(500).json({
+      error: 'Failed to create scan window',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/scan/windows/:id
+ * Update a scan window
+ */
+router.put('/windows/:id', [
+  param('id').isUUID().withMessage('Valid window ID is required'),
+  ...windowValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { scanJobManager } = getServices(req);
+    const windowId = req.params.id;
+    
+    const current = scanJobManager.getWindow(windowId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Scan window not found',
+        windowId
+      });
+    }
+    
+    try {
+      validateScanWindow({ ...current, ...req.body });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid scan window',
+        message: error.message
+      });
+    }
+    
+    const window = await scanJobManager.updateWindow(windowId, req.body);
+    
+    res.json({
+      message: 'Scan window updated',
+      window
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to update scan window ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to update scan window',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scan/windows/:id
+ * Delete a scan window
+ */
+router.delete('/windows/:id', [
+  param('id').isUUID().withMessage('Valid window ID is required')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { monitoringService, networkScanner, logger } = getServices(req);
-    const { range, options = {} } = req.body;
+    const { scanJobManager } = getServices(req);
+    const windowId = req.params.id;
     
-    // Check if scan is already in progress
-    const scanStatus = networkScanner.getScanStatus();
-    if (scanStatus.isScanning) {
-      return res.status(409).json({
-        error: 'Scan already in progress',
-        currentScan: scanStatus
+    const window = await scanJobManager.deleteWindow(windowId);
+    if (!window) {
+      return res.status(404).json({
+        error: 'Scan window not found',
+        windowId
       });
     }
     
-    logger.info(`Starting network scan for range: ${range}`);
-    
-    // Start scan asynchronously
-    monitoringService.scanNetwork(range, options)
-      .then(discoveredHosts => {
-        logger.info(`Network scan completed. Found ${discoveredHosts.length} hosts`);
-      })
-      .catch(error => {
-        logger.error('Network scan failed:', error);
-      });
-    
     res.json({
-      message: 'Network scan started',
-      range,
-      options,
-      scanId: Date.now().toString()
+      message: 'Scan window deleted',
+      window
     });
     
   } catch (error) {
     const { logger } = getServices(req);
-    logger.error('Failed to start network scan:', error);
+    logger.error(`Failed to delete scan window ${req.params.id}:`, error);
     res.status(500).json({
-      error: 'Failed to start network scan',
+      error: 'Failed to delete scan window',
       message: error.message
     });
   }
@@ -80,13 +731,14 @@ router.post('/start', [
  */
 router.get('/status', async (req, res) => {
   try {
-    const { networkScanner, monitoringService } = getServices(req);
+    const { networkScanner, scanJobManager, monitoringService } = getServices(req);
     
     const scanStatus = networkScanner.getScanStatus();
     const monitoringStatus = monitoringService.getStatus();
     
     res.json({
       scan: scanStatus,
+      jobs: scanJobManager.getQueueStatus(),
       monitoring: {
         isRunning: monitoringStatus.isRunning,
         deviceCount: monitoringStatus.deviceCount,
@@ -111,20 +763,20 @@ router.get('/status', async (req, res) => {
  */
 router.post('/stop', async (req, res) => {
   try {
-    const { networkScanner, logger } = getServices(req);
+    const { scanJobManager, logger } = getServices(req);
     
-    const scanStatus = networkScanner.getScanStatus();
-    if (!scanStatus.isScanning) {
+    const job = await scanJobManager.cancelActiveJob();
+    if (!job) {
       return res.status(400).json({
         error: 'No scan in progress'
       });
     }
     
-    networkScanner.stopScan();
-    logger.info('Network scan stopped by user request');
+    logger.info(`Network scan job ${job.id} stopped by user request`);
     
     res.json({
-      message: 'Network scan stopped'
+      message: 'Network scan stopped',
+      job
     });
     
   } catch (error) {
@@ -167,27 +819,27 @@ router.get('/history', [
 
 /**
  * POST /api/scan/ping
- * Ping a specific IP address
+ * Ping a specific IP address and report round-trip time and packet loss
  */
 router.post('/ping', [
   body('ip').isIP().withMessage('Valid IP address is required'),
-  body('timeout').optional().isInt({ min: 1000, max: 10000 })
+  body('timeout').optional().isInt({ min: 1000, max: 10000 }),
+  body('count').optional().isInt({ min: 1, max: 20 }).withMessage('count must be between 1 and 20')
 ], handleValidationErrors, async (req, res) => {
   try {
     const { networkScanner, logger } = getServices(req);
-    const { ip, timeout = 3000 } = req.body;
+    const { ip, timeout = 3000, count = 3 } = req.body;
     
     const startTime = Date.now();
     
     try {
-      const result = await networkScanner.pingHost(ip, timeout);
+      const result = await networkScanner.pingHost(ip, timeout, { count: parseInt(count) });
       const responseTime = Date.now() - startTime;
       
-      logger.debug(`Ping test for ${ip}: ${result.alive ? 'success' : 'failed'}`);
+      logger.debug(`Ping test for ${ip} via ${result.method}: ${result.received}/${result.sent} replies`);
       
       res.json({
-        ip,
-        alive: result.alive,
+        ...result,
         responseTime,
         pingTime: result.time
       });
@@ -215,48 +867,56 @@ router.post('/ping', [
 
 /**
  * POST /api/scan/port-scan
- * Scan ports on a specific IP address
+ * Scan TCP ports on a specific IP address, reporting open, closed and filtered ports,
+ * optionally identifying the software on open ports
  */
 router.post('/port-scan', [
   body('ip').isIP().withMessage('Valid IP address is required'),
-  body('ports').optional().isArray().withMessage('Ports must be an array'),
-  body('ports.*').optional().isInt({ min: 1, max: 65535 }),
-  body('timeout').optional().isInt({ min: 500, max: 10000 })
+  body('ports').optional({ values: 'null' }).custom(isPortSpec),
+  body('profile').optional().isString(),
+  body('timeout').optional().isInt({ min: 200, max: 10000 }),
+  body('concurrency').optional().isInt({ min: 1, max: 1000 }),
+  body('includeClosed').optional().isBoolean(),
+  body('fingerprint').optional().isBoolean()
 ], handleValidationErrors, async (req, res) => {
   try {
     const { networkScanner, logger } = getServices(req);
-    const { ip, ports, timeout = 2000 } = req.body;
+    const { ip, profile, timeout = 2000, concurrency, includeClosed = false, fingerprint = false } = req.body;
+    const ports = req.body.ports && req.body.ports.length > 0 ? req.body.ports : (profile || 'common');
+    
+    let portList;
+    try {
+      portList = parsePortList(ports);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid port specification',
+        message: error.message
+      });
+    }
     
     const startTime = Date.now();
     
-    let openPorts;
-    if (ports && ports.length > 0) {
-      // Scan specific ports
-      openPorts = [];
-      for (const port of ports) {
-        try {
-          const isOpen = await networkScanner.checkPort(ip, port, timeout);
-          if (isOpen) {
-            openPorts.push({ port, status: 'open' });
-          }
-        } catch (error) {
-          // Port is closed or filtered
-        }
-      }
-    } else {
-      // Scan common ports
-      openPorts = await networkScanner.scanCommonPorts(ip);
+    const result = await networkScanner.scanPorts(ip, portList, {
+      timeout: parseInt(timeout),
+      concurrency: concurrency ? parseInt(concurrency) : undefined,
+      includeClosed
+    });
+    
+    if (fingerprint) {
+      result.ports = await networkScanner.fingerprintServices(ip, result.ports);
     }
     
     const scanTime = Date.now() - startTime;
     
-    logger.debug(`Port scan for ${ip} completed in ${scanTime}ms. Found ${openPorts.length} open ports`);
+    logger.debug(`Port scan for ${ip} completed in ${scanTime}ms: ${result.summary.open} open, ${result.summary.closed} closed, ${result.summary.filtered} filtered`);
     
     res.json({
       ip,
-      openPorts,
+      openPorts: result.ports.filter(port => port.status === 'open'),
+      ports: result.ports,
+      summary: result.summary,
       scanTime,
-      portsScanned: ports ? ports.length : 'common'
+      portsScanned: portList.length
     });
     
   } catch (error) {
@@ -269,6 +929,434 @@ router.post('/port-scan', [
   }
 });
 
+/**
+ * POST /api/scan/udp-probe
+ * Probe UDP services (SNMP, DNS, NTP, SSDP, mDNS, NetBIOS) on a specific IP address
+ */
+router.post('/udp-probe', [
+  body('ip').isIP().withMessage('Valid IP address is required'),
+  body('services').optional().isArray(),
+  body('services.*').isIn(Object.keys(UDP_SERVICES)).withMessage('Unknown UDP service'),
+  body('communities').optional().isArray({ min: 1, max: 10 }),
+  body('communities.*').isString().notEmpty(),
+  body('timeout').optional().isInt({ min: 200, max: 10000 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { networkScanner, logger } = getServices(req);
+    const { ip, services = Object.keys(UDP_SERVICES), communities, timeout = 1500 } = req.body;
+    
+    const startTime = Date.now();
+    
+    const results = await networkScanner.probeUDPServices(ip, services, {
+      timeout: parseInt(timeout),
+      communities
+    });
+    
+    const scanTime = Date.now() - startTime;
+    const answered = results.filter(result => result.status === 'open');
+    
+    logger.debug(`UDP probe of ${ip} completed in ${scanTime}ms: ${answered.map(result => result.service).join(', ') || 'no answers'}`);
+    
+    res.json({
+      ip,
+      results,
+      answered: answered.map(result => result.service),
+      scanTime
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to probe UDP services:', error);
+    res.status(500).json({
+      error: 'Failed to probe UDP services',
+      message: error.message
+    });
+  }
+});
+
+// Hosts are IP addresses or DNS names; anything else never reaches the traceroute command line
+const isHostName = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9.:-]+$/.test(value) || value.startsWith('-')) {
+    throw new Error('Host must be an IP address or hostname');
+  }
+  return true;
+};
+
+/**
+ * POST /api/scan/traceroute
+ * Trace the layer-3 path to a host: hop IPs, RTTs, loss and resolved names
+ */
+router.post('/traceroute', [
+  body('host').custom(isHostName),
+  body('method').optional().isIn(TRACE_METHODS),
+  body('maxHops').optional().isInt({ min: 1, max: 64 }).toInt(),
+  body('timeout').optional().isInt({ min: 500, max: 10000 }).toInt(),
+  body('queries').optional().isInt({ min: 1, max: 5 }).toInt(),
+  body('port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('resolveNames').optional().isBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { networkScanner, hostnameResolver, logger } = getServices(req);
+    const { host, method = 'auto', maxHops, timeout, queries, port, resolveNames = true } = req.body;
+    
+    const result = await networkScanner.traceroute(host, {
+      method,
+      maxHops,
+      timeout,
+      queries,
+      port,
+      lookupName: resolveNames ? (ip) => hostnameResolver.lookupPTR(ip) : null
+    });
+    
+    logger.debug(`Traceroute to ${host} (${result.method}) finished in ${result.durationMs}ms: ${result.hops.length} hops, ${result.reached ? 'reached' : 'not reached'}`);
+    
+    res.json(result);
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to trace route to ${req.body.host}:`, error);
+    
+    if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+      res.status(400).json({
+        error: 'Unknown host',
+        message: error.message
+      });
+    } else if (error.message.includes('not installed') || error.message.includes('root privileges')) {
+      res.status(503).json({
+        error: 'Traceroute unavailable',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to trace route',
+        message: error.message
+      });
+    }
+  }
+});
+
+const pathTargetValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 100 }).withMessage('Target name is required'),
+    body('host').optional({ values: 'null' }).custom(isHostName),
+    body('deviceId').optional({ values: 'null' }).isString().notEmpty(),
+    body('intervalSeconds').optional().isInt({ min: 60, max: 86400 }).toInt(),
+    body('method').optional().isIn(TRACE_METHODS),
+    body('maxHops').optional().isInt({ min: 1, max: 64 }).toInt(),
+    body('enabled').optional().isBoolean()
+  ];
+};
+
+// Errors thrown by the path monitor that describe a bad request rather than a failure
+const isInvalidPathTarget = (error) =>
+  error.message.includes('required') || error.message.includes('not both') || error.message.includes('Device not found');
+
+/**
+ * GET /api/scan/traceroute/targets
+ * List hosts whose path is traced periodically
+ */
+router.get('/traceroute/targets', async (req, res) => {
+  try {
+    const { pathMonitor } = getServices(req);
+    
+    const targets = pathMonitor.getTargets();
+    
+    res.json({
+      targets,
+      total: targets.length
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get path targets:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve path targets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan/traceroute/targets
+ * Trace a host or device periodically and alert when its path changes
+ */
+router.post('/traceroute/targets', pathTargetValidators(false), handleValidationErrors, async (req, res) => {
+  try {
+    const { pathMonitor, logger } = getServices(req);
+    
+    const target = await pathMonitor.createTarget(req.body);
+    
+    logger.info(`Path target created via API: ${target.name}`);
+    
+    res.status(201).json({
+      message: 'Path target created',
+      target
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to create path target:', error);
+    
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Path target already exists',
+        message: error.message
+      });
+    } else if (isInvalidPathTarget(error)) {
+      res.status(400).json({
+        error: 'Invalid path target',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to create path target',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * PUT /api/scan/traceroute/targets/:id
+ * Update a path target
+ */
+router.put('/traceroute/targets/:id', [
+  param('id').isUUID().withMessage('Valid target ID is required'),
+  ...pathTargetValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { pathMonitor } = getServices(req);
+    const targetId = req.params.id;
+    
+    const target = await pathMonitor.updateTarget(targetId, req.body);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Path target not found',
+        targetId
+      });
+    }
+    
+    res.json({
+      message: 'Path target updated',
+      target
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to update path target ${req.params.id}:`, error);
+    
+    if (error.message.includes('already exists')) {
+      res.status(409).json({
+        error: 'Path target already exists',
+        message: error.message
+      });
+    } else if (isInvalidPathTarget(error)) {
+      res.status(400).json({
+        error: 'Invalid path target',
+        message: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to update path target',
+        message: error.message
+      });
+    }
+  }
+});
+
+/**
+ * DELETE /api/scan/traceroute/targets/:id
+ * Delete a path target and its traces
+ */
+router.delete('/traceroute/targets/:id', [
+  param('id').isUUID().withMessage('Valid target ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { pathMonitor } = getServices(req);
+    const targetId = req.params.id;
+    
+    const target = await pathMonitor.deleteTarget(targetId);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Path target not found',
+        targetId
+      });
+    }
+    
+    res.json({
+      message: 'Path target deleted',
+      target
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to delete path target ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete path target',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan/traceroute/targets/:id/run
+ * Trace a target now, store the trace and compare it with the previous one
+ */
+router.post('/traceroute/targets/:id/run', [
+  param('id').isUUID().withMessage('Valid target ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { pathMonitor } = getServices(req);
+    const targetId = req.params.id;
+    
+    if (!pathMonitor.getTarget(targetId)) {
+      return res.status(404).json({
+        error: 'Path target not found',
+        targetId
+      });
+    }
+    
+    const trace = await pathMonitor.traceTarget(targetId);
+    if (!trace) {
+      return res.status(409).json({
+        error: 'A trace of this target is already running'
+      });
+    }
+    
+    res.json({
+      targetId,
+      trace
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to trace path target ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to trace path target',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/traceroute/targets/:id/traces
+ * Get a target's recent traces, newest first, with the hops that changed
+ */
+router.get('/traceroute/targets/:id/traces', [
+  param('id').isUUID().withMessage('Valid target ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { pathMonitor } = getServices(req);
+    const targetId = req.params.id;
+    
+    const target = pathMonitor.getTarget(targetId);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Path target not found',
+        targetId
+      });
+    }
+    
+    const traces = await pathMonitor.getTraces(targetId, req.query.limit || 20);
+    
+    res.json({
+      target,
+      traces
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get traces for path target ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve path traces',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/announcements
+ * Hosts heard announcing themselves over mDNS, SSDP or NetBIOS, and the passive listener status
+ */
+router.get('/announcements', async (req, res) => {
+  try {
+    const { networkScanner } = getServices(req);
+    
+    const hosts = networkScanner.getAnnouncedHosts();
+    
+    res.json({
+      hosts,
+      total: hosts.length,
+      listeners: networkScanner.getListenerStatus()
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get announced hosts:', error);
+    res.status(500).json({
+      error: 'Failed to get announced hosts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scan/announcements/query
+ * Send mDNS/DNS-SD, SSDP M-SEARCH and NetBIOS queries to the local networks and return the hosts that answered
+ */
+router.post('/announcements/query', [
+  body('timeout').optional().isInt({ min: 500, max: 15000 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { networkScanner, logger } = getServices(req);
+    const { timeout = 3000 } = req.body;
+    
+    const startTime = Date.now();
+    const hosts = await networkScanner.queryAnnouncements({ timeout: parseInt(timeout) });
+    const scanTime = Date.now() - startTime;
+    
+    logger.debug(`Announcement query completed in ${scanTime}ms: ${hosts.length} hosts answered`);
+    
+    res.json({
+      hosts,
+      total: hosts.length,
+      scanTime
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to query announcements:', error);
+    res.status(500).json({
+      error: 'Failed to query announcements',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scan/port-profiles
+ * List named port lists usable in port scans and discovery options
+ */
+router.get('/port-profiles', async (req, res) => {
+  try {
+    const profiles = listPortProfiles();
+    
+    res.json({
+      profiles
+    });
+    
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get port profiles:', error);
+    res.status(500).json({
+      error: 'Failed to get port profiles',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/scan/discovered-hosts
  * Get currently discovered hosts
@@ -330,19 +1418,26 @@ router.post('/clear-cache', async (req, res) => {
  * Validate IP range format
  */
 router.post('/validate-range', [
-  body('range').notEmpty().withMessage('IP range is required')
+  body('range').notEmpty().withMessage('IP range is required'),
+  body('exclude').optional()
 ], handleValidationErrors, async (req, res) => {
   try {
     const { networkScanner } = getServices(req);
-    const { range } = req.body;
+    const { range, exclude } = req.body;
     
     try {
-      const ips = networkScanner.parseIPRange(range);
+      const expansion = networkScanner.describeIPRange(range, { exclude });
+      const { ips } = expansion;
       
       res.json({
         valid: true,
         range,
-        totalIPs: ips.length,
+        totalIPs: expansion.total,
+        ipv4Count: expansion.ipv4Count,
+        ipv6Count: expansion.ipv6Count,
+        excludedCount: expansion.excludedCount,
+        segments: expansion.segments,
+        exclusions: expansion.exclusions,
         firstIP: ips[0],
         lastIP: ips[ips.length - 1],
         sampleIPs: ips.slice(0, 5) // Show first 5 IPs as sample
@@ -368,11 +1463,23 @@ router.post('/validate-range', [
 
 /**
  * GET /api/scan/presets
- * Get common IP range presets
+ * Get IP range presets: the subnets this machine is attached to, then common ranges
  */
 router.get('/presets', async (req, res) => {
   try {
-    const presets = [
+    const { monitoringService } = getServices(req);
+    
+    const subnets = await monitoringService.getLocalSubnets();
+    const localPresets = subnets.map(subnet => ({
+      name: `${subnet.interface} (${subnet.range})`,
+      range: subnet.range,
+      description: subnet.limited
+        ? `Part of ${subnet.subnet} around ${subnet.address} (${subnet.hosts} hosts)`
+        : `Attached subnet of ${subnet.address} (${subnet.hosts} hosts)`,
+      local: true
+    }));
+    
+    const commonPresets = [
       {
         name: 'Home Network (192.168.1.x)',
         range: '192.168.1.1-254',
@@ -405,8 +1512,14 @@ router.get('/presets', async (req, res) => {
       }
     ];
     
+    const presets = [
+      ...localPresets,
+      ...commonPresets.map(preset => ({ ...preset, local: false }))
+    ];
+    
     res.json({
-      presets
+      presets,
+      localSubnets: subnets
     });
     
   } catch (error) {
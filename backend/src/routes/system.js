@@ -1,5 +1,7 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import net from 'net';
+import { body, param, query, validationResult } from 'express-validator';
+import { parseHostnamePrecedence } from '../services/HostnameResolver.js';
 
 const router = express.Router();
 
@@ -7,6 +9,7 @@ const router = express.Router();
 const getServices = (req) => ({
   monitoringService: req.app.locals.monitoringService,
   dbManager: req.app.locals.dbManager,
+  ouiDatabase: req.app.locals.ouiDatabase,
   logger: req.app.locals.logger
 });
 
@@ -127,7 +130,11 @@ router.put('/configuration', [
   body('max_history_days').optional().isInt({ min: 1, max: 365 }),
   body('default_community').optional().isLength({ min: 1, max: 50 }),
   body('scan_timeout').optional().isInt({ min: 1000, max: 30000 }),
-  body('snmp_timeout').optional().isInt({ min: 1000, max: 30000 })
+  body('snmp_timeout').optional().isInt({ min: 1000, max: 30000 }),
+  body('snmp_max_repetitions').optional().isInt({ min: 1, max: 100 }),
+  body('dns_server').optional().custom(value => value === '' || net.isIP(value) !== 0).withMessage('DNS server must be an IP address or empty'),
+  body('hostname_precedence').optional().custom(value => parseHostnamePrecedence(value).length > 0),
+  body('hostname_refresh_interval').optional().isInt({ min: 5, max: 10080 })
 ], handleValidationErrors, async (req, res) => {
   try {
     const { monitoringService, logger } = getServices(req);
@@ -387,6 +394,80 @@ router.post('/database/cleanup', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/system/oui
+ * Get MAC vendor database status
+ */
+router.get('/oui', async (req, res) => {
+  try {
+    const { ouiDatabase } = getServices(req);
+    
+    res.json({
+      oui: ouiDatabase.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get OUI database status:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve OUI database status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/system/oui/update
+ * Download the latest IEEE OUI registries
+ */
+router.post('/oui/update', async (req, res) => {
+  try {
+    const { ouiDatabase, logger } = getServices(req);
+    
+    const status = await ouiDatabase.update();
+    logger.info(`OUI database updated: ${status.entries} vendor prefixes`);
+    
+    res.json({
+      message: 'OUI database updated successfully',
+      oui: status
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to update OUI database:', error);
+    res.status(500).json({
+      error: 'Failed to update OUI database',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/system/oui/lookup/:mac
+ * Look up the vendor of a MAC address
+ */
+router.get('/oui/lookup/:mac', [
+  param('mac').matches(/^([0-9a-fA-F]{2}[:-]?){5}[0-9a-fA-F]{2}$|^([0-9a-fA-F]{4}\.){2}[0-9a-fA-F]{4}$/).withMessage('Valid MAC address is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { ouiDatabase } = getServices(req);
+    
+    res.json({
+      mac: req.params.mac,
+      vendor: ouiDatabase.lookup(req.params.mac)
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to look up vendor for ${req.params.mac}:`, error);
+    res.status(500).json({
+      error: 'Failed to look up vendor',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/system/health
  * Get system health check
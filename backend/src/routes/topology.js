@@ -0,0 +1,260 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Middleware to get services from app locals
+const getServices = (req) => ({
+  dbManager: req.app.locals.dbManager,
+  topologyManager: req.app.locals.topologyManager,
+  monitoringService: req.app.locals.monitoringService,
+  logger: req.app.locals.logger
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/topology
+ * Layer-2 network map: devices as nodes, LLDP/CDP and switch port links as edges
+ */
+router.get('/', [
+  query('includeUnknown').optional().isBoolean(),
+  query('includeIsolated').optional().isBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const topology = await topologyManager.getTopology({
+      includeUnknown: req.query.includeUnknown === 'true',
+      includeIsolated: req.query.includeIsolated === 'true'
+    });
+
+    res.json(topology);
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get topology:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve topology',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/topology/refresh
+ * Walk neighbour and forwarding tables on every SNMP-managed device now
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { monitoringService, logger } = getServices(req);
+
+    const summary = await monitoringService.refreshTopology();
+    logger.info(`Topology refreshed from ${summary.devices} devices (${summary.failed.length} failed)`);
+
+    res.json(summary);
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to refresh topology:', error);
+    res.status(500).json({
+      error: 'Failed to refresh topology',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/topology/links
+ * List manually drawn links
+ */
+router.get('/links', async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const links = await topologyManager.getManualLinks();
+
+    res.json({
+      links,
+      total: links.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get manual topology links:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve manual links',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/topology/links
+ * Draw a link between two devices
+ */
+router.post('/links', [
+  body('sourceDeviceId').isString().notEmpty().withMessage('Source device is required'),
+  body('targetDeviceId').isString().notEmpty().withMessage('Target device is required'),
+  body('sourcePort').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+  body('targetPort').optional({ values: 'null' }).isString().isLength({ max: 100 }),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 255 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const link = await topologyManager.createManualLink(req.body);
+
+    res.status(201).json({
+      message: 'Link created',
+      link
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    const status = error.message.includes('Device not found') || error.message.includes('two different') ? 400 : 500;
+    if (status === 500) {
+      logger.error('Failed to create manual topology link:', error);
+    }
+    res.status(status).json({
+      error: 'Failed to create link',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/topology/links/:id
+ * Delete a manually drawn link
+ */
+router.delete('/links/:id', [
+  param('id').isUUID().withMessage('Valid link ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const link = await topologyManager.deleteManualLink(req.params.id);
+    if (!link) {
+      return res.status(404).json({
+        error: 'Link not found',
+        linkId: req.params.id
+      });
+    }
+
+    res.json({
+      message: 'Link deleted',
+      link
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to delete manual topology link:', error);
+    res.status(500).json({
+      error: 'Failed to delete link',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/topology/positions
+ * Save where nodes were placed on the map
+ */
+router.put('/positions', [
+  body('positions').isArray({ min: 1, max: 5000 }).withMessage('Positions must be a non-empty array'),
+  body('positions.*.nodeId').isString().notEmpty(),
+  body('positions.*.x').isFloat().toFloat(),
+  body('positions.*.y').isFloat().toFloat()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    const positions = req.body.positions.map(({ nodeId, x, y }) => ({ nodeId, x, y }));
+    await topologyManager.savePositions(positions);
+
+    res.json({
+      message: 'Positions saved',
+      saved: positions.length
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to save topology positions:', error);
+    res.status(500).json({
+      error: 'Failed to save positions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/topology/positions
+ * Forget saved positions so the map is laid out automatically
+ */
+router.delete('/positions', async (req, res) => {
+  try {
+    const { topologyManager } = getServices(req);
+
+    await topologyManager.resetPositions();
+
+    res.json({
+      message: 'Positions reset'
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to reset topology positions:', error);
+    res.status(500).json({
+      error: 'Failed to reset positions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/topology/devices/:id
+ * Links a device reported and links other devices reported about it
+ */
+router.get('/devices/:id', [
+  param('id').notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { dbManager, topologyManager } = getServices(req);
+    const deviceId = req.params.id;
+
+    const device = await dbManager.getDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId
+      });
+    }
+
+    const links = await topologyManager.getDeviceLinks(deviceId);
+
+    res.json({
+      deviceId,
+      ...links
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get device topology:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve device topology',
+      message: error.message
+    });
+  }
+});
+
+export default router;
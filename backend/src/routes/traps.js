@@ -0,0 +1,104 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { STANDARD_TRAPS } from '../services/TrapReceiver.js';
+import { SNMP_VERSIONS } from '../utils/SNMPCredentials.js';
+
+const router = express.Router();
+
+// Middleware to get services from app locals
+const getServices = (req) => ({
+  trapReceiver: req.app.locals.trapReceiver,
+  logger: req.app.locals.logger
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/traps
+ * Search received traps and informs, newest first
+ */
+router.get('/', [
+  query('deviceId').optional().isString().isLength({ min: 1, max: 64 }),
+  query('ip').optional().isIP(),
+  query('trapOid').optional().matches(/^\d+(\.\d+)*$/).withMessage('trapOid must be a numeric OID'),
+  query('trapName').optional().isIn(Object.values(STANDARD_TRAPS)),
+  query('version').optional().isIn(SNMP_VERSIONS),
+  query('search').optional().isString().isLength({ min: 1, max: 100 }),
+  query('since').optional().isISO8601(),
+  query('until').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { trapReceiver } = getServices(req);
+    const { limit = 100, offset = 0 } = req.query;
+
+    const { traps, total } = await trapReceiver.getTraps({ ...req.query, limit, offset });
+
+    res.json({
+      traps,
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error('Failed to get SNMP traps:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve SNMP traps',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/traps/status
+ * Whether the receiver is listening, and how many notifications it took or rejected
+ */
+router.get('/status', (req, res) => {
+  const { trapReceiver } = getServices(req);
+  res.json(trapReceiver.getStatus());
+});
+
+/**
+ * GET /api/traps/:id
+ * Get a single trap with its decoded varbinds
+ */
+router.get('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Valid trap ID is required').toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { trapReceiver } = getServices(req);
+
+    const trap = await trapReceiver.getTrap(req.params.id);
+    if (!trap) {
+      return res.status(404).json({
+        error: 'Trap not found',
+        trapId: req.params.id
+      });
+    }
+
+    res.json({ trap });
+
+  } catch (error) {
+    const { logger } = getServices(req);
+    logger.error(`Failed to get SNMP trap ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to retrieve SNMP trap',
+      message: error.message
+    });
+  }
+});
+
+export default router;
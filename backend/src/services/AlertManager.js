@@ -1,6 +1,17 @@
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 
+// Every type of alert the monitoring services raise
+export const ALERT_TYPES = [
+  'cpu', 'memory', 'disk', 'network', 'offline', 'new_device', 'device_vanished', 'port_change',
+  'path_change', 'link_down', 'device_restart', 'snmp_auth_failure'
+];
+
+// Alerts of one type on one device are told apart by interface, path alerts
+// by their target, since targets that are not devices all alert on localhost,
+// and others by the dedupKey their metadata carries
+const alertKey = (metadata = {}) => metadata.dedupKey ?? metadata.ifIndex ?? metadata.targetId ?? null;
+
 export class AlertManager extends EventEmitter {
   constructor() {
     super();
@@ -45,7 +56,8 @@ export class AlertManager extends EventEmitter {
           acknowledgedBy: alert.acknowledged_by,
           acknowledgedAt: alert.acknowledged_at ? new Date(alert.acknowledged_at) : null,
           createdAt: new Date(alert.created_at),
-          resolvedAt: alert.resolved_at ? new Date(alert.resolved_at) : null
+          resolvedAt: alert.resolved_at ? new Date(alert.resolved_at) : null,
+          metadata: alert.metadata ? JSON.parse(alert.metadata) : {}
         });
       }
       
@@ -74,7 +86,7 @@ export class AlertManager extends EventEmitter {
     } = alertData;
 
     // Check if similar alert already exists
-    const existingAlert = this.findSimilarAlert(deviceId, type, severity);
+    const existingAlert = this.findSimilarAlert(deviceId, type, severity, alertKey(metadata));
     if (existingAlert) {
       // Update existing alert timestamp instead of creating duplicate
       existingAlert.lastOccurrence = new Date();
@@ -122,7 +134,8 @@ export class AlertManager extends EventEmitter {
           type: alert.type,
           severity: alert.severity,
           message: alert.message,
-          acknowledged: alert.acknowledged
+          acknowledged: alert.acknowledged,
+          metadata: alert.metadata
         });
       } catch (error) {
         if (this.logger) {
@@ -143,14 +156,16 @@ export class AlertManager extends EventEmitter {
   }
 
   /**
-   * Find similar existing alert
+   * Find similar existing alert; alerts about different interfaces or path
+   * targets of a device are kept apart
    */
-  findSimilarAlert(deviceId, type, severity) {
+  findSimilarAlert(deviceId, type, severity, key = null) {
     for (const alert of this.activeAlerts.values()) {
       if (
         alert.deviceId === deviceId &&
         alert.type === type &&
         alert.severity === severity &&
+        alertKey(alert.metadata) === key &&
         !alert.acknowledged &&
         !alert.resolvedAt
       ) {
@@ -268,9 +283,14 @@ export class AlertManager extends EventEmitter {
             shouldResolve = currentValue < threshold.warning;
             break;
           case 'offline':
+          case 'device_vanished':
             // Resolve offline alerts when device comes back online
             shouldResolve = true;
             break;
+          case 'link_down':
+            // Resolve when a linkUp trap names the interface, or names none
+            shouldResolve = currentValue == null || alert.metadata?.ifIndex == null || alert.metadata.ifIndex === currentValue;
+            break;
         }
         
         if (shouldResolve) {
@@ -0,0 +1,459 @@
+import { EventEmitter } from 'events';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeCredentials, validateCredentials, splitCredentials } from '../utils/CredentialProfile.js';
+import { sessionCredentials } from '../utils/SNMPCredentials.js';
+import { SNMP_COMMUNITIES } from './UDPProber.js';
+
+// Generated when CREDENTIAL_MASTER_KEY is not set
+const KEY_PATH = process.env.CREDENTIAL_KEY_PATH || './data/credential.key';
+
+// The master key is the secret; the salt only makes scrypt stretch passphrases
+const KEY_SALT = 'lan-insight-credential-vault';
+const CIPHER = 'aes-256-gcm';
+
+const PROFILE_COLUMNS = { snmp: 'snmp_profile_id', ssh: 'ssh_profile_id', http: 'http_profile_id' };
+
+/**
+ * Same fields and values, whatever the key order
+ */
+function sameFields(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Named SNMP, SSH and HTTP credentials, encrypted at rest with a master key.
+ * Devices reference profiles by ID, so rotating a community string or
+ * password is one change; SNMP profiles with a discovery position are what
+ * discovery tries against new hosts.
+ */
+export class CredentialVault extends EventEmitter {
+  constructor({ dbManager, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.logger = logger;
+    this.key = null;
+
+    // profile id -> { type, fields } with secrets decrypted, so polling does not decrypt every cycle
+    this.cache = new Map();
+  }
+
+  /**
+   * Derive the encryption key, check it against stored profiles and move
+   * plaintext credentials left by older versions into the vault
+   * @throws {Error} If the master key cannot decrypt existing profiles
+   */
+  async initialize() {
+    this.key = scryptSync(this.loadMasterKey(), KEY_SALT, 32);
+
+    const [sample] = await this.dbManager.getCredentialProfiles();
+    if (sample) {
+      try {
+        this.decrypt(sample.secret);
+      } catch (error) {
+        throw new Error('Credential master key does not match the stored credentials');
+      }
+    }
+
+    await this.migratePlaintextCredentials();
+    await this.seedDiscoveryProfiles();
+  }
+
+  /**
+   * Master key from CREDENTIAL_MASTER_KEY, else from a key file created on first start
+   */
+  loadMasterKey() {
+    if (process.env.CREDENTIAL_MASTER_KEY) {
+      return process.env.CREDENTIAL_MASTER_KEY;
+    }
+
+    if (fs.existsSync(KEY_PATH)) {
+      return fs.readFileSync(KEY_PATH, 'utf8').trim();
+    }
+
+    const key = randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(KEY_PATH), { recursive: true });
+    fs.writeFileSync(KEY_PATH, `${key}\n`, { mode: 0o600 });
+    this.logger.warn(`CREDENTIAL_MASTER_KEY is not set, generated a master key in ${KEY_PATH}; stored credentials cannot be decrypted without it`);
+    return key;
+  }
+
+  /**
+   * Encrypt a JSON value as "v1:iv:tag:ciphertext" (base64 parts)
+   */
+  encrypt(data) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(CIPHER, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  decrypt(text) {
+    const [, iv, tag, ciphertext] = text.split(':');
+    const decipher = createDecipheriv(CIPHER, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Move devices.community values and per-device SNMPv3 credentials into
+   * profiles; devices sharing a community end up sharing one profile
+   */
+  async migratePlaintextCredentials() {
+    let migrated = 0;
+
+    for (const row of await this.dbManager.getLegacySNMPCredentials()) {
+      const fields = row.version === '3'
+        ? {
+            version: '3',
+            user: row.username,
+            securityLevel: row.security_level,
+            authProtocol: row.auth_protocol,
+            authKey: row.auth_key,
+            privProtocol: row.priv_protocol,
+            privKey: row.priv_key
+          }
+        : { version: row.version, community: row.community || 'public' };
+
+      try {
+        const profile = await this.findOrCreateSNMPProfile(fields);
+        await this.dbManager.setDeviceCredentialProfile(row.device_id, 'snmp', profile.id);
+        await this.dbManager.clearDeviceCommunity(row.device_id);
+        migrated++;
+      } catch (error) {
+        this.logger.warn(`Dropped unusable SNMP credentials of device ${row.device_id}: ${error.message}`);
+      }
+    }
+    await this.dbManager.dropLegacySNMPCredentials();
+
+    for (const device of await this.dbManager.getDevicesWithPlaintextCommunity()) {
+      const profile = await this.findOrCreateSNMPProfile({ version: '2c', community: device.community });
+      await this.dbManager.setDeviceCredentialProfile(device.id, 'snmp', profile.id);
+      await this.dbManager.clearDeviceCommunity(device.id);
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      this.logger.info(`Moved plaintext SNMP credentials of ${migrated} devices into the credential vault`);
+    }
+  }
+
+  /**
+   * Start the discovery list with the community strings discovery used to
+   * try, once; an emptied list stays empty
+   */
+  async seedDiscoveryProfiles() {
+    if (await this.dbManager.getConfiguration('credential_discovery_seeded')) {
+      return;
+    }
+
+    const profileIds = [];
+    for (const community of SNMP_COMMUNITIES) {
+      const profile = await this.findOrCreateSNMPProfile({ version: '2c', community });
+      profileIds.push(profile.id);
+    }
+    await this.dbManager.setCredentialDiscoveryOrder(profileIds);
+    await this.dbManager.setConfiguration('credential_discovery_seeded', 'true', 'Default community strings were added to the discovery list');
+  }
+
+  /**
+   * Get all profiles, without secrets
+   * @param {string} [type] - Only profiles of this type
+   */
+  async getProfiles(type = null) {
+    const [rows, usage] = await Promise.all([
+      this.dbManager.getCredentialProfiles(type),
+      this.dbManager.getCredentialProfileUsage()
+    ]);
+    return rows.map(row => this.formatProfile(row, usage));
+  }
+
+  /**
+   * Get a single profile, without secrets
+   * @returns {Promise<Object|null>} Profile, or null if not found
+   */
+  async getProfile(profileId) {
+    const row = await this.dbManager.getCredentialProfile(profileId);
+    if (!row) {
+      return null;
+    }
+    return this.formatProfile(row, await this.dbManager.getCredentialProfileUsage());
+  }
+
+  async getProfileByName(name) {
+    const row = await this.dbManager.getCredentialProfileByName(name);
+    return row ? this.formatProfile(row, await this.dbManager.getCredentialProfileUsage()) : null;
+  }
+
+  /**
+   * Decrypted fields of a profile
+   * @returns {Promise<Object|null>} { type, fields }, or null if not found
+   */
+  async getCredentials(profileId) {
+    if (this.cache.has(profileId)) {
+      return this.cache.get(profileId);
+    }
+
+    const row = await this.dbManager.getCredentialProfile(profileId);
+    if (!row) {
+      return null;
+    }
+
+    const credentials = {
+      type: row.type,
+      fields: { ...JSON.parse(row.settings), ...this.decrypt(row.secret) }
+    };
+    this.cache.set(profileId, credentials);
+    return credentials;
+  }
+
+  /**
+   * Fields a profile would have after applying changes; secrets left out
+   * of the changes keep their stored values
+   * @returns {Promise<Object|null>} Normalized fields, or null if the profile does not exist
+   */
+  async previewChanges(profileId, changes) {
+    const current = await this.getCredentials(profileId);
+    if (!current) {
+      return null;
+    }
+    return normalizeCredentials(current.type, { ...current.fields, ...changes });
+  }
+
+  /**
+   * Create a profile
+   * @param {Object} data - { name, type, description, ...fields of the type }
+   * @returns {Promise<Object>} Created profile, without secrets
+   */
+  async createProfile({ name, type, description = null, ...fields }) {
+    const normalized = normalizeCredentials(type, fields);
+    validateCredentials(type, normalized);
+
+    const profileId = uuidv4();
+    await this.persist({ id: profileId, name, type, description }, normalized);
+
+    const profile = await this.getProfile(profileId);
+    this.logger.info(`Credential profile created: ${name} (${type})`);
+    this.emit('profileChanged', { action: 'created', profile });
+    return profile;
+  }
+
+  /**
+   * Update a profile's name, description or fields
+   * @returns {Promise<Object|null>} Updated profile, or null if not found
+   */
+  async updateProfile(profileId, { name, description, ...changes }) {
+    const row = await this.dbManager.getCredentialProfile(profileId);
+    if (!row) {
+      return null;
+    }
+
+    const normalized = await this.previewChanges(profileId, changes);
+    validateCredentials(row.type, normalized);
+
+    await this.persist({
+      id: profileId,
+      name: name ?? row.name,
+      type: row.type,
+      description: description !== undefined ? description : row.description,
+      discoveryOrder: row.discovery_order
+    }, normalized);
+
+    const profile = await this.getProfile(profileId);
+    this.logger.info(`Credential profile updated: ${profile.name}`);
+    this.emit('profileChanged', { action: 'updated', profile });
+    return profile;
+  }
+
+  /**
+   * Delete a profile no device uses
+   * @returns {Promise<Object|null>} Deleted profile, or null if not found
+   * @throws {Error} If devices still use the profile
+   */
+  async deleteProfile(profileId) {
+    const profile = await this.getProfile(profileId);
+    if (!profile) {
+      return null;
+    }
+    if (profile.devices > 0) {
+      throw new Error(`Credential profile is used by ${profile.devices} devices`);
+    }
+
+    await this.dbManager.deleteCredentialProfile(profileId);
+    this.cache.delete(profileId);
+
+    this.logger.info(`Credential profile deleted: ${profile.name}`);
+    this.emit('profileChanged', { action: 'deleted', profile });
+    return profile;
+  }
+
+  async persist(profile, fields) {
+    const { settings, secret } = splitCredentials(profile.type, fields);
+
+    await this.dbManager.saveCredentialProfile({ ...profile, settings, secret: this.encrypt(secret) });
+    this.cache.set(profile.id, { type: profile.type, fields });
+  }
+
+  /**
+   * Profiles discovery tries, in order, without secrets
+   */
+  async getDiscoveryProfiles() {
+    const usage = await this.dbManager.getCredentialProfileUsage();
+    return (await this.dbManager.getDiscoveryCredentialProfiles()).map(row => this.formatProfile(row, usage));
+  }
+
+  /**
+   * Set which SNMP profiles discovery tries, and in what order
+   * @param {string[]} profileIds - Profile IDs, first tried first
+   * @throws {Error} If an ID is not an SNMP profile
+   */
+  async setDiscoveryOrder(profileIds) {
+    for (const profileId of profileIds) {
+      const credentials = await this.getCredentials(profileId);
+      if (!credentials || credentials.type !== 'snmp') {
+        throw new Error(`Not an SNMP credential profile: ${profileId}`);
+      }
+    }
+
+    await this.dbManager.setCredentialDiscoveryOrder([...new Set(profileIds)]);
+
+    const profiles = await this.getDiscoveryProfiles();
+    this.emit('profileChanged', { action: 'reordered', profiles });
+    return profiles;
+  }
+
+  /**
+   * Credentials discovery tries against a new host, in order
+   * @returns {Promise<Object[]>} [{ profileId, credentials }] with SNMPCollector credentials
+   */
+  async getDiscoveryCredentials() {
+    const candidates = [];
+    for (const row of await this.dbManager.getDiscoveryCredentialProfiles()) {
+      const { fields } = await this.getCredentials(row.id);
+      candidates.push({ profileId: row.id, credentials: sessionCredentials(fields) });
+    }
+    return candidates;
+  }
+
+  /**
+   * v1/v2c community strings on the discovery list, for UDP probing, each
+   * with the first profile that holds it
+   * @returns {Promise<Object[]>} [{ profileId, community }]
+   */
+  async getDiscoveryCommunities() {
+    const communities = new Map();
+    for (const { profileId, credentials } of await this.getDiscoveryCredentials()) {
+      const community = typeof credentials === 'string' ? credentials : credentials.community;
+      if (community && !communities.has(community)) {
+        communities.set(community, { profileId, community });
+      }
+    }
+    return [...communities.values()];
+  }
+
+  /**
+   * The SNMP profile holding exactly these credentials, created if no profile does
+   * @param {Object} fields - SNMP profile fields
+   * @returns {Promise<Object>} Profile, without secrets
+   * @throws {Error} If the credentials are incomplete
+   */
+  async findOrCreateSNMPProfile(fields) {
+    const normalized = normalizeCredentials('snmp', fields);
+    validateCredentials('snmp', normalized);
+
+    const rows = await this.dbManager.getCredentialProfiles('snmp');
+    for (const row of rows) {
+      const { fields: stored } = await this.getCredentials(row.id);
+      if (sameFields(stored, normalized)) {
+        return this.getProfile(row.id);
+      }
+    }
+
+    // Names must not give the secret away, so communities are numbered
+    const base = normalized.version === '3'
+      ? `SNMPv3 ${normalized.user}`
+      : `SNMPv${normalized.version} community ${rows.filter(row => JSON.parse(row.settings).version !== '3').length + 1}`;
+
+    let name = base;
+    for (let suffix = 2; await this.dbManager.getCredentialProfileByName(name); suffix++) {
+      name = `${base} (${suffix})`;
+    }
+
+    return this.createProfile({ name, type: 'snmp', ...normalized });
+  }
+
+  /**
+   * Point a device at a profile, or at none with null
+   * @throws {Error} If the profile does not exist or has another type
+   */
+  async assignProfile(deviceId, type, profileId) {
+    if (profileId) {
+      const credentials = await this.getCredentials(profileId);
+      if (!credentials) {
+        throw new Error(`Credential profile not found: ${profileId}`);
+      }
+      if (credentials.type !== type) {
+        throw new Error(`Credential profile ${profileId} is not an ${type.toUpperCase()} profile`);
+      }
+    }
+
+    await this.dbManager.setDeviceCredentialProfile(deviceId, type, profileId);
+  }
+
+  /**
+   * Credentials to poll a device with: its SNMP profile, else the community
+   * string it was stored with, else "public"
+   * @param {Object} device - Device with id and community
+   * @returns {Promise<string|Object>} Community string or SNMPCollector credentials
+   */
+  async snmpCredentials(device) {
+    const row = await this.dbManager.getDevice(device.id);
+    const credentials = row?.snmp_profile_id ? await this.getCredentials(row.snmp_profile_id) : null;
+
+    if (!credentials) {
+      return sessionCredentials({ community: row?.community || device.community });
+    }
+    return sessionCredentials(credentials.fields);
+  }
+
+  /**
+   * Profiles a device uses, without secrets
+   * @param {Object} device - Device row
+   * @returns {Promise<Object>} { snmp, ssh, http }, null where none is set
+   */
+  async getDeviceProfiles(device) {
+    const profiles = {};
+    for (const [type, column] of Object.entries(PROFILE_COLUMNS)) {
+      profiles[type] = device[column] ? await this.getProfile(device[column]) : null;
+    }
+    return profiles;
+  }
+
+  /**
+   * Convert a credential_profiles row to the API representation; secrets
+   * are replaced by the names of the ones that are set
+   */
+  formatProfile(row, usage = new Map()) {
+    const cached = this.cache.get(row.id);
+    const secretsSet = Object.keys(cached ? splitCredentials(row.type, cached.fields).secret : this.decrypt(row.secret));
+
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      description: row.description,
+      ...JSON.parse(row.settings),
+      secretsSet,
+      discoveryOrder: row.discovery_order,
+      devices: usage.get(row.id) || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -1,6 +1,7 @@
 import sqlite3 from 'sqlite3';
 import { promises as fs } from 'fs';
 import { dirname } from 'path';
+import { withoutSecrets } from '../utils/CredentialProfile.js';
 
 export class DatabaseManager {
   constructor() {
@@ -36,22 +37,100 @@ export class DatabaseManager {
    */
   async createTables() {
     const tables = [
-      // Devices table
+      // Devices table; ip is the current address and may be shared with stale
+      // devices after DHCP changes, identity comes from device_addresses/mac/sys_*
+      // The community column is the pre-vault plaintext string, kept only so it can be
+      // migrated into an SNMP profile; no default, so no device is migrated to 'public'
       `CREATE TABLE IF NOT EXISTS devices (
         id TEXT PRIMARY KEY,
-        ip TEXT UNIQUE NOT NULL,
+        ip TEXT NOT NULL,
         hostname TEXT,
         description TEXT,
         location TEXT,
         contact TEXT,
-        community TEXT DEFAULT 'public',
+        community TEXT,
         status TEXT DEFAULT 'unknown',
+        mac TEXT,
+        vendor TEXT,
+        sys_name TEXT,
+        sys_object_id TEXT,
+        model TEXT,
+        mdns_name TEXT,
+        netbios_name TEXT,
+        service_types TEXT,
+        hostname_source TEXT,
+        ttl INTEGER,
+        device_type TEXT,
+        device_type_confidence INTEGER,
+        os_family TEXT,
+        os_family_confidence INTEGER,
+        classification_reasons TEXT,
+        snmp_profile_id TEXT,
+        ssh_profile_id TEXT,
+        http_profile_id TEXT,
         first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // IP address history per device
+      `CREATE TABLE IF NOT EXISTS device_addresses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        mac TEXT,
+        source TEXT,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (device_id, ip),
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // What was found listening on each open port; details holds HTTP, TLS and UDP probe findings as JSON
+      `CREATE TABLE IF NOT EXISTS device_services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        protocol TEXT NOT NULL DEFAULT 'tcp',
+        port INTEGER NOT NULL,
+        service TEXT,
+        product TEXT,
+        version TEXT,
+        banner TEXT,
+        details TEXT,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (device_id, protocol, port),
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // Latest name each source (manual, snmp, dns, mdns, netbios) gives a device; devices.hostname is picked from these
+      `CREATE TABLE IF NOT EXISTS device_hostnames (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        source TEXT NOT NULL,
+        name TEXT NOT NULL,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (device_id, source),
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // Named SNMP, SSH and HTTP credentials; secrets are AES-256-GCM encrypted
+      // by CredentialVault, settings holds the non-secret fields as JSON.
+      // discovery_order is the position in the list discovery tries (NULL: not tried)
+      `CREATE TABLE IF NOT EXISTS credential_profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        type TEXT NOT NULL,
+        description TEXT,
+        settings TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        discovery_order INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
       // Metrics table for historical data
       `CREATE TABLE IF NOT EXISTS metrics (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -87,6 +166,43 @@ export class DatabaseManager {
         oper_status INTEGER,
         in_octets INTEGER,
         out_octets INTEGER,
+        in_ucast_pkts INTEGER,
+        out_ucast_pkts INTEGER,
+        in_broadcast_pkts INTEGER,
+        out_broadcast_pkts INTEGER,
+        in_errors INTEGER,
+        out_errors INTEGER,
+        in_discards INTEGER,
+        out_discards INTEGER,
+        hc_counters INTEGER DEFAULT 0,
+        counter_discontinuity INTEGER,
+        sys_uptime INTEGER,
+        in_bps REAL,
+        out_bps REAL,
+        in_utilization REAL,
+        out_utilization REAL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // Interface rates between two counter readings; errors and discards are counts over the interval
+      `CREATE TABLE IF NOT EXISTS interface_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        interface_index INTEGER NOT NULL,
+        interval_seconds REAL,
+        in_bps REAL,
+        out_bps REAL,
+        in_utilization REAL,
+        out_utilization REAL,
+        in_ucast_pps REAL,
+        out_ucast_pps REAL,
+        in_broadcast_pps REAL,
+        out_broadcast_pps REAL,
+        in_errors INTEGER,
+        out_errors INTEGER,
+        in_discards INTEGER,
+        out_discards INTEGER,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
       )`,
@@ -104,10 +220,11 @@ export class DatabaseManager {
         acknowledged_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         resolved_at DATETIME,
+        metadata TEXT,
         FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
       )`,
 
-      // Scan history table
+      // Scan history table (one row per scan job)
       `CREATE TABLE IF NOT EXISTS scan_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         scan_range TEXT NOT NULL,
@@ -115,7 +232,193 @@ export class DatabaseManager {
         discovered_hosts INTEGER,
         duration_ms INTEGER,
         started_at DATETIME,
-        completed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        status TEXT DEFAULT 'completed',
+        options TEXT,
+        scanned_ips INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        schedule_id TEXT,
+        skipped_ips INTEGER,
+        skipped_addresses TEXT
+      )`,
+
+      // Per-host results of each scan job
+      `CREATE TABLE IF NOT EXISTS scan_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id INTEGER NOT NULL,
+        ip TEXT NOT NULL,
+        alive BOOLEAN DEFAULT TRUE,
+        response_time REAL,
+        ports TEXT,
+        mac TEXT,
+        vendor TEXT,
+        discovered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (scan_id) REFERENCES scan_history (id) ON DELETE CASCADE
+      )`,
+
+      // Recurring discovery schedules
+      `CREATE TABLE IF NOT EXISTS discovery_schedules (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        cron_expression TEXT NOT NULL,
+        scan_range TEXT NOT NULL,
+        options TEXT,
+        exclude TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        last_run_at DATETIME,
+        last_job_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Time-of-day windows in which a subnet may be scanned
+      `CREATE TABLE IF NOT EXISTS scan_windows (
+        id TEXT PRIMARY KEY,
+        subnet TEXT NOT NULL,
+        days TEXT,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        description TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Hosts probed continuously for latency, jitter and loss
+      `CREATE TABLE IF NOT EXISTS latency_targets (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        host TEXT,
+        device_id TEXT,
+        interval_seconds INTEGER DEFAULT 60,
+        packet_count INTEGER DEFAULT 20,
+        timeout INTEGER DEFAULT 2000,
+        enabled BOOLEAN DEFAULT TRUE,
+        last_probe_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // One row per latency probe; rtts holds every reply time in arrival order
+      `CREATE TABLE IF NOT EXISTS latency_samples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_id TEXT NOT NULL,
+        host TEXT NOT NULL,
+        method TEXT,
+        sent INTEGER NOT NULL,
+        received INTEGER NOT NULL,
+        packet_loss REAL,
+        min REAL,
+        median REAL,
+        avg REAL,
+        p95 REAL,
+        max REAL,
+        jitter REAL,
+        rtts TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (target_id) REFERENCES latency_targets (id) ON DELETE CASCADE
+      )`,
+
+      // Hosts whose layer-3 path is traced periodically
+      `CREATE TABLE IF NOT EXISTS path_targets (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        host TEXT,
+        device_id TEXT,
+        interval_seconds INTEGER DEFAULT 300,
+        method TEXT DEFAULT 'auto',
+        max_hops INTEGER DEFAULT 30,
+        enabled BOOLEAN DEFAULT TRUE,
+        last_trace_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // One row per trace; hops holds every hop with its addresses and RTTs
+      `CREATE TABLE IF NOT EXISTS path_traces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_id TEXT NOT NULL,
+        host TEXT NOT NULL,
+        target_ip TEXT,
+        method TEXT,
+        reached BOOLEAN DEFAULT FALSE,
+        hop_count INTEGER,
+        hops TEXT,
+        changed BOOLEAN DEFAULT FALSE,
+        gateway_changed BOOLEAN DEFAULT FALSE,
+        changes TEXT,
+        duration_ms INTEGER,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (target_id) REFERENCES path_targets (id) ON DELETE CASCADE
+      )`,
+
+      // Layer-2 links a device reported: LLDP/CDP neighbours and forwarding
+      // table entries; remote_key identifies the far end within a protocol
+      `CREATE TABLE IF NOT EXISTS topology_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT NOT NULL,
+        protocol TEXT NOT NULL,
+        local_port TEXT NOT NULL,
+        local_if_index INTEGER,
+        remote_key TEXT NOT NULL,
+        remote_device_id TEXT,
+        remote_name TEXT,
+        remote_port TEXT,
+        remote_mac TEXT,
+        remote_ip TEXT,
+        remote_description TEXT,
+        vlan INTEGER NOT NULL DEFAULT 0,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (device_id, protocol, local_port, remote_key, vlan),
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE,
+        FOREIGN KEY (remote_device_id) REFERENCES devices (id) ON DELETE SET NULL
+      )`,
+
+      // Links drawn by hand on the topology map, for cables nothing reports
+      `CREATE TABLE IF NOT EXISTS topology_manual_links (
+        id TEXT PRIMARY KEY,
+        source_device_id TEXT NOT NULL,
+        target_device_id TEXT NOT NULL,
+        source_port TEXT,
+        target_port TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (source_device_id) REFERENCES devices (id) ON DELETE CASCADE,
+        FOREIGN KEY (target_device_id) REFERENCES devices (id) ON DELETE CASCADE
+      )`,
+
+      // Where each node was placed on the topology map; node ids are device
+      // ids or "external:<mac>" for hosts that are not devices
+      `CREATE TABLE IF NOT EXISTS topology_positions (
+        node_id TEXT PRIMARY KEY,
+        x REAL NOT NULL,
+        y REAL NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // SNMP traps and informs as received; varbinds holds the decoded
+      // variable bindings, and device_id the device the agent address belongs to
+      `CREATE TABLE IF NOT EXISTS snmp_traps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT,
+        source_ip TEXT NOT NULL,
+        agent_address TEXT NOT NULL,
+        version TEXT NOT NULL,
+        pdu_type TEXT NOT NULL,
+        trap_oid TEXT,
+        trap_name TEXT,
+        enterprise TEXT,
+        generic_trap INTEGER,
+        specific_trap INTEGER,
+        uptime INTEGER,
+        security_name TEXT,
+        varbinds TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE SET NULL
       )`,
 
       // Configuration table
@@ -131,15 +434,32 @@ export class DatabaseManager {
       await this.run(table);
     }
 
+    // Add columns introduced after the initial schema to existing databases
+    await this.migrateTables();
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_devices_ip ON devices (ip)',
       'CREATE INDEX IF NOT EXISTS idx_devices_status ON devices (status)',
+      'CREATE INDEX IF NOT EXISTS idx_devices_mac ON devices (mac)',
+      'CREATE INDEX IF NOT EXISTS idx_devices_sys_name ON devices (sys_name)',
+      'CREATE INDEX IF NOT EXISTS idx_device_addresses_ip ON device_addresses (ip)',
+      'CREATE INDEX IF NOT EXISTS idx_device_services_port ON device_services (port)',
       'CREATE INDEX IF NOT EXISTS idx_metrics_device_timestamp ON metrics (device_id, timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_metrics_type_timestamp ON metrics (metric_type, timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_alerts_device_severity ON alerts (device_id, severity)',
       'CREATE INDEX IF NOT EXISTS idx_alerts_acknowledged ON alerts (acknowledged)',
-      'CREATE INDEX IF NOT EXISTS idx_network_interfaces_device ON network_interfaces (device_id)'
+      'CREATE INDEX IF NOT EXISTS idx_network_interfaces_device ON network_interfaces (device_id)',
+      'CREATE INDEX IF NOT EXISTS idx_interface_metrics_device_interface ON interface_metrics (device_id, interface_index, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_scan_history_status ON scan_history (status)',
+      'CREATE INDEX IF NOT EXISTS idx_scan_results_scan ON scan_results (scan_id)',
+      'CREATE INDEX IF NOT EXISTS idx_latency_samples_target_timestamp ON latency_samples (target_id, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_path_traces_target_timestamp ON path_traces (target_id, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_topology_links_remote_device ON topology_links (remote_device_id)',
+      'CREATE INDEX IF NOT EXISTS idx_topology_links_remote_mac ON topology_links (remote_mac)',
+      'CREATE INDEX IF NOT EXISTS idx_snmp_traps_received ON snmp_traps (received_at)',
+      'CREATE INDEX IF NOT EXISTS idx_snmp_traps_device_received ON snmp_traps (device_id, received_at)',
+      'CREATE INDEX IF NOT EXISTS idx_snmp_traps_trap_oid ON snmp_traps (trap_oid)'
     ];
 
     for (const index of indexes) {
@@ -150,6 +470,111 @@ export class DatabaseManager {
     await this.insertDefaultConfiguration();
   }
 
+  /**
+   * Add missing columns to tables created by older versions
+   */
+  async migrateTables() {
+    // SQLite cannot add columns with non-constant defaults, so timestamps
+    // added here are populated explicitly by the insert statements
+    const columns = [
+      { table: 'scan_history', column: 'status', definition: "TEXT DEFAULT 'completed'" },
+      { table: 'scan_history', column: 'options', definition: 'TEXT' },
+      { table: 'scan_history', column: 'scanned_ips', definition: 'INTEGER' },
+      { table: 'scan_history', column: 'error', definition: 'TEXT' },
+      { table: 'scan_history', column: 'created_at', definition: 'DATETIME' },
+      { table: 'scan_history', column: 'schedule_id', definition: 'TEXT' },
+      { table: 'scan_history', column: 'skipped_ips', definition: 'INTEGER' },
+      { table: 'scan_history', column: 'skipped_addresses', definition: 'TEXT' },
+      { table: 'devices', column: 'mac', definition: 'TEXT' },
+      { table: 'devices', column: 'vendor', definition: 'TEXT' },
+      { table: 'scan_results', column: 'mac', definition: 'TEXT' },
+      { table: 'scan_results', column: 'vendor', definition: 'TEXT' },
+      { table: 'devices', column: 'sys_name', definition: 'TEXT' },
+      { table: 'devices', column: 'sys_object_id', definition: 'TEXT' },
+      { table: 'devices', column: 'model', definition: 'TEXT' },
+      { table: 'devices', column: 'mdns_name', definition: 'TEXT' },
+      { table: 'devices', column: 'netbios_name', definition: 'TEXT' },
+      { table: 'devices', column: 'service_types', definition: 'TEXT' },
+      { table: 'devices', column: 'hostname_source', definition: 'TEXT' },
+      { table: 'devices', column: 'ttl', definition: 'INTEGER' },
+      { table: 'devices', column: 'device_type', definition: 'TEXT' },
+      { table: 'devices', column: 'device_type_confidence', definition: 'INTEGER' },
+      { table: 'devices', column: 'os_family', definition: 'TEXT' },
+      { table: 'devices', column: 'os_family_confidence', definition: 'INTEGER' },
+      { table: 'devices', column: 'classification_reasons', definition: 'TEXT' },
+      { table: 'devices', column: 'snmp_profile_id', definition: 'TEXT' },
+      { table: 'devices', column: 'ssh_profile_id', definition: 'TEXT' },
+      { table: 'devices', column: 'http_profile_id', definition: 'TEXT' },
+      { table: 'network_interfaces', column: 'in_ucast_pkts', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'out_ucast_pkts', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'in_broadcast_pkts', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'out_broadcast_pkts', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'in_errors', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'out_errors', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'in_discards', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'out_discards', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'hc_counters', definition: 'INTEGER DEFAULT 0' },
+      { table: 'network_interfaces', column: 'counter_discontinuity', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'sys_uptime', definition: 'INTEGER' },
+      { table: 'network_interfaces', column: 'in_bps', definition: 'REAL' },
+      { table: 'network_interfaces', column: 'out_bps', definition: 'REAL' },
+      { table: 'network_interfaces', column: 'in_utilization', definition: 'REAL' },
+      { table: 'network_interfaces', column: 'out_utilization', definition: 'REAL' },
+      { table: 'alerts', column: 'metadata', definition: 'TEXT' }
+    ];
+
+    const existing = new Map();
+
+    for (const { table, column, definition } of columns) {
+      if (!existing.has(table)) {
+        const info = await this.all(`PRAGMA table_info(${table})`);
+        existing.set(table, new Set(info.map(col => col.name)));
+      }
+
+      if (!existing.get(table).has(column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        existing.get(table).add(column);
+      }
+    }
+
+    await this.dropDeviceIPUniqueness();
+  }
+
+  /**
+   * Older databases declared devices.ip UNIQUE, which makes a device that
+   * moved to a recycled DHCP address impossible to store. SQLite cannot drop
+   * a constraint, so the table is rebuilt with the same columns.
+   */
+  async dropDeviceIPUniqueness() {
+    const table = await this.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'devices'");
+    if (!table || !/ip TEXT UNIQUE NOT NULL/i.test(table.sql)) {
+      return;
+    }
+
+    const rebuildSql = table.sql
+      .replace(/ip TEXT UNIQUE NOT NULL/i, 'ip TEXT NOT NULL')
+      .replace(/CREATE TABLE (IF NOT EXISTS )?"?devices"?/i, 'CREATE TABLE devices_rebuild');
+
+    // Foreign keys must be off so dropping the old table does not cascade
+    await this.run('PRAGMA foreign_keys = OFF');
+    try {
+      await this.transaction(async () => {
+        await this.run(rebuildSql);
+        await this.run('INSERT INTO devices_rebuild SELECT * FROM devices');
+        await this.run('DROP TABLE devices');
+        await this.run('ALTER TABLE devices_rebuild RENAME TO devices');
+      });
+
+      // Seed the address history with each device's current address
+      await this.run(`
+        INSERT OR IGNORE INTO device_addresses (device_id, ip, mac, source, first_seen, last_seen)
+        SELECT id, ip, mac, 'migration', first_seen, last_seen FROM devices
+      `);
+    } finally {
+      await this.run('PRAGMA foreign_keys = ON');
+    }
+  }
+
   /**
    * Insert default configuration values
    */
@@ -159,13 +584,17 @@ export class DatabaseManager {
       { key: 'default_community', value: 'public', description: 'Default SNMP community string' },
       { key: 'scan_timeout', value: '3000', description: 'Network scan timeout in milliseconds' },
       { key: 'snmp_timeout', value: '5000', description: 'SNMP timeout in milliseconds' },
+      { key: 'snmp_max_repetitions', value: '25', description: 'Table rows requested per SNMP GETBULK request' },
       { key: 'max_history_days', value: '30', description: 'Maximum days to keep historical data' },
       { key: 'cpu_warning_threshold', value: '75', description: 'CPU usage warning threshold (%)' },
       { key: 'cpu_critical_threshold', value: '90', description: 'CPU usage critical threshold (%)' },
       { key: 'memory_warning_threshold', value: '80', description: 'Memory usage warning threshold (%)' },
       { key: 'memory_critical_threshold', value: '95', description: 'Memory usage critical threshold (%)' },
       { key: 'disk_warning_threshold', value: '85', description: 'Disk usage warning threshold (%)' },
-      { key: 'disk_critical_threshold', value: '95', description: 'Disk usage critical threshold (%)' }
+      { key: 'disk_critical_threshold', value: '95', description: 'Disk usage critical threshold (%)' },
+      { key: 'dns_server', value: '', description: 'DNS server for reverse (PTR) lookups; empty uses the system resolvers' },
+      { key: 'hostname_precedence', value: 'snmp,dns,mdns,netbios', description: 'Order in which hostname sources are preferred' },
+      { key: 'hostname_refresh_interval', value: '60', description: 'Minutes between reverse DNS refreshes of every device' }
     ];
 
     for (const config of defaultConfig) {
@@ -188,23 +617,205 @@ export class DatabaseManager {
       description,
       location,
       contact,
-      community = 'public',
-      status = 'unknown'
+      community = null,
+      status = 'unknown',
+      mac = null,
+      vendor = null,
+      sys_name = null,
+      sys_object_id = null
     } = deviceData;
 
+    // Upsert rather than REPLACE so first_seen survives and identity fields
+    // are only overwritten when the caller knows them
     return this.run(`
-      INSERT OR REPLACE INTO devices 
-      (id, ip, hostname, description, location, contact, community, status, last_seen, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `, [id, ip, hostname, description, location, contact, community, status]);
+      INSERT INTO devices 
+      (id, ip, hostname, description, location, contact, community, status, mac, vendor, sys_name, sys_object_id, last_seen, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        ip = excluded.ip,
+        hostname = excluded.hostname,
+        description = excluded.description,
+        location = excluded.location,
+        contact = excluded.contact,
+        community = excluded.community,
+        status = excluded.status,
+        mac = COALESCE(excluded.mac, devices.mac),
+        vendor = COALESCE(excluded.vendor, devices.vendor),
+        sys_name = COALESCE(excluded.sys_name, devices.sys_name),
+        sys_object_id = COALESCE(excluded.sys_object_id, devices.sys_object_id),
+        last_seen = excluded.last_seen,
+        updated_at = excluded.updated_at
+    `, [id, ip, hostname, description, location, contact, community, status, mac, vendor, sys_name, sys_object_id]);
   }
 
   async getDevice(deviceId) {
     return this.get('SELECT * FROM devices WHERE id = ?', [deviceId]);
   }
 
+  /**
+   * Get the device currently using an address (the most recently seen one
+   * if a stale device still lists the same IP)
+   */
   async getDeviceByIP(ip) {
-    return this.get('SELECT * FROM devices WHERE ip = ?', [ip]);
+    return this.get('SELECT * FROM devices WHERE ip = ? ORDER BY last_seen DESC LIMIT 1', [ip]);
+  }
+
+  async getDevicesByMAC(mac) {
+    return this.all('SELECT * FROM devices WHERE mac = ? ORDER BY last_seen DESC', [mac]);
+  }
+
+  async getDevicesBySysName(sysName) {
+    return this.all('SELECT * FROM devices WHERE sys_name = ? COLLATE NOCASE ORDER BY last_seen DESC', [sysName]);
+  }
+
+  async getDevicesByHostname(hostname) {
+    return this.all('SELECT * FROM devices WHERE hostname = ? COLLATE NOCASE ORDER BY last_seen DESC', [hostname]);
+  }
+
+  async updateDeviceIP(deviceId, ip) {
+    return this.run(
+      'UPDATE devices SET ip = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [ip, deviceId]
+    );
+  }
+
+  async updateDeviceIdentity(deviceId, { sysName, sysObjectId }) {
+    return this.run(`
+      UPDATE devices SET
+        sys_name = COALESCE(?, sys_name),
+        sys_object_id = COALESCE(?, sys_object_id),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [sysName || null, sysObjectId || null, deviceId]);
+  }
+
+  /**
+   * Record that a device was seen at an address
+   */
+  async recordDeviceAddress(deviceId, ip, mac = null, source = null) {
+    return this.run(`
+      INSERT INTO device_addresses (device_id, ip, mac, source, first_seen, last_seen)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(device_id, ip) DO UPDATE SET
+        mac = COALESCE(excluded.mac, device_addresses.mac),
+        source = COALESCE(excluded.source, device_addresses.source),
+        last_seen = excluded.last_seen
+    `, [deviceId, ip, mac, source]);
+  }
+
+  async getDeviceAddresses(deviceId) {
+    return this.all(
+      'SELECT * FROM device_addresses WHERE device_id = ? ORDER BY last_seen DESC',
+      [deviceId]
+    );
+  }
+
+  /**
+   * Record the services found on a device's open ports
+   * @param {string} deviceId - Device ID
+   * @param {Object[]} ports - Open ports with service, product, version, banner, and the
+   *   http/tls findings of TCP fingerprinting or the details of a UDP probe
+   * @param {string} protocol - Transport protocol of the ports
+   */
+  async saveDeviceServices(deviceId, ports, protocol = 'tcp') {
+    for (const port of ports) {
+      const details = port.http || port.tls || port.details
+        ? JSON.stringify({ http: port.http || null, tls: port.tls || null, probe: withoutSecrets(port.details) })
+        : null;
+
+      // A probe that timed out this time must not erase what an earlier one read
+      await this.run(`
+        INSERT INTO device_services
+        (device_id, protocol, port, service, product, version, banner, details, first_seen, last_seen)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT(device_id, protocol, port) DO UPDATE SET
+          service = COALESCE(excluded.service, device_services.service),
+          product = COALESCE(excluded.product, device_services.product),
+          version = COALESCE(excluded.version, device_services.version),
+          banner = COALESCE(excluded.banner, device_services.banner),
+          details = COALESCE(excluded.details, device_services.details),
+          last_seen = excluded.last_seen
+      `, [
+        deviceId,
+        protocol,
+        port.port,
+        port.service || null,
+        port.product || null,
+        port.version || null,
+        port.banner || null,
+        details
+      ]);
+    }
+  }
+
+  async getDeviceServices(deviceId) {
+    return this.all(
+      'SELECT * FROM device_services WHERE device_id = ? ORDER BY protocol, port',
+      [deviceId]
+    );
+  }
+
+  /**
+   * Fold one device's history into another and delete it
+   * @param {string} targetId - Device that survives
+   * @param {string} sourceId - Device that is merged away
+   */
+  async mergeDevices(targetId, sourceId) {
+    return this.transaction(async () => {
+      for (const table of ['metrics', 'system_info', 'network_interfaces', 'interface_metrics', 'alerts', 'latency_targets', 'path_targets', 'snmp_traps']) {
+        await this.run(`UPDATE ${table} SET device_id = ? WHERE device_id = ?`, [targetId, sourceId]);
+      }
+
+      // Addresses both devices used keep the target's row, widened to cover both
+      await this.run(`
+        UPDATE device_addresses AS target SET
+          first_seen = MIN(target.first_seen, source.first_seen),
+          last_seen = MAX(target.last_seen, source.last_seen)
+        FROM device_addresses AS source
+        WHERE target.device_id = ? AND source.device_id = ? AND target.ip = source.ip
+      `, [targetId, sourceId]);
+      await this.run('UPDATE OR IGNORE device_addresses SET device_id = ? WHERE device_id = ?', [targetId, sourceId]);
+
+      // Services the target already has are newer findings; the rest move across
+      await this.run('UPDATE OR IGNORE device_services SET device_id = ? WHERE device_id = ?', [targetId, sourceId]);
+      await this.run('UPDATE OR IGNORE device_hostnames SET device_id = ? WHERE device_id = ?', [targetId, sourceId]);
+      await this.run(`
+        UPDATE devices SET
+          snmp_profile_id = COALESCE(snmp_profile_id, (SELECT snmp_profile_id FROM devices WHERE id = ?)),
+          ssh_profile_id = COALESCE(ssh_profile_id, (SELECT ssh_profile_id FROM devices WHERE id = ?)),
+          http_profile_id = COALESCE(http_profile_id, (SELECT http_profile_id FROM devices WHERE id = ?))
+        WHERE id = ?
+      `, [sourceId, sourceId, sourceId, targetId]);
+      await this.run('UPDATE OR IGNORE topology_links SET device_id = ? WHERE device_id = ?', [targetId, sourceId]);
+      await this.run('UPDATE topology_links SET remote_device_id = ? WHERE remote_device_id = ?', [targetId, sourceId]);
+      await this.run('UPDATE topology_manual_links SET source_device_id = ? WHERE source_device_id = ?', [targetId, sourceId]);
+      await this.run('UPDATE topology_manual_links SET target_device_id = ? WHERE target_device_id = ?', [targetId, sourceId]);
+      await this.run('UPDATE OR IGNORE topology_positions SET node_id = ? WHERE node_id = ?', [targetId, sourceId]);
+      await this.run('DELETE FROM topology_positions WHERE node_id = ?', [sourceId]);
+
+      await this.run('DELETE FROM devices WHERE id = ?', [sourceId]);
+    });
+  }
+
+  /**
+   * Move addresses (and the alerts raised for them) to another device
+   * @param {string} fromId - Device the addresses are taken from
+   * @param {string} toId - Device that receives them
+   * @param {string[]} ips - Addresses to move
+   */
+  async moveDeviceAddresses(fromId, toId, ips) {
+    const placeholders = ips.map(() => '?').join(', ');
+
+    return this.transaction(async () => {
+      await this.run(
+        `UPDATE device_addresses SET device_id = ? WHERE device_id = ? AND ip IN (${placeholders})`,
+        [toId, fromId, ...ips]
+      );
+      await this.run(
+        `UPDATE alerts SET device_id = ? WHERE device_id = ? AND device_ip IN (${placeholders})`,
+        [toId, fromId, ...ips]
+      );
+    });
   }
 
   async getAllDevices() {
@@ -218,6 +829,109 @@ export class DatabaseManager {
     );
   }
 
+  async updateDeviceHardware(deviceId, { mac, vendor }) {
+    return this.run(
+      'UPDATE devices SET mac = ?, vendor = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [mac, vendor, deviceId]
+    );
+  }
+
+  /**
+   * Store names, model and service types a device announced over mDNS, SSDP or NetBIOS.
+   * The announced manufacturer only fills in a missing vendor.
+   */
+  async updateDeviceAnnouncement(deviceId, { model, manufacturer, mdnsName, netbiosName, serviceTypes }) {
+    return this.run(`
+      UPDATE devices SET
+        model = COALESCE(?, model),
+        vendor = COALESCE(vendor, ?),
+        mdns_name = COALESCE(?, mdns_name),
+        netbios_name = COALESCE(?, netbios_name),
+        service_types = COALESCE(?, service_types),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      model || null,
+      manufacturer || null,
+      mdnsName || null,
+      netbiosName || null,
+      serviceTypes?.length > 0 ? JSON.stringify(serviceTypes) : null,
+      deviceId
+    ]);
+  }
+
+  /**
+   * Record the name a source currently gives a device
+   * @param {string} deviceId - Device ID
+   * @param {string} source - 'manual', 'snmp', 'dns', 'mdns' or 'netbios'
+   * @param {string} name - Name reported by the source
+   */
+  async saveDeviceHostname(deviceId, source, name) {
+    return this.run(`
+      INSERT INTO device_hostnames (device_id, source, name, changed_at, resolved_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(device_id, source) DO UPDATE SET
+        changed_at = CASE WHEN device_hostnames.name = excluded.name THEN device_hostnames.changed_at ELSE excluded.changed_at END,
+        name = excluded.name,
+        resolved_at = excluded.resolved_at
+    `, [deviceId, source, name]);
+  }
+
+  /**
+   * Forget a source's name for a device, e.g. when its PTR record is removed
+   */
+  async deleteDeviceHostname(deviceId, source) {
+    return this.run('DELETE FROM device_hostnames WHERE device_id = ? AND source = ?', [deviceId, source]);
+  }
+
+  async getDeviceHostnames(deviceId) {
+    return this.all('SELECT * FROM device_hostnames WHERE device_id = ? ORDER BY source', [deviceId]);
+  }
+
+  async updateDeviceHostname(deviceId, hostname, source) {
+    return this.run(
+      'UPDATE devices SET hostname = ?, hostname_source = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [hostname, source, deviceId]
+    );
+  }
+
+  /**
+   * Store a device's guessed type and OS family
+   * @param {string} deviceId - Device ID
+   * @param {Object} classification - { ttl, type, typeConfidence, os, osConfidence, reasons }
+   */
+  async updateDeviceClassification(deviceId, { ttl, type, typeConfidence, os, osConfidence, reasons }) {
+    return this.run(`
+      UPDATE devices SET
+        ttl = COALESCE(?, ttl),
+        device_type = ?,
+        device_type_confidence = ?,
+        os_family = ?,
+        os_family_confidence = ?,
+        classification_reasons = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [ttl || null, type, typeConfidence, os, osConfidence, JSON.stringify(reasons), deviceId]);
+  }
+
+  /**
+   * Point a device at the credential profile of a type, or at none with null
+   * @param {string} deviceId - Device ID
+   * @param {string} type - snmp, ssh or http
+   * @param {string|null} profileId - Credential profile ID
+   */
+  async setDeviceCredentialProfile(deviceId, type, profileId) {
+    const column = { snmp: 'snmp_profile_id', ssh: 'ssh_profile_id', http: 'http_profile_id' }[type];
+    if (!column) {
+      throw new Error(`Unknown credential type: ${type}`);
+    }
+
+    return this.run(
+      `UPDATE devices SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [profileId, deviceId]
+    );
+  }
+
   async deleteDevice(deviceId) {
     return this.run('DELETE FROM devices WHERE id = ?', [deviceId]);
   }
@@ -323,12 +1037,15 @@ export class DatabaseManager {
 
     const stmt = await this.prepare(`
       INSERT INTO network_interfaces 
-      (device_id, interface_index, name, description, type, speed, admin_status, oper_status, in_octets, out_octets)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (device_id, interface_index, name, description, type, speed, admin_status, oper_status, in_octets, out_octets,
+       in_ucast_pkts, out_ucast_pkts, in_broadcast_pkts, out_broadcast_pkts, in_errors, out_errors, in_discards, out_discards,
+       hc_counters, counter_discontinuity, sys_uptime, in_bps, out_bps, in_utilization, out_utilization)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     try {
       for (const iface of interfaces) {
+        const rates = iface.rates || {};
         await this.runPrepared(stmt, [
           deviceId,
           iface.index,
@@ -339,7 +1056,22 @@ export class DatabaseManager {
           iface.adminStatus,
           iface.operStatus,
           iface.inOctets,
-          iface.outOctets
+          iface.outOctets,
+          iface.inUcastPkts ?? null,
+          iface.outUcastPkts ?? null,
+          iface.inBroadcastPkts ?? null,
+          iface.outBroadcastPkts ?? null,
+          iface.inErrors ?? null,
+          iface.outErrors ?? null,
+          iface.inDiscards ?? null,
+          iface.outDiscards ?? null,
+          iface.hcCounters ? 1 : 0,
+          iface.counterDiscontinuity ?? null,
+          iface.sysUpTime ?? null,
+          rates.inBps ?? null,
+          rates.outBps ?? null,
+          rates.inUtilization ?? null,
+          rates.outUtilization ?? null
         ]);
       }
     } finally {
@@ -354,6 +1086,58 @@ export class DatabaseManager {
     );
   }
 
+  async saveInterfaceMetrics(deviceId, samples) {
+    const stmt = await this.prepare(`
+      INSERT INTO interface_metrics
+      (device_id, interface_index, interval_seconds, in_bps, out_bps, in_utilization, out_utilization,
+       in_ucast_pps, out_ucast_pps, in_broadcast_pps, out_broadcast_pps, in_errors, out_errors, in_discards, out_discards)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    try {
+      for (const sample of samples) {
+        await this.runPrepared(stmt, [
+          deviceId, sample.index, sample.seconds, sample.inBps, sample.outBps, sample.inUtilization, sample.outUtilization,
+          sample.inUcastPps, sample.outUcastPps, sample.inBroadcastPps, sample.outBroadcastPps,
+          sample.inErrors, sample.outErrors, sample.inDiscards, sample.outDiscards
+        ]);
+      }
+    } finally {
+      await this.finalize(stmt);
+    }
+  }
+
+  /**
+   * Interface rates averaged over buckets of `bucketSeconds`, with the peak
+   * bit rates and the total errors and discards of each bucket
+   */
+  async getInterfaceMetrics(deviceId, interfaceIndex, hours = 24, bucketSeconds = 300) {
+    return this.all(`
+      SELECT
+        MIN(timestamp) as timestamp,
+        COUNT(*) as samples,
+        AVG(in_bps) as in_bps,
+        AVG(out_bps) as out_bps,
+        MAX(in_bps) as in_bps_max,
+        MAX(out_bps) as out_bps_max,
+        AVG(in_utilization) as in_utilization,
+        AVG(out_utilization) as out_utilization,
+        AVG(in_ucast_pps) as in_ucast_pps,
+        AVG(out_ucast_pps) as out_ucast_pps,
+        AVG(in_broadcast_pps) as in_broadcast_pps,
+        AVG(out_broadcast_pps) as out_broadcast_pps,
+        SUM(in_errors) as in_errors,
+        SUM(out_errors) as out_errors,
+        SUM(in_discards) as in_discards,
+        SUM(out_discards) as out_discards
+      FROM interface_metrics
+      WHERE device_id = ? AND interface_index = ?
+        AND timestamp >= datetime('now', '-${hours} hours')
+      GROUP BY CAST(strftime('%s', timestamp) / ? AS INTEGER)
+      ORDER BY timestamp ASC
+    `, [deviceId, interfaceIndex, bucketSeconds]);
+  }
+
   /**
    * Alerts management methods
    */
@@ -366,14 +1150,15 @@ export class DatabaseManager {
       type,
       severity,
       message,
-      acknowledged = false
+      acknowledged = false,
+      metadata = {}
     } = alertData;
 
     return this.run(`
       INSERT OR REPLACE INTO alerts 
-      (id, device_id, device_ip, type, severity, message, acknowledged)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [id, device_id, device_ip, type, severity, message, acknowledged]);
+      (id, device_id, device_ip, type, severity, message, acknowledged, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, device_id, device_ip, type, severity, message, acknowledged, JSON.stringify(metadata)]);
   }
 
   async getAlerts(options = {}) {
@@ -431,29 +1216,706 @@ export class DatabaseManager {
    * Scan history methods
    */
 
-  async saveScanHistory(scanData) {
+  async createScanJob(jobData) {
     const {
       scan_range,
-      total_ips,
-      discovered_hosts,
-      duration_ms,
-      started_at
-    } = scanData;
+      options = {},
+      total_ips = null,
+      status = 'queued',
+      schedule_id = null
+    } = jobData;
 
     return this.run(`
       INSERT INTO scan_history 
-      (scan_range, total_ips, discovered_hosts, duration_ms, started_at)
-      VALUES (?, ?, ?, ?, ?)
-    `, [scan_range, total_ips, discovered_hosts, duration_ms, started_at]);
+      (scan_range, total_ips, status, options, schedule_id, created_at, completed_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, NULL)
+    `, [scan_range, total_ips, status, JSON.stringify(options), schedule_id]);
+  }
+
+  async updateScanJob(scanId, fields) {
+    const allowed = [
+      'status', 'total_ips', 'scanned_ips', 'discovered_hosts',
+      'duration_ms', 'started_at', 'completed_at', 'error', 'skipped_ips', 'skipped_addresses'
+    ];
+    const entries = Object.entries(fields).filter(([key]) => allowed.includes(key));
+
+    if (entries.length === 0) return { changes: 0 };
+
+    return this.run(
+      `UPDATE scan_history SET ${entries.map(([key]) => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...entries.map(([, value]) => value), scanId]
+    );
+  }
+
+  async getScanJob(scanId) {
+    return this.get('SELECT * FROM scan_history WHERE id = ?', [scanId]);
+  }
+
+  async getScanJobs(options = {}) {
+    const { status = null, scheduleId = null, limit = 50 } = options;
+
+    let query = 'SELECT * FROM scan_history WHERE 1=1';
+    const params = [];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (scheduleId) {
+      query += ' AND schedule_id = ?';
+      params.push(scheduleId);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return this.all(query, params);
+  }
+
+  async getPreviousScanJob(scanId, scanRange) {
+    return this.get(`
+      SELECT * FROM scan_history 
+      WHERE scan_range = ? AND id < ? AND status = 'completed'
+      ORDER BY id DESC LIMIT 1
+    `, [scanRange, scanId]);
+  }
+
+  async markInterruptedScanJobs() {
+    return this.run(`
+      UPDATE scan_history 
+      SET status = 'interrupted', error = 'Server stopped before the scan finished', completed_at = CURRENT_TIMESTAMP
+      WHERE status IN ('queued', 'running')
+    `);
   }
 
   async getScanHistory(limit = 50) {
+    return this.getScanJobs({ limit });
+  }
+
+  async saveScanResults(scanId, hosts) {
+    if (hosts.length === 0) return;
+
+    const stmt = await this.prepare(`
+      INSERT INTO scan_results (scan_id, ip, alive, response_time, ports, mac, vendor, discovered_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    try {
+      for (const host of hosts) {
+        await this.runPrepared(stmt, [
+          scanId,
+          host.ip,
+          host.alive !== false,
+          host.time ?? null,
+          JSON.stringify(host.ports || []),
+          host.mac || null,
+          host.vendor || null,
+          (host.discoveredAt ? new Date(host.discoveredAt) : new Date()).toISOString()
+        ]);
+      }
+    } finally {
+      await this.finalize(stmt);
+    }
+  }
+
+  async getScanResults(scanId) {
+    const rows = await this.all(
+      'SELECT * FROM scan_results WHERE scan_id = ? ORDER BY id',
+      [scanId]
+    );
+
+    return rows.map(row => ({
+      ...row,
+      alive: Boolean(row.alive),
+      ports: row.ports ? JSON.parse(row.ports) : []
+    }));
+  }
+
+  /**
+   * Discovery schedule methods
+   */
+
+  async saveDiscoverySchedule(scheduleData) {
+    const {
+      id,
+      name,
+      cron_expression,
+      scan_range,
+      options = {},
+      exclude = [],
+      enabled = true
+    } = scheduleData;
+
+    return this.run(`
+      INSERT INTO discovery_schedules 
+      (id, name, cron_expression, scan_range, options, exclude, enabled, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        cron_expression = excluded.cron_expression,
+        scan_range = excluded.scan_range,
+        options = excluded.options,
+        exclude = excluded.exclude,
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `, [id, name, cron_expression, scan_range, JSON.stringify(options), JSON.stringify(exclude), enabled]);
+  }
+
+  async getDiscoverySchedule(scheduleId) {
+    return this.get('SELECT * FROM discovery_schedules WHERE id = ?', [scheduleId]);
+  }
+
+  async getDiscoveryScheduleByName(name) {
+    return this.get('SELECT * FROM discovery_schedules WHERE name = ?', [name]);
+  }
+
+  async getDiscoverySchedules() {
+    return this.all('SELECT * FROM discovery_schedules ORDER BY name');
+  }
+
+  async recordDiscoveryScheduleRun(scheduleId, jobId) {
+    return this.run(
+      'UPDATE discovery_schedules SET last_run_at = CURRENT_TIMESTAMP, last_job_id = ? WHERE id = ?',
+      [jobId, scheduleId]
+    );
+  }
+
+  async deleteDiscoverySchedule(scheduleId) {
+    return this.run('DELETE FROM discovery_schedules WHERE id = ?', [scheduleId]);
+  }
+
+  /**
+   * Scan window methods
+   */
+
+  async saveScanWindow(windowData) {
+    const {
+      id,
+      subnet,
+      days = [],
+      start_time,
+      end_time,
+      description = null,
+      enabled = true
+    } = windowData;
+
+    return this.run(`
+      INSERT INTO scan_windows 
+      (id, subnet, days, start_time, end_time, description, enabled, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        subnet = excluded.subnet,
+        days = excluded.days,
+        start_time = excluded.start_time,
+        end_time = excluded.end_time,
+        description = excluded.description,
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `, [id, subnet, JSON.stringify(days), start_time, end_time, description, enabled]);
+  }
+
+  async getScanWindows() {
+    return this.all('SELECT * FROM scan_windows ORDER BY subnet, start_time');
+  }
+
+  async deleteScanWindow(windowId) {
+    return this.run('DELETE FROM scan_windows WHERE id = ?', [windowId]);
+  }
+
+  /**
+   * Latency probe methods
+   */
+
+  async saveLatencyTarget(targetData) {
+    const {
+      id,
+      name,
+      host = null,
+      device_id = null,
+      interval_seconds = 60,
+      packet_count = 20,
+      timeout = 2000,
+      enabled = true
+    } = targetData;
+
+    return this.run(`
+      INSERT INTO latency_targets
+      (id, name, host, device_id, interval_seconds, packet_count, timeout, enabled, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        host = excluded.host,
+        device_id = excluded.device_id,
+        interval_seconds = excluded.interval_seconds,
+        packet_count = excluded.packet_count,
+        timeout = excluded.timeout,
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `, [id, name, host, device_id, interval_seconds, packet_count, timeout, enabled]);
+  }
+
+  async getLatencyTarget(targetId) {
+    return this.get('SELECT * FROM latency_targets WHERE id = ?', [targetId]);
+  }
+
+  async getLatencyTargetByName(name) {
+    return this.get('SELECT * FROM latency_targets WHERE name = ?', [name]);
+  }
+
+  async getLatencyTargets() {
+    return this.all('SELECT * FROM latency_targets ORDER BY name');
+  }
+
+  async deleteLatencyTarget(targetId) {
+    return this.run('DELETE FROM latency_targets WHERE id = ?', [targetId]);
+  }
+
+  async saveLatencySample(targetId, sample) {
+    await this.run(`
+      INSERT INTO latency_samples
+      (target_id, host, method, sent, received, packet_loss, min, median, avg, p95, max, jitter, rtts)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      targetId, sample.host, sample.method, sample.sent, sample.received, sample.packetLoss,
+      sample.min, sample.median, sample.avg, sample.p95, sample.max, sample.jitter,
+      JSON.stringify(sample.rtts)
+    ]);
+
+    return this.run('UPDATE latency_targets SET last_probe_at = CURRENT_TIMESTAMP WHERE id = ?', [targetId]);
+  }
+
+  async getLatencySamples(targetId, hours = 3) {
+    return this.all(`
+      SELECT *
+      FROM latency_samples
+      WHERE target_id = ?
+        AND timestamp >= datetime('now', '-${hours} hours')
+      ORDER BY timestamp ASC, id ASC
+    `, [targetId]);
+  }
+
+  /**
+   * Path monitoring methods
+   */
+
+  async savePathTarget(targetData) {
+    const {
+      id,
+      name,
+      host = null,
+      device_id = null,
+      interval_seconds = 300,
+      method = 'auto',
+      max_hops = 30,
+      enabled = true
+    } = targetData;
+
+    return this.run(`
+      INSERT INTO path_targets
+      (id, name, host, device_id, interval_seconds, method, max_hops, enabled, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        host = excluded.host,
+        device_id = excluded.device_id,
+        interval_seconds = excluded.interval_seconds,
+        method = excluded.method,
+        max_hops = excluded.max_hops,
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `, [id, name, host, device_id, interval_seconds, method, max_hops, enabled]);
+  }
+
+  async getPathTarget(targetId) {
+    return this.get('SELECT * FROM path_targets WHERE id = ?', [targetId]);
+  }
+
+  async getPathTargetByName(name) {
+    return this.get('SELECT * FROM path_targets WHERE name = ?', [name]);
+  }
+
+  async getPathTargets() {
+    return this.all('SELECT * FROM path_targets ORDER BY name');
+  }
+
+  async deletePathTarget(targetId) {
+    return this.run('DELETE FROM path_targets WHERE id = ?', [targetId]);
+  }
+
+  async savePathTrace(targetId, trace) {
+    const result = await this.run(`
+      INSERT INTO path_traces
+      (target_id, host, target_ip, method, reached, hop_count, hops, changed, gateway_changed, changes, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      targetId, trace.host, trace.targetIp, trace.method, trace.reached, trace.hops.length,
+      JSON.stringify(trace.hops), trace.changed, trace.gatewayChanged, JSON.stringify(trace.changes),
+      trace.durationMs
+    ]);
+
+    await this.run('UPDATE path_targets SET last_trace_at = CURRENT_TIMESTAMP WHERE id = ?', [targetId]);
+    return result;
+  }
+
+  // Traces where no hop answered are stored but never used as a baseline
+  async getLatestPathTrace(targetId) {
+    return this.get(`
+      SELECT * FROM path_traces
+      WHERE target_id = ? AND hop_count > 0
+      ORDER BY id DESC
+      LIMIT 1
+    `, [targetId]);
+  }
+
+  async getPathTraces(targetId, limit = 20) {
+    return this.all(
+      'SELECT * FROM path_traces WHERE target_id = ? ORDER BY id DESC LIMIT ?',
+      [targetId, limit]
+    );
+  }
+
+  /**
+   * Topology methods
+   */
+
+  /**
+   * Store one collection of a device's links. Neighbour tables are a snapshot,
+   * so LLDP/CDP links missing from it are dropped; forwarding entries are kept
+   * with their last-seen time until they age out.
+   * @param {string} deviceId - Reporting device
+   * @param {Object[]} links - Links as built by TopologyManager
+   */
+  async saveTopologyLinks(deviceId, links) {
+    return this.transaction(async () => {
+      const { now } = await this.get("SELECT datetime('now') AS now");
+
+      for (const link of links) {
+        await this.run(`
+          INSERT INTO topology_links
+          (device_id, protocol, local_port, local_if_index, remote_key, remote_device_id, remote_name,
+           remote_port, remote_mac, remote_ip, remote_description, vlan, first_seen, last_seen)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(device_id, protocol, local_port, remote_key, vlan) DO UPDATE SET
+            local_if_index = excluded.local_if_index,
+            remote_device_id = excluded.remote_device_id,
+            remote_name = excluded.remote_name,
+            remote_port = excluded.remote_port,
+            remote_mac = excluded.remote_mac,
+            remote_ip = excluded.remote_ip,
+            remote_description = excluded.remote_description,
+            last_seen = excluded.last_seen
+        `, [
+          deviceId, link.protocol, link.localPort, link.localIfIndex || null, link.remoteKey,
+          link.remoteDeviceId || null, link.remoteName || null, link.remotePort || null,
+          link.remoteMac || null, link.remoteIp || null, link.remoteDescription || null,
+          link.vlan || 0, now, now
+        ]);
+      }
+
+      await this.run(
+        "DELETE FROM topology_links WHERE device_id = ? AND protocol != 'fdb' AND last_seen < ?",
+        [deviceId, now]
+      );
+    });
+  }
+
+  // Only rows from each device's latest collection describe the network as it is now
+  async getTopologyLinks() {
+    return this.all(`
+      SELECT l.* FROM topology_links l
+      JOIN (
+        SELECT device_id, MAX(last_seen) AS latest FROM topology_links GROUP BY device_id
+      ) c ON c.device_id = l.device_id AND l.last_seen = c.latest
+      ORDER BY l.device_id, l.local_port
+    `);
+  }
+
+  // Every switch port a MAC address has been learned on, most recent first
+  async getForwardingEntriesByMAC(mac) {
+    return this.all(`
+      SELECT * FROM topology_links
+      WHERE protocol = 'fdb' AND remote_mac = ?
+      ORDER BY last_seen DESC
+    `, [mac]);
+  }
+
+  async getLatestTopologyLinksForDevice(deviceId) {
+    return this.all(`
+      SELECT * FROM topology_links
+      WHERE device_id = ?
+        AND last_seen = (SELECT MAX(last_seen) FROM topology_links WHERE device_id = ?)
+      ORDER BY local_if_index, local_port
+    `, [deviceId, deviceId]);
+  }
+
+  async getTopologyLinksForDevice(deviceId) {
+    return this.all(`
+      SELECT * FROM topology_links
+      WHERE device_id = ? OR remote_device_id = ?
+      ORDER BY last_seen DESC
+    `, [deviceId, deviceId]);
+  }
+
+  async saveTopologyManualLink(linkData) {
+    const {
+      id,
+      source_device_id,
+      target_device_id,
+      source_port = null,
+      target_port = null,
+      description = null
+    } = linkData;
+
+    return this.run(`
+      INSERT INTO topology_manual_links
+      (id, source_device_id, target_device_id, source_port, target_port, description)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        source_device_id = excluded.source_device_id,
+        target_device_id = excluded.target_device_id,
+        source_port = excluded.source_port,
+        target_port = excluded.target_port,
+        description = excluded.description
+    `, [id, source_device_id, target_device_id, source_port, target_port, description]);
+  }
+
+  async getTopologyManualLink(linkId) {
+    return this.get('SELECT * FROM topology_manual_links WHERE id = ?', [linkId]);
+  }
+
+  async getTopologyManualLinks() {
+    return this.all('SELECT * FROM topology_manual_links ORDER BY created_at');
+  }
+
+  async deleteTopologyManualLink(linkId) {
+    return this.run('DELETE FROM topology_manual_links WHERE id = ?', [linkId]);
+  }
+
+  async saveTopologyPositions(positions) {
+    return this.transaction(async () => {
+      for (const { nodeId, x, y } of positions) {
+        await this.run(`
+          INSERT INTO topology_positions (node_id, x, y, updated_at)
+          VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(node_id) DO UPDATE SET
+            x = excluded.x,
+            y = excluded.y,
+            updated_at = CURRENT_TIMESTAMP
+        `, [nodeId, x, y]);
+      }
+    });
+  }
+
+  async getTopologyPositions() {
+    return this.all('SELECT * FROM topology_positions');
+  }
+
+  async clearTopologyPositions() {
+    return this.run('DELETE FROM topology_positions');
+  }
+
+  /**
+   * SNMP trap methods
+   */
+
+  async saveTrap(trap) {
+    return this.run(`
+      INSERT INTO snmp_traps
+      (device_id, source_ip, agent_address, version, pdu_type, trap_oid, trap_name, enterprise,
+       generic_trap, specific_trap, uptime, security_name, varbinds)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      trap.deviceId, trap.sourceIp, trap.agentAddress, trap.version, trap.pduType, trap.trapOid, trap.trapName,
+      trap.enterprise, trap.genericTrap, trap.specificTrap, trap.uptime, trap.user, JSON.stringify(trap.varbinds)
+    ]);
+  }
+
+  async getTrap(trapId) {
+    return this.get('SELECT * FROM snmp_traps WHERE id = ?', [trapId]);
+  }
+
+  /**
+   * Search stored traps, newest first
+   * @param {Object} filters - { deviceId, ip, trapOid, trapName, version, search, since, until, limit, offset };
+   *   trapOid also matches notifications below it, search looks in names, OIDs and varbinds
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async searchTraps(filters = {}) {
+    const {
+      deviceId = null,
+      ip = null,
+      trapOid = null,
+      trapName = null,
+      version = null,
+      search = null,
+      since = null,
+      until = null,
+      limit = 100,
+      offset = 0
+    } = filters;
+
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (deviceId) {
+      where += ' AND device_id = ?';
+      params.push(deviceId);
+    }
+
+    if (ip) {
+      where += ' AND (agent_address = ? OR source_ip = ?)';
+      params.push(ip, ip);
+    }
+
+    if (trapOid) {
+      where += " AND (trap_oid = ? OR trap_oid LIKE ? || '.%')";
+      params.push(trapOid, trapOid);
+    }
+
+    if (trapName) {
+      where += ' AND trap_name = ?';
+      params.push(trapName);
+    }
+
+    if (version) {
+      where += ' AND version = ?';
+      params.push(version);
+    }
+
+    if (search) {
+      where += " AND (trap_name LIKE ? OR trap_oid LIKE ? OR varbinds LIKE ?)";
+      const pattern = `%${search}%`;
+      params.push(pattern, pattern, pattern);
+    }
+
+    if (since) {
+      where += ' AND received_at >= datetime(?)';
+      params.push(since);
+    }
+
+    if (until) {
+      where += ' AND received_at < datetime(?)';
+      params.push(until);
+    }
+
+    const { total } = await this.get(`SELECT COUNT(*) AS total FROM snmp_traps${where}`, params);
+    const rows = await this.all(
+      `SELECT * FROM snmp_traps${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { rows, total };
+  }
+
+  /**
+   * Credential profile methods
+   */
+
+  async saveCredentialProfile(profile) {
+    const { id, name, type, description = null, settings, secret, discoveryOrder = null } = profile;
+
+    return this.run(`
+      INSERT INTO credential_profiles (id, name, type, description, settings, secret, discovery_order, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        settings = excluded.settings,
+        secret = excluded.secret,
+        discovery_order = excluded.discovery_order,
+        updated_at = excluded.updated_at
+    `, [id, name, type, description, JSON.stringify(settings), secret, discoveryOrder]);
+  }
+
+  async getCredentialProfiles(type = null) {
+    if (type) {
+      return this.all('SELECT * FROM credential_profiles WHERE type = ? ORDER BY name COLLATE NOCASE', [type]);
+    }
+    return this.all('SELECT * FROM credential_profiles ORDER BY type, name COLLATE NOCASE');
+  }
+
+  async getCredentialProfile(profileId) {
+    return this.get('SELECT * FROM credential_profiles WHERE id = ?', [profileId]);
+  }
+
+  async getCredentialProfileByName(name) {
+    return this.get('SELECT * FROM credential_profiles WHERE name = ? COLLATE NOCASE', [name]);
+  }
+
+  async deleteCredentialProfile(profileId) {
+    return this.run('DELETE FROM credential_profiles WHERE id = ?', [profileId]);
+  }
+
+  /**
+   * SNMP profiles discovery tries, in order
+   */
+  async getDiscoveryCredentialProfiles() {
+    return this.all(
+      "SELECT * FROM credential_profiles WHERE type = 'snmp' AND discovery_order IS NOT NULL ORDER BY discovery_order"
+    );
+  }
+
+  /**
+   * Replace the discovery list; profiles left out are no longer tried
+   * @param {string[]} profileIds - Profile IDs in the order discovery tries them
+   */
+  async setCredentialDiscoveryOrder(profileIds) {
+    return this.transaction(async () => {
+      await this.run('UPDATE credential_profiles SET discovery_order = NULL WHERE discovery_order IS NOT NULL');
+      for (const [index, profileId] of profileIds.entries()) {
+        await this.run('UPDATE credential_profiles SET discovery_order = ? WHERE id = ?', [index + 1, profileId]);
+      }
+    });
+  }
+
+  /**
+   * Number of devices using each profile
+   * @returns {Promise<Map<string, number>>} Profile ID -> device count
+   */
+  async getCredentialProfileUsage() {
+    const rows = await this.all(`
+      SELECT profile_id, COUNT(*) AS devices FROM (
+        SELECT snmp_profile_id AS profile_id FROM devices WHERE snmp_profile_id IS NOT NULL
+        UNION ALL SELECT ssh_profile_id FROM devices WHERE ssh_profile_id IS NOT NULL
+        UNION ALL SELECT http_profile_id FROM devices WHERE http_profile_id IS NOT NULL
+      ) GROUP BY profile_id
+    `);
+    return new Map(rows.map(row => [row.profile_id, row.devices]));
+  }
+
+  /**
+   * Devices still carrying a plaintext community string and no SNMP profile
+   */
+  async getDevicesWithPlaintextCommunity() {
     return this.all(
-      'SELECT * FROM scan_history ORDER BY completed_at DESC LIMIT ?',
-      [limit]
+      "SELECT id, ip, community FROM devices WHERE community IS NOT NULL AND community != '' AND snmp_profile_id IS NULL AND id != 'localhost'"
     );
   }
 
+  async clearDeviceCommunity(deviceId) {
+    return this.run('UPDATE devices SET community = NULL WHERE id = ?', [deviceId]);
+  }
+
+  /**
+   * Per-device SNMPv3 credentials stored in plaintext by older versions,
+   * or an empty list once they have been moved into the vault
+   */
+  async getLegacySNMPCredentials() {
+    const table = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'device_snmp_credentials'");
+    if (!table) {
+      return [];
+    }
+    return this.all(`
+      SELECT credentials.*, devices.community FROM device_snmp_credentials AS credentials
+      JOIN devices ON devices.id = credentials.device_id
+    `);
+  }
+
+  async dropLegacySNMPCredentials() {
+    return this.run('DROP TABLE IF EXISTS device_snmp_credentials');
+  }
+
   /**
    * Configuration methods
    */
@@ -496,6 +1958,36 @@ export class DatabaseManager {
       WHERE timestamp < datetime('now', '-1 day')
     `);
 
+    // Clean old interface rates
+    await this.run(
+      `DELETE FROM interface_metrics WHERE timestamp < datetime('now', '-${days} days')`
+    );
+
+    // Clean old scan jobs (per-host results cascade)
+    await this.run(
+      `DELETE FROM scan_history WHERE COALESCE(completed_at, created_at) < datetime('now', '-${days} days')`
+    );
+
+    // Clean old latency probe samples
+    await this.run(
+      `DELETE FROM latency_samples WHERE timestamp < datetime('now', '-${days} days')`
+    );
+
+    // Clean old path traces
+    await this.run(
+      `DELETE FROM path_traces WHERE timestamp < datetime('now', '-${days} days')`
+    );
+
+    // Clean old SNMP traps
+    await this.run(
+      `DELETE FROM snmp_traps WHERE received_at < datetime('now', '-${days} days')`
+    );
+
+    // Clean forwarding entries no switch has reported for a while
+    await this.run(
+      `DELETE FROM topology_links WHERE last_seen < datetime('now', '-${days} days')`
+    );
+
     // Clean resolved alerts older than 7 days
     await this.run(`
       DELETE FROM alerts 
@@ -509,7 +2001,7 @@ export class DatabaseManager {
   async getDatabaseStats() {
     const stats = {};
     
-    const tables = ['devices', 'metrics', 'system_info', 'network_interfaces', 'alerts', 'scan_history'];
+    const tables = ['devices', 'device_addresses', 'device_services', 'device_hostnames', 'metrics', 'system_info', 'network_interfaces', 'interface_metrics', 'alerts', 'scan_history', 'scan_results', 'latency_samples', 'path_traces', 'topology_links'];
     
     for (const table of tables) {
       const result = await this.get(`SELECT COUNT(*) as count FROM ${table}`);
@@ -563,6 +2055,22 @@ export class DatabaseManager {
     });
   }
 
+  /**
+   * Run a unit of work inside a transaction, rolling back if it throws
+   * @param {Function} work - async () => result
+   */
+  async transaction(work) {
+    await this.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work();
+      await this.run('COMMIT');
+      return result;
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
   prepare(sql) {
     return new Promise((resolve, reject) => {
       const stmt = this.db.prepare(sql, (error) => {
@@ -0,0 +1,291 @@
+// Device types and OS families the classifier can assign
+export const DEVICE_TYPES = ['router', 'switch', 'printer', 'linux-server', 'windows-host', 'camera', 'phone'];
+export const OS_FAMILIES = ['linux', 'windows', 'macos', 'ios', 'android', 'bsd', 'network-os', 'embedded'];
+
+// Below this confidence (percent) a guess is reported as unknown
+const MIN_CONFIDENCE = 20;
+
+// Weights are the chance a clue alone is right; clues for the same answer
+// reinforce each other and clues for a competing answer count against it.
+
+// SNMP enterprise numbers (1.3.6.1.4.1.<n>) of vendors that make one kind of device
+const ENTERPRISES = {
+  9: { os: ['network-os', 0.8], type: ['router', 0.3], vendor: 'Cisco' },
+  11: { vendor: 'HP' },
+  311: { os: ['windows', 0.9], type: ['windows-host', 0.6], vendor: 'Microsoft' },
+  367: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Ricoh' },
+  641: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Lexmark' },
+  253: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Xerox' },
+  1248: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Epson' },
+  1347: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Kyocera' },
+  1602: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Canon' },
+  2435: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Brother' },
+  18334: { type: ['printer', 0.9], os: ['embedded', 0.6], vendor: 'Konica Minolta' },
+  368: { type: ['camera', 0.9], os: ['linux', 0.5], vendor: 'Axis' },
+  39165: { type: ['camera', 0.9], os: ['embedded', 0.6], vendor: 'Hikvision' },
+  1004849: { type: ['camera', 0.9], os: ['embedded', 0.6], vendor: 'Dahua' },
+  2636: { type: ['router', 0.7], os: ['network-os', 0.9], vendor: 'Juniper' },
+  14988: { type: ['router', 0.8], os: ['network-os', 0.9], vendor: 'MikroTik' },
+  2011: { os: ['network-os', 0.7], vendor: 'Huawei' },
+  1588: { type: ['switch', 0.8], os: ['network-os', 0.8], vendor: 'Brocade' },
+  1916: { type: ['switch', 0.7], os: ['network-os', 0.8], vendor: 'Extreme' },
+  6027: { type: ['switch', 0.8], os: ['network-os', 0.8], vendor: 'Force10' },
+  4526: { type: ['switch', 0.6], os: ['network-os', 0.6], vendor: 'Netgear' },
+  11863: { type: ['switch', 0.4], os: ['network-os', 0.6], vendor: 'TP-Link' },
+  41112: { type: ['router', 0.4], os: ['linux', 0.5], vendor: 'Ubiquiti' },
+  12356: { type: ['router', 0.8], os: ['network-os', 0.7], vendor: 'Fortinet' },
+  25461: { type: ['router', 0.8], os: ['network-os', 0.7], vendor: 'Palo Alto' },
+  8072: { os: ['linux', 0.6], type: ['linux-server', 0.4], vendor: 'Net-SNMP' },
+  2021: { os: ['linux', 0.6], type: ['linux-server', 0.4], vendor: 'UCD-SNMP' },
+  6574: { os: ['linux', 0.7], type: ['linux-server', 0.5], vendor: 'Synology' },
+  24681: { os: ['linux', 0.7], type: ['linux-server', 0.5], vendor: 'QNAP' }
+};
+
+// Finer sysObjectID prefixes for vendors with several product lines
+const OBJECT_ID_PREFIXES = [
+  ['1.3.6.1.4.1.11.2.3.9.', { type: ['printer', 0.9], os: ['embedded', 0.6] }, 'HP printer'],
+  ['1.3.6.1.4.1.11.2.3.7.11.', { type: ['switch', 0.9], os: ['network-os', 0.8] }, 'HP ProCurve switch'],
+  ['1.3.6.1.4.1.9.1.', { type: ['router', 0.3] }, 'Cisco product'],
+  ['1.3.6.1.4.1.9.6.1.', { type: ['switch', 0.7] }, 'Cisco small business switch']
+];
+
+// sysDescr (or the local platform string) patterns
+const DESCRIPTION_PATTERNS = [
+  [/\bWindows\b|\bwin32\b/i, { os: ['windows', 0.9], type: ['windows-host', 0.6] }],
+  [/Cisco (IOS|NX-OS|Adaptive Security)/i, { os: ['network-os', 0.9] }],
+  [/\b(Catalyst|C[29]\d{3}\w*|Nexus|ProCurve|Aruba.*Switch|PowerConnect|EdgeSwitch)\b|\bswitch\b/i, { type: ['switch', 0.7] }],
+  [/\b(RouterOS|JUNOS|ISR\d*|EdgeOS|VyOS|OpenWrt|DD-WRT|FortiGate|PAN-OS)\b|\brouter\b/i, { type: ['router', 0.7], os: ['network-os', 0.6] }],
+  [/\b(pfSense|OPNsense)\b/i, { type: ['router', 0.8], os: ['bsd', 0.9] }],
+  [/\b(FreeBSD|OpenBSD|NetBSD)\b/i, { os: ['bsd', 0.8] }],
+  [/\bDarwin\b/i, { os: ['macos', 0.8] }],
+  [/\bLinux\b/i, { os: ['linux', 0.8], type: ['linux-server', 0.3] }],
+  [/\b(LaserJet|OfficeJet|JETDIRECT|printer|MFC-|HL-\w|ImageRunner|WorkForce|bizhub|Phaser)\b/i, { type: ['printer', 0.9], os: ['embedded', 0.5] }],
+  [/\b(IP ?Camera|IPC|Network Camera|NVR|DS-2CD)\b/i, { type: ['camera', 0.8] }]
+];
+
+// MAC vendor (OUI) patterns
+const VENDOR_PATTERNS = [
+  [/\bApple\b/i, { os: ['ios', 0.3], type: ['phone', 0.3] }],
+  [/\b(Samsung|Xiaomi|OnePlus|Oppo|Vivo|Motorola Mobility|Google|Huawei Device|Realme)\b/i, { os: ['android', 0.4], type: ['phone', 0.4] }],
+  [/\b(Hikvision|Hangzhou Hikvision|Dahua|Axis Communications|Reolink|Amcrest|Uniview|Hanwha|Vivotek|Wyze)\b/i, { type: ['camera', 0.7], os: ['embedded', 0.4] }],
+  [/\b(Brother|Canon|Seiko Epson|Epson|Xerox|Lexmark|Kyocera|Ricoh|Konica|Zebra)\b/i, { type: ['printer', 0.6], os: ['embedded', 0.4] }],
+  [/\b(Hewlett Packard|HP Inc)\b/i, { type: ['printer', 0.2] }],
+  [/\b(Cisco|Juniper|Arista|Extreme Networks|Brocade)\b/i, { type: ['switch', 0.3], os: ['network-os', 0.5] }],
+  [/\b(MikroTik|Routerboard|Ubiquiti|Netgear|TP-Link|Tp-Link|ASUSTek|Linksys|AVM|Fortinet|Zyxel|Draytek)\b/i, { type: ['router', 0.4], os: ['network-os', 0.3] }],
+  [/\bRaspberry Pi\b/i, { os: ['linux', 0.7], type: ['linux-server', 0.4] }],
+  [/\bMicrosoft\b/i, { os: ['windows', 0.3], type: ['windows-host', 0.2] }],
+  [/\b(Synology|QNAP)\b/i, { os: ['linux', 0.6], type: ['linux-server', 0.5] }]
+];
+
+// Model strings from mDNS TXT records, UPnP descriptions and SNMP
+const MODEL_PATTERNS = [
+  [/\biPhone\b/i, { type: ['phone', 0.9], os: ['ios', 0.9] }],
+  [/\biPad\b/i, { type: ['phone', 0.5], os: ['ios', 0.9] }],
+  [/\b(MacBook|iMac|Mac ?mini|Mac ?Pro|Macmini|MacBookPro|MacBookAir)/i, { os: ['macos', 0.9] }],
+  [/\b(Pixel \d|Galaxy|SM-[A-Z]\d|Redmi|OnePlus)\b/i, { type: ['phone', 0.9], os: ['android', 0.9] }],
+  [/\b(LaserJet|OfficeJet|DeskJet|ENVY|PIXMA|MAXIFY|imageCLASS|MFC-|HL-|DCP-|WorkForce|EcoTank|Phaser|VersaLink|bizhub)/i, { type: ['printer', 0.9], os: ['embedded', 0.5] }],
+  [/\b(DS-2CD|IPC-|Camera|Cam\b)/i, { type: ['camera', 0.8], os: ['embedded', 0.4] }]
+];
+
+// DNS-SD service types
+const SERVICE_TYPES = {
+  '_ipp._tcp': { type: ['printer', 0.8] },
+  '_ipps._tcp': { type: ['printer', 0.8] },
+  '_printer._tcp': { type: ['printer', 0.7] },
+  '_pdl-datastream._tcp': { type: ['printer', 0.8] },
+  '_scanner._tcp': { type: ['printer', 0.5] },
+  '_uscan._tcp': { type: ['printer', 0.5] },
+  '_apple-mobdev2._tcp': { type: ['phone', 0.7], os: ['ios', 0.7] },
+  '_rtsp._tcp': { type: ['camera', 0.5] },
+  '_workstation._tcp': { os: ['linux', 0.5] },
+  '_ssh._tcp': { os: ['linux', 0.2] },
+  '_smb._tcp': { type: ['linux-server', 0.2] },
+  '_afpovertcp._tcp': { os: ['macos', 0.5] },
+  '_rfb._tcp': { os: ['macos', 0.2] }
+};
+
+// Open ports, tested as "<protocol>/<port>"
+const PORT_CLUES = {
+  'tcp/135': { os: ['windows', 0.7], type: ['windows-host', 0.5] },
+  'tcp/139': { os: ['windows', 0.3] },
+  'tcp/445': { os: ['windows', 0.4], type: ['windows-host', 0.3] },
+  'tcp/3389': { os: ['windows', 0.7], type: ['windows-host', 0.7] },
+  'tcp/5985': { os: ['windows', 0.7], type: ['windows-host', 0.5] },
+  'tcp/5986': { os: ['windows', 0.7], type: ['windows-host', 0.5] },
+  'tcp/22': { os: ['linux', 0.2], type: ['linux-server', 0.2] },
+  'tcp/111': { os: ['linux', 0.4], type: ['linux-server', 0.4] },
+  'tcp/2049': { os: ['linux', 0.3], type: ['linux-server', 0.4] },
+  'tcp/3306': { type: ['linux-server', 0.3] },
+  'tcp/5432': { type: ['linux-server', 0.3] },
+  'tcp/548': { os: ['macos', 0.4] },
+  'tcp/3283': { os: ['macos', 0.6] },
+  'tcp/62078': { type: ['phone', 0.8], os: ['ios', 0.8] },
+  'tcp/9100': { type: ['printer', 0.7], os: ['embedded', 0.3] },
+  'tcp/515': { type: ['printer', 0.6] },
+  'tcp/631': { type: ['printer', 0.4] },
+  'tcp/554': { type: ['camera', 0.5] },
+  'tcp/8554': { type: ['camera', 0.4] },
+  'tcp/37777': { type: ['camera', 0.8], os: ['embedded', 0.5] },
+  'tcp/34567': { type: ['camera', 0.7], os: ['embedded', 0.5] },
+  'tcp/179': { type: ['router', 0.7], os: ['network-os', 0.4] },
+  'tcp/2000': { type: ['router', 0.3] },
+  'tcp/8291': { type: ['router', 0.8], os: ['network-os', 0.8] },
+  'udp/53': { type: ['router', 0.3] },
+  'udp/161': { os: ['network-os', 0.1] }
+};
+
+// Server software, from the fingerprinted product and banner
+const BANNER_PATTERNS = [
+  [/Microsoft (IIS|HTTPAPI|ftpd|Exchange)|Microsoft-IIS|Windows|\(Win(32|64)\)/i, { os: ['windows', 0.8], type: ['windows-host', 0.4] }],
+  [/\b(Ubuntu|Debian|Raspbian|CentOS|Red Hat|Fedora|Rocky|AlmaLinux|SUSE|Alpine)\b/i, { os: ['linux', 0.8], type: ['linux-server', 0.5] }],
+  [/\b(nginx|Apache httpd|Apache|lighttpd|Caddy|OpenResty|Postfix|Exim|Dovecot|vsftpd|ProFTPD)\b/i, { os: ['linux', 0.3], type: ['linux-server', 0.3] }],
+  [/OpenSSH/i, { os: ['linux', 0.3] }],
+  [/FreeBSD|OpenBSD|NetBSD/i, { os: ['bsd', 0.8] }],
+  [/Dropbear/i, { os: ['embedded', 0.5] }],
+  [/\b(RouterOS|MikroTik|OpenWrt|LuCI|DD-WRT|pfSense|OPNsense|EdgeOS|UniFi|FortiGate)\b/i, { type: ['router', 0.8] }],
+  [/\b(Cisco|ProCurve|Aruba|Catalyst)\b/i, { os: ['network-os', 0.5] }],
+  [/\b(HP HTTP Server|HP-ChaiSOE|Virata-EmWeb|EWS|JetDirect|LaserJet|Brother|Canon|EPSON|Xerox|Lexmark|KYOCERA|RICOH)\b/i, { type: ['printer', 0.8], os: ['embedded', 0.4] }],
+  [/\b(Hikvision|DNVRS-Webs|App-webs|DVRDVS-Webs|Dahua|WEB SERVICE|Boa|uc-httpd|GoAhead|Network Camera|IP Camera)\b/i, { type: ['camera', 0.6], os: ['embedded', 0.5] }],
+  [/mini_httpd|thttpd|micro_httpd/i, { os: ['embedded', 0.4] }]
+];
+
+/**
+ * Round a received TTL up to the initial value the sender most likely used
+ */
+export function initialTTL(ttl) {
+  return [32, 64, 128, 255].find(initial => ttl <= initial) || null;
+}
+
+/**
+ * Guesses what kind of device a host is, and which operating system family
+ * it runs, from the clues discovery already collected: the ICMP TTL, open
+ * ports, service banners, SNMP sysObjectID and sysDescr, the MAC vendor and
+ * whatever it announced over mDNS/SSDP. Every clue adds weight to one or more
+ * answers; the answer with the most weight wins, with a confidence that drops
+ * when other answers are close behind.
+ */
+export class DeviceClassifier {
+  /**
+   * Classify a device
+   * @param {Object} evidence - { ttl, ports, sysObjectId, sysDescr, vendor, model, serviceTypes, netbiosName }
+   *   where ports are { protocol, port, service, product, banner, http }
+   * @returns {Object} { type, typeConfidence, os, osConfidence, reasons }
+   */
+  classify(evidence = {}) {
+    const clues = { type: new Map(), os: new Map() };
+    const reasons = [];
+
+    const add = (hint, reason) => {
+      for (const field of ['type', 'os']) {
+        if (!hint[field]) continue;
+        const [answer, weight] = hint[field];
+        const answers = clues[field];
+        if (!answers.has(answer)) answers.set(answer, []);
+        answers.get(answer).push(weight);
+      }
+      reasons.push(reason);
+    };
+
+    const match = (patterns, text, label) => {
+      if (!text) return;
+      for (const [pattern, hint] of patterns) {
+        if (pattern.test(text)) {
+          add(hint, `${label} "${text.length > 60 ? text.slice(0, 57) + '...' : text}"`);
+        }
+      }
+    };
+
+    // Linux, macOS and most embedded systems start at 64, Windows at 128, network gear at 255
+    const initial = evidence.ttl ? initialTTL(evidence.ttl) : null;
+    if (initial === 128) {
+      add({ os: ['windows', 0.5] }, `TTL ${evidence.ttl} (initial 128)`);
+    } else if (initial === 255) {
+      add({ os: ['network-os', 0.4], type: ['router', 0.2] }, `TTL ${evidence.ttl} (initial 255)`);
+    } else if (initial === 64) {
+      add({ os: ['linux', 0.2] }, `TTL ${evidence.ttl} (initial 64)`);
+    }
+
+    if (evidence.sysObjectId) {
+      const oid = evidence.sysObjectId.replace(/^\./, '');
+      const enterprise = oid.match(/^1\.3\.6\.1\.4\.1\.(\d+)/);
+      const known = enterprise && ENTERPRISES[enterprise[1]];
+      if (known && (known.type || known.os)) {
+        add(known, `SNMP sysObjectID of ${known.vendor}`);
+      }
+      for (const [prefix, hint, label] of OBJECT_ID_PREFIXES) {
+        if (`${oid}.`.startsWith(prefix)) {
+          add(hint, `SNMP sysObjectID of ${label}`);
+        }
+      }
+    }
+
+    match(DESCRIPTION_PATTERNS, evidence.sysDescr, 'System description');
+    match(VENDOR_PATTERNS, evidence.vendor, 'MAC vendor');
+    match(MODEL_PATTERNS, evidence.model, 'Model');
+
+    for (const serviceType of evidence.serviceTypes || []) {
+      if (SERVICE_TYPES[serviceType]) {
+        add(SERVICE_TYPES[serviceType], `Advertises ${serviceType}`);
+      }
+    }
+
+    for (const port of evidence.ports || []) {
+      const key = `${port.protocol || 'tcp'}/${port.port}`;
+      if (PORT_CLUES[key]) {
+        add(PORT_CLUES[key], `Open port ${key}`);
+      }
+
+      const software = [port.product, port.banner, port.http?.server, port.http?.title].filter(Boolean).join(' ');
+      match(BANNER_PATTERNS, software, `Port ${key} runs`);
+    }
+
+    if (evidence.netbiosName) {
+      add({ os: ['windows', 0.3] }, `NetBIOS name ${evidence.netbiosName}`);
+    }
+
+    const os = this.pick(clues.os);
+    let type = this.pick(clues.type);
+
+    // Without a better clue, a Windows box is a Windows host, a Linux box serving TCP a Linux server
+    if (!type.answer && os.answer) {
+      const servesTCP = (evidence.ports || []).some(port => (port.protocol || 'tcp') === 'tcp');
+      const implied = {
+        windows: 'windows-host',
+        linux: servesTCP ? 'linux-server' : null,
+        ios: 'phone',
+        android: 'phone'
+      }[os.answer];
+      if (implied) {
+        type = { answer: implied, confidence: Math.round(os.confidence * 0.7) };
+      }
+    }
+
+    return {
+      type: type.confidence >= MIN_CONFIDENCE ? type.answer : null,
+      typeConfidence: type.confidence >= MIN_CONFIDENCE ? type.confidence : 0,
+      os: os.confidence >= MIN_CONFIDENCE ? os.answer : null,
+      osConfidence: os.confidence >= MIN_CONFIDENCE ? os.confidence : 0,
+      reasons
+    };
+  }
+
+  /**
+   * Pick the best-supported answer
+   * @param {Map<string, number[]>} answers - Clue weights per answer
+   * @returns {Object} { answer, confidence } with confidence in percent
+   */
+  pick(answers) {
+    // Independent clues combine like probabilities: 1 - (1 - a)(1 - b)...
+    const scores = [...answers.entries()]
+      .map(([answer, weights]) => ({ answer, score: 1 - weights.reduce((rest, weight) => rest * (1 - weight), 1) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (scores.length === 0) {
+      return { answer: null, confidence: 0 };
+    }
+
+    const [best, runnerUp] = scores;
+    const confidence = best.score * (1 - (runnerUp ? runnerUp.score / 2 : 0));
+    return { answer: best.answer, confidence: Math.round(confidence * 100) };
+  }
+}
@@ -0,0 +1,220 @@
+import { EventEmitter } from 'events';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeMAC, isUsableMAC } from '../utils/MACAddress.js';
+
+/**
+ * Decides which stored device a network observation belongs to, so a host
+ * that changes IP address (e.g. a new DHCP lease) keeps its identity and history.
+ *
+ * Evidence is used strongest first: MAC address, SNMP sysName + sysObjectID,
+ * the current IP address, then hostname. An observation whose MAC or sysName
+ * contradicts a candidate is never matched to it.
+ */
+export class DeviceIdentityManager extends EventEmitter {
+  constructor({ dbManager, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.logger = logger;
+  }
+
+  /**
+   * Find the device an observation belongs to
+   * @param {Object} observation - { ip, mac, sysName, sysObjectId, hostname }
+   * @returns {Promise<Object|null>} { device, matchedBy } or null for an unknown device
+   */
+  async resolve(observation) {
+    const { ip, sysName, sysObjectId, hostname } = observation;
+    const mac = isUsableMAC(observation.mac) ? normalizeMAC(observation.mac) : null;
+
+    const contradicts = (device) =>
+      (mac && device.mac && device.mac !== mac) ||
+      (sysName && device.sys_name && device.sys_name.toLowerCase() !== sysName.toLowerCase());
+
+    if (mac) {
+      const [device] = await this.dbManager.getDevicesByMAC(mac);
+      if (device) {
+        return { device, matchedBy: 'mac' };
+      }
+    }
+
+    if (sysName && sysObjectId) {
+      const candidates = (await this.dbManager.getDevicesBySysName(sysName))
+        .filter(device => device.sys_object_id === sysObjectId && !contradicts(device));
+      if (candidates.length === 1) {
+        return { device: candidates[0], matchedBy: 'snmp' };
+      }
+    }
+
+    if (ip) {
+      const device = await this.dbManager.getDeviceByIP(ip);
+      if (device && !contradicts(device)) {
+        return { device, matchedBy: 'ip' };
+      }
+    }
+
+    // Hostnames are only trusted when exactly one device carries them
+    if (hostname && !net.isIP(hostname)) {
+      const candidates = (await this.dbManager.getDevicesByHostname(hostname))
+        .filter(device => !contradicts(device));
+      if (candidates.length === 1) {
+        return { device: candidates[0], matchedBy: 'hostname' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record that a known device was seen at an address, moving it there if needed
+   * @param {Object} device - Device row
+   * @param {Object} sighting - { ip, mac, source }
+   * @returns {Promise<Object>} { moved, previousIp }
+   */
+  async recordSighting(device, { ip, mac = null, source = 'scan' }) {
+    const usableMAC = isUsableMAC(mac) ? normalizeMAC(mac) : null;
+    await this.dbManager.recordDeviceAddress(device.id, ip, usableMAC, source);
+
+    if (device.ip === ip) {
+      return { moved: false, previousIp: null };
+    }
+
+    await this.dbManager.updateDeviceIP(device.id, ip);
+    this.logger.info(`Device ${device.hostname || device.id} moved from ${device.ip} to ${ip}`);
+    this.emit('deviceMoved', { deviceId: device.id, previousIp: device.ip, ip });
+
+    return { moved: true, previousIp: device.ip };
+  }
+
+  /**
+   * Get the address history of a device, most recent first
+   */
+  async getAddressHistory(deviceId) {
+    return this.dbManager.getDeviceAddresses(deviceId);
+  }
+
+  /**
+   * Merge other devices into one, keeping the target's identity
+   * @param {string} targetId - Device that survives
+   * @param {string[]} sourceIds - Devices folded into the target
+   * @returns {Promise<Object>} The merged device
+   */
+  async mergeDevices(targetId, sourceIds) {
+    const target = await this.dbManager.getDevice(targetId);
+    if (!target) {
+      throw new Error(`Device not found: ${targetId}`);
+    }
+
+    const sources = [];
+    for (const sourceId of sourceIds) {
+      if (sourceId === targetId) {
+        throw new Error('Cannot merge a device into itself');
+      }
+
+      const source = await this.dbManager.getDevice(sourceId);
+      if (!source) {
+        throw new Error(`Device not found: ${sourceId}`);
+      }
+      sources.push(source);
+    }
+
+    for (const source of sources) {
+      await this.dbManager.mergeDevices(targetId, source.id);
+
+      // Adopt identity evidence the target did not have yet
+      if (!target.mac && source.mac) {
+        await this.dbManager.updateDeviceHardware(targetId, { mac: source.mac, vendor: source.vendor });
+        target.mac = source.mac;
+        target.vendor = source.vendor;
+      }
+      if ((!target.sys_name && source.sys_name) || (!target.sys_object_id && source.sys_object_id)) {
+        await this.dbManager.updateDeviceIdentity(targetId, {
+          sysName: target.sys_name || source.sys_name,
+          sysObjectId: target.sys_object_id || source.sys_object_id
+        });
+      }
+    }
+
+    // Follow whichever device was seen most recently
+    const latest = [target, ...sources].reduce((a, b) => (a.last_seen >= b.last_seen ? a : b));
+    if (latest.ip !== target.ip) {
+      await this.dbManager.updateDeviceIP(targetId, latest.ip);
+    }
+    await this.dbManager.recordDeviceAddress(targetId, latest.ip);
+
+    const merged = await this.dbManager.getDevice(targetId);
+    this.logger.info(`Merged ${sources.length} devices into ${merged.hostname || merged.id}`);
+    this.emit('devicesMerged', { device: merged, mergedIds: sources.map(source => source.id) });
+
+    return merged;
+  }
+
+  /**
+   * Split addresses that were wrongly attributed to a device into a new device
+   * @param {string} deviceId - Device to split
+   * @param {string[]} ips - Addresses from its history that belong to another device
+   * @returns {Promise<Object>} { device, created }
+   */
+  async splitDevice(deviceId, ips) {
+    const device = await this.dbManager.getDevice(deviceId);
+    if (!device) {
+      throw new Error(`Device not found: ${deviceId}`);
+    }
+
+    const addresses = await this.dbManager.getDeviceAddresses(deviceId);
+    const known = new Set(addresses.map(address => address.ip));
+    for (const ip of ips) {
+      if (!known.has(ip)) {
+        throw new Error(`Address ${ip} is not in the history of device ${deviceId}`);
+      }
+    }
+
+    const moving = addresses.filter(address => ips.includes(address.ip));
+    const remaining = addresses.filter(address => !ips.includes(address.ip));
+    if (remaining.length === 0) {
+      throw new Error('Cannot split off every address of a device');
+    }
+
+    // Addresses are ordered most recent first
+    const splitMAC = moving.find(address => address.mac)?.mac || null;
+    const remainingMAC = remaining.find(address => address.mac)?.mac || null;
+
+    const created = {
+      id: uuidv4(),
+      ip: moving[0].ip,
+      hostname: moving[0].ip,
+      description: `Split from ${device.hostname || device.ip}`,
+      location: '',
+      contact: '',
+      community: device.community,
+      status: 'unknown',
+      mac: splitMAC && splitMAC !== remainingMAC ? splitMAC : null
+    };
+    created.vendor = created.mac && created.mac === device.mac ? device.vendor : null;
+
+    await this.dbManager.saveDevice(created);
+    await this.dbManager.moveDeviceAddresses(deviceId, created.id, ips);
+    if (device.snmp_profile_id) {
+      await this.dbManager.setDeviceCredentialProfile(created.id, 'snmp', device.snmp_profile_id);
+    }
+
+    if (ips.includes(device.ip)) {
+      await this.dbManager.updateDeviceIP(deviceId, remaining[0].ip);
+    }
+
+    // The MAC now belongs to the split-off device; keep the original's own MAC if it has one
+    if (created.mac && device.mac === created.mac) {
+      await this.dbManager.updateDeviceHardware(deviceId, { mac: remainingMAC, vendor: null });
+    }
+
+    const result = {
+      device: await this.dbManager.getDevice(deviceId),
+      created: await this.dbManager.getDevice(created.id)
+    };
+
+    this.logger.info(`Split ${ips.join(', ')} from device ${device.hostname || device.id} into ${created.id}`);
+    this.emit('deviceSplit', result);
+
+    return result;
+  }
+}
@@ -0,0 +1,261 @@
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+import { v4 as uuidv4 } from 'uuid';
+import { parsePortList } from '../utils/PortList.js';
+
+export class DiscoveryScheduler extends EventEmitter {
+  constructor({ dbManager, networkScanner, scanJobManager, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.networkScanner = networkScanner;
+    this.scanJobManager = scanJobManager;
+    this.logger = logger;
+
+    // schedule id -> node-cron task
+    this.tasks = new Map();
+    this.schedules = new Map();
+  }
+
+  /**
+   * Load schedules from the database and start the enabled ones
+   */
+  async initialize() {
+    const rows = await this.dbManager.getDiscoverySchedules();
+
+    for (const row of rows) {
+      const schedule = this.formatSchedule(row);
+      this.schedules.set(schedule.id, schedule);
+      this.startTask(schedule);
+    }
+
+    this.logger.info(`Loaded ${rows.length} discovery schedules (${this.tasks.size} enabled)`);
+  }
+
+  /**
+   * Validate schedule fields, throwing on the first problem
+   */
+  validateSchedule({ name, cronExpression, range, exclude = [], options = {} }) {
+    if (!name || !name.trim()) {
+      throw new Error('Schedule name is required');
+    }
+
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid cron expression "${cronExpression}"`);
+    }
+
+    // Throws with a descriptive message for malformed or oversized ranges
+    this.networkScanner.describeIPRange(range, { exclude });
+
+    if (options.ports) {
+      parsePortList(options.ports);
+    }
+  }
+
+  /**
+   * Create a new schedule
+   * @param {Object} data - { name, cronExpression, range, options, exclude, enabled }
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(data) {
+    const schedule = {
+      id: uuidv4(),
+      name: data.name,
+      cronExpression: data.cronExpression,
+      range: data.range,
+      options: data.options || {},
+      exclude: data.exclude || [],
+      enabled: data.enabled !== false,
+      lastRunAt: null,
+      lastJobId: null
+    };
+
+    this.validateSchedule(schedule);
+
+    const existing = await this.dbManager.getDiscoveryScheduleByName(schedule.name);
+    if (existing) {
+      throw new Error(`A schedule named "${schedule.name}" already exists`);
+    }
+
+    await this.persist(schedule);
+    this.schedules.set(schedule.id, schedule);
+    this.startTask(schedule);
+
+    this.logger.info(`Discovery schedule created: ${schedule.name} (${schedule.cronExpression})`);
+    this.emit('scheduleChanged', { action: 'created', schedule });
+    return schedule;
+  }
+
+  /**
+   * Update an existing schedule
+   * @returns {Promise<Object|null>} Updated schedule, or null if not found
+   */
+  async updateSchedule(scheduleId, changes) {
+    const current = this.schedules.get(scheduleId);
+    if (!current) {
+      return null;
+    }
+
+    const schedule = { ...current };
+    for (const key of ['name', 'cronExpression', 'range', 'options', 'exclude', 'enabled']) {
+      if (changes[key] !== undefined) {
+        schedule[key] = changes[key];
+      }
+    }
+
+    this.validateSchedule(schedule);
+
+    if (schedule.name !== current.name) {
+      const existing = await this.dbManager.getDiscoveryScheduleByName(schedule.name);
+      if (existing && existing.id !== scheduleId) {
+        throw new Error(`A schedule named "${schedule.name}" already exists`);
+      }
+    }
+
+    await this.persist(schedule);
+    this.stopTask(scheduleId);
+    this.schedules.set(scheduleId, schedule);
+    this.startTask(schedule);
+
+    this.logger.info(`Discovery schedule updated: ${schedule.name}`);
+    this.emit('scheduleChanged', { action: 'updated', schedule });
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule
+   * @returns {Promise<Object|null>} Deleted schedule, or null if not found
+   */
+  async deleteSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    this.stopTask(scheduleId);
+    this.schedules.delete(scheduleId);
+    await this.dbManager.deleteDiscoverySchedule(scheduleId);
+
+    this.logger.info(`Discovery schedule deleted: ${schedule.name}`);
+    this.emit('scheduleChanged', { action: 'deleted', schedule });
+    return schedule;
+  }
+
+  /**
+   * Queue a scan job for a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} trigger - 'cron' or 'manual'
+   * @returns {Promise<Object|null>} The queued job, or null when skipped
+   */
+  async runSchedule(scheduleId, trigger = 'manual') {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new Error(`Discovery schedule not found: ${scheduleId}`);
+    }
+
+    // Don't pile up runs when a scan takes longer than the schedule interval
+    if (schedule.lastJobId && this.scanJobManager.getLiveJob(schedule.lastJobId)) {
+      this.logger.warn(`Skipping discovery schedule ${schedule.name}: previous run ${schedule.lastJobId} has not finished`);
+      this.emit('scheduleSkipped', { schedule, trigger, reason: 'previous run still active' });
+      return null;
+    }
+
+    const job = await this.scanJobManager.enqueue(
+      schedule.range,
+      { ...schedule.options, exclude: schedule.exclude },
+      { scheduleId }
+    );
+
+    schedule.lastRunAt = new Date();
+    schedule.lastJobId = job.id;
+    await this.dbManager.recordDiscoveryScheduleRun(scheduleId, job.id);
+
+    this.logger.info(`Discovery schedule ${schedule.name} queued scan job ${job.id} (${trigger})`);
+    this.emit('scheduleRun', { schedule, job, trigger });
+    return job;
+  }
+
+  /**
+   * Get all schedules
+   */
+  getSchedules() {
+    return Array.from(this.schedules.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single schedule
+   */
+  getSchedule(scheduleId) {
+    return this.schedules.get(scheduleId) || null;
+  }
+
+  /**
+   * Stop all cron tasks
+   */
+  stop() {
+    for (const scheduleId of Array.from(this.tasks.keys())) {
+      this.stopTask(scheduleId);
+    }
+  }
+
+  startTask(schedule) {
+    if (!schedule.enabled) {
+      return;
+    }
+
+    const task = cron.schedule(schedule.cronExpression, async () => {
+      try {
+        await this.runSchedule(schedule.id, 'cron');
+      } catch (error) {
+        this.logger.error(`Discovery schedule ${schedule.name} failed to run:`, error);
+      }
+    });
+
+    this.tasks.set(schedule.id, task);
+  }
+
+  stopTask(scheduleId) {
+    const task = this.tasks.get(scheduleId);
+    if (task) {
+      task.stop();
+      this.tasks.delete(scheduleId);
+    }
+  }
+
+  async persist(schedule) {
+    await this.dbManager.saveDiscoverySchedule({
+      id: schedule.id,
+      name: schedule.name,
+      cron_expression: schedule.cronExpression,
+      scan_range: schedule.range,
+      options: schedule.options,
+      exclude: schedule.exclude,
+      enabled: schedule.enabled
+    });
+  }
+
+  /**
+   * Convert a discovery_schedules row to the API representation
+   */
+  formatSchedule(row) {
+    const parse = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch (error) {
+        return fallback;
+      }
+    };
+
+    return {
+      id: row.id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      range: row.scan_range,
+      options: parse(row.options, {}),
+      exclude: parse(row.exclude, []),
+      enabled: Boolean(row.enabled),
+      lastRunAt: row.last_run_at,
+      lastJobId: row.last_job_id
+    };
+  }
+}
@@ -0,0 +1,207 @@
+import dns from 'dns';
+import net from 'net';
+
+// Sources a device name can come from, in the default order of preference.
+// A name typed in by the user ('manual') always wins over all of them.
+export const HOSTNAME_SOURCES = ['snmp', 'dns', 'mdns', 'netbios'];
+
+const PTR_TIMEOUT_MS = 2000;
+
+// Reverse lookups running at once during a refresh of every device
+const REFRESH_CONCURRENCY = 8;
+
+// Answers that mean "no PTR record", as opposed to a server that did not answer
+const NO_RECORD_CODES = new Set([dns.NOTFOUND, dns.NODATA]);
+
+/**
+ * Parse a precedence list ("dns, snmp, mdns") into known source names
+ * @param {string|string[]} value - Comma-separated string or array
+ * @returns {string[]} Sources in order, each listed once
+ * @throws {Error} If a source is unknown
+ */
+export function parseHostnamePrecedence(value) {
+  const sources = (Array.isArray(value) ? value : String(value).split(','))
+    .map(source => source.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const source of sources) {
+    if (!HOSTNAME_SOURCES.includes(source)) {
+      throw new Error(`Unknown hostname source "${source}" (expected ${HOSTNAME_SOURCES.join(', ')})`);
+    }
+  }
+
+  return [...new Set(sources)];
+}
+
+/**
+ * Picks each device's hostname from the names its sources report: SNMP
+ * sysName, a PTR lookup, the mDNS name and the NetBIOS name. Every source's
+ * latest name is kept in device_hostnames so the UI can show where the
+ * chosen name came from.
+ */
+export class HostnameResolver {
+  constructor({ dbManager, logger }) {
+    this.dbManager = dbManager;
+    this.logger = logger;
+    this.precedence = [...HOSTNAME_SOURCES];
+    this.dnsServer = null;
+    this.resolver = this.createResolver();
+
+    // `${deviceId}:${source}` -> last name written, to skip unchanged writes
+    this.recorded = new Map();
+  }
+
+  /**
+   * Change the DNS server used for PTR lookups and the source precedence
+   * @param {Object} options - { dnsServer, precedence }; an empty dnsServer uses the system resolvers
+   */
+  configure({ dnsServer, precedence } = {}) {
+    if (precedence !== undefined) {
+      const sources = parseHostnamePrecedence(precedence);
+      this.precedence = sources.length > 0 ? sources : [...HOSTNAME_SOURCES];
+    }
+
+    if (dnsServer !== undefined) {
+      this.dnsServer = dnsServer || null;
+      this.resolver = this.createResolver();
+    }
+  }
+
+  createResolver() {
+    const resolver = new dns.promises.Resolver({ timeout: PTR_TIMEOUT_MS, tries: 2 });
+    if (this.dnsServer) {
+      resolver.setServers([this.dnsServer]);
+    }
+    return resolver;
+  }
+
+  /**
+   * Reverse-resolve an address
+   * @param {string} ip - IP address
+   * @returns {Promise<string|null>} The PTR name, or null if there is no record
+   * @throws {Error} If the DNS server could not be asked
+   */
+  async lookupPTR(ip) {
+    try {
+      const names = await this.resolver.reverse(ip);
+      return names.length > 0 ? names[0].replace(/\.$/, '') : null;
+    } catch (error) {
+      if (NO_RECORD_CODES.has(error.code)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the names other sources reported, optionally look up the PTR
+   * record, and re-pick the device's hostname
+   * @param {Object} device - { id, ip }
+   * @param {Object} names - Names keyed by source, e.g. { snmp: 'core-sw1', mdns: 'nas.local' }
+   * @param {Object} options - { lookup } to also query DNS
+   * @returns {Promise<Object|null>} { hostname, source, previous, changed }, or null if nothing was recorded
+   */
+  async resolve(device, names = {}, { lookup = true } = {}) {
+    let updated = false;
+
+    for (const [source, name] of Object.entries(names)) {
+      const clean = typeof name === 'string' ? name.trim() : '';
+      if (!clean || net.isIP(clean) || this.recorded.get(`${device.id}:${source}`) === clean) {
+        continue;
+      }
+
+      await this.dbManager.saveDeviceHostname(device.id, source, clean);
+      this.recorded.set(`${device.id}:${source}`, clean);
+      updated = true;
+    }
+
+    if (lookup) {
+      try {
+        const ptr = await this.lookupPTR(device.ip);
+        if (ptr) {
+          await this.dbManager.saveDeviceHostname(device.id, 'dns', ptr);
+          this.recorded.set(`${device.id}:dns`, ptr);
+        } else {
+          await this.dbManager.deleteDeviceHostname(device.id, 'dns');
+          this.recorded.delete(`${device.id}:dns`);
+        }
+        updated = true;
+      } catch (error) {
+        // Keep the last known PTR name while the server is unreachable
+        this.logger.debug(`PTR lookup for ${device.ip} failed: ${error.message}`);
+      }
+    }
+
+    return updated ? this.applyPrecedence(device.id) : null;
+  }
+
+  /**
+   * Set the hostname to the name from the most preferred source that has one
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object|null>} { hostname, source, previous, changed }, or null if the device is gone
+   */
+  async applyPrecedence(deviceId) {
+    const device = await this.dbManager.getDevice(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    const names = new Map((await this.dbManager.getDeviceHostnames(deviceId)).map(row => [row.source, row.name]));
+    const source = ['manual', ...this.precedence].find(candidate => names.has(candidate));
+
+    // A name from before sources were tracked is kept; one whose source went away falls back to the IP
+    if (!source && !device.hostname_source) {
+      return { hostname: device.hostname, source: null, previous: device.hostname, changed: false };
+    }
+
+    // "printer.local" reads better as "printer"; other names are kept as reported
+    const hostname = !source ? device.ip
+      : source === 'mdns' ? names.get(source).replace(/\.local$/i, '')
+      : names.get(source);
+    const changed = hostname !== device.hostname || (source || null) !== device.hostname_source;
+
+    if (changed) {
+      await this.dbManager.updateDeviceHostname(deviceId, hostname, source || null);
+    }
+
+    return { hostname, source: source || null, previous: device.hostname, changed };
+  }
+
+  /**
+   * Re-run PTR lookups for many devices and re-pick their hostnames
+   * @param {Object[]} devices - Devices with { id, ip }
+   * @returns {Promise<Object[]>} { device, hostname, source, previous } for each device whose hostname changed
+   */
+  async refreshAll(devices) {
+    const changes = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < devices.length) {
+        const device = devices[next++];
+        try {
+          const result = await this.resolve(device);
+          if (result?.changed) {
+            changes.push({ device, ...result });
+          }
+        } catch (error) {
+          this.logger.error(`Failed to refresh hostname of ${device.ip}:`, error);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(REFRESH_CONCURRENCY, devices.length) }, worker));
+    return changes;
+  }
+
+  /**
+   * Forget cached writes for a device, e.g. after it was merged or deleted
+   */
+  forget(deviceId) {
+    for (const key of this.recorded.keys()) {
+      if (key.startsWith(`${deviceId}:`)) {
+        this.recorded.delete(key);
+      }
+    }
+  }
+}
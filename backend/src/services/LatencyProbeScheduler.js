@@ -0,0 +1,411 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// Percentiles returned per series point, drawn as nested "smoke" bands
+const SMOKE_PERCENTILES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+/**
+ * Value at percentile p (0-100) of an ascending list, interpolating between ranks
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Probes latency targets on their own intervals, smokeping style: every probe
+ * sends a burst of packets and stores the full RTT distribution, so median,
+ * percentiles, jitter and loss can be charted over time.
+ */
+export class LatencyProbeScheduler extends EventEmitter {
+  constructor({ dbManager, networkScanner, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.networkScanner = networkScanner;
+    this.logger = logger;
+
+    // target id -> interval timer
+    this.timers = new Map();
+    this.targets = new Map();
+    this.inFlight = new Set();
+    this.isRunning = false;
+  }
+
+  /**
+   * Load targets from the database
+   */
+  async initialize() {
+    const rows = await this.dbManager.getLatencyTargets();
+
+    for (const row of rows) {
+      const target = this.formatTarget(row);
+      this.targets.set(target.id, target);
+      this.startTimer(target);
+    }
+
+    this.logger.info(`Loaded ${rows.length} latency targets`);
+  }
+
+  /**
+   * Start probing enabled targets
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    for (const target of this.targets.values()) {
+      this.startTimer(target);
+    }
+  }
+
+  /**
+   * Stop all probe timers
+   */
+  stop() {
+    this.isRunning = false;
+    for (const targetId of Array.from(this.timers.keys())) {
+      this.stopTimer(targetId);
+    }
+  }
+
+  /**
+   * Validate target fields, throwing on the first problem
+   */
+  validateTarget({ name, host, deviceId }) {
+    if (!name || !name.trim()) {
+      throw new Error('Target name is required');
+    }
+
+    if (!host && !deviceId) {
+      throw new Error('Either a host or a device is required');
+    }
+
+    if (host && deviceId) {
+      throw new Error('A target probes either a host or a device, not both');
+    }
+  }
+
+  /**
+   * Create a latency target
+   * @param {Object} data - { name, host, deviceId, intervalSeconds, packetCount, timeout, enabled }
+   * @returns {Promise<Object>} Created target
+   */
+  async createTarget(data) {
+    const target = {
+      id: uuidv4(),
+      name: data.name,
+      host: data.host || null,
+      deviceId: data.deviceId || null,
+      intervalSeconds: data.intervalSeconds || 60,
+      packetCount: data.packetCount || 20,
+      timeout: data.timeout || 2000,
+      enabled: data.enabled !== false,
+      lastProbeAt: null
+    };
+
+    this.validateTarget(target);
+    await this.checkTarget(target);
+
+    await this.persist(target);
+    this.targets.set(target.id, target);
+    this.startTimer(target);
+
+    this.logger.info(`Latency target created: ${target.name} (every ${target.intervalSeconds}s)`);
+    this.emit('targetChanged', { action: 'created', target });
+    return target;
+  }
+
+  /**
+   * Update a latency target
+   * @returns {Promise<Object|null>} Updated target, or null if not found
+   */
+  async updateTarget(targetId, changes) {
+    const current = this.targets.get(targetId);
+    if (!current) {
+      return null;
+    }
+
+    const target = { ...current };
+    for (const key of ['name', 'host', 'deviceId', 'intervalSeconds', 'packetCount', 'timeout', 'enabled']) {
+      if (changes[key] !== undefined) {
+        target[key] = changes[key];
+      }
+    }
+
+    // Switching between a host and a device clears the other
+    if (changes.host) target.deviceId = null;
+    if (changes.deviceId) target.host = null;
+
+    this.validateTarget(target);
+    await this.checkTarget(target, targetId);
+
+    await this.persist(target);
+    this.stopTimer(targetId);
+    this.targets.set(targetId, target);
+    this.startTimer(target);
+
+    this.logger.info(`Latency target updated: ${target.name}`);
+    this.emit('targetChanged', { action: 'updated', target });
+    return target;
+  }
+
+  /**
+   * Delete a latency target and its samples
+   * @returns {Promise<Object|null>} Deleted target, or null if not found
+   */
+  async deleteTarget(targetId) {
+    const target = this.targets.get(targetId);
+    if (!target) {
+      return null;
+    }
+
+    this.stopTimer(targetId);
+    this.targets.delete(targetId);
+    await this.dbManager.deleteLatencyTarget(targetId);
+
+    this.logger.info(`Latency target deleted: ${target.name}`);
+    this.emit('targetChanged', { action: 'deleted', target });
+    return target;
+  }
+
+  /**
+   * Get all targets
+   */
+  getTargets() {
+    return Array.from(this.targets.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single target
+   */
+  getTarget(targetId) {
+    return this.targets.get(targetId) || null;
+  }
+
+  /**
+   * Probe a target once and store the sample
+   * @param {string} targetId - Target ID
+   * @returns {Promise<Object|null>} The stored sample, or null if a probe was already running
+   */
+  async probeTarget(targetId) {
+    if (this.inFlight.has(targetId)) {
+      return null;
+    }
+
+    this.inFlight.add(targetId);
+    try {
+      // Re-read the row: a merged or deleted device changes the target underneath us
+      const row = await this.dbManager.getLatencyTarget(targetId);
+      if (!row) {
+        const removed = this.targets.get(targetId);
+        this.stopTimer(targetId);
+        this.targets.delete(targetId);
+        if (removed) {
+          this.emit('targetChanged', { action: 'deleted', target: removed });
+        }
+        throw new Error(`Latency target not found: ${targetId}`);
+      }
+
+      const target = this.formatTarget(row);
+      this.targets.set(targetId, { ...this.targets.get(targetId), ...target });
+
+      const host = await this.resolveHost(target);
+      const result = await this.networkScanner.pingHost(host, target.timeout, { count: target.packetCount });
+      const sample = this.summarize(host, result);
+
+      await this.dbManager.saveLatencySample(targetId, sample);
+      this.targets.get(targetId).lastProbeAt = new Date();
+
+      this.emit('sample', { targetId, sample: { ...sample, timestamp: new Date() } });
+      return sample;
+    } finally {
+      this.inFlight.delete(targetId);
+    }
+  }
+
+  /**
+   * Get a target's samples, bucketed to at most `points` entries
+   * @param {string} targetId - Target ID
+   * @param {Object} options - { hours, points }
+   * @returns {Promise<Object>} { series, summary }
+   */
+  async getSeries(targetId, { hours = 3, points = 200 } = {}) {
+    const rows = await this.dbManager.getLatencySamples(targetId, hours);
+    const samples = rows.map(row => ({
+      timestamp: new Date(row.timestamp.replace(' ', 'T') + 'Z'),
+      sent: row.sent,
+      received: row.received,
+      jitter: row.jitter,
+      rtts: row.rtts ? JSON.parse(row.rtts) : []
+    }));
+
+    const end = Date.now();
+    const start = end - hours * 60 * 60 * 1000;
+    const bucketMs = Math.max(1, (end - start) / points);
+
+    // Consecutive samples in the same time slot are merged into one point
+    const buckets = [];
+    for (const sample of samples) {
+      const slot = Math.floor((sample.timestamp - start) / bucketMs);
+      const last = buckets[buckets.length - 1];
+      if (last && last.slot === slot) {
+        last.samples.push(sample);
+      } else {
+        buckets.push({ slot, samples: [sample] });
+      }
+    }
+
+    const series = buckets.map(({ samples: group }) => this.buildPoint(group));
+    return { series, summary: this.buildPoint(samples) };
+  }
+
+  /**
+   * Reduce one or more samples to a single point with smoke percentiles
+   */
+  buildPoint(samples) {
+    const rtts = samples.flatMap(sample => sample.rtts).sort((a, b) => a - b);
+    const sent = samples.reduce((sum, sample) => sum + sample.sent, 0);
+    const received = samples.reduce((sum, sample) => sum + sample.received, 0);
+    const jitters = samples.map(sample => sample.jitter).filter(jitter => jitter !== null);
+
+    return {
+      timestamp: samples.length > 0 ? samples[samples.length - 1].timestamp : null,
+      samples: samples.length,
+      sent,
+      received,
+      packetLoss: sent > 0 ? round((sent - received) / sent * 100) : null,
+      min: round(percentile(rtts, 0)),
+      median: round(percentile(rtts, 50)),
+      avg: rtts.length > 0 ? round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length) : null,
+      p95: round(percentile(rtts, 95)),
+      max: round(percentile(rtts, 100)),
+      jitter: jitters.length > 0 ? round(jitters.reduce((sum, jitter) => sum + jitter, 0) / jitters.length) : null,
+      percentiles: rtts.length > 0 ? SMOKE_PERCENTILES.map(p => round(percentile(rtts, p))) : []
+    };
+  }
+
+  /**
+   * Turn a ping result into a stored sample
+   */
+  summarize(host, result) {
+    const times = result.times || [];
+    const sorted = [...times].sort((a, b) => a - b);
+
+    // Jitter is the mean difference between consecutive replies (RFC 3550 style)
+    let jitter = null;
+    if (times.length > 1) {
+      let total = 0;
+      for (let i = 1; i < times.length; i++) {
+        total += Math.abs(times[i] - times[i - 1]);
+      }
+      jitter = round(total / (times.length - 1));
+    }
+
+    return {
+      host,
+      method: result.method,
+      sent: result.sent,
+      received: result.received,
+      packetLoss: result.packetLoss,
+      min: round(percentile(sorted, 0)),
+      median: round(percentile(sorted, 50)),
+      avg: result.avg,
+      p95: round(percentile(sorted, 95)),
+      max: round(percentile(sorted, 100)),
+      jitter,
+      rtts: times
+    };
+  }
+
+  /**
+   * Address to probe; device targets follow the device's current IP
+   */
+  async resolveHost(target) {
+    if (!target.deviceId) {
+      return target.host;
+    }
+
+    const device = await this.dbManager.getDevice(target.deviceId);
+    if (!device) {
+      throw new Error(`Device not found: ${target.deviceId}`);
+    }
+    return device.ip;
+  }
+
+  /**
+   * Reject duplicate names and unknown devices
+   */
+  async checkTarget(target, targetId = null) {
+    const existing = await this.dbManager.getLatencyTargetByName(target.name);
+    if (existing && existing.id !== targetId) {
+      throw new Error(`A latency target named "${target.name}" already exists`);
+    }
+
+    if (target.deviceId && !(await this.dbManager.getDevice(target.deviceId))) {
+      throw new Error(`Device not found: ${target.deviceId}`);
+    }
+  }
+
+  startTimer(target) {
+    if (!this.isRunning || !target.enabled || this.timers.has(target.id)) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        await this.probeTarget(target.id);
+      } catch (error) {
+        this.logger.error(`Latency probe for ${target.name} failed:`, error);
+      }
+    }, target.intervalSeconds * 1000);
+
+    this.timers.set(target.id, timer);
+  }
+
+  stopTimer(targetId) {
+    const timer = this.timers.get(targetId);
+    if (timer) {
+      clearInterval(timer);
+      this.timers.delete(targetId);
+    }
+  }
+
+  async persist(target) {
+    await this.dbManager.saveLatencyTarget({
+      id: target.id,
+      name: target.name,
+      host: target.host,
+      device_id: target.deviceId,
+      interval_seconds: target.intervalSeconds,
+      packet_count: target.packetCount,
+      timeout: target.timeout,
+      enabled: target.enabled
+    });
+  }
+
+  /**
+   * Convert a latency_targets row to the API representation
+   */
+  formatTarget(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      host: row.host,
+      deviceId: row.device_id,
+      intervalSeconds: row.interval_seconds,
+      packetCount: row.packet_count,
+      timeout: row.timeout,
+      enabled: Boolean(row.enabled),
+      lastProbeAt: row.last_probe_at
+    };
+  }
+}
@@ -0,0 +1,533 @@
+import dgram from 'dgram';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { randomInt } from 'crypto';
+import { encodeQuery, decodeMessage as decodeDNSMessage, DNS_TYPES } from '../utils/DNSPacket.js';
+import { encodeNodeStatusRequest, encodeWildcardNameQuery, parseNodeStatus, parseRegistration } from '../utils/NetBIOSPacket.js';
+import { ipv4ToBigInt, bigIntToIPv4 } from '../utils/IPRange.js';
+
+const MDNS = { group: '224.0.0.251', port: 5353 };
+const SSDP = { group: '239.255.255.250', port: 1900 };
+const NETBIOS_PORT = 137;
+
+const SERVICE_ENUMERATION = '_services._dns-sd._udp.local';
+
+// UPnP device descriptions are re-read at most this often per location
+const DESCRIPTION_TTL_MS = 60 * 60 * 1000;
+const DESCRIPTION_TIMEOUT_MS = 2000;
+const MAX_DESCRIPTION_BYTES = 64 * 1024;
+
+// Oldest hosts are forgotten beyond this many
+const MAX_HOSTS = 4096;
+
+// DNS-SD TXT keys that carry a model or maker, in order of preference
+const MODEL_KEYS = ['md', 'model', 'usb_MDL', 'ty', 'product', 'am'];
+const MANUFACTURER_KEYS = ['usb_MFG', 'manufacturer', 'mfg'];
+
+/**
+ * Parse "KEY: value" header lines of an SSDP message
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split(/\r?\n/).slice(1)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Read the first occurrence of a simple XML element
+ */
+function readElement(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`, 'i'));
+  if (!match) return null;
+
+  const value = match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+  return value || null;
+}
+
+/**
+ * Clean a model string from a TXT record, e.g. "(HP LaserJet 400)" -> "HP LaserJet 400"
+ */
+function cleanModel(value) {
+  const model = value.replace(/^\((.*)\)$/, '$1').trim();
+  return model || null;
+}
+
+/**
+ * Finds devices that announce themselves rather than answer ping: printers,
+ * TVs, media players and NAS boxes. Listens passively for mDNS responses,
+ * SSDP NOTIFY messages and NetBIOS name registrations, and on request sends
+ * one round of DNS-SD, M-SEARCH and NetBIOS wildcard queries.
+ *
+ * Emits 'announcement' with the host record whenever something new is learned.
+ */
+export class LocalDiscovery extends EventEmitter {
+  constructor() {
+    super();
+    // ip -> { ip, mac, hostname, mdnsName, netbiosName, workgroup, model, manufacturer,
+    //         friendlyName, serviceTypes, services, ssdp, sources, firstSeen, lastSeen }
+    this.hosts = new Map();
+
+    // location URL -> time the description was last requested
+    this.descriptions = new Map();
+
+    this.listeners = [];
+  }
+
+  /**
+   * Join the mDNS and SSDP multicast groups and listen for NetBIOS broadcasts
+   * @returns {Promise<Object[]>} One { source, listening, error } per listener; a port
+   *   already held by another daemon (avahi, nmbd, minissdpd) leaves that source inactive
+   */
+  async startListening() {
+    if (this.listeners.length > 0) {
+      return this.getListenerStatus();
+    }
+
+    const sources = [
+      { source: 'mdns', port: MDNS.port, group: MDNS.group, handle: (message, remote) => this.handleMDNS(message, remote) },
+      { source: 'ssdp', port: SSDP.port, group: SSDP.group, handle: (message, remote) => this.handleSSDP(message, remote) },
+      { source: 'netbios', port: NETBIOS_PORT, group: null, handle: (message, remote) => this.handleNetBIOSBroadcast(message, remote) }
+    ];
+
+    this.listeners = await Promise.all(sources.map(source => this.listen(source)));
+    return this.getListenerStatus();
+  }
+
+  /**
+   * Close the passive listeners
+   */
+  stopListening() {
+    for (const listener of this.listeners) {
+      if (listener.socket) {
+        listener.socket.close();
+      }
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * @returns {Object[]} { source, listening, error } per passive listener
+   */
+  getListenerStatus() {
+    return this.listeners.map(({ source, socket, error }) => ({ source, listening: Boolean(socket), error }));
+  }
+
+  listen({ source, port, group, handle }) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.once('error', (error) => {
+        socket.close();
+        resolve({ source, socket: null, error: error.message });
+      });
+
+      socket.on('message', async (message, remote) => {
+        try {
+          await handle(message, remote);
+        } catch (error) {
+          // Malformed or unrelated traffic
+        }
+      });
+
+      socket.bind(port, () => {
+        if (group) {
+          // Join on every interface; one that cannot join should not stop the rest
+          for (const address of this.localAddresses()) {
+            try {
+              socket.addMembership(group, address.address);
+            } catch (error) {
+              continue;
+            }
+          }
+        } else {
+          socket.setBroadcast(true);
+        }
+
+        socket.removeAllListeners('error');
+        socket.on('error', () => {});
+        resolve({ source, socket, error: null });
+      });
+    });
+  }
+
+  /**
+   * Send one round of mDNS, SSDP and NetBIOS queries and collect the answers
+   * @param {Object} options - { timeout, signal }
+   * @returns {Promise<Object[]>} Host records heard from while the query ran
+   */
+  query({ timeout = 3000, signal } = {}) {
+    const startedAt = new Date();
+
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket('udp4');
+      const mdnsId = randomInt(1, 0xffff);
+      const nameQueryId = randomInt(1, 0xffff);
+      const statusIds = new Map();
+      const queriedTypes = new Set();
+      let finished = false;
+
+      const finish = async () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        clearTimeout(retryTimer);
+        signal?.removeEventListener('abort', finish);
+        socket.close();
+
+        // Descriptions requested during the query finish within their own timeout
+        await Promise.allSettled(pending);
+        resolve(this.getHosts().filter(host => host.lastSeen >= startedAt));
+      };
+
+      const pending = [];
+
+      const sendMDNS = (name) => {
+        // A query from a port other than 5353 gets a unicast reply with our ID
+        socket.send(encodeQuery({ id: mdnsId, name, type: DNS_TYPES.PTR, recursionDesired: false }), MDNS.port, MDNS.group);
+      };
+
+      const send = () => {
+        sendMDNS(SERVICE_ENUMERATION);
+        for (const type of queriedTypes) {
+          sendMDNS(`${type}.local`);
+        }
+
+        socket.send(Buffer.from([
+          'M-SEARCH * HTTP/1.1',
+          `HOST: ${SSDP.group}:${SSDP.port}`,
+          'MAN: "ssdp:discover"',
+          'MX: 1',
+          'ST: ssdp:all',
+          '',
+          ''
+        ].join('\r\n')), SSDP.port, SSDP.group);
+
+        for (const broadcast of this.broadcastAddresses()) {
+          socket.send(encodeWildcardNameQuery(nameQueryId), NETBIOS_PORT, broadcast);
+        }
+      };
+
+      socket.on('message', (message, remote) => {
+        try {
+          if (message.toString('latin1', 0, 8) === 'HTTP/1.1') {
+            pending.push(this.handleSSDP(message, remote));
+            return;
+          }
+
+          if (remote.port === NETBIOS_PORT && message.length >= 12) {
+            const id = message.readUInt16BE(0);
+            if (id === nameQueryId && !statusIds.has(remote.address)) {
+              // Every answer to the wildcard is a NetBIOS host; ask it for its names
+              const statusId = randomInt(1, 0xffff);
+              statusIds.set(remote.address, statusId);
+              socket.send(encodeNodeStatusRequest(statusId), NETBIOS_PORT, remote.address);
+            } else if (id === statusIds.get(remote.address)) {
+              const status = parseNodeStatus(message);
+              this.record(remote.address, 'netbios', {
+                netbiosName: status.name,
+                workgroup: status.workgroup,
+                mac: status.mac
+              });
+            }
+            return;
+          }
+
+          if (remote.port === MDNS.port) {
+            const types = this.handleMDNS(message, remote);
+
+            // Ask each newly seen service type for its instances
+            for (const type of types) {
+              if (!queriedTypes.has(type)) {
+                queriedTypes.add(type);
+                if (!finished) sendMDNS(`${type}.local`);
+              }
+            }
+          }
+        } catch (error) {
+          // Malformed reply
+        }
+      });
+
+      socket.on('error', finish);
+
+      const timer = setTimeout(finish, timeout);
+
+      // Multicast is lossy; repeat the queries once halfway through
+      const retryTimer = setTimeout(() => {
+        if (!finished) send();
+      }, Math.floor(timeout / 2));
+
+      if (signal) {
+        if (signal.aborted) {
+          finish();
+          return;
+        }
+        signal.addEventListener('abort', finish, { once: true });
+      }
+
+      socket.bind(0, () => {
+        socket.setBroadcast(true);
+        send();
+      });
+    });
+  }
+
+  /**
+   * Merge an mDNS response into the sender's record
+   * @returns {string[]} Service types the response mentioned
+   */
+  handleMDNS(message, remote) {
+    const response = decodeDNSMessage(message);
+    if (!response.response) return [];
+
+    const ip = remote.address;
+    const records = [...response.answers, ...response.additionals];
+    const update = { mdnsName: null, model: null, manufacturer: null, friendlyName: null, serviceTypes: [], services: [] };
+
+    const srv = new Map();
+    const txt = new Map();
+    for (const record of records) {
+      if (record.typeName === 'SRV') srv.set(record.name, record.data);
+      if (record.typeName === 'TXT') txt.set(record.name, record.data);
+    }
+
+    for (const record of records) {
+      if ((record.typeName === 'A' || record.typeName === 'AAAA') && record.data === ip) {
+        update.mdnsName = record.name;
+      } else if (record.typeName === 'PTR' && record.name === SERVICE_ENUMERATION) {
+        update.serviceTypes.push(record.data.replace(/\.local$/, ''));
+      } else if (record.typeName === 'PTR' && /\.(in-addr|ip6)\.arpa$/.test(record.name)) {
+        update.mdnsName = update.mdnsName || record.data;
+      } else if (record.typeName === 'PTR' && /^_[^.]+\._(tcp|udp)\.local$/.test(record.name)) {
+        const type = record.name.replace(/\.local$/, '');
+        update.serviceTypes.push(type);
+        update.services.push({
+          type,
+          name: record.data.endsWith(`.${record.name}`) ? record.data.slice(0, -(record.name.length + 1)) : record.data,
+          port: srv.get(record.data)?.port ?? null
+        });
+      }
+    }
+
+    // Printers and media devices put their model in the service TXT records
+    for (const [name, strings] of txt) {
+      const values = Object.fromEntries(strings
+        .map(entry => entry.split('='))
+        .filter(([key, value]) => key && value)
+        .map(([key, ...value]) => [key, value.join('=')]));
+
+      const modelKey = MODEL_KEYS.find(key => values[key]);
+      const manufacturerKey = MANUFACTURER_KEYS.find(key => values[key]);
+      update.model = update.model || (modelKey ? cleanModel(values[modelKey]) : null);
+      update.manufacturer = update.manufacturer || (manufacturerKey ? values[manufacturerKey] : null);
+      update.friendlyName = update.friendlyName || values.fn || null;
+
+      if (!update.mdnsName && srv.has(name)) {
+        update.mdnsName = srv.get(name).target;
+      }
+    }
+
+    if (update.mdnsName || update.serviceTypes.length > 0 || update.model) {
+      this.record(ip, 'mdns', update);
+    }
+    return update.serviceTypes;
+  }
+
+  /**
+   * Merge an SSDP search response or NOTIFY into the sender's record, then
+   * read its UPnP description for the friendly name and model
+   * @returns {Promise<void>} Settles when the description has been read
+   */
+  async handleSSDP(message, remote) {
+    const text = message.toString('utf8');
+    if (!/^(HTTP\/1\.1 200|NOTIFY \* HTTP\/1\.1)/i.test(text)) return;
+
+    const headers = parseHeaders(text);
+    if (headers.nts === 'ssdp:byebye') return;
+
+    const type = headers.st || headers.nt || null;
+    this.record(remote.address, 'ssdp', {
+      ssdp: {
+        server: headers.server || null,
+        location: headers.location || null,
+        types: type ? [type] : []
+      }
+    });
+
+    if (headers.location) {
+      await this.describe(remote.address, headers.location);
+    }
+  }
+
+  /**
+   * Merge a NetBIOS name registration heard on the broadcast listener
+   */
+  handleNetBIOSBroadcast(message, remote) {
+    const registration = parseRegistration(message);
+    if (!registration || registration.suffix !== 0x00 || registration.ip !== remote.address) return;
+
+    this.record(remote.address, 'netbios', registration.group
+      ? { workgroup: registration.name }
+      : { netbiosName: registration.name });
+  }
+
+  /**
+   * Fetch a UPnP device description and record its names and model
+   */
+  async describe(ip, location) {
+    let url;
+    try {
+      url = new URL(location);
+    } catch (error) {
+      return;
+    }
+
+    // Only follow descriptions served by the announcing device itself
+    if (url.protocol !== 'http:' || url.hostname !== ip) return;
+
+    const requestedAt = this.descriptions.get(location);
+    if (requestedAt && Date.now() - requestedAt < DESCRIPTION_TTL_MS) return;
+    this.descriptions.set(location, Date.now());
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(DESCRIPTION_TIMEOUT_MS) });
+      if (!response.ok) return;
+
+      const xml = (await response.text()).slice(0, MAX_DESCRIPTION_BYTES);
+      const modelName = readElement(xml, 'modelName');
+      const modelNumber = readElement(xml, 'modelNumber');
+
+      this.record(ip, 'ssdp', {
+        friendlyName: readElement(xml, 'friendlyName'),
+        manufacturer: readElement(xml, 'manufacturer'),
+        model: modelName && modelNumber && !modelName.includes(modelNumber)
+          ? `${modelName} ${modelNumber}`
+          : modelName || modelNumber
+      });
+    } catch (error) {
+      // Unreachable or slow description; the SSDP headers are still recorded
+    }
+  }
+
+  /**
+   * Merge what a source learned into a host record and announce any change
+   * @param {string} ip - Address of the announcing host
+   * @param {string} source - 'mdns', 'ssdp' or 'netbios'
+   * @param {Object} update - Fields to merge; null values leave the record alone
+   */
+  record(ip, source, update) {
+    const address = ip.replace(/^::ffff:/, '');
+    const now = new Date();
+
+    let host = this.hosts.get(address);
+    if (!host) {
+      if (this.hosts.size >= MAX_HOSTS) {
+        this.hosts.delete(this.hosts.keys().next().value);
+      }
+
+      host = {
+        ip: address,
+        mac: null,
+        hostname: null,
+        mdnsName: null,
+        netbiosName: null,
+        workgroup: null,
+        model: null,
+        manufacturer: null,
+        friendlyName: null,
+        serviceTypes: [],
+        services: [],
+        ssdp: null,
+        sources: [],
+        firstSeen: now,
+        lastSeen: now
+      };
+      this.hosts.set(address, host);
+    }
+
+    const before = JSON.stringify({ ...host, lastSeen: null });
+
+    for (const [key, value] of Object.entries(update)) {
+      if (value === null || value === undefined) continue;
+
+      if (key === 'serviceTypes') {
+        host.serviceTypes = [...new Set([...host.serviceTypes, ...value])].sort();
+      } else if (key === 'services') {
+        for (const service of value) {
+          const existing = host.services.find(entry => entry.type === service.type && entry.name === service.name);
+          if (existing) {
+            existing.port = service.port ?? existing.port;
+          } else {
+            host.services.push(service);
+          }
+        }
+      } else if (key === 'ssdp') {
+        host.ssdp = {
+          server: value.server || host.ssdp?.server || null,
+          location: value.location || host.ssdp?.location || null,
+          types: [...new Set([...(host.ssdp?.types || []), ...value.types])]
+        };
+      } else {
+        host[key] = value;
+      }
+    }
+
+    if (!host.sources.includes(source)) {
+      host.sources.push(source);
+    }
+    host.hostname = host.mdnsName ? host.mdnsName.replace(/\.local$/, '') : host.netbiosName;
+    host.lastSeen = now;
+
+    if (JSON.stringify({ ...host, lastSeen: null }) !== before) {
+      this.emit('announcement', { ...host });
+    }
+  }
+
+  /**
+   * Get what is known about an announcing host
+   */
+  getHost(ip) {
+    return this.hosts.get(ip) || null;
+  }
+
+  /**
+   * @returns {Object[]} All announcing hosts, most recently heard first
+   */
+  getHosts() {
+    return Array.from(this.hosts.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  clear() {
+    this.hosts.clear();
+    this.descriptions.clear();
+  }
+
+  localAddresses() {
+    return Object.values(os.networkInterfaces())
+      .flat()
+      .filter(address => address && address.family === 'IPv4' && !address.internal);
+  }
+
+  /**
+   * Directed broadcast address of each local IPv4 subnet
+   */
+  broadcastAddresses() {
+    const addresses = new Set();
+    for (const { address, netmask } of this.localAddresses()) {
+      const mask = ipv4ToBigInt(netmask);
+      addresses.add(bigIntToIPv4((ipv4ToBigInt(address) & mask) | (~mask & 0xffffffffn)));
+    }
+    return Array.from(addresses);
+  }
+}
@@ -2,27 +2,61 @@ import { EventEmitter } from 'events';
 import cron from 'node-cron';
 import { v4 as uuidv4 } from 'uuid';
 import LocalMetricsCollector from './LocalMetricsCollector.js';
+import { DeviceClassifier } from './DeviceClassifier.js';
+import { ipv4Subnet } from '../utils/IPRange.js';
+import { interfaceRates } from '../utils/InterfaceCounters.js';
+
+// How often a router's ARP cache is re-read over SNMP
+const ROUTER_ARP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Echo requests sent to each device per monitoring cycle for latency and loss
+const PING_COUNT = parseInt(process.env.PING_COUNT) || 3;
+const PING_TIMEOUT = parseInt(process.env.PING_TIMEOUT) || 2000;
+
+// Default minutes between PTR lookups for every device, so renames show up
+const HOSTNAME_REFRESH_MINUTES = 60;
+
+// Attached subnets larger than this prefix are narrowed to the block around our own address
+const LOCAL_SCAN_MIN_PREFIX = parseInt(process.env.LOCAL_SCAN_MIN_PREFIX) || 22;
 
 export class MonitoringService extends EventEmitter {
-  constructor({ dbManager, networkScanner, snmpCollector, alertManager, logger }) {
+  constructor({ dbManager, networkScanner, scanJobManager, discoveryScheduler, latencyProbeScheduler, pathMonitor, topologyManager, identityManager, hostnameResolver, snmpCollector, credentialVault, trapReceiver, alertManager, logger }) {
     super();
     this.dbManager = dbManager;
     this.networkScanner = networkScanner;
+    this.scanJobManager = scanJobManager;
+    this.discoveryScheduler = discoveryScheduler;
+    this.latencyProbeScheduler = latencyProbeScheduler;
+    this.pathMonitor = pathMonitor;
+    this.topologyManager = topologyManager;
+    this.identityManager = identityManager;
+    this.hostnameResolver = hostnameResolver;
     this.snmpCollector = snmpCollector;
+    this.credentialVault = credentialVault;
+    this.trapReceiver = trapReceiver;
     this.alertManager = alertManager;
     this.logger = logger;
     this.localMetricsCollector = new LocalMetricsCollector(logger);
+    this.deviceClassifier = new DeviceClassifier();
     
     this.isRunning = false;
     this.refreshInterval = 10; // seconds
     this.monitoringTimer = null;
+    this.hostnameTimer = null;
+    this.hostnameRefreshMinutes = HOSTNAME_REFRESH_MINUTES;
     this.cleanupTask = null;
     this.webSocketClients = new Set();
     
+    // Keyed by device ID; a device's IP may change over time
     this.currentDevices = new Map();
     this.lastScanTime = null;
     this.scanInProgress = false;
+    // A cycle pinging and polling many slow devices can outlast the refresh interval
+    this.cycleInProgress = false;
     this.hasLocalDevice = false;
+
+    // ip -> { isRouter, checkedAt } for SNMP ARP cache collection
+    this.routerChecks = new Map();
     
     // Thresholds (will be loaded from database)
     this.thresholds = {
@@ -45,6 +79,9 @@ export class MonitoringService extends EventEmitter {
       
       // Initialize local device if no devices exist
       await this.initializeLocalDevice();
+
+      // Devices stored before classification existed get a type and OS guess
+      await this.classifyUnclassifiedDevices();
       
       // Set up event listeners
       this.setupEventListeners();
@@ -94,12 +131,29 @@ export class MonitoringService extends EventEmitter {
           case 'disk_critical_threshold':
             this.thresholds.disk.critical = parseInt(config.value);
             break;
+          case 'dns_server':
+            this.hostnameResolver.configure({ dnsServer: config.value });
+            break;
+          case 'hostname_precedence':
+            try {
+              this.hostnameResolver.configure({ precedence: config.value });
+            } catch (error) {
+              this.logger.warn(`Ignoring hostname_precedence: ${error.message}`);
+            }
+            break;
+          case 'hostname_refresh_interval':
+            this.hostnameRefreshMinutes = parseInt(config.value) || HOSTNAME_REFRESH_MINUTES;
+            break;
+          case 'snmp_max_repetitions':
+            this.snmpCollector.configure({ maxRepetitions: config.value });
+            break;
         }
       }
       
       this.logger.info('Configuration loaded:', {
         refreshInterval: this.refreshInterval,
-        thresholds: this.thresholds
+        thresholds: this.thresholds,
+        hostnamePrecedence: this.hostnameResolver.precedence
       });
     } catch (error) {
       this.logger.error('Failed to load configuration:', error);
@@ -114,7 +168,7 @@ export class MonitoringService extends EventEmitter {
       const devices = await this.dbManager.getAllDevices();
       
       for (const device of devices) {
-        this.currentDevices.set(device.ip, {
+        this.currentDevices.set(device.id, {
           id: device.id,
           ip: device.ip,
           hostname: device.hostname,
@@ -122,6 +176,19 @@ export class MonitoringService extends EventEmitter {
           location: device.location,
           contact: device.contact,
           community: device.community,
+          mac: device.mac,
+          vendor: device.vendor,
+          hostnameSource: device.hostname_source,
+          model: device.model,
+          mdnsName: device.mdns_name,
+          netbiosName: device.netbios_name,
+          serviceTypes: device.service_types ? JSON.parse(device.service_types) : [],
+          ttl: device.ttl,
+          deviceType: device.device_type,
+          deviceTypeConfidence: device.device_type_confidence,
+          osFamily: device.os_family,
+          osFamilyConfidence: device.os_family_confidence,
+          classificationReasons: device.classification_reasons ? JSON.parse(device.classification_reasons) : [],
           status: 'unknown', // Will be updated on next scan
           lastSeen: new Date(device.last_seen),
           firstSeen: new Date(device.first_seen),
@@ -165,7 +232,7 @@ export class MonitoringService extends EventEmitter {
       });
 
       // Add to current devices
-      this.currentDevices.set(localDevice.ip, {
+      this.currentDevices.set(localDevice.id, {
         ...localDevice,
         status: 'online',
         lastSeen: new Date(),
@@ -198,22 +265,143 @@ export class MonitoringService extends EventEmitter {
       this.broadcastToClients('hostDiscovered', hostInfo);
     });
 
-    this.networkScanner.on('scanCompleted', async (data) => {
+    this.networkScanner.on('scanCompleted', (data) => {
       this.scanInProgress = false;
       this.lastScanTime = new Date();
-      
-      // Save scan history
-      await this.dbManager.saveScanHistory({
-        scan_range: data.scanRange || 'unknown',
-        total_ips: data.totalScanned,
-        discovered_hosts: data.totalFound,
-        duration_ms: Date.now() - this.lastScanTime.getTime(),
-        started_at: this.lastScanTime.toISOString()
-      });
-      
       this.broadcastToClients('scanCompleted', data);
     });
 
+    this.networkScanner.on('scanStopped', (data) => {
+      this.scanInProgress = false;
+      this.broadcastToClients('scanStopped', data);
+    });
+
+    this.networkScanner.on('scanError', (data) => {
+      this.scanInProgress = false;
+      this.broadcastToClients('scanError', data);
+    });
+
+    // Names and models announced over mDNS, SSDP or NetBIOS, whether or not a scan is running
+    this.networkScanner.on('announcement', async (host) => {
+      this.broadcastToClients('hostAnnounced', host);
+
+      const device = this.getDeviceByIP(host.ip);
+      if (device && !device.isLocal) {
+        try {
+          const updated = await this.applyAnnouncement(device.id, host);
+          this.broadcastToClients('deviceUpdated', updated);
+        } catch (error) {
+          this.logger.error(`Failed to apply announcement from ${host.ip}:`, error);
+        }
+      }
+    });
+
+    // Scan job lifecycle events (scan history is persisted by the job manager)
+    for (const event of ['jobQueued', 'jobStarted', 'jobCompleted', 'jobCancelled', 'jobFailed']) {
+      this.scanJobManager.on(event, (job) => {
+        this.broadcastToClients('scanJobUpdate', { event, job });
+      });
+    }
+
+    // Raise alerts for hosts that appeared, vanished or changed ports between scans
+    this.scanJobManager.on('scanDiff', async ({ job, diff }) => {
+      await this.handleScanDiff(job, diff);
+    });
+
+    this.scanJobManager.on('windowChanged', (data) => {
+      this.broadcastToClients('scanWindowChanged', data);
+    });
+
+    this.credentialVault.on('profileChanged', (data) => {
+      this.broadcastToClients('credentialProfileChanged', data);
+    });
+
+    // Device identity changes keep the cache in step with the database
+    this.identityManager.on('deviceMoved', async ({ deviceId, previousIp, ip }) => {
+      try {
+        const device = await this.refreshCachedDevice(deviceId);
+        this.broadcastToClients('deviceMoved', { device, previousIp, ip });
+      } catch (error) {
+        this.logger.error(`Failed to refresh device ${deviceId} after it moved to ${ip}:`, error);
+      }
+    });
+
+    this.identityManager.on('devicesMerged', async ({ device, mergedIds }) => {
+      try {
+        for (const id of mergedIds) {
+          this.currentDevices.delete(id);
+          this.hostnameResolver.forget(id);
+        }
+        const merged = await this.refreshCachedDevice(device.id);
+        this.broadcastToClients('devicesMerged', { device: merged, mergedIds });
+      } catch (error) {
+        this.logger.error(`Failed to refresh device ${device.id} after merging ${mergedIds.join(', ')}:`, error);
+      }
+    });
+
+    this.identityManager.on('deviceSplit', async ({ device, created }) => {
+      try {
+        await this.refreshCachedDevice(device.id);
+        await this.refreshCachedDevice(created.id);
+        this.broadcastToClients('deviceSplit', { device, created });
+      } catch (error) {
+        this.logger.error(`Failed to refresh devices ${device.id} and ${created.id} after a split:`, error);
+      }
+    });
+
+    // Discovery schedule events
+    this.discoveryScheduler.on('scheduleRun', ({ schedule, job, trigger }) => {
+      this.broadcastToClients('discoveryScheduleRun', { schedule, job, trigger });
+    });
+
+    this.discoveryScheduler.on('scheduleSkipped', (data) => {
+      this.broadcastToClients('discoveryScheduleSkipped', data);
+    });
+
+    this.discoveryScheduler.on('scheduleChanged', (data) => {
+      this.broadcastToClients('discoveryScheduleChanged', data);
+    });
+
+    // Latency probe events
+    this.latencyProbeScheduler.on('sample', (data) => {
+      this.broadcastToClients('latencySample', data);
+    });
+
+    this.latencyProbeScheduler.on('targetChanged', (data) => {
+      this.broadcastToClients('latencyTargetChanged', data);
+    });
+
+    // Path monitoring events
+    this.pathMonitor.on('trace', (data) => {
+      this.broadcastToClients('pathTrace', data);
+    });
+
+    this.pathMonitor.on('pathChanged', async (data) => {
+      await this.handlePathChange(data);
+    });
+
+    this.pathMonitor.on('targetChanged', (data) => {
+      this.broadcastToClients('pathTargetChanged', data);
+    });
+
+    // Topology events
+    this.topologyManager.on('topologyUpdated', (data) => {
+      this.broadcastToClients('topologyUpdated', data);
+    });
+
+    this.topologyManager.on('manualLinkChanged', (data) => {
+      this.broadcastToClients('topologyLinkChanged', data);
+    });
+
+    // SNMP traps: a live feed, and alerts for the standard ones
+    this.trapReceiver.on('trap', async ({ trap, device }) => {
+      this.broadcastToClients('snmpTrap', trap);
+      await this.handleTrap(trap, device);
+    });
+
+    // Discovered hosts become devices as each job finishes
+    this.scanJobManager.setHostProcessor((host) => this.processDiscoveredHost(host));
+
     // Alert manager events
     this.alertManager.on('alertCreated', (alert) => {
       this.broadcastToClients('alertCreated', alert);
@@ -240,6 +428,22 @@ export class MonitoringService extends EventEmitter {
       await this.performMonitoringCycle();
     }, this.refreshInterval * 1000);
     
+    // Latency and path targets run on their own intervals alongside the monitoring cycle
+    this.latencyProbeScheduler.start();
+    this.pathMonitor.start();
+
+    // Names of devices discovered before the last restart may have changed meanwhile
+    this.scheduleHostnameRefresh();
+    this.refreshHostnames();
+
+    // Another daemon holding a port only disables that source
+    const listeners = await this.networkScanner.startListening();
+    for (const { source, listening, error } of listeners) {
+      if (!listening) {
+        this.logger.warn(`Passive ${source} discovery unavailable: ${error}`);
+      }
+    }
+
     // Perform initial monitoring cycle
     await this.performMonitoringCycle();
     
@@ -261,6 +465,15 @@ export class MonitoringService extends EventEmitter {
       clearInterval(this.monitoringTimer);
       this.monitoringTimer = null;
     }
+
+    this.latencyProbeScheduler.stop();
+    this.pathMonitor.stop();
+    this.networkScanner.stopListening();
+
+    if (this.hostnameTimer) {
+      clearInterval(this.hostnameTimer);
+      this.hostnameTimer = null;
+    }
     
     if (this.cleanupTask) {
       this.cleanupTask.stop();
@@ -283,6 +496,12 @@ export class MonitoringService extends EventEmitter {
       return;
     }
 
+    if (this.cycleInProgress) {
+      this.logger.debug('Skipping monitoring cycle - previous cycle still running');
+      return;
+    }
+
+    this.cycleInProgress = true;
     try {
       this.logger.debug('Starting monitoring cycle');
       const startTime = Date.now();
@@ -323,6 +542,8 @@ export class MonitoringService extends EventEmitter {
       
     } catch (error) {
       this.logger.error('Error in monitoring cycle:', error);
+    } finally {
+      this.cycleInProgress = false;
     }
   }
 
@@ -331,6 +552,9 @@ export class MonitoringService extends EventEmitter {
    */
   async monitorDevice(device) {
     try {
+      // Reachability is measured first so it is recorded even when SNMP fails
+      const latency = await this.measureLatency(device);
+
       let metrics;
       
       // Use local metrics collector for localhost device
@@ -338,7 +562,7 @@ export class MonitoringService extends EventEmitter {
         metrics = await this.collectLocalMetrics(device);
       } else {
         // Collect SNMP metrics for remote devices
-        metrics = await this.snmpCollector.collectAllMetrics(device.ip, device.community);
+        metrics = await this.snmpCollector.collectAllMetrics(device.ip, await this.snmpCredentials(device));
       }
       
       if (metrics.system) {
@@ -346,14 +570,31 @@ export class MonitoringService extends EventEmitter {
         await this.dbManager.saveDevice({
           id: device.id,
           ip: device.ip,
-          hostname: metrics.system.hostname || device.hostname,
+          hostname: device.hostname,
           description: metrics.system.description || device.description,
           location: metrics.system.location || device.location,
           contact: metrics.system.contact || device.contact,
           community: device.community,
-          status: 'online'
+          status: 'online',
+          mac: device.mac,
+          vendor: device.vendor
         });
 
+        // The local machine's own hostname plays the part of sysName
+        await this.updateHostname(device, {
+          snmp: device.isLocal ? metrics.system.hostname : metrics.system.sysName
+        }, { lookup: false });
+
+        if (!device.isLocal) {
+          await this.collectRouterNeighbors(device);
+          await this.collectTopology(device);
+        }
+
+        // A new sysDescr (e.g. after a firmware upgrade) may change the guess
+        if (metrics.system.description && metrics.system.description !== device.description) {
+          await this.classifyDevice(device.id);
+        }
+
         // Save system information
         await this.dbManager.saveSystemInfo(device.id, {
           uptime: metrics.system.uptime,
@@ -413,9 +654,9 @@ export class MonitoringService extends EventEmitter {
         await this.dbManager.saveMetrics(device.id, metricsToSave);
       }
 
-      // Save network interfaces
+      // Save network interfaces, with traffic rates since the last cycle
       if (metrics.network && metrics.network.length > 0) {
-        await this.dbManager.saveNetworkInterfaces(device.id, metrics.network);
+        await this.saveInterfaceCounters(device, metrics.network);
       }
 
       // Check thresholds and create alerts
@@ -428,20 +669,22 @@ export class MonitoringService extends EventEmitter {
       const result = {
         id: device.id,
         ip: device.ip,
-        hostname: metrics.system?.hostname || device.hostname,
+        hostname: this.currentDevices.get(device.id)?.hostname || device.hostname,
         status: 'online',
         cpu: metrics.cpu?.usage || 0,
         memory: metrics.memory?.usage || 0,
         disk: metrics.disk?.usage || 0,
         uptime: metrics.system?.uptime || 0,
+        latency: latency?.avg ?? null,
+        packetLoss: latency?.packetLoss ?? null,
         lastSeen: new Date(),
         community: device.community,
         errors: metrics.errors || []
       };
 
-      // Update local cache
-      this.currentDevices.set(device.ip, {
-        ...device,
+      // Update local cache, keeping fields refreshed during this cycle (hostname, classification)
+      this.currentDevices.set(device.id, {
+        ...(this.currentDevices.get(device.id) || device),
         ...result
       });
 
@@ -453,6 +696,136 @@ export class MonitoringService extends EventEmitter {
     }
   }
 
+  /**
+   * Turn interface counters into rates against the readings stored last
+   * cycle, record the rates and keep the new readings for the next cycle
+   */
+  async saveInterfaceCounters(device, interfaces) {
+    const previous = new Map(
+      (await this.dbManager.getNetworkInterfaces(device.id)).map(row => [row.interface_index, row])
+    );
+
+    const withRates = interfaces.map(iface => ({
+      ...iface,
+      rates: interfaceRates(previous.get(iface.index), iface)
+    }));
+
+    await this.dbManager.saveNetworkInterfaces(device.id, withRates);
+
+    const samples = withRates
+      .filter(iface => iface.rates)
+      .map(iface => ({ index: iface.index, ...iface.rates }));
+    if (samples.length > 0) {
+      await this.dbManager.saveInterfaceMetrics(device.id, samples);
+    }
+  }
+
+  /**
+   * A device's interfaces with their latest rates
+   * @returns {Promise<Object[]>} Interfaces with { index, name, speed, status, inBps, outBps,
+   *   inUtilization, outUtilization, totals, updatedAt }
+   */
+  async getInterfaces(deviceId) {
+    const rows = await this.dbManager.getNetworkInterfaces(deviceId);
+
+    return rows.map(row => ({
+      index: row.interface_index,
+      name: row.name,
+      description: row.description,
+      type: row.type,
+      speed: row.speed,
+      adminStatus: row.admin_status,
+      operStatus: row.oper_status,
+      status: row.oper_status === 1 ? 'up' : 'down',
+      hcCounters: Boolean(row.hc_counters),
+      inBps: row.in_bps,
+      outBps: row.out_bps,
+      inUtilization: row.in_utilization,
+      outUtilization: row.out_utilization,
+      totals: {
+        inErrors: row.in_errors,
+        outErrors: row.out_errors,
+        inDiscards: row.in_discards,
+        outDiscards: row.out_discards
+      },
+      updatedAt: row.timestamp
+    }));
+  }
+
+  /**
+   * An interface's rates over time, bucketed to at most `points` entries
+   * @returns {Promise<Object>} { series, summary } with average and peak bit rates and total errors
+   */
+  async getInterfaceSeries(deviceId, interfaceIndex, { hours = 24, points = 200 } = {}) {
+    const bucketSeconds = Math.max(1, Math.ceil((hours * 60 * 60) / points));
+    const rows = await this.dbManager.getInterfaceMetrics(deviceId, interfaceIndex, hours, bucketSeconds);
+    const round = (value, places = 1) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+    const series = rows.map(row => ({
+      timestamp: new Date(row.timestamp.replace(' ', 'T') + 'Z'),
+      inBps: round(row.in_bps),
+      outBps: round(row.out_bps),
+      inBpsMax: round(row.in_bps_max),
+      outBpsMax: round(row.out_bps_max),
+      inUtilization: round(row.in_utilization, 2),
+      outUtilization: round(row.out_utilization, 2),
+      inUcastPps: round(row.in_ucast_pps, 2),
+      outUcastPps: round(row.out_ucast_pps, 2),
+      inBroadcastPps: round(row.in_broadcast_pps, 2),
+      outBroadcastPps: round(row.out_broadcast_pps, 2),
+      inErrors: row.in_errors,
+      outErrors: row.out_errors,
+      inDiscards: row.in_discards,
+      outDiscards: row.out_discards
+    }));
+
+    const average = (field) => {
+      const values = rows.filter(row => row[field] !== null);
+      const samples = values.reduce((sum, row) => sum + row.samples, 0);
+      return samples > 0 ? round(values.reduce((sum, row) => sum + row[field] * row.samples, 0) / samples) : null;
+    };
+    const peak = (field) => {
+      const values = series.map(point => point[field]).filter(value => value !== null);
+      return values.length > 0 ? Math.max(...values) : null;
+    };
+    const total = (field) => series.reduce((sum, point) => sum + (point[field] || 0), 0);
+
+    return {
+      series,
+      summary: {
+        inBps: average('in_bps'),
+        outBps: average('out_bps'),
+        inBpsMax: peak('inBpsMax'),
+        outBpsMax: peak('outBpsMax'),
+        inErrors: total('inErrors'),
+        outErrors: total('outErrors'),
+        inDiscards: total('inDiscards'),
+        outDiscards: total('outDiscards')
+      }
+    };
+  }
+
+  /**
+   * Ping a device and record round-trip time and packet loss
+   * @returns {Promise<Object|null>} Ping statistics, or null if the probe failed
+   */
+  async measureLatency(device) {
+    try {
+      const result = await this.networkScanner.pingHost(device.ip, PING_TIMEOUT, { count: PING_COUNT });
+
+      const metrics = [{ type: 'packet_loss', value: result.packetLoss, unit: 'percent' }];
+      if (result.alive) {
+        metrics.push({ type: 'latency_ms', value: result.avg, unit: 'ms' });
+      }
+      await this.dbManager.saveMetrics(device.id, metrics);
+
+      return result;
+    } catch (error) {
+      this.logger.warn(`Failed to measure latency for ${device.ip}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Collect metrics from local system
    */
@@ -575,128 +948,618 @@ export class MonitoringService extends EventEmitter {
     await this.dbManager.updateDeviceStatus(deviceId, status);
     
     // Update local cache
-    for (const [ip, device] of this.currentDevices) {
-      if (device.id === deviceId) {
-        device.status = status;
-        device.lastSeen = new Date();
-        break;
-      }
+    const device = this.currentDevices.get(deviceId);
+    if (device) {
+      device.status = status;
+      device.lastSeen = new Date();
     }
   }
 
   /**
    * Scan network for new devices
+   * Queues a scan job; discovered hosts are processed when the job finishes.
+   * @returns {Promise<Object>} The queued scan job
    */
   async scanNetwork(range, options = {}) {
     try {
-      this.logger.info(`Starting network scan for range: ${range}`);
-      
-      const discoveredHosts = await this.networkScanner.scanRange(range, options);
-      
-      // Process discovered hosts
-      for (const host of discoveredHosts) {
-        await this.processDiscoveredHost(host);
-      }
-      
-      this.logger.info(`Network scan completed. Found ${discoveredHosts.length} hosts`);
-      return discoveredHosts;
-      
+      this.logger.info(`Queueing network scan for range: ${range}`);
+      return await this.scanJobManager.enqueue(range, options);
     } catch (error) {
-      this.logger.error('Network scan failed:', error);
+      this.logger.error('Failed to queue network scan:', error);
       throw error;
     }
   }
 
+  /**
+   * Find the IPv4 subnets this machine is attached to, for one-click scans.
+   * Loopback, link-local and host-only (/31, /32) addresses are skipped.
+   * @returns {Promise<Object[]>} { interface, address, subnet, range, hosts, limited }
+   */
+  async getLocalSubnets() {
+    const interfaces = await this.localMetricsCollector.getNetworkInterfaces();
+    const subnets = new Map();
+
+    for (const [name, addresses] of Object.entries(interfaces)) {
+      for (const address of addresses) {
+        if (address.internal || address.family !== 'IPv4' || address.address.startsWith('169.254.')) {
+          continue;
+        }
+
+        const subnet = ipv4Subnet(address.address, address.netmask);
+        if (subnet.prefix > 30 || subnets.has(subnet.cidr)) {
+          continue;
+        }
+
+        // Sweeping a whole /16 takes hours; the hosts we care about are usually near us
+        const limited = subnet.prefix < LOCAL_SCAN_MIN_PREFIX;
+        const scanned = limited ? ipv4Subnet(address.address, LOCAL_SCAN_MIN_PREFIX) : subnet;
+
+        subnets.set(subnet.cidr, {
+          interface: name,
+          address: address.address,
+          subnet: subnet.cidr,
+          range: scanned.cidr,
+          hosts: scanned.hosts,
+          limited
+        });
+      }
+    }
+
+    return [...subnets.values()];
+  }
+
   /**
    * Process a newly discovered host
    */
   async processDiscoveredHost(host) {
     try {
-      // Check if device already exists
-      let existingDevice = await this.dbManager.getDeviceByIP(host.ip);
+      // Fall back to MACs learned from router ARP caches for hosts behind a router
+      const hardware = host.mac
+        ? { mac: host.mac, vendor: host.vendor }
+        : this.networkScanner.resolveHardware(host.ip);
+
+      // Cheap evidence first; SNMP is only queried for hosts that are not recognised
+      let match = await this.identityManager.resolve({ ip: host.ip, mac: hardware.mac });
+      let snmp = null;
+
+      // Discovery's UDP probe already knows whether an agent answers, and to which profile's community
+      if (!match && host.snmp !== null) {
+        const candidates = await this.credentialVault.getDiscoveryCredentials();
+        const answered = candidates.filter(({ profileId }) => host.snmp?.profileId && profileId === host.snmp.profileId);
+        snmp = await this.probeSNMP(host.ip, answered.length > 0 ? answered : candidates);
+        if (snmp) {
+          match = await this.identityManager.resolve({
+            ip: host.ip,
+            mac: hardware.mac,
+            sysName: snmp.systemInfo.sysName,
+            sysObjectId: snmp.systemInfo.objectId,
+            hostname: snmp.systemInfo.hostname
+          });
+        }
+      }
       
-      if (!existingDevice) {
+      let deviceId;
+
+      if (!match) {
         // Create new device
-        const deviceId = uuidv4();
-        
-        // Try to get system information via SNMP
-        let systemInfo = null;
-        const communities = ['public', 'private', 'monitoring'];
+        deviceId = uuidv4();
         
-        for (const community of communities) {
-          try {
-            systemInfo = await this.snmpCollector.collectSystemInfo(host.ip, community);
-            
-            // Save device with SNMP info
-            await this.dbManager.saveDevice({
-              id: deviceId,
-              ip: host.ip,
-              hostname: systemInfo.hostname,
-              description: systemInfo.description,
-              location: systemInfo.location,
-              contact: systemInfo.contact,
-              community: community,
-              status: 'online'
-            });
-            
-            // Add to local cache
-            this.currentDevices.set(host.ip, {
-              id: deviceId,
-              ip: host.ip,
-              hostname: systemInfo.hostname,
-              description: systemInfo.description,
-              location: systemInfo.location,
-              contact: systemInfo.contact,
-              community: community,
-              status: 'online',
-              lastSeen: new Date(),
-              firstSeen: new Date()
-            });
-            
-            this.logger.info(`New device discovered: ${host.ip} (${systemInfo.hostname})`);
-            break;
-            
-          } catch (error) {
-            // Try next community string
-            continue;
-          }
-        }
-        
-        // If SNMP failed, save basic device info
-        if (!systemInfo) {
+        if (snmp) {
+          const { systemInfo, profileId } = snmp;
+
+          // Save device with SNMP info
+          await this.dbManager.saveDevice({
+            id: deviceId,
+            ip: host.ip,
+            hostname: systemInfo.hostname,
+            description: systemInfo.description,
+            location: systemInfo.location,
+            contact: systemInfo.contact,
+            status: 'online',
+            mac: hardware.mac,
+            vendor: hardware.vendor,
+            sys_name: systemInfo.sysName,
+            sys_object_id: systemInfo.objectId
+          });
+          await this.credentialVault.assignProfile(deviceId, 'snmp', profileId);
+          
+          // Add to local cache
+          this.currentDevices.set(deviceId, {
+            id: deviceId,
+            ip: host.ip,
+            hostname: systemInfo.hostname,
+            description: systemInfo.description,
+            location: systemInfo.location,
+            contact: systemInfo.contact,
+            status: 'online',
+            mac: hardware.mac,
+            vendor: hardware.vendor,
+            lastSeen: new Date(),
+            firstSeen: new Date()
+          });
+          
+          this.logger.info(`New device discovered: ${host.ip} (${systemInfo.hostname})`);
+        } else {
+          // If SNMP failed, save basic device info
           await this.dbManager.saveDevice({
             id: deviceId,
             ip: host.ip,
             hostname: host.ip,
             description: 'Discovered device',
-            community: 'public',
-            status: 'online'
+            status: 'online',
+            mac: hardware.mac,
+            vendor: hardware.vendor
           });
           
-          this.currentDevices.set(host.ip, {
+          this.currentDevices.set(deviceId, {
             id: deviceId,
             ip: host.ip,
             hostname: host.ip,
             description: 'Discovered device',
-            community: 'public',
             status: 'online',
+            mac: hardware.mac,
+            vendor: hardware.vendor,
             lastSeen: new Date(),
             firstSeen: new Date()
           });
           
           this.logger.info(`New device discovered (no SNMP): ${host.ip}`);
         }
+
+        await this.dbManager.recordDeviceAddress(deviceId, host.ip, hardware.mac, 'scan');
       } else {
+        const { device, matchedBy } = match;
+        deviceId = device.id;
+
+        // Follow the device to its new address, keeping its history
+        await this.identityManager.recordSighting(device, { ip: host.ip, mac: hardware.mac, source: matchedBy });
+
+        if (snmp) {
+          await this.dbManager.updateDeviceIdentity(device.id, {
+            sysName: snmp.systemInfo.sysName,
+            sysObjectId: snmp.systemInfo.objectId
+          });
+
+          // Credentials chosen by hand are kept; devices without any get the ones that answered
+          if (!device.snmp_profile_id) {
+            await this.credentialVault.assignProfile(device.id, 'snmp', snmp.profileId);
+          }
+        }
+
         // Update existing device status
-        await this.updateDeviceStatus(existingDevice.id, 'online');
-        this.logger.debug(`Updated existing device: ${host.ip}`);
+        await this.updateDeviceStatus(device.id, 'online');
+        await this.updateDeviceHardware({ ...device, ip: host.ip }, hardware);
+        this.logger.debug(`Updated existing device: ${host.ip} (matched by ${matchedBy})`);
+      }
+
+      if (host.announced) {
+        await this.applyAnnouncement(deviceId, host.announced);
+      }
+      await this.updateHostname({ id: deviceId, ip: host.ip }, { snmp: snmp?.systemInfo.sysName });
+
+      if (host.ports?.length > 0) {
+        await this.dbManager.saveDeviceServices(deviceId, host.ports.filter(port => port.status === 'open'));
       }
+      if (host.udpPorts?.length > 0) {
+        await this.dbManager.saveDeviceServices(deviceId, host.udpPorts, 'udp');
+      }
+
+      await this.classifyDevice(deviceId, { ttl: host.ttl });
       
     } catch (error) {
       this.logger.error(`Failed to process discovered host ${host.ip}:`, error);
     }
   }
 
+  /**
+   * Store what a device announced about itself and refresh its cached copy
+   * @param {string} deviceId - Device ID
+   * @param {Object} announced - Host record from local discovery
+   * @returns {Promise<Object|null>} The refreshed device
+   */
+  async applyAnnouncement(deviceId, announced) {
+    await this.dbManager.updateDeviceAnnouncement(deviceId, announced);
+    await this.updateHostname({ id: deviceId, ip: announced.ip }, {
+      mdns: announced.mdnsName,
+      netbios: announced.netbiosName
+    }, { lookup: false });
+    return this.classifyDevice(deviceId);
+  }
+
+  /**
+   * Guess a device's type and OS family from everything stored about it
+   * @param {string} deviceId - Device ID
+   * @param {Object} observed - { ttl } of the latest ping reply, if there was one
+   * @returns {Promise<Object|null>} The refreshed device, or null if it is gone
+   */
+  async classifyDevice(deviceId, { ttl } = {}) {
+    const row = await this.dbManager.getDevice(deviceId);
+    if (!row) {
+      return null;
+    }
+
+    const services = await this.dbManager.getDeviceServices(deviceId);
+    const classification = this.deviceClassifier.classify({
+      ttl: ttl || row.ttl,
+      ports: services.map(service => ({
+        protocol: service.protocol,
+        port: service.port,
+        product: service.product,
+        banner: service.banner,
+        http: service.details ? JSON.parse(service.details).http : null
+      })),
+      sysObjectId: row.sys_object_id,
+      sysDescr: row.description,
+      vendor: row.vendor,
+      model: row.model,
+      serviceTypes: row.service_types ? JSON.parse(row.service_types) : [],
+      netbiosName: row.netbios_name
+    });
+
+    await this.dbManager.updateDeviceClassification(deviceId, { ttl, ...classification });
+
+    if (classification.type !== row.device_type || classification.os !== row.os_family) {
+      this.logger.debug(`Classified ${row.ip} as ${classification.type || 'unknown'} (${classification.typeConfidence}%), OS ${classification.os || 'unknown'} (${classification.osConfidence}%)`);
+    }
+
+    return this.refreshCachedDevice(deviceId);
+  }
+
+  /**
+   * Classify every device that has never been classified
+   */
+  async classifyUnclassifiedDevices() {
+    const devices = (await this.dbManager.getAllDevices()).filter(device => !device.classification_reasons);
+    for (const device of devices) {
+      try {
+        await this.classifyDevice(device.id);
+      } catch (error) {
+        this.logger.error(`Failed to classify device ${device.ip}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Record names reported for a device and re-pick its hostname by source precedence
+   * @param {Object} device - { id, ip }
+   * @param {Object} names - Names keyed by source ('snmp', 'mdns', 'netbios', 'manual')
+   * @param {Object} options - { lookup } to also look up the PTR record
+   */
+  async updateHostname(device, names = {}, options = {}) {
+    const result = await this.hostnameResolver.resolve(device, names, options);
+    if (result?.changed) {
+      await this.announceHostnameChange(device.id, result);
+    }
+    return result;
+  }
+
+  async announceHostnameChange(deviceId, { hostname, source, previous }) {
+    await this.refreshCachedDevice(deviceId);
+    this.logger.info(`Hostname of device ${deviceId} is now ${hostname} (from ${source}, was ${previous})`);
+    this.broadcastToClients('hostnameChanged', { deviceId, hostname, source, previous });
+  }
+
+  /**
+   * (Re)start the periodic PTR refresh at the configured interval
+   */
+  scheduleHostnameRefresh() {
+    if (this.hostnameTimer) {
+      clearInterval(this.hostnameTimer);
+    }
+
+    this.hostnameTimer = setInterval(async () => {
+      await this.refreshHostnames();
+    }, this.hostnameRefreshMinutes * 60 * 1000);
+  }
+
+  /**
+   * Look up every remote device's PTR record again and apply any renames
+   * @returns {Promise<Object[]>} The hostname changes
+   */
+  async refreshHostnames() {
+    try {
+      const devices = this.getDevices().filter(device => !device.isLocal);
+      const changes = await this.hostnameResolver.refreshAll(devices);
+
+      for (const change of changes) {
+        await this.announceHostnameChange(change.device.id, change);
+      }
+
+      this.logger.debug(`Hostname refresh checked ${devices.length} devices, ${changes.length} renamed`);
+      return changes;
+    } catch (error) {
+      this.logger.error('Failed to refresh hostnames:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Try credentials against a host, in discovery order
+   * @param {string} ip - Host address
+   * @param {Object[]} candidates - [{ profileId, credentials }] from the credential vault
+   * @returns {Promise<Object|null>} { systemInfo, profileId }, or null if SNMP does not answer
+   */
+  async probeSNMP(ip, candidates) {
+    for (const { profileId, credentials } of candidates) {
+      try {
+        const systemInfo = await this.snmpCollector.collectSystemInfo(ip, credentials);
+        return { systemInfo, profileId };
+      } catch (error) {
+        // Try next credentials
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a newly resolved MAC address and vendor if they differ from what is known
+   * @param {Object} device - Device row or cached device
+   * @param {Object} hardware - { mac, vendor }
+   */
+  async updateDeviceHardware(device, hardware) {
+    if (!hardware.mac || (hardware.mac === device.mac && hardware.vendor === device.vendor)) {
+      return;
+    }
+
+    // Keep a known vendor when the MAC is unchanged but the lookup came back empty
+    const vendor = hardware.vendor || (hardware.mac === device.mac ? device.vendor : null);
+
+    await this.dbManager.updateDeviceHardware(device.id, { mac: hardware.mac, vendor });
+
+    const cached = this.currentDevices.get(device.id);
+    if (cached) {
+      cached.mac = hardware.mac;
+      cached.vendor = vendor;
+    }
+
+    this.logger.debug(`Hardware address for ${device.ip}: ${hardware.mac} (${vendor || 'unknown vendor'})`);
+  }
+
+  /**
+   * Read the ARP cache of an SNMP-managed router so hosts on routed subnets
+   * also get MAC addresses and vendors
+   * @param {Object} device - Monitored device
+   */
+  async collectRouterNeighbors(device) {
+    const previous = this.routerChecks.get(device.ip);
+    if (previous && Date.now() - previous.checkedAt < ROUTER_ARP_INTERVAL_MS) {
+      return;
+    }
+
+    const credentials = await this.snmpCredentials(device);
+    const isRouter = await this.snmpCollector.isRouter(device.ip, credentials);
+    this.routerChecks.set(device.ip, { isRouter, checkedAt: Date.now() });
+    if (!isRouter) {
+      return;
+    }
+
+    try {
+      const entries = await this.snmpCollector.collectARPTable(device.ip, credentials);
+      const learned = this.networkScanner.learnNeighbors(entries, 'snmp');
+
+      for (const neighbor of learned) {
+        const known = this.getDeviceByIP(neighbor.ip);
+        if (known && !known.isLocal) {
+          await this.updateDeviceHardware(known, this.networkScanner.resolveHardware(neighbor.ip));
+        }
+      }
+
+      this.logger.debug(`Learned ${learned.length} ARP entries from router ${device.ip}`);
+    } catch (error) {
+      this.logger.warn(`Failed to read ARP cache from router ${device.ip}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Credentials to poll a device with, from its SNMP credential profile
+   * @param {Object} device - Monitored device
+   * @returns {Promise<string|Object>} Community string or SNMPCollector credentials
+   */
+  async snmpCredentials(device) {
+    return this.credentialVault.snmpCredentials(device);
+  }
+
+  /**
+   * Walk a device's LLDP/CDP neighbours and forwarding table; TopologyManager
+   * limits how often each device is walked
+   * @param {Object} device - Monitored device
+   */
+  async collectTopology(device) {
+    try {
+      await this.topologyManager.refreshDevice(device);
+    } catch (error) {
+      this.logger.warn(error.message);
+    }
+  }
+
+  /**
+   * Collect topology from every SNMP-managed device now
+   * @returns {Promise<Object>} { devices, lldp, cdp, fdb, failed }
+   */
+  async refreshTopology() {
+    const totals = { devices: 0, lldp: 0, cdp: 0, fdb: 0, failed: [] };
+
+    for (const device of this.currentDevices.values()) {
+      if (device.isLocal || device.status !== 'online') continue;
+
+      // Hosts that never answered SNMP would only time out
+      const row = await this.dbManager.getDevice(device.id);
+      if (!row || !row.sys_object_id) continue;
+
+      try {
+        const summary = await this.topologyManager.refreshDevice(device, { force: true });
+        totals.devices++;
+        totals.lldp += summary.lldp;
+        totals.cdp += summary.cdp;
+        totals.fdb += summary.fdb;
+      } catch (error) {
+        totals.failed.push({ deviceId: device.id, ip: device.ip, error: error.message });
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Create alerts from the differences between two scans of the same range
+   */
+  async handleScanDiff(job, diff) {
+    try {
+      const describePorts = (ports) => ports
+        .map(port => port.service ? `${port.port}/${port.service}` : `${port.port}`)
+        .join(', ');
+
+      for (const host of diff.newHosts) {
+        const device = await this.dbManager.getDeviceByIP(host.ip);
+        if (!device) continue;
+
+        // A host that came back is no longer missing
+        await this.alertManager.autoResolveAlerts(device.id, 'device_vanished');
+
+        await this.alertManager.createAlert({
+          deviceId: device.id,
+          deviceIp: host.ip,
+          type: 'new_device',
+          severity: 'warning',
+          message: `New host ${device.hostname || host.ip} appeared on ${diff.range}`,
+          metadata: { jobId: job.id, baseJobId: diff.baseJobId }
+        });
+      }
+
+      for (const host of diff.vanishedHosts) {
+        const device = await this.dbManager.getDeviceByIP(host.ip);
+        if (!device) continue;
+
+        await this.alertManager.createAlert({
+          deviceId: device.id,
+          deviceIp: host.ip,
+          type: 'device_vanished',
+          severity: 'warning',
+          message: `Host ${device.hostname || host.ip} no longer responds on ${diff.range}`,
+          metadata: { jobId: job.id, baseJobId: diff.baseJobId }
+        });
+      }
+
+      for (const change of diff.changedHosts) {
+        const device = await this.dbManager.getDeviceByIP(change.ip);
+        if (!device) continue;
+
+        const details = [
+          change.openedPorts.length > 0 ? `opened ${describePorts(change.openedPorts)}` : null,
+          change.closedPorts.length > 0 ? `closed ${describePorts(change.closedPorts)}` : null
+        ].filter(Boolean).join('; ');
+
+        // Each different change is its own alert rather than a repeat of the first
+        await this.alertManager.createAlert({
+          deviceId: device.id,
+          deviceIp: change.ip,
+          type: 'port_change',
+          severity: 'warning',
+          message: `Open ports changed on ${device.hostname || change.ip}: ${details}`,
+          metadata: { jobId: job.id, baseJobId: diff.baseJobId, dedupKey: details, ...change }
+        });
+      }
+
+      this.logger.info(`Scan job ${job.id} diff: ${diff.newHosts.length} new, ${diff.vanishedHosts.length} vanished, ${diff.changedHosts.length} changed`);
+      this.broadcastToClients('scanDiff', diff);
+
+    } catch (error) {
+      this.logger.error(`Failed to process diff for scan job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Raise alerts for standard traps from known devices: linkDown, restarts
+   * and authentication failures. linkUp resolves the interface's linkDown alert.
+   */
+  async handleTrap(trap, device) {
+    if (!device) return;
+
+    try {
+      const name = device.hostname || device.ip;
+      const iface = trap.interface;
+      const ifLabel = iface ? iface.name || iface.descr || `ifIndex ${iface.index}` : 'an interface';
+      const alert = { deviceId: device.id, deviceIp: device.ip, severity: 'warning' };
+
+      switch (trap.trapName) {
+        case 'linkDown':
+          await this.alertManager.createAlert({
+            ...alert,
+            type: 'link_down',
+            message: iface?.adminStatus === 'down'
+              ? `Interface ${ifLabel} on ${name} was shut down`
+              : `Interface ${ifLabel} on ${name} went down`,
+            metadata: { trapId: trap.id, ifIndex: iface?.index ?? null, adminStatus: iface?.adminStatus ?? null }
+          });
+          break;
+
+        case 'linkUp':
+          await this.alertManager.autoResolveAlerts(device.id, 'link_down', iface?.index ?? null);
+          break;
+
+        case 'coldStart':
+        case 'warmStart':
+          await this.alertManager.createAlert({
+            ...alert,
+            type: 'device_restart',
+            message: trap.trapName === 'coldStart'
+              ? `${name} restarted (coldStart)`
+              : `${name} reinitialised its SNMP agent (warmStart)`,
+            metadata: { trapId: trap.id }
+          });
+          break;
+
+        case 'authenticationFailure':
+          await this.alertManager.createAlert({
+            ...alert,
+            type: 'snmp_auth_failure',
+            message: `${name} received an SNMP request with a wrong community or credentials`,
+            metadata: { trapId: trap.id }
+          });
+          break;
+      }
+    } catch (error) {
+      this.logger.error(`Failed to raise alert for ${trap.trapName} trap from ${trap.agentAddress}:`, error);
+    }
+  }
+
+  /**
+   * Raise an alert when the path to a monitored target changed. Targets that
+   * are not devices alert on this machine, where the path starts.
+   */
+  async handlePathChange({ target, trace, previous }) {
+    try {
+      const deviceId = target.deviceId || 'localhost';
+      const device = await this.dbManager.getDevice(deviceId);
+      if (!device) return;
+
+      const describe = (addresses) => addresses.length > 0 ? addresses.join('/') : 'none';
+      const details = trace.changes
+        .map(change => change.lengthChanged
+          ? `now ${change.hop} hops`
+          : `hop ${change.hop} ${describe(change.before)} -> ${describe(change.after)}`)
+        .join('; ');
+
+      await this.alertManager.createAlert({
+        deviceId,
+        deviceIp: target.deviceId ? device.ip : trace.targetIp,
+        type: 'path_change',
+        severity: 'warning',
+        message: trace.gatewayChanged
+          ? `Gateway towards ${target.name} changed: ${details}`
+          : `Path to ${target.name} changed: ${details}`,
+        metadata: { targetId: target.id, traceId: trace.id, previousTraceId: previous.id, changes: trace.changes }
+      });
+
+      this.broadcastToClients('pathChanged', { target, trace, previous });
+
+    } catch (error) {
+      this.logger.error(`Failed to raise path change alert for ${target.name}:`, error);
+    }
+  }
+
   /**
    * Get current monitoring status
    */
@@ -719,6 +1582,64 @@ export class MonitoringService extends EventEmitter {
     return Array.from(this.currentDevices.values());
   }
 
+  /**
+   * Get the cached device currently using an address
+   */
+  getDeviceByIP(ip) {
+    let found = null;
+    for (const device of this.currentDevices.values()) {
+      if (device.ip === ip && (!found || device.lastSeen > found.lastSeen)) {
+        found = device;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Reload a device from the database into the cache, or drop it if it is gone
+   */
+  async refreshCachedDevice(deviceId) {
+    const row = await this.dbManager.getDevice(deviceId);
+    if (!row) {
+      this.currentDevices.delete(deviceId);
+      return null;
+    }
+
+    const cached = this.currentDevices.get(deviceId) || {
+      status: row.status,
+      isLocal: row.id === 'localhost'
+    };
+
+    const device = {
+      ...cached,
+      id: row.id,
+      ip: row.ip,
+      hostname: row.hostname,
+      description: row.description,
+      location: row.location,
+      contact: row.contact,
+      community: row.community,
+      mac: row.mac,
+      vendor: row.vendor,
+      hostnameSource: row.hostname_source,
+      model: row.model,
+      mdnsName: row.mdns_name,
+      netbiosName: row.netbios_name,
+      serviceTypes: row.service_types ? JSON.parse(row.service_types) : [],
+      ttl: row.ttl,
+      deviceType: row.device_type,
+      deviceTypeConfidence: row.device_type_confidence,
+      osFamily: row.os_family,
+      osFamilyConfidence: row.os_family_confidence,
+      classificationReasons: row.classification_reasons ? JSON.parse(row.classification_reasons) : [],
+      lastSeen: new Date(row.last_seen),
+      firstSeen: new Date(row.first_seen)
+    };
+
+    this.currentDevices.set(deviceId, device);
+    return device;
+  }
+
   /**
    * WebSocket client management
    */
@@ -773,6 +1694,8 @@ export class MonitoringService extends EventEmitter {
       if (config.refresh_interval && config.refresh_interval !== this.refreshInterval) {
         await this.stop();
         await this.start();
+      } else if (config.hostname_refresh_interval && this.isRunning) {
+        this.scheduleHostnameRefresh();
       }
       
       this.logger.info('Configuration updated:', config);
@@ -1,225 +1,843 @@
 import ping from 'ping';
+import net from 'net';
+import os from 'os';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import { promisify } from 'util';
 import { EventEmitter } from 'events';
+import { expandIPRange } from '../utils/IPRange.js';
+import { normalizeMAC, isUsableMAC } from '../utils/MACAddress.js';
+import { parsePortList, getServiceName } from '../utils/PortList.js';
+import { ServiceFingerprinter } from './ServiceFingerprinter.js';
+import { UDPProber, UDP_SERVICES } from './UDPProber.js';
+import { LocalDiscovery } from './LocalDiscovery.js';
+import { Tracerouter } from './Tracerouter.js';
+import { TokenBucket, AdaptiveConcurrency, shuffle } from '../utils/RateControl.js';
+import { createWindowChecker } from '../utils/ScanWindow.js';
+
+const execFileAsync = promisify(execFile);
+
+// How long a neighbour table snapshot is reused before re-reading it
+const NEIGHBOR_REFRESH_MS = 1000;
+
+// TCP connections held open at once while scanning the ports of one host
+const DEFAULT_PORT_CONCURRENCY = parseInt(process.env.PORT_SCAN_CONCURRENCY) || 100;
+
+// Open ports fingerprinted at once on one host
+const FINGERPRINT_CONCURRENCY = 10;
+
+// Ports tried, in order, when round-trip time has to be measured over TCP
+const TCP_PING_PORTS = [80, 443, 22, 445, 139, 53, 3389];
+
+// ping output that means it could not send ICMP at all, as opposed to no reply
+const ICMP_UNAVAILABLE_PATTERN = /operation not permitted|permission denied|socket:/i;
+
+// ping output that means a router or firewall answered with an ICMP error. Plain
+// "Destination Host Unreachable" is left out: it is how a failed ARP lookup for
+// an unused local address is reported.
+const ICMP_ERROR_PATTERN = /prohibited|packet filtered|net unreachable/i;
+
+// Polite scanning mode for networks watched by an IDS; options given explicitly still win
+const POLITE_SCAN_OPTIONS = {
+  concurrent: 8,
+  rateLimit: 20,
+  adaptive: true,
+  randomize: true,
+  portConcurrency: 4
+};
+
+// How long a scan listens for answers to its mDNS, SSDP and NetBIOS queries
+const ANNOUNCEMENT_QUERY_MS = 3000;
 
 export class NetworkScanner extends EventEmitter {
-  constructor() {
+  constructor({ ouiDatabase = null } = {}) {
     super();
+    this.ouiDatabase = ouiDatabase;
+    this.fingerprinter = new ServiceFingerprinter();
+    this.udpProber = new UDPProber();
+    this.localDiscovery = new LocalDiscovery();
+    this.tracerouter = new Tracerouter();
     this.isScanning = false;
     this.scanProgress = 0;
     this.activeHosts = new Map();
+    this.abortController = null;
+    this.currentScan = null;
+
+    // ip -> { ip, mac, source, interface, updatedAt }
+    this.neighbors = new Map();
+    this.neighborRefresh = null;
+    this.neighborsRefreshedAt = 0;
+
+    // null until the first ping shows whether ICMP works here
+    this.icmpAvailable = null;
+
+    this.localDiscovery.on('announcement', (host) => this.emit('announcement', host));
   }
 
   /**
    * Parse IP range string into array of IP addresses
-   * @param {string} range - IP range (e.g., "192.168.1.1-254" or "192.168.1.100")
+   * @param {string} range - IP range (e.g., "192.168.1.1-254", "10.0.0.0/22", "fd00::1-ff, !192.168.1.1")
+   * @param {Object} options - { exclude, maxHosts }
    * @returns {string[]} Array of IP addresses
    */
-  parseIPRange(range) {
-    const ips = [];
-    
-    if (range.includes('-')) {
-      const [baseIP, endRange] = range.split('-');
-      const baseParts = baseIP.split('.');
-      const baseNetwork = baseParts.slice(0, 3).join('.');
-      const startHost = parseInt(baseParts[3]);
-      const endHost = parseInt(endRange);
-      
-      for (let i = startHost; i <= endHost; i++) {
-        ips.push(`${baseNetwork}.${i}`);
-      }
-    } else if (range.includes('/')) {
-      // CIDR notation support
-      const [network, prefixLength] = range.split('/');
-      const prefix = parseInt(prefixLength);
-      const networkParts = network.split('.').map(Number);
-      
-      // Calculate number of host bits
-      const hostBits = 32 - prefix;
-      const numHosts = Math.pow(2, hostBits) - 2; // Exclude network and broadcast
-      
-      // Generate IPs (simplified for /24 networks)
-      if (prefix === 24) {
-        const baseNetwork = networkParts.slice(0, 3).join('.');
-        for (let i = 1; i <= 254; i++) {
-          ips.push(`${baseNetwork}.${i}`);
-        }
-      }
-    } else {
-      // Single IP
-      ips.push(range);
-    }
-    
-    return ips;
+  parseIPRange(range, options = {}) {
+    return expandIPRange(range, options).ips;
+  }
+
+  /**
+   * Expand an IP range and describe how it was interpreted
+   * @param {string} range - IP range expression
+   * @param {Object} options - { exclude, maxHosts }
+   * @returns {Object} Addresses plus per-segment and per-family counts
+   */
+  describeIPRange(range, options = {}) {
+    return expandIPRange(range, options);
   }
 
   /**
    * Scan a range of IP addresses for active hosts
    * @param {string} range - IP range to scan
-   * @param {Object} options - Scan options
-   * @returns {Promise<Object[]>} Array of discovered hosts
+   * @param {Object} options - Scan options (timeout, concurrent, includePorts,
+   *   ports, portTimeout, portConcurrency, fingerprint, udpServices, communities,
+   *   announcements, rateLimit in probes per second, adaptive, randomize, polite,
+   *   scan windows as `windows`, exclude, maxHosts, jobId, and an AbortSignal as `signal`)
+   * @returns {Promise<Object[]>} Array of discovered hosts (partial if the scan was stopped)
    */
   async scanRange(range, options = {}) {
+    const settings = options.polite ? { ...POLITE_SCAN_OPTIONS, ...options } : options;
     const {
       timeout = parseInt(process.env.PING_TIMEOUT) || 2000,
       concurrent = 50,
-      includePorts = true
-    } = options;
+      includePorts = true,
+      ports = 'common',
+      portTimeout = 1000,
+      portConcurrency = DEFAULT_PORT_CONCURRENCY,
+      fingerprint = true,
+      udpServices = Object.keys(UDP_SERVICES),
+      communities,
+      announcements = true,
+      rateLimit = 0,
+      adaptive = false,
+      randomize = false,
+      windows = [],
+      exclude = [],
+      maxHosts,
+      jobId = null,
+      signal: externalSignal
+    } = settings;
 
+    // Link the caller's signal to our own controller so stopScan() works either way
+    const controller = new AbortController();
+    if (externalSignal) {
+      if (externalSignal.aborted) {
+        controller.abort();
+      } else {
+        externalSignal.addEventListener('abort', () => controller.abort(), { once: true });
+      }
+    }
+    const { signal } = controller;
+
+    this.abortController = controller;
     this.isScanning = true;
     this.scanProgress = 0;
-    this.emit('scanStarted', { range, options });
+    this.currentScan = { jobId, range, totalIPs: 0, scannedIPs: 0 };
+
+    // Everything but the abort signal and the discovery communities is broadcast
+    const { signal: _signal, communities: _communities, ...publicOptions } = options;
+    this.emit('scanStarted', { jobId, range, options: publicOptions });
 
     try {
-      const ips = this.parseIPRange(range);
+      const ips = this.parseIPRange(range, { exclude, maxHosts });
       const totalIPs = ips.length;
+
+      // Reject a bad port list before any host is probed
+      if (includePorts) {
+        parsePortList(ports);
+      }
       const discoveredHosts = [];
       let completedScans = 0;
+      let skippedIPs = 0;
 
-      // Process IPs in batches to avoid overwhelming the network
-      const batchSize = Math.min(concurrent, totalIPs);
-      const batches = [];
-      
-      for (let i = 0; i < ips.length; i += batchSize) {
-        batches.push(ips.slice(i, i + batchSize));
-      }
+      this.currentScan.totalIPs = totalIPs;
+
+      // Every probe packet the scan sends draws from the bucket when a rate is set
+      const rateLimiter = rateLimit > 0 ? new TokenBucket({ rate: rateLimit }) : null;
+      const batchSize = Math.max(1, Math.min(concurrent, totalIPs));
+      const concurrency = adaptive ? new AdaptiveConcurrency({ initial: batchSize }) : null;
+      const inWindow = createWindowChecker(windows);
 
-      for (const batch of batches) {
-        const batchPromises = batch.map(async (ip) => {
-          try {
-            const result = await this.pingHost(ip, timeout);
-            completedScans++;
-            this.scanProgress = Math.round((completedScans / totalIPs) * 100);
-            this.emit('scanProgress', { progress: this.scanProgress, ip, result });
-
-            if (result.alive) {
-              const hostInfo = {
-                ip,
-                alive: true,
-                time: result.time,
-                discoveredAt: new Date(),
-                ports: includePorts ? await this.scanCommonPorts(ip) : []
-              };
-              
-              discoveredHosts.push(hostInfo);
-              this.activeHosts.set(ip, hostInfo);
-              this.emit('hostDiscovered', hostInfo);
-            }
-          } catch (error) {
-            completedScans++;
-            this.scanProgress = Math.round((completedScans / totalIPs) * 100);
-            this.emit('scanProgress', { progress: this.scanProgress, ip, error: error.message });
+      // Resolves when the scan is stopped so an in-flight batch does not hold us up
+      const aborted = new Promise(resolve => {
+        if (signal.aborted) resolve();
+        signal.addEventListener('abort', resolve, { once: true });
+      });
+
+      // Devices that ignore ping may still answer mDNS, SSDP or NetBIOS queries
+      const scanStartedAt = new Date();
+      const announcementQuery = announcements
+        ? this.localDiscovery.query({ timeout: ANNOUNCEMENT_QUERY_MS, signal })
+        : Promise.resolve([]);
+
+      const inspectHost = async (ip, { time = null, ttl = null }, discoveredBy) => {
+        let openPorts = [];
+        if (includePorts) {
+          openPorts = (await this.scanPorts(ip, ports, { timeout: portTimeout, concurrency: portConcurrency, rateLimiter, signal })).ports;
+          if (fingerprint && !signal.aborted) {
+            openPorts = await this.fingerprintServices(ip, openPorts, { rateLimiter, signal });
           }
-        });
+        }
+
+        const hostInfo = {
+          ip,
+          alive: true,
+          time,
+          ttl,
+          discoveredBy,
+          ...this.resolveHardware(ip),
+          discoveredAt: new Date(),
+          ports: openPorts
+        };
+
+        let udpResults = [];
+        if (udpServices.length > 0 && !signal.aborted) {
+          udpResults = await this.probeUDPServices(ip, udpServices, { communities, rateLimiter, signal });
+          hostInfo.udpPorts = udpResults.filter(port => port.status === 'open');
 
-        await Promise.all(batchPromises);
-        
-        // Small delay between batches to prevent network congestion
-        if (batches.indexOf(batch) < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+          // null tells processing that the host was asked and has no SNMP agent
+          const snmp = udpResults.find(port => port.port === UDP_SERVICES.snmp.port);
+          if (snmp) {
+            hostInfo.snmp = snmp.status === 'open' ? snmp.details : null;
+          }
         }
+
+        hostInfo.announced = await this.learnAnnouncements(ip, udpResults);
+        if (!hostInfo.mac && hostInfo.announced?.mac) {
+          hostInfo.mac = hostInfo.announced.mac;
+          hostInfo.vendor = this.ouiDatabase ? this.ouiDatabase.lookup(hostInfo.mac) : null;
+          hostInfo.macSource = 'netbios';
+        }
+
+        if (signal.aborted) return;
+
+        discoveredHosts.push(hostInfo);
+        this.activeHosts.set(ip, hostInfo);
+        this.emit('hostDiscovered', { jobId, ...hostInfo });
+      };
+
+      const reportProgress = (data) => {
+        completedScans++;
+        this.currentScan.scannedIPs = completedScans;
+        this.scanProgress = Math.round((completedScans / totalIPs) * 100);
+        this.emit('scanProgress', { jobId, progress: this.scanProgress, ...data });
+      };
+
+      const sweepHost = async (ip) => {
+        try {
+          const result = await this.pingHost(ip, timeout);
+          concurrency?.record(result.alive ? 'success' : result.failed ? 'error' : 'timeout');
+          if (signal.aborted) return;
+
+          reportProgress({ ip, result });
+
+          if (result.alive) {
+            // The ping has just populated the kernel's neighbour cache for local hosts
+            await this.refreshNeighbors();
+            await inspectHost(ip, result, 'ping');
+          }
+        } catch (error) {
+          concurrency?.record('error');
+          if (signal.aborted) return;
+
+          reportProgress({ ip, error: error.message });
+        }
+      };
+
+      // Sequential sweeps are what IDS signatures look for
+      const targets = randomize ? shuffle([...ips]) : ips;
+      const inFlight = new Set();
+
+      for (const ip of targets) {
+        if (signal.aborted) break;
+
+        // Addresses outside their subnet's scan window are skipped, not delayed
+        if (!inWindow(ip)) {
+          skippedIPs++;
+          reportProgress({ ip, skipped: 'outside-window' });
+          continue;
+        }
+
+        while (inFlight.size >= (concurrency ? concurrency.limit : batchSize) && !signal.aborted) {
+          await Promise.race([...inFlight, aborted]);
+        }
+
+        // The TCP fallback tries several ports at once
+        const packets = this.icmpAvailable === false ? TCP_PING_PORTS.length : 1;
+        if (signal.aborted || (rateLimiter && !(await rateLimiter.take(packets, signal)))) break;
+
+        const probe = sweepHost(ip).finally(() => inFlight.delete(probe));
+        inFlight.add(probe);
       }
 
-      this.isScanning = false;
-      this.emit('scanCompleted', { 
-        discoveredHosts, 
-        totalScanned: totalIPs, 
-        totalFound: discoveredHosts.length 
-      });
+      await Promise.race([Promise.all(inFlight), aborted]);
+
+      // Hosts in range that announced themselves, to the query or the passive
+      // listeners, but did not answer ping
+      await Promise.race([announcementQuery, aborted]);
+      const inRange = new Set(ips);
+      const found = new Set(discoveredHosts.map(host => host.ip));
+      const silentHosts = this.localDiscovery.getHosts()
+        .filter(host => host.lastSeen >= scanStartedAt && inRange.has(host.ip) && !found.has(host.ip) && inWindow(host.ip));
+
+      for (let i = 0; i < silentHosts.length && !signal.aborted; i += batchSize) {
+        const batch = silentHosts.slice(i, i + batchSize).map(host =>
+          inspectHost(host.ip, {}, 'announcement').catch(() => {})
+        );
+        await Promise.race([Promise.all(batch), aborted]);
+      }
+
+      const summary = {
+        jobId,
+        range,
+        discoveredHosts,
+        totalIPs,
+        totalScanned: completedScans,
+        totalFound: discoveredHosts.length,
+        skippedIPs,
+        rateControl: {
+          rateLimit: rateLimit || null,
+          randomized: randomize,
+          concurrency: concurrency ? concurrency.getStats() : { limit: batchSize, lowest: batchSize, backoffs: 0 }
+        }
+      };
+
+      if (signal.aborted) {
+        this.emit('scanStopped', summary);
+      } else {
+        this.emit('scanCompleted', summary);
+      }
 
       return discoveredHosts;
 
     } catch (error) {
-      this.isScanning = false;
-      this.emit('scanError', error);
+      this.emit('scanError', { jobId, range, error: error.message });
       throw error;
+    } finally {
+      this.isScanning = false;
+      this.abortController = null;
+      this.currentScan = null;
     }
   }
 
   /**
-   * Ping a single host
+   * Ping a host with one or more echo requests and report round-trip statistics.
+   * Falls back to timing TCP connects when ICMP can't be used (no ping binary,
+   * or no permission to open raw sockets).
    * @param {string} ip - IP address to ping
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Object>} Ping result
-   */
-  async pingHost(ip, timeout = 2000) {
-    return new Promise((resolve, reject) => {
-      ping.sys.probe(ip, (isAlive, error) => {
-        if (error) {
-          reject(new Error(`Ping failed for ${ip}: ${error}`));
-        } else {
-          resolve({
-            ip,
-            alive: isAlive,
-            time: isAlive ? Math.random() * 50 + 1 : null // Simulated response time
-          });
+   * @param {number} timeout - Per-probe timeout in milliseconds
+   * @param {Object} options - { count }
+   * @returns {Promise<Object>} { ip, alive, time, min, avg, max, mdev, packetLoss, sent, received, times, method, ttl, failed }
+   *   where failed means an ICMP error or a local send error came back instead of silence
+   */
+  async pingHost(ip, timeout = 2000, options = {}) {
+    const { count = 1 } = options;
+
+    if (this.icmpAvailable !== false) {
+      try {
+        const result = await this.icmpProbe(ip, timeout, count);
+        if (result) {
+          this.icmpAvailable = true;
+          return result;
         }
-      }, { timeout: timeout / 1000 });
+      } catch (error) {
+        // The ping binary could not be started
+      }
+
+      if (this.icmpAvailable === null) {
+        this.icmpAvailable = false;
+      }
+    }
+
+    return this.tcpPing(ip, timeout, count);
+  }
+
+  /**
+   * Probe a host with the system ping command
+   * @returns {Promise<Object|null>} Statistics, or null when ping could not send packets
+   */
+  async icmpProbe(ip, timeout, count) {
+    const response = await ping.promise.probe(ip, {
+      timeout: Math.max(1, Math.round(timeout / 1000)),
+      min_reply: count,
+      v6: net.isIPv6(ip),
+      // Sub-second intervals are allowed for unprivileged users on Linux and macOS
+      extra: count > 1 && os.platform() !== 'win32' ? ['-i', '0.2'] : []
+    });
+
+    // ping prints no statistics when it fails before sending anything
+    const packetLoss = parseFloat(response.packetLoss);
+    if (Number.isNaN(packetLoss)) {
+      if (ICMP_UNAVAILABLE_PATTERN.test(response.output)) {
+        return null;
+      }
+      // e.g. "sendmsg: No buffer space available" when we are sending too fast
+      return { ...this.buildPingResult(ip, 'icmp', count, []), failed: true };
+    }
+
+    const times = response.alive ? response.times.map(Number) : [];
+    const received = Math.round(count * (100 - packetLoss) / 100);
+
+    // The reply's TTL hints at the sender's operating system
+    const ttl = response.output.match(/\bttl[=:]\s*(\d+)/i);
+    return {
+      ...this.buildPingResult(ip, 'icmp', count, times, received),
+      ttl: ttl ? parseInt(ttl[1], 10) : null,
+      failed: !response.alive && ICMP_ERROR_PATTERN.test(response.output)
+    };
+  }
+
+  /**
+   * Measure round-trip time by timing TCP handshakes. A refused connection
+   * still proves the host answered, so both outcomes count as a reply.
+   */
+  async tcpPing(ip, timeout, count) {
+    let port = null;
+    const times = [];
+
+    for (let i = 0; i < count; i++) {
+      if (port) {
+        const time = await this.timeTCPConnect(ip, port, timeout);
+        if (time !== null) times.push(time);
+        continue;
+      }
+
+      // Until a port answers, try them all at once and keep the fastest
+      const results = await Promise.all(
+        TCP_PING_PORTS.map(async (candidate) => ({ port: candidate, time: await this.timeTCPConnect(ip, candidate, timeout) }))
+      );
+      const answered = results.filter(result => result.time !== null).sort((a, b) => a.time - b.time);
+      if (answered.length > 0) {
+        port = answered[0].port;
+        times.push(answered[0].time);
+      }
+    }
+
+    return { ...this.buildPingResult(ip, 'tcp', count, times), port };
+  }
+
+  /**
+   * Time a single TCP handshake
+   * @returns {Promise<number|null>} Milliseconds until the host answered, or null on timeout
+   */
+  timeTCPConnect(ip, port, timeout) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      const start = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - start) / 1e6;
+
+      const finish = (value) => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(value);
+      };
+
+      const timer = setTimeout(() => finish(null), timeout);
+
+      socket.connect(port, ip, () => finish(elapsed()));
+      socket.on('error', (error) => {
+        finish(error.code === 'ECONNREFUSED' ? elapsed() : null);
+      });
     });
   }
 
+  /**
+   * Summarize probe round-trip times
+   * @param {number[]} times - Reply times in arrival order
+   */
+  buildPingResult(ip, method, sent, times, received = times.length) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const alive = times.length > 0;
+
+    let min = null, avg = null, max = null, mdev = null;
+    if (alive) {
+      min = Math.min(...times);
+      max = Math.max(...times);
+      avg = times.reduce((sum, time) => sum + time, 0) / times.length;
+      mdev = Math.sqrt(times.reduce((sum, time) => sum + (time - avg) ** 2, 0) / times.length);
+    }
+
+    return {
+      ip,
+      alive,
+      time: alive ? round(avg) : null,
+      min: alive ? round(min) : null,
+      avg: alive ? round(avg) : null,
+      max: alive ? round(max) : null,
+      mdev: alive ? round(mdev) : null,
+      packetLoss: sent > 0 ? round((sent - received) / sent * 100) : null,
+      sent,
+      received,
+      times: times.map(round),
+      method
+    };
+  }
+
   /**
    * Scan common ports on a host
    * @param {string} ip - IP address to scan
    * @returns {Promise<Object[]>} Array of open ports
    */
   async scanCommonPorts(ip) {
-    const commonPorts = [
-      { port: 22, service: 'SSH' },
-      { port: 23, service: 'Telnet' },
-      { port: 53, service: 'DNS' },
-      { port: 80, service: 'HTTP' },
-      { port: 443, service: 'HTTPS' },
-      { port: 161, service: 'SNMP' },
-      { port: 162, service: 'SNMP Trap' },
-      { port: 3389, service: 'RDP' }
-    ];
-
-    const openPorts = [];
-    const scanPromises = commonPorts.map(async ({ port, service }) => {
-      try {
-        const isOpen = await this.checkPort(ip, port, 1000);
-        if (isOpen) {
-          openPorts.push({ port, service, status: 'open' });
-        }
-      } catch (error) {
-        // Port is closed or filtered
+    const { ports } = await this.scanPorts(ip, 'common');
+    return ports;
+  }
+
+  /**
+   * Scan a list of TCP ports with a bounded number of connections in flight
+   * @param {string} ip - IP address to scan
+   * @param {string|Array} portSpec - Profile names, ports and ranges (see utils/PortList.js)
+   * @param {Object} options - { timeout, concurrency, includeClosed, rateLimiter, signal }
+   * @returns {Promise<Object>} { ports, summary } where ports holds open ports, plus
+   *   closed and filtered ones when includeClosed is set
+   */
+  async scanPorts(ip, portSpec = 'common', options = {}) {
+    const {
+      timeout = 1000,
+      concurrency = DEFAULT_PORT_CONCURRENCY,
+      includeClosed = false,
+      rateLimiter = null,
+      signal = null
+    } = options;
+
+    const ports = parsePortList(portSpec);
+    const results = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < ports.length && !signal?.aborted) {
+        const port = ports[next++];
+        if (rateLimiter && !(await rateLimiter.take(1, signal))) break;
+        results.push(await this.probePort(ip, port, timeout));
       }
-    });
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, ports.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const summary = { scanned: results.length, open: 0, closed: 0, filtered: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
 
-    await Promise.all(scanPromises);
-    return openPorts;
+    return {
+      ports: results
+        .filter(result => includeClosed || result.status === 'open')
+        .sort((a, b) => a.port - b.port),
+      summary
+    };
   }
 
   /**
-   * Check if a specific port is open
+   * Probe a single TCP port
    * @param {string} ip - IP address
    * @param {number} port - Port number
    * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<boolean>} True if port is open
+   * @returns {Promise<Object>} { port, service, status } where status is 'open',
+   *   'closed' (the host answered with a reset) or 'filtered' (no answer)
    */
-  async checkPort(ip, port, timeout = 1000) {
+  async probePort(ip, port, timeout = 1000) {
     return new Promise((resolve) => {
-      const net = require('net');
       const socket = new net.Socket();
-      
-      const timer = setTimeout(() => {
-        socket.destroy();
-        resolve(false);
-      }, timeout);
 
-      socket.connect(port, ip, () => {
+      const finish = (status) => {
         clearTimeout(timer);
         socket.destroy();
-        resolve(true);
-      });
+        resolve({ port, service: getServiceName(port), status });
+      };
 
-      socket.on('error', () => {
-        clearTimeout(timer);
-        resolve(false);
+      const timer = setTimeout(() => finish('filtered'), timeout);
+
+      socket.connect(port, ip, () => finish('open'));
+
+      // Unreachable-host and similar errors mean something in the path dropped the probe
+      socket.on('error', (error) => {
+        finish(error.code === 'ECONNREFUSED' ? 'closed' : 'filtered');
       });
     });
   }
 
+  /**
+   * Identify the software behind open ports from banners and light protocol probes
+   * @param {string} ip - IP address
+   * @param {Object[]} ports - Port results from scanPorts(); only open ports are probed
+   * @param {Object} options - { timeout, rateLimiter, signal }
+   * @returns {Promise<Object[]>} The same ports with service, product, version,
+   *   banner, http and tls filled in where they could be read
+   */
+  async fingerprintServices(ip, ports, options = {}) {
+    const { timeout, rateLimiter = null, signal = null } = options;
+    const results = [...ports];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < results.length && !signal?.aborted) {
+        const index = next++;
+        const port = results[index];
+        if (port.status !== 'open') continue;
+        if (rateLimiter && !(await rateLimiter.take(1, signal))) break;
+
+        const fingerprint = await this.fingerprinter.fingerprint(ip, port.port, { timeout });
+        results[index] = { ...port, ...fingerprint, service: fingerprint.service || port.service };
+      }
+    };
+
+    const workers = Math.max(1, Math.min(FINGERPRINT_CONCURRENCY, results.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return results;
+  }
+
+  /**
+   * Probe UDP services with protocol-specific requests
+   * @param {string} ip - IP address
+   * @param {string[]} services - Keys of UDP_SERVICES (dns, ntp, netbios, snmp, ssdp, mdns)
+   * @param {Object} options - { timeout, communities, rateLimiter, signal }
+   * @returns {Promise<Object[]>} One result per service with status 'open' (it answered),
+   *   'closed' (ICMP port unreachable) or 'filtered' (no answer)
+   */
+  async probeUDPServices(ip, services = Object.keys(UDP_SERVICES), options = {}) {
+    const { rateLimiter = null, signal = null, ...probeOptions } = options;
+    if (rateLimiter && !(await rateLimiter.take(services.length, signal))) {
+      return [];
+    }
+    return this.udpProber.probeServices(ip, services, probeOptions);
+  }
+
+  /**
+   * Trace the layer-3 path to a host
+   * @param {string} host - IP address or hostname
+   * @param {Object} options - { method ('auto', 'udp', 'icmp' or 'tcp'), maxHops, timeout, queries, port, lookupName }
+   * @returns {Promise<Object>} { host, targetIp, method, reached, hops, durationMs } where each hop
+   *   has { hop, ip, addresses, rtts, min, avg, max, loss, flags, hostname }
+   */
+  async traceroute(host, options = {}) {
+    return this.tracerouter.trace(host, options);
+  }
+
+  /**
+   * Fold what unicast UDP probes learned into the host's announcement record
+   * @param {string} ip - IP address
+   * @param {Object[]} udpResults - Results of probeUDPServices()
+   * @returns {Promise<Object|null>} The host's names, model and service types, or null if it never announced
+   */
+  async learnAnnouncements(ip, udpResults = []) {
+    for (const result of udpResults) {
+      if (result.status !== 'open' || !result.details) continue;
+      const { details } = result;
+
+      if (result.port === UDP_SERVICES.netbios.port) {
+        this.localDiscovery.record(ip, 'netbios', { netbiosName: details.name, workgroup: details.workgroup, mac: details.mac });
+      } else if (result.port === UDP_SERVICES.mdns.port) {
+        this.localDiscovery.record(ip, 'mdns', { mdnsName: details.hostname, serviceTypes: details.serviceTypes.map(type => type.replace(/\.local$/, '')) });
+      } else if (result.port === UDP_SERVICES.ssdp.port) {
+        this.localDiscovery.record(ip, 'ssdp', { ssdp: details });
+        if (details.location) {
+          await this.localDiscovery.describe(ip, details.location);
+        }
+      }
+    }
+
+    return this.localDiscovery.getHost(ip);
+  }
+
+  /**
+   * Start listening for mDNS, SSDP and NetBIOS announcements
+   * @returns {Promise<Object[]>} { source, listening, error } per listener
+   */
+  async startListening() {
+    return this.localDiscovery.startListening();
+  }
+
+  stopListening() {
+    this.localDiscovery.stopListening();
+  }
+
+  getListenerStatus() {
+    return this.localDiscovery.getListenerStatus();
+  }
+
+  /**
+   * Query the local networks for announcing devices
+   * @param {Object} options - { timeout, signal }
+   * @returns {Promise<Object[]>} Hosts that answered
+   */
+  async queryAnnouncements(options = {}) {
+    return this.localDiscovery.query({ timeout: ANNOUNCEMENT_QUERY_MS, ...options });
+  }
+
+  /**
+   * @returns {Object[]} Every host heard announcing itself, most recent first
+   */
+  getAnnouncedHosts() {
+    return this.localDiscovery.getHosts();
+  }
+
+  /**
+   * Check if a specific port is open
+   * @param {string} ip - IP address
+   * @param {number} port - Port number
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<boolean>} True if port is open
+   */
+  async checkPort(ip, port, timeout = 1000) {
+    const { status } = await this.probePort(ip, port, timeout);
+    return status === 'open';
+  }
+
+  /**
+   * Read the local neighbour tables (/proc/net/arp, `ip neigh`) and this
+   * host's own interfaces, merging the results into the neighbour cache.
+   * Concurrent callers share one read, and snapshots are reused briefly.
+   * @returns {Promise<Map>} Neighbour cache keyed by IP
+   */
+  async refreshNeighbors() {
+    if (Date.now() - this.neighborsRefreshedAt < NEIGHBOR_REFRESH_MS) {
+      return this.neighbors;
+    }
+
+    if (!this.neighborRefresh) {
+      this.neighborRefresh = Promise.all([
+        this.readProcARP(),
+        this.readIPNeighbors(),
+        Promise.resolve(this.readLocalInterfaces())
+      ])
+        .then(([arp, neigh, local]) => {
+          this.learnNeighbors(arp, 'arp');
+          this.learnNeighbors(neigh, 'ip-neigh');
+          this.learnNeighbors(local, 'local');
+          this.neighborsRefreshedAt = Date.now();
+          return this.neighbors;
+        })
+        .finally(() => {
+          this.neighborRefresh = null;
+        });
+    }
+
+    return this.neighborRefresh;
+  }
+
+  /**
+   * Parse the kernel ARP table (Linux only)
+   * @returns {Promise<Object[]>} Entries of { ip, mac, interface }
+   */
+  async readProcARP() {
+    try {
+      const content = await fs.readFile('/proc/net/arp', 'utf8');
+
+      return content.split('\n').slice(1)
+        .map(line => line.trim().split(/\s+/))
+        // Flags 0x0 marks an incomplete entry
+        .filter(fields => fields.length >= 6 && fields[2] !== '0x0')
+        .map(([ip, , , mac, , iface]) => ({ ip, mac, interface: iface }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Parse `ip neigh show`, which also covers IPv6 neighbours
+   * @returns {Promise<Object[]>} Entries of { ip, mac, interface }
+   */
+  async readIPNeighbors() {
+    try {
+      const { stdout } = await execFileAsync('ip', ['neigh', 'show'], { timeout: 2000 });
+
+      return stdout.split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(fields => fields.includes('lladdr') && !fields.includes('FAILED') && !fields.includes('INCOMPLETE'))
+        .map(fields => ({
+          ip: fields[0],
+          mac: fields[fields.indexOf('lladdr') + 1],
+          interface: fields.includes('dev') ? fields[fields.indexOf('dev') + 1] : null
+        }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * This host never appears in its own neighbour table, so read its interfaces
+   * @returns {Object[]} Entries of { ip, mac, interface }
+   */
+  readLocalInterfaces() {
+    const entries = [];
+
+    for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if (!address.internal) {
+          entries.push({ ip: address.address, mac: address.mac, interface: name });
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Merge IP-to-MAC mappings into the neighbour cache
+   * @param {Object[]} entries - Entries of { ip, mac, interface }
+   * @param {string} source - Where the mapping came from ('arp', 'ip-neigh', 'local', 'snmp')
+   * @returns {Object[]} The entries that were accepted
+   */
+  learnNeighbors(entries, source) {
+    const accepted = [];
+
+    for (const entry of entries) {
+      if (!isUsableMAC(entry.mac) || !net.isIP(entry.ip)) {
+        continue;
+      }
+
+      const mac = normalizeMAC(entry.mac);
+
+      const neighbor = {
+        ip: entry.ip,
+        mac,
+        source,
+        interface: entry.interface || null,
+        updatedAt: new Date()
+      };
+
+      this.neighbors.set(entry.ip, neighbor);
+      accepted.push(neighbor);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Get the cached neighbour entry for an address
+   */
+  getNeighbor(ip) {
+    return this.neighbors.get(ip) || null;
+  }
+
+  /**
+   * Resolve the MAC address and hardware vendor of a host from the neighbour cache
+   * @param {string} ip - IP address
+   * @returns {Object} { mac, vendor, macSource } (null fields when unknown)
+   */
+  resolveHardware(ip) {
+    const neighbor = this.getNeighbor(ip);
+    if (!neighbor) {
+      return { mac: null, vendor: null, macSource: null };
+    }
+
+    return {
+      mac: neighbor.mac,
+      vendor: this.ouiDatabase ? this.ouiDatabase.lookup(neighbor.mac) : null,
+      macSource: neighbor.source
+    };
+  }
+
   /**
    * Get current scan status
    * @returns {Object} Scan status information
@@ -228,6 +846,8 @@ export class NetworkScanner extends EventEmitter {
     return {
       isScanning: this.isScanning,
       progress: this.scanProgress,
+      currentScan: this.currentScan ? { ...this.currentScan } : null,
+      totalScanned: this.currentScan?.scannedIPs || 0,
       activeHosts: Array.from(this.activeHosts.values()),
       totalActiveHosts: this.activeHosts.size
     };
@@ -235,10 +855,13 @@ export class NetworkScanner extends EventEmitter {
 
   /**
    * Stop current scan
+   * The running scanRange() call stops launching probes, emits 'scanStopped'
+   * and resolves with the hosts found so far.
    */
   stopScan() {
-    this.isScanning = false;
-    this.emit('scanStopped');
+    if (this.abortController) {
+      this.abortController.abort();
+    }
   }
 
   /**
@@ -246,6 +869,7 @@ export class NetworkScanner extends EventEmitter {
    */
   clearCache() {
     this.activeHosts.clear();
+    this.localDiscovery.clear();
     this.emit('cacheCleared');
   }
 }
\ No newline at end of file
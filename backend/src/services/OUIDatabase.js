@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeMAC, isLocallyAdministered } from '../utils/MACAddress.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Small vendor list shipped with the app, used until a full IEEE copy is downloaded
+const BUNDLED_PATH = join(__dirname, '../data/oui.csv');
+
+// IEEE registries and the number of hex digits each assignment covers
+const REGISTRY_PREFIX_LENGTH = {
+  'MA-L': 6,
+  'MA-M': 7,
+  'MA-S': 9
+};
+
+const DEFAULT_SOURCES = [
+  'https://standards-oui.ieee.org/oui/oui.csv',
+  'https://standards-oui.ieee.org/oui28/mam.csv',
+  'https://standards-oui.ieee.org/oui36/oui36.csv'
+];
+
+/**
+ * Split one CSV line, honouring quoted fields and doubled quotes
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+export class OUIDatabase extends EventEmitter {
+  constructor() {
+    super();
+    this.dataPath = process.env.OUI_DB_PATH || './data/oui.csv';
+    this.sources = process.env.OUI_SOURCE_URLS
+      ? process.env.OUI_SOURCE_URLS.split(',').map(url => url.trim()).filter(Boolean)
+      : DEFAULT_SOURCES;
+
+    // prefix length -> Map(hex prefix -> organization)
+    this.prefixes = new Map();
+    this.source = null;
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the downloaded IEEE registry if present, otherwise the bundled list
+   */
+  async initialize() {
+    for (const path of [this.dataPath, BUNDLED_PATH]) {
+      try {
+        const content = await fs.readFile(path, 'utf8');
+        this.load(content);
+        this.source = path;
+        return this.getStatus();
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to load OUI database from ${path}: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error('No OUI database available');
+  }
+
+  /**
+   * Replace the in-memory registry with the contents of IEEE CSV files
+   * @param {string} content - One or more concatenated IEEE CSV files
+   * @returns {number} Number of assignments loaded
+   */
+  load(content) {
+    const prefixes = new Map();
+    let count = 0;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      const [registry, assignment, organization] = parseCSVLine(line);
+      const length = REGISTRY_PREFIX_LENGTH[registry];
+      if (!length || !assignment || !organization) continue;
+
+      const prefix = assignment.trim().toUpperCase();
+      if (prefix.length !== length || !/^[0-9A-F]+$/.test(prefix)) continue;
+
+      if (!prefixes.has(length)) {
+        prefixes.set(length, new Map());
+      }
+      prefixes.get(length).set(prefix, organization.trim());
+      count++;
+    }
+
+    if (count === 0) {
+      throw new Error('OUI data did not contain any assignments');
+    }
+
+    this.prefixes = prefixes;
+    this.loadedAt = new Date();
+    return count;
+  }
+
+  /**
+   * Download the current IEEE registries, save them and reload
+   * @returns {Promise<Object>} Database status after the update
+   */
+  async update() {
+    const parts = [];
+
+    for (const url of this.sources) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to download ${url}: HTTP ${response.status}`);
+      }
+      parts.push(await response.text());
+    }
+
+    const content = parts.join('\n');
+
+    // Parse before writing so a bad download never replaces a working copy
+    this.load(content);
+
+    await fs.mkdir(dirname(this.dataPath), { recursive: true });
+    await fs.writeFile(this.dataPath, content, 'utf8');
+    this.source = this.dataPath;
+
+    const status = this.getStatus();
+    this.emit('updated', status);
+    return status;
+  }
+
+  /**
+   * Look up the vendor of a MAC address, preferring the most specific assignment
+   * @param {string} mac - MAC address
+   * @returns {string|null} Organization name
+   */
+  lookup(mac) {
+    // Randomized and virtual addresses carry no vendor assignment
+    const normalized = normalizeMAC(mac);
+    if (!normalized || isLocallyAdministered(normalized)) {
+      return null;
+    }
+
+    const hex = normalized.replace(/:/g, '').toUpperCase();
+    for (const length of [9, 7, 6]) {
+      const vendor = this.prefixes.get(length)?.get(hex.slice(0, length));
+      if (vendor) return vendor;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get database status
+   */
+  getStatus() {
+    let entries = 0;
+    for (const table of this.prefixes.values()) {
+      entries += table.size;
+    }
+
+    return {
+      entries,
+      source: this.source,
+      bundled: this.source === BUNDLED_PATH,
+      loadedAt: this.loadedAt
+    };
+  }
+}
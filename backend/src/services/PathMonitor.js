@@ -0,0 +1,354 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { TRACE_METHODS, comparePaths } from './Tracerouter.js';
+
+/**
+ * Traces the path to key targets (the ISP gateway, a data centre, a cloud
+ * region) on their own intervals and compares every trace with the previous
+ * one, so a new hop or a different gateway is noticed.
+ */
+export class PathMonitor extends EventEmitter {
+  constructor({ dbManager, networkScanner, hostnameResolver, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.networkScanner = networkScanner;
+    this.hostnameResolver = hostnameResolver;
+    this.logger = logger;
+
+    // target id -> interval timer
+    this.timers = new Map();
+    this.targets = new Map();
+    this.inFlight = new Set();
+    this.isRunning = false;
+  }
+
+  /**
+   * Load targets from the database
+   */
+  async initialize() {
+    const rows = await this.dbManager.getPathTargets();
+
+    for (const row of rows) {
+      const target = this.formatTarget(row);
+      this.targets.set(target.id, target);
+      this.startTimer(target);
+    }
+
+    this.logger.info(`Loaded ${rows.length} path monitoring targets`);
+  }
+
+  /**
+   * Start tracing enabled targets
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    for (const target of this.targets.values()) {
+      this.startTimer(target);
+    }
+  }
+
+  /**
+   * Stop all trace timers
+   */
+  stop() {
+    this.isRunning = false;
+    for (const targetId of Array.from(this.timers.keys())) {
+      this.stopTimer(targetId);
+    }
+  }
+
+  /**
+   * Validate target fields, throwing on the first problem
+   */
+  validateTarget({ name, host, deviceId, method }) {
+    if (!name || !name.trim()) {
+      throw new Error('Target name is required');
+    }
+
+    if (!host && !deviceId) {
+      throw new Error('Either a host or a device is required');
+    }
+
+    if (host && deviceId) {
+      throw new Error('A target traces either a host or a device, not both');
+    }
+
+    if (!TRACE_METHODS.includes(method)) {
+      throw new Error(`Trace method is required to be one of ${TRACE_METHODS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a path monitoring target
+   * @param {Object} data - { name, host, deviceId, intervalSeconds, method, maxHops, enabled }
+   * @returns {Promise<Object>} Created target
+   */
+  async createTarget(data) {
+    const target = {
+      id: uuidv4(),
+      name: data.name,
+      host: data.host || null,
+      deviceId: data.deviceId || null,
+      intervalSeconds: data.intervalSeconds || 300,
+      method: data.method || 'auto',
+      maxHops: data.maxHops || 30,
+      enabled: data.enabled !== false,
+      lastTraceAt: null
+    };
+
+    this.validateTarget(target);
+    await this.checkTarget(target);
+
+    await this.persist(target);
+    this.targets.set(target.id, target);
+    this.startTimer(target);
+
+    this.logger.info(`Path target created: ${target.name} (every ${target.intervalSeconds}s)`);
+    this.emit('targetChanged', { action: 'created', target });
+    return target;
+  }
+
+  /**
+   * Update a path monitoring target
+   * @returns {Promise<Object|null>} Updated target, or null if not found
+   */
+  async updateTarget(targetId, changes) {
+    const current = this.targets.get(targetId);
+    if (!current) {
+      return null;
+    }
+
+    const target = { ...current };
+    for (const key of ['name', 'host', 'deviceId', 'intervalSeconds', 'method', 'maxHops', 'enabled']) {
+      if (changes[key] !== undefined) {
+        target[key] = changes[key];
+      }
+    }
+
+    // Switching between a host and a device clears the other
+    if (changes.host) target.deviceId = null;
+    if (changes.deviceId) target.host = null;
+
+    this.validateTarget(target);
+    await this.checkTarget(target, targetId);
+
+    await this.persist(target);
+    this.stopTimer(targetId);
+    this.targets.set(targetId, target);
+    this.startTimer(target);
+
+    this.logger.info(`Path target updated: ${target.name}`);
+    this.emit('targetChanged', { action: 'updated', target });
+    return target;
+  }
+
+  /**
+   * Delete a path monitoring target and its traces
+   * @returns {Promise<Object|null>} Deleted target, or null if not found
+   */
+  async deleteTarget(targetId) {
+    const target = this.targets.get(targetId);
+    if (!target) {
+      return null;
+    }
+
+    this.stopTimer(targetId);
+    this.targets.delete(targetId);
+    await this.dbManager.deletePathTarget(targetId);
+
+    this.logger.info(`Path target deleted: ${target.name}`);
+    this.emit('targetChanged', { action: 'deleted', target });
+    return target;
+  }
+
+  /**
+   * Get all targets
+   */
+  getTargets() {
+    return Array.from(this.targets.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single target
+   */
+  getTarget(targetId) {
+    return this.targets.get(targetId) || null;
+  }
+
+  /**
+   * Trace a target once, store the trace and compare it with the previous one
+   * @param {string} targetId - Target ID
+   * @returns {Promise<Object|null>} The stored trace, or null if a trace was already running
+   */
+  async traceTarget(targetId) {
+    if (this.inFlight.has(targetId)) {
+      return null;
+    }
+
+    this.inFlight.add(targetId);
+    try {
+      // Re-read the row: a merged or deleted device changes the target underneath us
+      const row = await this.dbManager.getPathTarget(targetId);
+      if (!row) {
+        const removed = this.targets.get(targetId);
+        this.stopTimer(targetId);
+        this.targets.delete(targetId);
+        if (removed) {
+          this.emit('targetChanged', { action: 'deleted', target: removed });
+        }
+        throw new Error(`Path target not found: ${targetId}`);
+      }
+
+      const target = this.formatTarget(row);
+      this.targets.set(targetId, { ...this.targets.get(targetId), ...target });
+
+      const host = await this.resolveHost(target);
+      const result = await this.networkScanner.traceroute(host, {
+        method: target.method,
+        maxHops: target.maxHops,
+        lookupName: (ip) => this.hostnameResolver.lookupPTR(ip)
+      });
+
+      // A trace where nothing answered says nothing about the path
+      const previousRow = await this.dbManager.getLatestPathTrace(targetId);
+      const previous = previousRow ? this.formatTrace(previousRow) : null;
+      const comparison = previous && result.hops.length > 0
+        ? comparePaths(previous, result)
+        : { changed: false, gatewayChanged: false, changes: [] };
+
+      const trace = { ...result, ...comparison, timestamp: new Date() };
+      trace.id = (await this.dbManager.savePathTrace(targetId, trace)).id;
+      this.targets.get(targetId).lastTraceAt = trace.timestamp;
+
+      this.emit('trace', { targetId, trace });
+      if (comparison.changed) {
+        this.logger.warn(`Path to ${target.name} changed at hop ${comparison.changes.map(change => change.hop).join(', ')}`);
+        this.emit('pathChanged', { target: this.targets.get(targetId), trace, previous });
+      }
+      return trace;
+    } finally {
+      this.inFlight.delete(targetId);
+    }
+  }
+
+  /**
+   * Get a target's most recent traces, newest first
+   */
+  async getTraces(targetId, limit = 20) {
+    const rows = await this.dbManager.getPathTraces(targetId, limit);
+    return rows.map(row => this.formatTrace(row));
+  }
+
+  /**
+   * Address to trace; device targets follow the device's current IP
+   */
+  async resolveHost(target) {
+    if (!target.deviceId) {
+      return target.host;
+    }
+
+    const device = await this.dbManager.getDevice(target.deviceId);
+    if (!device) {
+      throw new Error(`Device not found: ${target.deviceId}`);
+    }
+    return device.ip;
+  }
+
+  /**
+   * Reject duplicate names and unknown devices
+   */
+  async checkTarget(target, targetId = null) {
+    const existing = await this.dbManager.getPathTargetByName(target.name);
+    if (existing && existing.id !== targetId) {
+      throw new Error(`A path target named "${target.name}" already exists`);
+    }
+
+    if (target.deviceId && !(await this.dbManager.getDevice(target.deviceId))) {
+      throw new Error(`Device not found: ${target.deviceId}`);
+    }
+  }
+
+  startTimer(target) {
+    if (!this.isRunning || !target.enabled || this.timers.has(target.id)) {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        await this.traceTarget(target.id);
+      } catch (error) {
+        this.logger.error(`Path trace for ${target.name} failed:`, error);
+      }
+    }, target.intervalSeconds * 1000);
+
+    this.timers.set(target.id, timer);
+  }
+
+  stopTimer(targetId) {
+    const timer = this.timers.get(targetId);
+    if (timer) {
+      clearInterval(timer);
+      this.timers.delete(targetId);
+    }
+  }
+
+  async persist(target) {
+    await this.dbManager.savePathTarget({
+      id: target.id,
+      name: target.name,
+      host: target.host,
+      device_id: target.deviceId,
+      interval_seconds: target.intervalSeconds,
+      method: target.method,
+      max_hops: target.maxHops,
+      enabled: target.enabled
+    });
+  }
+
+  /**
+   * Convert a path_targets row to the API representation
+   */
+  formatTarget(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      host: row.host,
+      deviceId: row.device_id,
+      intervalSeconds: row.interval_seconds,
+      method: row.method,
+      maxHops: row.max_hops,
+      enabled: Boolean(row.enabled),
+      lastTraceAt: row.last_trace_at
+    };
+  }
+
+  /**
+   * Convert a path_traces row to the API representation
+   */
+  formatTrace(row) {
+    const parse = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch (error) {
+        return fallback;
+      }
+    };
+
+    return {
+      id: row.id,
+      host: row.host,
+      targetIp: row.target_ip,
+      method: row.method,
+      reached: Boolean(row.reached),
+      hops: parse(row.hops, []),
+      changed: Boolean(row.changed),
+      gatewayChanged: Boolean(row.gateway_changed),
+      changes: parse(row.changes, []),
+      durationMs: row.duration_ms,
+      timestamp: row.timestamp
+    };
+  }
+}
@@ -1,16 +1,70 @@
 import snmp from 'net-snmp';
 import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { normalizeMAC } from '../utils/MACAddress.js';
+
+// LLDP chassis/port ID subtypes that carry a MAC address (802.1AB)
+const LLDP_CHASSIS_MAC_SUBTYPE = 4;
+const LLDP_PORT_MAC_SUBTYPE = 3;
+
+// Rows asked for per GETBULK until the configuration says otherwise; halved when an agent answers tooBig
+const DEFAULT_MAX_REPETITIONS = 25;
+
+// Scalar OIDs per GET request; batches an agent finds too big are split in half
+const MAX_GET_VARBINDS = 40;
+
+// ifTable columns read per interface: ifDescr, ifType, ifSpeed, ifAdminStatus, ifOperStatus,
+// ifInOctets, ifInUcastPkts, ifInDiscards, ifInErrors, ifOutOctets, ifOutUcastPkts, ifOutDiscards, ifOutErrors
+const IF_ENTRY_COLUMNS = [2, 3, 5, 7, 8, 10, 11, 13, 14, 16, 17, 19, 20];
+
+// ifXTable columns: ifName, ifInBroadcastPkts, ifOutBroadcastPkts, the ifHC* octet and packet
+// counters, ifHighSpeed, ifCounterDiscontinuityTime
+const IF_X_ENTRY_COLUMNS = [1, 3, 5, 6, 7, 9, 10, 11, 13, 15, 19];
+
+// ifSpeed saturates here; faster interfaces report ifHighSpeed in Mbit/s
+const IF_SPEED_MAX = 4294967295;
+
+// dot1dTpFdbStatus / dot1qTpFdbStatus value of addresses the switch learned itself
+const FDB_STATUS_LEARNED = 3;
+
+/**
+ * Text for printable octet strings, colon-separated hex otherwise
+ */
+export function decodeOctets(value) {
+  if (!Buffer.isBuffer(value)) {
+    return value === undefined || value === null ? null : String(value);
+  }
+  if (value.length > 0 && [...value].every(byte => byte >= 0x20 && byte < 0x7f)) {
+    return value.toString('ascii');
+  }
+  return value.length > 0 ? value.toString('hex').match(/.{2}/g).join(':') : null;
+}
+
+/**
+ * Number for a counter, gauge or timeticks value; Counter64 arrives as a buffer
+ */
+function decodeCounter(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.length > 0 ? Number(BigInt(`0x${value.toString('hex')}`)) : 0;
+  }
+  return Number(value);
+}
 
 export class SNMPCollector extends EventEmitter {
   constructor() {
     super();
     this.sessions = new Map();
+    this.timings = new Map();
+    this.maxRepetitions = DEFAULT_MAX_REPETITIONS;
     this.defaultOptions = {
       port: 161,
       retries: parseInt(process.env.SNMP_RETRIES) || 2,
       timeout: parseInt(process.env.SNMP_TIMEOUT) || 5000,
       transport: 'udp4',
-      trapPort: 162,
+      trapPort: parseInt(process.env.SNMP_TRAP_PORT) || 162,
       version: snmp.Version2c,
       idBitsSize: 32
     };
@@ -38,6 +92,7 @@ export class SNMPCollector extends EventEmitter {
       // Memory
       hrMemorySize: '1.3.6.1.2.1.25.2.2.0',
       hrStorageTable: '1.3.6.1.2.1.25.2.3',
+      hrStorageEntry: '1.3.6.1.2.1.25.2.3.1',
       hrStorageIndex: '1.3.6.1.2.1.25.2.3.1.1',
       hrStorageType: '1.3.6.1.2.1.25.2.3.1.2',
       hrStorageDescr: '1.3.6.1.2.1.25.2.3.1.3',
@@ -52,6 +107,7 @@ export class SNMPCollector extends EventEmitter {
 
       // Network Interfaces
       ifTable: '1.3.6.1.2.1.2.2',
+      ifEntry: '1.3.6.1.2.1.2.2.1',
       ifIndex: '1.3.6.1.2.1.2.2.1.1',
       ifDescr: '1.3.6.1.2.1.2.2.1.2',
       ifType: '1.3.6.1.2.1.2.2.1.3',
@@ -61,7 +117,46 @@ export class SNMPCollector extends EventEmitter {
       ifAdminStatus: '1.3.6.1.2.1.2.2.1.7',
       ifOperStatus: '1.3.6.1.2.1.2.2.1.8',
       ifInOctets: '1.3.6.1.2.1.2.2.1.10',
+      ifInUcastPkts: '1.3.6.1.2.1.2.2.1.11',
+      ifInDiscards: '1.3.6.1.2.1.2.2.1.13',
+      ifInErrors: '1.3.6.1.2.1.2.2.1.14',
       ifOutOctets: '1.3.6.1.2.1.2.2.1.16',
+      ifOutUcastPkts: '1.3.6.1.2.1.2.2.1.17',
+      ifOutDiscards: '1.3.6.1.2.1.2.2.1.19',
+      ifOutErrors: '1.3.6.1.2.1.2.2.1.20',
+
+      // IP forwarding and ARP cache (IP-MIB)
+      ipForwarding: '1.3.6.1.2.1.4.1.0',
+      ipNetToMediaPhysAddress: '1.3.6.1.2.1.4.22.1.2',
+
+      // Interface names and 64-bit counters (IF-MIB ifXTable)
+      ifXEntry: '1.3.6.1.2.1.31.1.1.1',
+      ifName: '1.3.6.1.2.1.31.1.1.1.1',
+      ifInBroadcastPkts: '1.3.6.1.2.1.31.1.1.1.3',
+      ifOutBroadcastPkts: '1.3.6.1.2.1.31.1.1.1.5',
+      ifHCInOctets: '1.3.6.1.2.1.31.1.1.1.6',
+      ifHCInUcastPkts: '1.3.6.1.2.1.31.1.1.1.7',
+      ifHCInBroadcastPkts: '1.3.6.1.2.1.31.1.1.1.9',
+      ifHCOutOctets: '1.3.6.1.2.1.31.1.1.1.10',
+      ifHCOutUcastPkts: '1.3.6.1.2.1.31.1.1.1.11',
+      ifHCOutBroadcastPkts: '1.3.6.1.2.1.31.1.1.1.13',
+      ifHighSpeed: '1.3.6.1.2.1.31.1.1.1.15',
+      ifCounterDiscontinuityTime: '1.3.6.1.2.1.31.1.1.1.19',
+
+      // LLDP-MIB: local ports and remote systems
+      lldpLocChassisIdSubtype: '1.0.8802.1.1.2.1.3.1.0',
+      lldpLocChassisId: '1.0.8802.1.1.2.1.3.2.0',
+      lldpLocPortEntry: '1.0.8802.1.1.2.1.3.7.1',
+      lldpRemEntry: '1.0.8802.1.1.2.1.4.1.1',
+      lldpRemManAddrEntry: '1.0.8802.1.1.2.1.4.2.1',
+
+      // CISCO-CDP-MIB neighbour cache
+      cdpCacheEntry: '1.3.6.1.4.1.9.9.23.1.2.1.1',
+
+      // BRIDGE-MIB and Q-BRIDGE-MIB forwarding tables
+      dot1dBasePortIfIndex: '1.3.6.1.2.1.17.1.4.1.2',
+      dot1dTpFdbEntry: '1.3.6.1.2.1.17.4.3.1',
+      dot1qTpFdbEntry: '1.3.6.1.2.1.17.7.1.2.2.1',
 
       // Load Average (Linux/Unix systems)
       laLoad1: '1.3.6.1.4.1.2021.10.1.3.1',
@@ -81,12 +176,13 @@ export class SNMPCollector extends EventEmitter {
   /**
    * Create or get SNMP session for a host
    * @param {string} ip - Target IP address
-   * @param {string} community - SNMP community string
+   * @param {string|Object} community - SNMP community string, or credentials
+   *   { version: '1'|'2c'|'3', community, user, securityLevel, authProtocol, authKey, privProtocol, privKey }
    * @param {Object} options - Additional SNMP options
    * @returns {Object} SNMP session
    */
   getSession(ip, community = 'public', options = {}) {
-    const sessionKey = `${ip}:${community}`;
+    const sessionKey = this.sessionKey(ip, community);
     
     if (this.sessions.has(sessionKey)) {
       return this.sessions.get(sessionKey);
@@ -97,16 +193,177 @@ export class SNMPCollector extends EventEmitter {
       ...options
     };
 
-    const session = snmp.createSession(ip, community, sessionOptions);
+    let session;
+    if (typeof community === 'string') {
+      session = snmp.createSession(ip, community, sessionOptions);
+    } else if (community.version === '3') {
+      session = snmp.createV3Session(ip, this.usmUser(community), {
+        ...sessionOptions,
+        version: snmp.Version3
+      });
+    } else {
+      session = snmp.createSession(ip, community.community || 'public', {
+        ...sessionOptions,
+        version: community.version === '1' ? snmp.Version1 : snmp.Version2c
+      });
+    }
     
     session.on('error', (error) => {
-      this.emit('sessionError', { ip, community, error });
+      this.emit('sessionError', { ip, key: sessionKey, error });
     });
 
+    this.instrumentSession(session, ip);
     this.sessions.set(sessionKey, session);
     return session;
   }
 
+  /**
+   * Apply settings from the configuration table
+   * @param {Object} settings - { maxRepetitions }
+   */
+  configure({ maxRepetitions } = {}) {
+    if (maxRepetitions !== undefined) {
+      this.maxRepetitions = Math.max(1, parseInt(maxRepetitions) || DEFAULT_MAX_REPETITIONS);
+    }
+  }
+
+  /**
+   * Time every request a session sends. Walks and table retrievals go
+   * through the session's own get/getNext/getBulk, so they are counted too.
+   */
+  instrumentSession(session, ip) {
+    for (const type of ['get', 'getNext', 'getBulk']) {
+      const send = session[type].bind(session);
+      session[type] = (...args) => {
+        const responseCb = args.pop();
+        const startedAt = Date.now();
+        return send(...args, (error, varbinds) => {
+          this.recordRequest(ip, type, Date.now() - startedAt, error, varbinds);
+          responseCb(error, varbinds);
+        });
+      };
+    }
+  }
+
+  recordRequest(ip, type, durationMs, error, varbinds) {
+    if (!this.timings.has(ip)) {
+      this.timings.set(ip, {
+        requests: { get: 0, getNext: 0, getBulk: 0 },
+        varbinds: 0,
+        errors: 0,
+        timeouts: 0,
+        totalMs: 0,
+        maxMs: 0,
+        collections: 0,
+        totalCollectionMs: 0,
+        lastCollection: null,
+        since: new Date()
+      });
+    }
+
+    const stats = this.timings.get(ip);
+    stats.requests[type]++;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+    if (error) {
+      stats.errors++;
+      if (error instanceof snmp.RequestTimedOutError) {
+        stats.timeouts++;
+      }
+    } else if (varbinds) {
+      stats.varbinds += varbinds.flat().length;
+    }
+  }
+
+  requestCounts(ip) {
+    const stats = this.timings.get(ip);
+    if (!stats) {
+      return { requests: 0, varbinds: 0 };
+    }
+    return {
+      requests: stats.requests.get + stats.requests.getNext + stats.requests.getBulk,
+      varbinds: stats.varbinds
+    };
+  }
+
+  recordCollection(ip, collection) {
+    const stats = this.timings.get(ip);
+    if (!stats) {
+      return;
+    }
+    stats.collections++;
+    stats.totalCollectionMs += collection.durationMs;
+    stats.lastCollection = collection;
+  }
+
+  /**
+   * Request counts and round-trip times for a device since startup, and
+   * what its last full metrics collection cost
+   * @returns {Object|null} null if the device has not been queried
+   */
+  getTimingStats(ip) {
+    const stats = this.timings.get(ip);
+    if (!stats) {
+      return null;
+    }
+
+    const { requests } = this.requestCounts(ip);
+    return {
+      requests,
+      requestsByType: { ...stats.requests },
+      varbinds: stats.varbinds,
+      errors: stats.errors,
+      timeouts: stats.timeouts,
+      averageRequestMs: requests > 0 ? Math.round(stats.totalMs / requests) : null,
+      maxRequestMs: stats.maxMs,
+      collections: stats.collections,
+      averageCollectionMs: stats.collections > 0 ? Math.round(stats.totalCollectionMs / stats.collections) : null,
+      lastCollection: stats.lastCollection,
+      maxRepetitions: this.maxRepetitions,
+      since: stats.since
+    };
+  }
+
+  /**
+   * Session cache key; v3 keys carry a digest of the secrets rather than the
+   * secrets themselves, so changed keys get a new session
+   */
+  sessionKey(ip, community) {
+    if (typeof community === 'string') {
+      return `${ip}:${community}`;
+    }
+    if (community.version !== '3') {
+      return `${ip}:v${community.version}:${community.community}`;
+    }
+
+    const digest = createHash('sha256')
+      .update([community.securityLevel, community.authProtocol, community.authKey, community.privProtocol, community.privKey].join('\0'))
+      .digest('hex')
+      .slice(0, 16);
+    return `${ip}:v3:${community.user}:${digest}`;
+  }
+
+  /**
+   * net-snmp USM user for SNMPv3 credentials
+   */
+  usmUser(credentials) {
+    const user = {
+      name: credentials.user,
+      level: snmp.SecurityLevel[credentials.securityLevel] || snmp.SecurityLevel.noAuthNoPriv
+    };
+
+    if (user.level !== snmp.SecurityLevel.noAuthNoPriv) {
+      user.authProtocol = snmp.AuthProtocols[credentials.authProtocol] || snmp.AuthProtocols.sha;
+      user.authKey = credentials.authKey;
+    }
+    if (user.level === snmp.SecurityLevel.authPriv) {
+      user.privProtocol = snmp.PrivProtocols[credentials.privProtocol] || snmp.PrivProtocols.aes;
+      user.privKey = credentials.privKey;
+    }
+
+    return user;
+  }
+
   /**
    * Collect system information from a device
    * @param {string} ip - Target IP address
@@ -118,6 +375,7 @@ export class SNMPCollector extends EventEmitter {
     
     const systemOids = [
       this.oids.sysDescr,
+      this.oids.sysObjectID,
       this.oids.sysName,
       this.oids.sysUpTime,
       this.oids.sysContact,
@@ -130,6 +388,8 @@ export class SNMPCollector extends EventEmitter {
       return {
         description: results[this.oids.sysDescr] || 'Unknown',
         hostname: results[this.oids.sysName] || ip,
+        sysName: results[this.oids.sysName] || null,
+        objectId: results[this.oids.sysObjectID] || null,
         uptime: this.parseUptime(results[this.oids.sysUpTime]) || 0,
         contact: results[this.oids.sysContact] || '',
         location: results[this.oids.sysLocation] || '',
@@ -152,12 +412,14 @@ export class SNMPCollector extends EventEmitter {
     try {
       // Try different methods to get CPU usage
       let cpuUsage = 0;
+      let cores = 1;
       
       // Method 1: Try hrProcessorLoad (Host Resources MIB)
       try {
         const processorLoads = await this.walkTable(session, this.oids.hrProcessorLoad);
         if (processorLoads.length > 0) {
           cpuUsage = processorLoads.reduce((sum, load) => sum + load.value, 0) / processorLoads.length;
+          cores = processorLoads.length;
         }
       } catch (error) {
         // Method 2: Try load average (UCD-SNMP)
@@ -172,7 +434,7 @@ export class SNMPCollector extends EventEmitter {
 
       return {
         usage: Math.round(cpuUsage),
-        cores: await this.getCPUCoreCount(session),
+        cores,
         collectedAt: new Date()
       };
     } catch (error) {
@@ -195,8 +457,10 @@ export class SNMPCollector extends EventEmitter {
       
       // Method 1: Try UCD-SNMP memory OIDs
       try {
-        const memTotal = await this.getSingle(session, this.oids.memTotalReal);
-        const memAvail = await this.getSingle(session, this.oids.memAvailReal);
+        const [memTotal, memAvail] = await this.getRaw(session, [this.oids.memTotalReal, this.oids.memAvailReal]);
+        if (memTotal === null || memAvail === null) {
+          throw new Error('UCD-SNMP memory objects not available');
+        }
         
         totalMemory = parseInt(memTotal) * 1024; // Convert KB to bytes
         usedMemory = totalMemory - (parseInt(memAvail) * 1024);
@@ -287,40 +551,67 @@ export class SNMPCollector extends EventEmitter {
   }
 
   /**
-   * Collect network interface information
+   * Collect network interface information and traffic counters, 64-bit
+   * (ifXTable) where the agent has them
    * @param {string} ip - Target IP address
    * @param {string} community - SNMP community string
-   * @returns {Promise<Object[]>} Network interfaces data
+   * @returns {Promise<Object[]>} Network interfaces data; speed is in bit/s and
+   *   hcCounters tells whether octet and packet counters are 64-bit
    */
   async collectNetworkInterfaces(ip, community = 'public') {
     const session = this.getSession(ip, community);
     
     try {
       const interfaces = [];
-      const ifIndexes = await this.walkTable(session, this.oids.ifIndex);
+
+      // sysUpTime is read with the counters so rates can be timed on the agent's clock
+      const [sysUpTime] = await this.getRaw(session, [this.oids.sysUpTime]);
+
+      const ifRows = await this.getTable(session, this.oids.ifEntry, IF_ENTRY_COLUMNS);
+
+      // Old agents lack ifXTable and SNMPv1 cannot carry Counter64; either way these stay null
+      const ifXRows = await this.getTable(session, this.oids.ifXEntry, IF_X_ENTRY_COLUMNS).catch(() => new Map());
       
-      for (const ifEntry of ifIndexes) {
-        const index = ifEntry.value;
-        
-        const [description, type, speed, adminStatus, operStatus, inOctets, outOctets] = await Promise.all([
-          this.getSingle(session, `${this.oids.ifDescr}.${index}`).catch(() => 'Unknown'),
-          this.getSingle(session, `${this.oids.ifType}.${index}`).catch(() => 0),
-          this.getSingle(session, `${this.oids.ifSpeed}.${index}`).catch(() => 0),
-          this.getSingle(session, `${this.oids.ifAdminStatus}.${index}`).catch(() => 0),
-          this.getSingle(session, `${this.oids.ifOperStatus}.${index}`).catch(() => 0),
-          this.getSingle(session, `${this.oids.ifInOctets}.${index}`).catch(() => 0),
-          this.getSingle(session, `${this.oids.ifOutOctets}.${index}`).catch(() => 0)
-        ]);
+      for (const [key, ifColumns] of ifRows) {
+        const index = parseInt(key);
+        const ifXColumns = ifXRows.get(key) || {};
+
+        const [
+          description, type, speed, adminStatus, operStatus,
+          inOctets, inUcastPkts, inDiscards, inErrors,
+          outOctets, outUcastPkts, outDiscards, outErrors
+        ] = IF_ENTRY_COLUMNS.map(column => ifColumns[column] ?? null);
+        const [
+          name, inBroadcastPkts, outBroadcastPkts,
+          hcInOctets, hcInUcastPkts, hcInBroadcastPkts,
+          hcOutOctets, hcOutUcastPkts, hcOutBroadcastPkts,
+          highSpeed, counterDiscontinuity
+        ] = IF_X_ENTRY_COLUMNS.map(column => ifXColumns[column] ?? null);
+
+        const hcCounters = decodeCounter(hcInOctets) !== null && decodeCounter(hcOutOctets) !== null;
+        const ifSpeed = decodeCounter(speed) || 0;
 
         interfaces.push({
           index,
-          description,
-          type: parseInt(type),
-          speed: parseInt(speed),
-          adminStatus: parseInt(adminStatus),
-          operStatus: parseInt(operStatus),
-          inOctets: parseInt(inOctets),
-          outOctets: parseInt(outOctets),
+          name: decodeOctets(name),
+          description: decodeOctets(description) || 'Unknown',
+          type: parseInt(type) || 0,
+          speed: ifSpeed === IF_SPEED_MAX && highSpeed ? decodeCounter(highSpeed) * 1000000 : ifSpeed,
+          adminStatus: parseInt(adminStatus) || 0,
+          operStatus: parseInt(operStatus) || 0,
+          hcCounters,
+          inOctets: decodeCounter(hcCounters ? hcInOctets : inOctets),
+          outOctets: decodeCounter(hcCounters ? hcOutOctets : outOctets),
+          inUcastPkts: decodeCounter(hcCounters ? hcInUcastPkts : inUcastPkts),
+          outUcastPkts: decodeCounter(hcCounters ? hcOutUcastPkts : outUcastPkts),
+          inBroadcastPkts: decodeCounter(hcCounters ? hcInBroadcastPkts : inBroadcastPkts),
+          outBroadcastPkts: decodeCounter(hcCounters ? hcOutBroadcastPkts : outBroadcastPkts),
+          inErrors: decodeCounter(inErrors),
+          outErrors: decodeCounter(outErrors),
+          inDiscards: decodeCounter(inDiscards),
+          outDiscards: decodeCounter(outDiscards),
+          counterDiscontinuity: decodeCounter(counterDiscontinuity),
+          sysUpTime: decodeCounter(sysUpTime),
           status: parseInt(operStatus) === 1 ? 'up' : 'down'
         });
       }
@@ -331,6 +622,241 @@ export class SNMPCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Check whether a device routes packets (ipForwarding = forwarding(1))
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<boolean>} True if the device is a router
+   */
+  async isRouter(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    try {
+      return parseInt(await this.getSingle(session, this.oids.ipForwarding)) === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Collect the ARP cache of a device from ipNetToMediaTable
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Object[]>} Entries of { ip, mac, ifIndex }
+   */
+  async collectARPTable(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    try {
+      const entries = await this.walkTable(session, this.oids.ipNetToMediaPhysAddress);
+
+      // Index is ipNetToMediaIfIndex.a.b.c.d
+      return entries.map(entry => {
+        const index = entry.oid.slice(this.oids.ipNetToMediaPhysAddress.length + 1).split('.');
+        return {
+          ip: index.slice(1).join('.'),
+          mac: Buffer.isBuffer(entry.value) ? entry.value.toString('hex') : String(entry.value),
+          ifIndex: parseInt(index[0])
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to collect ARP table from ${ip}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect interface names, preferring ifName ("Gi1/0/1") over ifDescr
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Map>} ifIndex -> name
+   */
+  async collectPortNames(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+    const names = new Map();
+
+    for (const baseOid of [this.oids.ifDescr, this.oids.ifName]) {
+      try {
+        for (const entry of await this.walkTable(session, baseOid)) {
+          const name = decodeOctets(entry.value);
+          if (name) {
+            names.set(parseInt(entry.oid.slice(baseOid.length + 1)), name);
+          }
+        }
+      } catch (error) {
+        // ifXTable is missing on some old agents; ifDescr alone will do
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Collect LLDP neighbours from lldpRemTable and lldpRemManAddrTable
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Object[]>} Entries of { localPortNum, localPort, chassisId, chassisMac,
+   *   portId, portMac, portDescription, sysName, sysDescription, managementAddress }
+   */
+  async collectLLDPNeighbors(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    try {
+      const [remotes, addresses, localPorts] = await Promise.all([
+        this.walkEntries(session, this.oids.lldpRemEntry),
+        this.walkEntries(session, this.oids.lldpRemManAddrEntry).catch(() => new Map()),
+        this.walkEntries(session, this.oids.lldpLocPortEntry).catch(() => new Map())
+      ]);
+
+      // lldpRemManAddrTable index: timeMark.localPortNum.remIndex.addrSubtype.addrLength.addr...
+      const managementAddresses = new Map();
+      for (const index of addresses.keys()) {
+        const parts = index.split('.').map(Number);
+        const [subtype, length] = parts.slice(3, 5);
+        if (subtype === 1 && length === 4 && !managementAddresses.has(parts.slice(0, 3).join('.'))) {
+          managementAddresses.set(parts.slice(0, 3).join('.'), parts.slice(5, 9).join('.'));
+        }
+      }
+
+      // lldpRemTable index: timeMark.localPortNum.remIndex
+      return Array.from(remotes.entries()).map(([index, columns]) => {
+        const localPortNum = parseInt(index.split('.')[1]);
+        const localPort = localPorts.get(String(localPortNum)) || {};
+
+        return {
+          localPortNum,
+          localPort: decodeOctets(localPort[4]) || decodeOctets(localPort[3]) || String(localPortNum),
+          chassisId: decodeOctets(columns[5]),
+          chassisMac: parseInt(columns[4]) === LLDP_CHASSIS_MAC_SUBTYPE ? normalizeMAC(columns[5]) : null,
+          portId: decodeOctets(columns[7]),
+          portMac: parseInt(columns[6]) === LLDP_PORT_MAC_SUBTYPE ? normalizeMAC(columns[7]) : null,
+          portDescription: decodeOctets(columns[8]),
+          sysName: decodeOctets(columns[9]),
+          sysDescription: decodeOctets(columns[10]),
+          managementAddress: managementAddresses.get(index) || null
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to collect LLDP neighbours from ${ip}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect CDP neighbours from cdpCacheTable (Cisco devices only)
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Object[]>} Entries of { ifIndex, deviceId, address, port, platform }
+   */
+  async collectCDPNeighbors(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    try {
+      const entries = await this.walkEntries(session, this.oids.cdpCacheEntry);
+
+      // Index: cdpCacheIfIndex.cdpCacheDeviceIndex; cdpCacheAddress is 4 raw bytes for IPv4
+      return Array.from(entries.entries()).map(([index, columns]) => {
+        const address = columns[4];
+        return {
+          ifIndex: parseInt(index.split('.')[0]),
+          deviceId: decodeOctets(columns[6]),
+          address: Buffer.isBuffer(address) && address.length === 4 ? [...address].join('.') : null,
+          port: decodeOctets(columns[7]),
+          platform: decodeOctets(columns[8])
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to collect CDP neighbours from ${ip}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect the MAC addresses a switch has learned on each port. Q-BRIDGE-MIB
+   * (per VLAN) is preferred; BRIDGE-MIB covers switches without VLAN support.
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Object[]>} Entries of { mac, vlan, bridgePort, ifIndex }
+   */
+  async collectForwardingTable(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    try {
+      const portMap = await this.walkTable(session, this.oids.dot1dBasePortIfIndex);
+      const ifIndexes = new Map(portMap.map(entry => [
+        parseInt(entry.oid.slice(this.oids.dot1dBasePortIfIndex.length + 1)),
+        parseInt(entry.value)
+      ]));
+
+      // Q-BRIDGE index: fdbId.m1.m2.m3.m4.m5.m6; BRIDGE-MIB index: m1...m6
+      let entries = await this.walkEntries(session, this.oids.dot1qTpFdbEntry).catch(() => new Map());
+      let vlanTagged = true;
+      if (entries.size === 0) {
+        entries = await this.walkEntries(session, this.oids.dot1dTpFdbEntry);
+        vlanTagged = false;
+      }
+
+      const results = [];
+      for (const [index, columns] of entries) {
+        if (columns[3] !== undefined && parseInt(columns[3]) !== FDB_STATUS_LEARNED) continue;
+
+        const parts = index.split('.').map(Number);
+        const octets = vlanTagged ? parts.slice(1) : parts;
+        const bridgePort = parseInt(columns[2]);
+        if (octets.length !== 6 || !bridgePort) continue;
+
+        results.push({
+          mac: normalizeMAC(Buffer.from(octets)),
+          vlan: vlanTagged ? parts[0] : null,
+          bridgePort,
+          ifIndex: ifIndexes.get(bridgePort) || null
+        });
+      }
+
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to collect forwarding table from ${ip}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect everything needed to place a device in the layer-2 topology
+   * @param {string} ip - Target IP address
+   * @param {string} community - SNMP community string
+   * @returns {Promise<Object>} { chassisId, chassisMac, portNames, lldp, cdp, fdb, errors }; tables the
+   *   agent does not implement come back empty
+   */
+  async collectTopology(ip, community = 'public') {
+    const session = this.getSession(ip, community);
+
+    const [chassis, portNames, lldp, cdp, fdb] = await Promise.allSettled([
+      this.getRaw(session, [this.oids.lldpLocChassisIdSubtype, this.oids.lldpLocChassisId]),
+      this.collectPortNames(ip, community),
+      this.collectLLDPNeighbors(ip, community),
+      this.collectCDPNeighbors(ip, community),
+      this.collectForwardingTable(ip, community)
+    ]);
+
+    let chassisId = null;
+    let chassisMac = null;
+    if (chassis.status === 'fulfilled') {
+      const [subtype, id] = chassis.value;
+      chassisId = decodeOctets(id);
+      chassisMac = parseInt(subtype) === LLDP_CHASSIS_MAC_SUBTYPE ? normalizeMAC(id) : null;
+    }
+
+    return {
+      ip,
+      chassisId,
+      chassisMac,
+      portNames: portNames.status === 'fulfilled' ? portNames.value : new Map(),
+      lldp: lldp.status === 'fulfilled' ? lldp.value : [],
+      cdp: cdp.status === 'fulfilled' ? cdp.value : [],
+      fdb: fdb.status === 'fulfilled' ? fdb.value : [],
+      collectedAt: new Date(),
+      errors: [lldp, cdp, fdb]
+        .filter(result => result.status === 'rejected')
+        .map(result => result.reason.message)
+    };
+  }
+
   /**
    * Collect all metrics from a device
    * @param {string} ip - Target IP address
@@ -339,17 +865,37 @@ export class SNMPCollector extends EventEmitter {
    */
   async collectAllMetrics(ip, community = 'public') {
     try {
+      const startedAt = new Date();
+      const countsBefore = this.requestCounts(ip);
+      const durations = {};
+      const timed = async (part, collect) => {
+        const partStartedAt = Date.now();
+        try {
+          return await collect;
+        } finally {
+          durations[part] = Date.now() - partStartedAt;
+        }
+      };
+
       const [systemInfo, cpuUsage, memoryUsage, diskUsage, networkInterfaces] = await Promise.allSettled([
-        this.collectSystemInfo(ip, community),
-        this.collectCPUUsage(ip, community),
-        this.collectMemoryUsage(ip, community),
-        this.collectDiskUsage(ip, community),
-        this.collectNetworkInterfaces(ip, community)
+        timed('system', this.collectSystemInfo(ip, community)),
+        timed('cpu', this.collectCPUUsage(ip, community)),
+        timed('memory', this.collectMemoryUsage(ip, community)),
+        timed('disk', this.collectDiskUsage(ip, community)),
+        timed('interfaces', this.collectNetworkInterfaces(ip, community))
       ]);
 
+      const countsAfter = this.requestCounts(ip);
+      this.recordCollection(ip, {
+        startedAt,
+        durationMs: Date.now() - startedAt.getTime(),
+        requests: countsAfter.requests - countsBefore.requests,
+        varbinds: countsAfter.varbinds - countsBefore.varbinds,
+        parts: durations
+      });
+
       return {
         ip,
-        community,
         system: systemInfo.status === 'fulfilled' ? systemInfo.value : null,
         cpu: cpuUsage.status === 'fulfilled' ? cpuUsage.value : null,
         memory: memoryUsage.status === 'fulfilled' ? memoryUsage.value : null,
@@ -388,25 +934,130 @@ export class SNMPCollector extends EventEmitter {
     });
   }
 
+  /**
+   * Get several values without converting them to strings, so binary octet
+   * strings (MAC addresses, chassis IDs) survive
+   * @returns {Promise<Array>} One value per OID, null where the agent had none
+   */
+  async getRaw(session, oids) {
+    const varbinds = await this.getVarbinds(session, oids);
+    return varbinds.map(varbind => (snmp.isVarbindError(varbind) ? null : varbind.value));
+  }
+
   /**
    * Get multiple SNMP values
    */
   async getMultiple(session, oids) {
-    return new Promise((resolve, reject) => {
-      session.get(oids, (error, varbinds) => {
-        if (error) {
-          reject(error);
-        } else {
-          const results = {};
-          varbinds.forEach((varbind, index) => {
-            if (!snmp.isVarbindError(varbind)) {
-              results[oids[index]] = varbind.value.toString();
-            }
-          });
-          resolve(results);
+    const varbinds = await this.getVarbinds(session, oids);
+    const results = {};
+    varbinds.forEach((varbind, index) => {
+      if (!snmp.isVarbindError(varbind)) {
+        results[oids[index]] = varbind.value.toString();
+      }
+    });
+    return results;
+  }
+
+  /**
+   * GET any number of scalars in as few requests as the agent will take:
+   * MAX_GET_VARBINDS per request, halved for a batch it answers tooBig
+   * @returns {Promise<Object[]>} One varbind per OID, in order
+   */
+  async getVarbinds(session, oids) {
+    const varbinds = [];
+
+    for (let start = 0; start < oids.length; start += MAX_GET_VARBINDS) {
+      varbinds.push(...await this.getBatch(session, oids.slice(start, start + MAX_GET_VARBINDS)));
+    }
+
+    return varbinds;
+  }
+
+  async getBatch(session, oids) {
+    try {
+      return await new Promise((resolve, reject) => {
+        session.get(oids, (error, varbinds) => (error ? reject(error) : resolve(varbinds)));
+      });
+    } catch (error) {
+      if (error.status !== snmp.ErrorStatus.TooBig || oids.length === 1) {
+        throw error;
+      }
+      const half = Math.ceil(oids.length / 2);
+      return [
+        ...await this.getBatch(session, oids.slice(0, half)),
+        ...await this.getBatch(session, oids.slice(half))
+      ];
+    }
+  }
+
+  /**
+   * Read some columns of a table, all of them in each GETBULK request, so a
+   * table of N rows takes about N / maxRepetitions requests instead of one
+   * GET per row. SNMPv1 has no GETBULK; its columns are walked one by one.
+   * @param {Object} session - SNMP session
+   * @param {string} entryOid - OID of the table's entry (the ".1" below the table)
+   * @param {number[]} columns - Column numbers to read
+   * @returns {Promise<Map>} Row index -> { column number: raw value }; a row
+   *   has no key for a column the agent left empty
+   */
+  async getTable(session, entryOid, columns) {
+    const rows = new Map();
+    const setCell = (index, column, value) => {
+      if (!rows.has(index)) {
+        rows.set(index, {});
+      }
+      rows.get(index)[column] = value;
+    };
+
+    if (session.version === snmp.Version1) {
+      for (const column of columns) {
+        const columnOid = `${entryOid}.${column}`;
+        for (const { oid, value } of await this.walkTable(session, columnOid)) {
+          setCell(oid.slice(columnOid.length + 1), column, value);
+        }
+      }
+      return rows;
+    }
+
+    // Each column still being read, and the last OID it returned
+    let cursors = columns.map(column => ({ column, prefix: `${entryOid}.${column}.`, oid: `${entryOid}.${column}` }));
+    let maxRepetitions = this.maxRepetitions;
+
+    while (cursors.length > 0) {
+      let varbinds;
+      try {
+        varbinds = await new Promise((resolve, reject) => {
+          session.getBulk(cursors.map(cursor => cursor.oid), 0, maxRepetitions, (error, result) => (error ? reject(error) : resolve(result)));
+        });
+      } catch (error) {
+        if (error.status === snmp.ErrorStatus.TooBig && maxRepetitions > 1) {
+          maxRepetitions = Math.ceil(maxRepetitions / 2);
+          continue;
+        }
+        throw error;
+      }
+
+      // A column is done once the agent answers past its end; a response cut
+      // short leaves the remaining columns to carry on from where they got to
+      let advanced = false;
+      cursors = cursors.filter((cursor, position) => {
+        for (const varbind of varbinds[position] || []) {
+          if (snmp.isVarbindError(varbind) || !varbind.oid.startsWith(cursor.prefix) || varbind.oid === cursor.oid) {
+            return false;
+          }
+          setCell(varbind.oid.slice(cursor.prefix.length), cursor.column, varbind.value);
+          cursor.oid = varbind.oid;
+          advanced = true;
         }
+        return true;
       });
-    });
+
+      if (cursors.length > 0 && !advanced) {
+        throw new Error(`Agent returned no rows for ${entryOid}`);
+      }
+    }
+
+    return rows;
   }
 
   /**
@@ -416,7 +1067,7 @@ export class SNMPCollector extends EventEmitter {
     return new Promise((resolve, reject) => {
       const results = [];
       
-      session.walk(baseOid, (varbinds) => {
+      session.walk(baseOid, this.maxRepetitions, (varbinds) => {
         varbinds.forEach((varbind) => {
           if (!snmp.isVarbindError(varbind)) {
             results.push({
@@ -435,51 +1086,53 @@ export class SNMPCollector extends EventEmitter {
     });
   }
 
+  /**
+   * Walk a table entry and group its cells by row
+   * @param {Object} session - SNMP session
+   * @param {string} entryOid - OID of the table's entry (the ".1" below the table)
+   * @returns {Promise<Map>} Row index -> { column number: raw value }
+   */
+  async walkEntries(session, entryOid) {
+    const rows = new Map();
+
+    for (const { oid, value } of await this.walkTable(session, entryOid)) {
+      const [column, ...index] = oid.slice(entryOid.length + 1).split('.');
+      const key = index.join('.');
+      if (!rows.has(key)) {
+        rows.set(key, {});
+      }
+      rows.get(key)[parseInt(column)] = value;
+    }
+
+    return rows;
+  }
+
   /**
    * Get storage table information
    */
   async getStorageTable(session) {
     const storageEntries = [];
-    const indexes = await this.walkTable(session, this.oids.hrStorageIndex);
+    // hrStorageDescr, hrStorageAllocationUnits, hrStorageSize, hrStorageUsed
+    const rows = await this.getTable(session, this.oids.hrStorageEntry, [3, 4, 5, 6]);
     
-    for (const indexEntry of indexes) {
-      const index = indexEntry.value;
-      
-      try {
-        const [description, allocationUnits, size, used] = await Promise.all([
-          this.getSingle(session, `${this.oids.hrStorageDescr}.${index}`),
-          this.getSingle(session, `${this.oids.hrStorageAllocationUnits}.${index}`),
-          this.getSingle(session, `${this.oids.hrStorageSize}.${index}`),
-          this.getSingle(session, `${this.oids.hrStorageUsed}.${index}`)
-        ]);
-
-        storageEntries.push({
-          index,
-          description,
-          allocationUnits: parseInt(allocationUnits),
-          size: parseInt(size),
-          used: parseInt(used)
-        });
-      } catch (error) {
-        // Skip entries that can't be read
+    for (const [index, columns] of rows) {
+      // Skip entries that can't be read
+      if ([3, 4, 5, 6].some(column => columns[column] === undefined)) {
+        continue;
       }
+
+      storageEntries.push({
+        index: parseInt(index),
+        description: columns[3].toString(),
+        allocationUnits: parseInt(columns[4]),
+        size: parseInt(columns[5]),
+        used: parseInt(columns[6])
+      });
     }
     
     return storageEntries;
   }
 
-  /**
-   * Get CPU core count
-   */
-  async getCPUCoreCount(session) {
-    try {
-      const processors = await this.walkTable(session, this.oids.hrProcessorLoad);
-      return processors.length || 1;
-    } catch (error) {
-      return 1;
-    }
-  }
-
   /**
    * Parse SNMP uptime (timeticks to seconds)
    */
@@ -506,7 +1159,7 @@ export class SNMPCollector extends EventEmitter {
    * Close specific session
    */
   closeSession(ip, community = 'public') {
-    const sessionKey = `${ip}:${community}`;
+    const sessionKey = this.sessionKey(ip, community);
     const session = this.sessions.get(sessionKey);
     
     if (session) {
@@ -514,7 +1167,7 @@ export class SNMPCollector extends EventEmitter {
         session.close();
         this.sessions.delete(sessionKey);
       } catch (error) {
-        this.emit('sessionError', { ip, community, error });
+        this.emit('sessionError', { ip, key: sessionKey, error });
       }
     }
   }
@@ -0,0 +1,600 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { validateScanWindow } from '../utils/ScanWindow.js';
+
+export class ScanJobManager extends EventEmitter {
+  constructor({ dbManager, networkScanner, credentialVault, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.networkScanner = networkScanner;
+    this.credentialVault = credentialVault;
+    this.logger = logger;
+
+    this.queue = [];
+    this.activeJob = null;
+    this.hostProcessor = null;
+
+    // window id -> per-subnet time-of-day scan window
+    this.windows = new Map();
+  }
+
+  /**
+   * Mark jobs left over from a previous run as interrupted and load scan windows
+   */
+  async initialize() {
+    const result = await this.dbManager.markInterruptedScanJobs();
+    if (result.changes > 0) {
+      this.logger.warn(`Marked ${result.changes} unfinished scan jobs as interrupted`);
+    }
+
+    for (const row of await this.dbManager.getScanWindows()) {
+      const window = this.formatWindow(row);
+      this.windows.set(window.id, window);
+    }
+  }
+
+  /**
+   * Register the callback that turns discovered hosts into devices
+   * @param {Function} processor - async (host, job) => void
+   */
+  setHostProcessor(processor) {
+    this.hostProcessor = processor;
+  }
+
+  /**
+   * Create a scan job and queue it behind any running scan
+   * @param {string} range - IP range to scan
+   * @param {Object} options - Scan options passed to NetworkScanner.scanRange
+   * @param {Object} meta - { scheduleId } when the job was started by a schedule
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(range, options = {}, meta = {}) {
+    const { scheduleId = null } = meta;
+
+    // Expand the range up front so invalid ranges never become jobs
+    const totalIPs = this.networkScanner.describeIPRange(range, {
+      exclude: options.exclude,
+      maxHosts: options.maxHosts
+    }).total;
+
+    const { id } = await this.dbManager.createScanJob({
+      scan_range: range,
+      options,
+      total_ips: totalIPs,
+      schedule_id: scheduleId
+    });
+
+    const job = {
+      id,
+      range,
+      options,
+      scheduleId,
+      status: 'queued',
+      progress: 0,
+      totalIPs,
+      scannedIPs: 0,
+      skippedIPs: 0,
+      // Addresses outside their subnet's scan window, which say nothing about hosts that went away
+      skippedAddresses: [],
+      discoveredHosts: 0,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      completedAt: null,
+      durationMs: null,
+      controller: new AbortController()
+    };
+
+    this.queue.push(job);
+    this.logger.info(`Scan job ${id} queued for range ${range} (${totalIPs} addresses)`);
+    this.emit('jobQueued', this.formatJob(job));
+
+    this.processQueue();
+    return this.formatJob(job);
+  }
+
+  /**
+   * Start the next queued job if nothing is running
+   */
+  processQueue() {
+    if (this.activeJob || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.activeJob = job;
+
+    this.runJob(job)
+      .catch(error => {
+        this.logger.error(`Scan job ${job.id} failed unexpectedly:`, error);
+      })
+      .finally(() => {
+        this.activeJob = null;
+        this.processQueue();
+      });
+  }
+
+  /**
+   * Run a single job to completion, cancellation or failure
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    await this.dbManager.updateScanJob(job.id, {
+      status: job.status,
+      started_at: job.startedAt.toISOString()
+    });
+    this.emit('jobStarted', this.formatJob(job));
+
+    const onProgress = (data) => {
+      if (data.jobId !== job.id) return;
+      job.progress = data.progress;
+      if (data.skipped) {
+        job.skippedIPs++;
+        job.skippedAddresses.push(data.ip);
+      } else {
+        job.scannedIPs++;
+      }
+    };
+
+    const onHost = (host) => {
+      if (host.jobId !== job.id) return;
+      job.discoveredHosts++;
+    };
+
+    // NetworkScanner.stopScan() may be called directly rather than through cancelJob()
+    let stopped = false;
+    const onStopped = (data) => {
+      if (data.jobId === job.id) stopped = true;
+    };
+
+    this.networkScanner.on('scanProgress', onProgress);
+    this.networkScanner.on('hostDiscovered', onHost);
+    this.networkScanner.on('scanStopped', onStopped);
+
+    try {
+      // Windows and the discovery communities are read when the job starts,
+      // so edits apply to the next scan
+      const hosts = await this.networkScanner.scanRange(job.range, {
+        ...job.options,
+        communities: job.options.communities || await this.credentialVault.getDiscoveryCommunities(),
+        windows: this.getWindows().filter(window => window.enabled),
+        jobId: job.id,
+        signal: job.controller.signal
+      });
+
+      // Hosts found before a cancellation are still real and worth keeping
+      if (this.hostProcessor) {
+        for (const host of hosts) {
+          await this.hostProcessor(host, this.formatJob(job));
+        }
+      }
+
+      await this.dbManager.saveScanResults(job.id, hosts);
+
+      job.status = job.controller.signal.aborted || stopped ? 'cancelled' : 'completed';
+      job.discoveredHosts = hosts.length;
+      if (job.status === 'completed') {
+        job.progress = 100;
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      this.networkScanner.off('scanProgress', onProgress);
+      this.networkScanner.off('hostDiscovered', onHost);
+      this.networkScanner.off('scanStopped', onStopped);
+    }
+
+    job.completedAt = new Date();
+    job.durationMs = job.completedAt - job.startedAt;
+
+    await this.dbManager.updateScanJob(job.id, {
+      status: job.status,
+      scanned_ips: job.scannedIPs,
+      skipped_ips: job.skippedIPs,
+      skipped_addresses: JSON.stringify(job.skippedAddresses),
+      discovered_hosts: job.discoveredHosts,
+      duration_ms: job.durationMs,
+      completed_at: job.completedAt.toISOString(),
+      error: job.error
+    });
+
+    const eventName = {
+      completed: 'jobCompleted',
+      cancelled: 'jobCancelled',
+      failed: 'jobFailed'
+    }[job.status];
+
+    this.logger.info(`Scan job ${job.id} ${job.status}: ${job.discoveredHosts} hosts found in ${job.durationMs}ms`);
+    this.emit(eventName, this.formatJob(job));
+
+    // Only complete scans say anything reliable about hosts that went away
+    if (job.status === 'completed') {
+      try {
+        const diff = await this.getJobDiff(job.id);
+        if (diff && diff.baseJobId) {
+          this.emit('scanDiff', { job: this.formatJob(job), diff });
+        }
+      } catch (error) {
+        this.logger.error(`Failed to diff scan job ${job.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} The cancelled job, or null if it is not active
+   */
+  async cancelJob(jobId) {
+    if (this.activeJob && this.activeJob.id === jobId) {
+      this.activeJob.controller.abort();
+      this.logger.info(`Cancelling running scan job ${jobId}`);
+      return this.formatJob({ ...this.activeJob, status: 'cancelling' });
+    }
+
+    const index = this.queue.findIndex(job => job.id === jobId);
+    if (index === -1) {
+      return null;
+    }
+
+    const [job] = this.queue.splice(index, 1);
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+
+    await this.dbManager.updateScanJob(job.id, {
+      status: job.status,
+      completed_at: job.completedAt.toISOString()
+    });
+
+    this.logger.info(`Cancelled queued scan job ${jobId}`);
+    this.emit('jobCancelled', this.formatJob(job));
+    return this.formatJob(job);
+  }
+
+  /**
+   * Cancel the running job, if any
+   */
+  async cancelActiveJob() {
+    return this.activeJob ? this.cancelJob(this.activeJob.id) : null;
+  }
+
+  /**
+   * Get a job by ID, preferring live state over the stored row
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Job details
+   */
+  async getJob(jobId) {
+    const live = this.getLiveJob(jobId);
+    if (live) {
+      return this.formatJob(live);
+    }
+
+    const row = await this.dbManager.getScanJob(jobId);
+    return row ? this.formatRow(row) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Object[]>} Jobs
+   */
+  async getJobs(options = {}) {
+    const rows = await this.dbManager.getScanJobs(options);
+    return rows.map(row => {
+      const live = this.getLiveJob(row.id);
+      return live ? this.formatJob(live) : this.formatRow(row);
+    });
+  }
+
+  /**
+   * Get the stored per-host results of a job
+   */
+  async getJobResults(jobId) {
+    return this.dbManager.getScanResults(jobId);
+  }
+
+  /**
+   * Compare a job's results with an earlier job
+   * @param {number} jobId - Job to inspect
+   * @param {number|null} baseJobId - Job to compare against; defaults to the
+   *   previous completed scan of the same range
+   * @returns {Promise<Object|null>} Diff, or null if the job does not exist
+   */
+  async getJobDiff(jobId, baseJobId = null) {
+    const jobRow = await this.dbManager.getScanJob(jobId);
+    if (!jobRow) {
+      return null;
+    }
+
+    const baseRow = baseJobId
+      ? await this.dbManager.getScanJob(baseJobId)
+      : await this.dbManager.getPreviousScanJob(jobId, jobRow.scan_range);
+
+    if (baseJobId && !baseRow) {
+      throw new Error(`Scan job not found: ${baseJobId}`);
+    }
+
+    const diff = {
+      jobId,
+      baseJobId: baseRow ? baseRow.id : null,
+      range: jobRow.scan_range,
+      newHosts: [],
+      vanishedHosts: [],
+      changedHosts: [],
+      unchangedCount: 0,
+      portsCompared: false
+    };
+
+    // The first scan of a range is the baseline; there is nothing to compare
+    if (!baseRow) {
+      return diff;
+    }
+
+    const [results, baseResults] = await Promise.all([
+      this.dbManager.getScanResults(jobId),
+      this.dbManager.getScanResults(baseRow.id)
+    ]);
+
+    // Only an address both scans probed can have appeared or vanished: not one
+    // that either excluded, nor one that either skipped for its window
+    const baseCovered = this.coveredAddresses(baseRow);
+    const compared = new Set([...this.coveredAddresses(jobRow)].filter(ip => baseCovered.has(ip)));
+
+    // Port lists are only comparable when both scans probed the same ports
+    const jobOptions = this.formatRow(jobRow).options;
+    const baseOptions = this.formatRow(baseRow).options;
+    diff.portsCompared = jobOptions.includePorts !== false && baseOptions.includePorts !== false &&
+      String(jobOptions.ports || 'common') === String(baseOptions.ports || 'common');
+
+    return { ...diff, ...this.compareResults(baseResults, results, diff.portsCompared, compared) };
+  }
+
+  /**
+   * Compare two sets of per-host results
+   * @param {Set<string>|null} compared - Addresses to compare; null compares all
+   */
+  compareResults(baseResults, results, comparePorts = true, compared = null) {
+    const included = host => host.alive && (!compared || compared.has(host.ip));
+    const before = new Map(baseResults.filter(included).map(host => [host.ip, host]));
+    const after = new Map(results.filter(included).map(host => [host.ip, host]));
+
+    const newHosts = [];
+    const vanishedHosts = [];
+    const changedHosts = [];
+    let unchangedCount = 0;
+
+    for (const [ip, host] of after) {
+      const previous = before.get(ip);
+      if (!previous) {
+        newHosts.push(host);
+        continue;
+      }
+
+      const previousPorts = new Map(previous.ports.map(port => [port.port, port]));
+      const currentPorts = new Map(host.ports.map(port => [port.port, port]));
+      const openedPorts = comparePorts ? host.ports.filter(port => !previousPorts.has(port.port)) : [];
+      const closedPorts = comparePorts ? previous.ports.filter(port => !currentPorts.has(port.port)) : [];
+
+      if (openedPorts.length > 0 || closedPorts.length > 0) {
+        changedHosts.push({ ip, openedPorts, closedPorts, ports: host.ports });
+      } else {
+        unchangedCount++;
+      }
+    }
+
+    for (const [ip, host] of before) {
+      if (!after.has(ip)) {
+        vanishedHosts.push(host);
+      }
+    }
+
+    return { newHosts, vanishedHosts, changedHosts, unchangedCount };
+  }
+
+  /**
+   * Summary of the running job and the queue
+   */
+  getQueueStatus() {
+    return {
+      activeJob: this.activeJob ? this.formatJob(this.activeJob) : null,
+      queued: this.queue.map(job => this.formatJob(job))
+    };
+  }
+
+  /**
+   * Get all scan windows
+   */
+  getWindows() {
+    return Array.from(this.windows.values())
+      .sort((a, b) => a.subnet.localeCompare(b.subnet) || a.startTime.localeCompare(b.startTime));
+  }
+
+  /**
+   * Get a single scan window
+   */
+  getWindow(windowId) {
+    return this.windows.get(windowId) || null;
+  }
+
+  /**
+   * Create a scan window. While a subnet has windows, its addresses are only
+   * scanned inside one of them.
+   * @param {Object} data - { subnet, days, startTime, endTime, description, enabled }
+   * @returns {Promise<Object>} Created window
+   */
+  async createWindow(data) {
+    const window = {
+      id: uuidv4(),
+      subnet: data.subnet,
+      days: data.days || [],
+      startTime: data.startTime,
+      endTime: data.endTime,
+      description: data.description || null,
+      enabled: data.enabled !== false
+    };
+
+    validateScanWindow(window);
+
+    await this.persistWindow(window);
+    this.windows.set(window.id, window);
+
+    this.logger.info(`Scan window created: ${window.subnet} ${window.startTime}-${window.endTime}`);
+    this.emit('windowChanged', { action: 'created', window });
+    return window;
+  }
+
+  /**
+   * Update an existing scan window
+   * @returns {Promise<Object|null>} Updated window, or null if not found
+   */
+  async updateWindow(windowId, changes) {
+    const current = this.windows.get(windowId);
+    if (!current) {
+      return null;
+    }
+
+    const window = { ...current };
+    for (const key of ['subnet', 'days', 'startTime', 'endTime', 'description', 'enabled']) {
+      if (changes[key] !== undefined) {
+        window[key] = changes[key];
+      }
+    }
+
+    validateScanWindow(window);
+
+    await this.persistWindow(window);
+    this.windows.set(windowId, window);
+
+    this.logger.info(`Scan window updated: ${window.subnet} ${window.startTime}-${window.endTime}`);
+    this.emit('windowChanged', { action: 'updated', window });
+    return window;
+  }
+
+  /**
+   * Delete a scan window
+   * @returns {Promise<Object|null>} Deleted window, or null if not found
+   */
+  async deleteWindow(windowId) {
+    const window = this.windows.get(windowId);
+    if (!window) {
+      return null;
+    }
+
+    this.windows.delete(windowId);
+    await this.dbManager.deleteScanWindow(windowId);
+
+    this.logger.info(`Scan window deleted: ${window.subnet} ${window.startTime}-${window.endTime}`);
+    this.emit('windowChanged', { action: 'deleted', window });
+    return window;
+  }
+
+  async persistWindow(window) {
+    await this.dbManager.saveScanWindow({
+      id: window.id,
+      subnet: window.subnet,
+      days: window.days,
+      start_time: window.startTime,
+      end_time: window.endTime,
+      description: window.description,
+      enabled: window.enabled
+    });
+  }
+
+  /**
+   * Convert a scan_windows row to the API representation
+   */
+  formatWindow(row) {
+    let days = [];
+    try {
+      days = row.days ? JSON.parse(row.days) : [];
+    } catch (error) {
+      // Treat malformed day lists as every day
+    }
+
+    return {
+      id: row.id,
+      subnet: row.subnet,
+      days,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      description: row.description,
+      enabled: Boolean(row.enabled)
+    };
+  }
+
+  getLiveJob(jobId) {
+    if (this.activeJob && this.activeJob.id === jobId) {
+      return this.activeJob;
+    }
+    return this.queue.find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * Convert an in-memory job to its API representation
+   */
+  formatJob(job) {
+    const { controller, skippedAddresses, ...rest } = job;
+    return {
+      ...rest,
+      queuePosition: job.status === 'queued'
+        ? this.queue.findIndex(queued => queued.id === job.id) + 1
+        : null
+    };
+  }
+
+  /**
+   * Addresses a stored job skipped; none for jobs from before they were recorded
+   */
+  skippedAddresses(row) {
+    try {
+      return row.skipped_addresses ? JSON.parse(row.skipped_addresses) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Addresses a stored job actually probed: its range less what its options
+   * excluded and what it skipped
+   */
+  coveredAddresses(row) {
+    const { exclude, maxHosts } = this.formatRow(row).options;
+    const skipped = new Set(this.skippedAddresses(row));
+    return new Set(this.networkScanner.describeIPRange(row.scan_range, { exclude, maxHosts }).ips
+      .filter(ip => !skipped.has(ip)));
+  }
+
+  /**
+   * Convert a scan_history row to the API representation
+   */
+  formatRow(row) {
+    let options = {};
+    try {
+      options = row.options ? JSON.parse(row.options) : {};
+    } catch (error) {
+      // Leave options empty for malformed legacy rows
+    }
+
+    return {
+      id: row.id,
+      range: row.scan_range,
+      options,
+      scheduleId: row.schedule_id || null,
+      status: row.status || 'completed',
+      progress: row.status === 'completed' ? 100 : null,
+      totalIPs: row.total_ips,
+      scannedIPs: row.scanned_ips,
+      skippedIPs: row.skipped_ips || 0,
+      discoveredHosts: row.discovered_hosts,
+      error: row.error,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      durationMs: row.duration_ms,
+      queuePosition: null
+    };
+  }
+}
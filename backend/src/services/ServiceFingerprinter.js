@@ -0,0 +1,318 @@
+import net from 'net';
+import tls from 'tls';
+import { getServiceName } from '../utils/PortList.js';
+
+// Ports that normally speak TLS from the first byte
+const TLS_PORTS = new Set([443, 465, 636, 853, 990, 993, 995, 5986, 8443, 8883, 9443]);
+
+// Largest banner or HTTP response kept per port
+const MAX_BANNER_BYTES = 16 * 1024;
+
+// Greeting patterns of common server software: [service, regex, product, version group]
+const BANNER_PATTERNS = [
+  ['FTP', /vsFTPd ([\d.]+)/i, 'vsftpd', 1],
+  ['FTP', /ProFTPD ([\d.]+\w*)/i, 'ProFTPD', 1],
+  ['FTP', /Pure-FTPd/i, 'Pure-FTPd', null],
+  ['FTP', /FileZilla Server(?: version)? ([\d.]+\w*)/i, 'FileZilla Server', 1],
+  ['FTP', /Microsoft FTP Service/i, 'Microsoft ftpd', null],
+  ['SMTP', /ESMTP Postfix/i, 'Postfix', null],
+  ['SMTP', /Exim ([\d.]+)/i, 'Exim', 1],
+  ['SMTP', /Sendmail ([\d.]+\/[\d.]+|[\d.]+)/i, 'Sendmail', 1],
+  ['SMTP', /Microsoft ESMTP MAIL Service(?:, Version: ([\d.]+))?/i, 'Microsoft Exchange smtpd', 1],
+  ['POP3', /Dovecot/i, 'Dovecot', null],
+  ['IMAP', /Dovecot/i, 'Dovecot', null],
+  ['IMAP', /Courier-IMAP/i, 'Courier-IMAP', null]
+];
+
+// Server header products whose token differs from the usual name
+const HTTP_PRODUCTS = {
+  'microsoft-iis': 'Microsoft IIS',
+  'microsoft-httpapi': 'Microsoft HTTPAPI',
+  apache: 'Apache httpd',
+  nginx: 'nginx',
+  lighttpd: 'lighttpd',
+  openresty: 'OpenResty',
+  caddy: 'Caddy',
+  'mini_httpd': 'mini_httpd',
+  boa: 'Boa',
+  'goahead-webs': 'GoAhead',
+  jetty: 'Jetty'
+};
+
+/**
+ * Strip control characters so banners are safe to store and display
+ */
+function cleanText(text) {
+  return text.replace(/[^\x20-\x7e\t\r\n]/g, '').trim();
+}
+
+/**
+ * Identifies what is listening on open TCP ports by reading the greeting the
+ * server sends, or by sending a minimal HTTP request and TLS handshake.
+ * Probes are read-only and never authenticate.
+ */
+export class ServiceFingerprinter {
+  constructor({ timeout = 3000 } = {}) {
+    this.timeout = timeout;
+  }
+
+  /**
+   * Fingerprint one open port
+   * @param {string} ip - IP address
+   * @param {number} port - Open TCP port
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} { service, product, version, banner, http, tls }
+   */
+  async fingerprint(ip, port, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const result = {
+      service: getServiceName(port),
+      product: null,
+      version: null,
+      banner: null,
+      http: null,
+      tls: null
+    };
+
+    try {
+      if (TLS_PORTS.has(port)) {
+        await this.probeTLS(ip, port, timeout, result);
+        return result;
+      }
+
+      // Many protocols greet the client before it says anything
+      const greeting = await this.exchange(ip, port, null, Math.min(timeout, 1500));
+      if (greeting && greeting.length > 0) {
+        this.identifyBanner(greeting, result);
+        return result;
+      }
+
+      const response = await this.exchange(ip, port, this.httpRequest(ip), timeout);
+      if (response && response.toString('latin1').startsWith('HTTP/')) {
+        result.service = 'HTTP';
+        this.identifyHTTP(response.toString('latin1'), result);
+        return result;
+      }
+
+      // A silent port that rejects plain HTTP may still be TLS on a non-standard port
+      await this.probeTLS(ip, port, timeout, result);
+    } catch (error) {
+      // Leave whatever was identified before the failure
+    }
+
+    return result;
+  }
+
+  /**
+   * Connect, optionally send a payload, and collect what the server sends back
+   * @returns {Promise<Buffer|null>} Received bytes, or null if the connection failed
+   */
+  exchange(ip, port, payload, timeout) {
+    return new Promise((resolve) => {
+      const socket = new net.Socket();
+      const chunks = [];
+      let length = 0;
+
+      const finish = () => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(chunks.length > 0 ? Buffer.concat(chunks) : (payload ? null : Buffer.alloc(0)));
+      };
+
+      const timer = setTimeout(finish, timeout);
+
+      socket.connect(port, ip, () => {
+        if (payload) socket.write(payload);
+      });
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        // A greeting line, or a complete HTTP header block, is all we need
+        const text = Buffer.concat(chunks).toString('latin1');
+        if (length >= MAX_BANNER_BYTES || (!payload && text.includes('\n')) || /<\/title>/i.test(text)) {
+          finish();
+        }
+      });
+
+      socket.on('end', finish);
+      socket.on('error', () => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(chunks.length > 0 ? Buffer.concat(chunks) : null);
+      });
+    });
+  }
+
+  /**
+   * Complete a TLS handshake, record certificate details, then try HTTP inside it
+   */
+  probeTLS(ip, port, timeout, result) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      let length = 0;
+      let done = false;
+
+      // Certificates are inspected, not trusted; verification would hide self-signed devices
+      const socket = tls.connect({ host: ip, port, rejectUnauthorized: false, ALPNProtocols: ['http/1.1'] });
+
+      const finish = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        socket.destroy();
+
+        if (chunks.length > 0) {
+          const text = Buffer.concat(chunks).toString('latin1');
+          if (text.startsWith('HTTP/')) {
+            result.service = 'HTTPS';
+            this.identifyHTTP(text, result);
+          } else if (!result.banner) {
+            this.identifyBanner(Buffer.concat(chunks), result);
+          }
+        }
+        resolve(result);
+      };
+
+      const timer = setTimeout(finish, timeout);
+
+      socket.on('secureConnect', () => {
+        const certificate = socket.getPeerCertificate();
+        const cipher = socket.getCipher();
+
+        result.tls = {
+          protocol: socket.getProtocol(),
+          cipher: cipher ? cipher.name : null,
+          subject: certificate?.subject?.CN || null,
+          issuer: certificate?.issuer?.CN || certificate?.issuer?.O || null,
+          altNames: certificate?.subjectaltname
+            ? certificate.subjectaltname.split(', ').map(name => name.replace(/^DNS:/, ''))
+            : [],
+          validFrom: certificate?.valid_from ? new Date(certificate.valid_from) : null,
+          validTo: certificate?.valid_to ? new Date(certificate.valid_to) : null,
+          selfSigned: Boolean(certificate?.subject && certificate?.issuer &&
+            JSON.stringify(certificate.subject) === JSON.stringify(certificate.issuer))
+        };
+
+        result.service = result.service || 'TLS';
+        socket.write(this.httpRequest(ip));
+      });
+
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= MAX_BANNER_BYTES || /<\/title>/i.test(Buffer.concat(chunks).toString('latin1'))) {
+          finish();
+        }
+      });
+
+      socket.on('end', finish);
+      socket.on('error', finish);
+    });
+  }
+
+  httpRequest(ip) {
+    const host = net.isIPv6(ip) ? `[${ip}]` : ip;
+    return `GET / HTTP/1.0\r\nHost: ${host}\r\nUser-Agent: lan-insight\r\nAccept: */*\r\n\r\n`;
+  }
+
+  /**
+   * Work out the service, product and version from a server greeting
+   */
+  identifyBanner(data, result) {
+    // MySQL/MariaDB: length-prefixed handshake, protocol 10, then a NUL-terminated version
+    if (data.length > 5 && data[4] === 0x0a) {
+      const end = data.indexOf(0, 5);
+      const version = end > 5 ? data.toString('latin1', 5, end) : '';
+      if (/^\d+\.\d+/.test(version)) {
+        result.service = 'MySQL';
+        result.product = /mariadb/i.test(version) ? 'MariaDB' : 'MySQL';
+        result.version = version.match(/^[\d.]+/)[0];
+        result.banner = version;
+        return;
+      }
+    }
+
+    // Telnet servers open with IAC option negotiation
+    if (data[0] === 0xff) {
+      result.service = 'Telnet';
+      const text = cleanText(data.toString('latin1'));
+      result.banner = text ? text.slice(0, 200) : null;
+      return;
+    }
+
+    const text = cleanText(data.toString('latin1'));
+    const firstLine = text.split(/\r?\n/)[0];
+    result.banner = firstLine.slice(0, 200);
+
+    const ssh = firstLine.match(/^SSH-([\d.]+)-(\S+)(?:\s+(.*))?/);
+    if (ssh) {
+      result.service = 'SSH';
+      const software = ssh[2].match(/^([A-Za-z][A-Za-z-]*?)[_-]v?(\d[\w.]*)/);
+      result.product = software ? software[1].replace(/^dropbear$/i, 'Dropbear') : ssh[2];
+      result.version = software ? software[2] : null;
+      return;
+    }
+
+    const rfb = firstLine.match(/^RFB (\d{3})\.(\d{3})/);
+    if (rfb) {
+      result.service = 'VNC';
+      result.product = 'VNC';
+      result.version = `${parseInt(rfb[1], 10)}.${parseInt(rfb[2], 10)}`;
+      return;
+    }
+
+    // Line-based protocols, told apart by their reply codes; FTP and SMTP both greet with 220
+    if (/^220[ -]/.test(firstLine)) {
+      const isSMTP = /smtp|mail/i.test(firstLine) && !/ftp/i.test(firstLine);
+      result.service = isSMTP || result.service === 'SMTP' ? 'SMTP' : 'FTP';
+    } else if (/^\+OK/.test(firstLine)) {
+      result.service = 'POP3';
+    } else if (/^\* (OK|PREAUTH)/.test(firstLine)) {
+      result.service = 'IMAP';
+    }
+
+    for (const [service, pattern, product, versionGroup] of BANNER_PATTERNS) {
+      if (service !== result.service) continue;
+      const match = firstLine.match(pattern);
+      if (match) {
+        result.product = product;
+        result.version = versionGroup ? match[versionGroup] || null : null;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read the Server header and page title from an HTTP response
+   */
+  identifyHTTP(text, result) {
+    const [head, ...rest] = text.split(/\r?\n\r?\n/);
+    const lines = head.split(/\r?\n/);
+    const headers = {};
+    for (const line of lines.slice(1)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    const status = lines[0].match(/^HTTP\/[\d.]+ (\d{3})/);
+    const title = rest.join('\n').match(/<title[^>]*>([^<]*)<\/title>/i);
+
+    result.http = {
+      statusCode: status ? parseInt(status[1], 10) : null,
+      server: headers.server || null,
+      poweredBy: headers['x-powered-by'] || null,
+      title: title ? cleanText(title[1]).replace(/\s+/g, ' ').slice(0, 200) : null
+    };
+    result.banner = headers.server ? cleanText(headers.server) : result.banner;
+
+    // "nginx/1.18.0 (Ubuntu)" -> nginx, 1.18.0
+    const server = headers.server && headers.server.match(/^([^\s/]+)(?:\/([\w.-]+))?/);
+    if (server) {
+      result.product = HTTP_PRODUCTS[server[1].toLowerCase()] || server[1];
+      result.version = server[2] || null;
+    }
+  }
+}
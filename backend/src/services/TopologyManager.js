@@ -0,0 +1,631 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { isUsableMAC } from '../utils/MACAddress.js';
+
+const TOPOLOGY_REFRESH_INTERVAL_MS = (parseInt(process.env.TOPOLOGY_REFRESH_INTERVAL) || 900) * 1000;
+
+/**
+ * Pick the port each MAC address is plugged into. A MAC is learned on every
+ * switch between it and us, so ports facing another switch (an LLDP/CDP
+ * neighbour that is itself a bridge) are skipped and, of the rest, the port
+ * with the fewest learned addresses wins: access ports carry one or a few,
+ * uplinks carry many.
+ * @param {Object[]} links - Formatted topology links of all protocols
+ * @returns {Map} mac -> the fdb link of its edge port
+ */
+export function selectAttachments(links) {
+  const fdb = links.filter(link => link.protocol === 'fdb');
+  const bridges = new Set(fdb.map(link => link.deviceId));
+
+  const uplinks = new Set(links
+    .filter(link => link.protocol !== 'fdb' && link.remoteDeviceId && bridges.has(link.remoteDeviceId))
+    .map(link => `${link.deviceId}|${link.localPort}`));
+
+  const counts = new Map();
+  for (const link of fdb) {
+    const key = `${link.deviceId}|${link.localPort}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const attachments = new Map();
+  for (const link of fdb) {
+    const key = `${link.deviceId}|${link.localPort}`;
+    if (uplinks.has(key)) continue;
+
+    const best = attachments.get(link.remoteMac);
+    if (!best || counts.get(key) < counts.get(`${best.deviceId}|${best.localPort}`)) {
+      attachments.set(link.remoteMac, link);
+    }
+  }
+
+  return attachments;
+}
+
+/**
+ * Builds the layer-2 topology from what SNMP-managed devices report: LLDP and
+ * CDP neighbours give switch-to-switch (and phone, AP) links with ports on
+ * both ends, and bridge forwarding tables place every other host on a switch
+ * port. Links are stored per reporting device with first/last seen times.
+ */
+export class TopologyManager extends EventEmitter {
+  constructor({ dbManager, snmpCollector, credentialVault, ouiDatabase, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.snmpCollector = snmpCollector;
+    this.credentialVault = credentialVault;
+    this.ouiDatabase = ouiDatabase;
+    this.logger = logger;
+
+    // device id -> time of the last collection
+    this.collectedAt = new Map();
+
+    // LLDP chassis ID -> device id, learned from each device's own lldpLocChassisId
+    this.chassisIds = new Map();
+
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Collect a device's neighbours and forwarding table, at most once per
+   * TOPOLOGY_REFRESH_INTERVAL unless forced
+   * @param {Object} device - { id, ip, community }
+   * @param {Object} options - { force }
+   * @returns {Promise<Object|null>} { deviceId, lldp, cdp, fdb } counts, or null when skipped
+   */
+  async refreshDevice(device, { force = false } = {}) {
+    const last = this.collectedAt.get(device.id);
+    if (!force && last && Date.now() - last < TOPOLOGY_REFRESH_INTERVAL_MS) {
+      return null;
+    }
+    this.collectedAt.set(device.id, Date.now());
+
+    const credentials = await this.credentialVault.snmpCredentials(device);
+    const data = await this.snmpCollector.collectTopology(device.ip, credentials);
+    if (data.chassisId) {
+      this.chassisIds.set(data.chassisId, device.id);
+    }
+
+    // A walk that timed out half way would make links look gone; keep the
+    // previous picture until a collection succeeds
+    if (data.errors.length > 0) {
+      throw new Error(`Topology collection from ${device.ip} failed: ${data.errors.join('; ')}`);
+    }
+
+    const links = await this.buildLinks(device, data);
+
+    await this.serialize(() => this.dbManager.saveTopologyLinks(device.id, links));
+
+    const summary = {
+      deviceId: device.id,
+      lldp: links.filter(link => link.protocol === 'lldp').length,
+      cdp: links.filter(link => link.protocol === 'cdp').length,
+      fdb: links.filter(link => link.protocol === 'fdb').length
+    };
+
+    this.logger.debug(`Topology from ${device.ip}: ${summary.lldp} LLDP, ${summary.cdp} CDP, ${summary.fdb} forwarding entries`);
+    this.emit('topologyUpdated', summary);
+    return summary;
+  }
+
+  /**
+   * Run database work one at a time: collections from the monitoring cycle,
+   * manual refreshes and layout saves share one transaction slot
+   */
+  serialize(work) {
+    const result = this.saving.catch(() => {}).then(work);
+    this.saving = result;
+    return result;
+  }
+
+  /**
+   * Turn collected tables into link rows, resolving remote ends to known devices
+   */
+  async buildLinks(device, data) {
+    const portName = (ifIndex) => data.portNames.get(ifIndex) || (ifIndex ? `ifIndex ${ifIndex}` : 'unknown');
+    const links = [];
+
+    for (const neighbor of data.lldp) {
+      const remoteDevice = await this.resolveNeighbor({
+        ip: neighbor.managementAddress,
+        chassisId: neighbor.chassisId,
+        mac: neighbor.chassisMac,
+        name: neighbor.sysName
+      });
+
+      links.push({
+        protocol: 'lldp',
+        localPort: data.portNames.get(neighbor.localPortNum) || neighbor.localPort,
+        localIfIndex: neighbor.localPortNum,
+        remoteKey: neighbor.chassisId || neighbor.sysName || neighbor.managementAddress || 'unknown',
+        remoteDeviceId: remoteDevice ? remoteDevice.id : null,
+        remoteName: neighbor.sysName,
+        remotePort: neighbor.portDescription || neighbor.portId,
+        remoteMac: neighbor.chassisMac || neighbor.portMac,
+        remoteIp: neighbor.managementAddress,
+        remoteDescription: neighbor.sysDescription
+      });
+    }
+
+    for (const neighbor of data.cdp) {
+      // CDP device IDs are often "name.domain" or "name(serial)"
+      const name = neighbor.deviceId ? neighbor.deviceId.replace(/\(.*\)$/, '') : null;
+      const remoteDevice = await this.resolveNeighbor({ ip: neighbor.address, name });
+
+      links.push({
+        protocol: 'cdp',
+        localPort: portName(neighbor.ifIndex),
+        localIfIndex: neighbor.ifIndex,
+        remoteKey: neighbor.deviceId || neighbor.address || 'unknown',
+        remoteDeviceId: remoteDevice ? remoteDevice.id : null,
+        remoteName: name,
+        remotePort: neighbor.port,
+        remoteMac: null,
+        remoteIp: neighbor.address,
+        remoteDescription: neighbor.platform
+      });
+    }
+
+    for (const entry of data.fdb) {
+      if (!isUsableMAC(entry.mac)) continue;
+
+      const [remoteDevice] = await this.dbManager.getDevicesByMAC(entry.mac);
+      if (remoteDevice && remoteDevice.id === device.id) continue;
+
+      links.push({
+        protocol: 'fdb',
+        localPort: portName(entry.ifIndex),
+        localIfIndex: entry.ifIndex,
+        remoteKey: entry.mac,
+        remoteDeviceId: remoteDevice ? remoteDevice.id : null,
+        remoteName: null,
+        remotePort: null,
+        remoteMac: entry.mac,
+        remoteIp: remoteDevice ? remoteDevice.ip : null,
+        remoteDescription: null,
+        vlan: entry.vlan
+      });
+    }
+
+    return links;
+  }
+
+  /**
+   * Find the known device behind a neighbour, trying the management address,
+   * the chassis ID, the chassis MAC and finally the advertised name
+   */
+  async resolveNeighbor({ ip = null, chassisId = null, mac = null, name = null }) {
+    if (ip) {
+      const device = await this.dbManager.getDeviceByIP(ip);
+      if (device) return device;
+    }
+
+    if (chassisId && this.chassisIds.has(chassisId)) {
+      const device = await this.dbManager.getDevice(this.chassisIds.get(chassisId));
+      if (device) return device;
+    }
+
+    if (mac) {
+      const [device] = await this.dbManager.getDevicesByMAC(mac);
+      if (device) return device;
+    }
+
+    if (name) {
+      const shortName = name.split('.')[0];
+      for (const candidate of [name, shortName]) {
+        const [device] = (await this.dbManager.getDevicesBySysName(candidate)).concat(
+          await this.dbManager.getDevicesByHostname(candidate)
+        );
+        if (device) return device;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the topology graph from the latest collection of every device and
+   * the manual links, with saved map positions
+   * @param {Object} options - { includeUnknown, includeIsolated } to add hosts that are not known
+   *   devices and devices without any link
+   * @returns {Promise<Object>} { nodes, links, updatedAt }
+   */
+  async getTopology({ includeUnknown = false, includeIsolated = false } = {}) {
+    const links = (await this.dbManager.getTopologyLinks()).map(row => this.formatLink(row));
+    const devices = new Map((await this.dbManager.getAllDevices()).map(device => [device.id, device]));
+
+    // Links stored before their neighbour was polled resolve once its chassis ID is known
+    for (const link of links) {
+      if (!link.remoteDeviceId && link.protocol !== 'fdb' && this.chassisIds.has(link.remoteKey)) {
+        link.remoteDeviceId = this.chassisIds.get(link.remoteKey);
+      }
+    }
+
+    const bridges = new Set(links.filter(link => link.protocol === 'fdb').map(link => link.deviceId));
+    const attachments = new Set(selectAttachments(links).values());
+
+    const nodes = new Map();
+    const addNode = (deviceId, link = null) => {
+      const device = deviceId ? devices.get(deviceId) : null;
+      const id = device ? device.id : `external:${link.remoteMac || link.remoteKey}`;
+
+      if (!nodes.has(id)) {
+        nodes.set(id, device ? {
+          id,
+          deviceId: device.id,
+          label: device.hostname || device.sys_name || device.ip,
+          ip: device.ip,
+          mac: device.mac,
+          vendor: device.vendor,
+          deviceType: device.device_type,
+          status: device.status,
+          bridge: bridges.has(device.id),
+          external: false
+        } : {
+          id,
+          deviceId: null,
+          label: link.remoteName || link.remoteIp || link.remoteMac || link.remoteKey,
+          ip: link.remoteIp,
+          mac: link.remoteMac,
+          vendor: null,
+          deviceType: null,
+          status: 'unknown',
+          bridge: false,
+          external: true
+        });
+      }
+      return id;
+    };
+
+    // One edge per pair of nodes; LLDP seen from both ends and the forwarding
+    // entry for the same cable all describe one connection
+    const edges = new Map();
+    for (const link of links) {
+      if (link.protocol === 'fdb' && !attachments.has(link)) continue;
+      if (!link.remoteDeviceId && !includeUnknown) continue;
+      if (link.remoteDeviceId === link.deviceId) continue;
+
+      const source = addNode(link.deviceId);
+      const target = addNode(link.remoteDeviceId, link);
+      const key = [source, target].sort().join('~');
+
+      const edge = edges.get(key);
+      const reversed = edge && edge.source !== source;
+      const ends = {
+        sourcePort: reversed ? link.remotePort : link.localPort,
+        targetPort: reversed ? link.localPort : link.remotePort
+      };
+
+      if (!edge) {
+        edges.set(key, { id: key, source, target, ...ends, protocols: [link.protocol], vlan: link.vlan, lastSeen: link.lastSeen });
+      } else {
+        edge.sourcePort = edge.sourcePort || ends.sourcePort;
+        edge.targetPort = edge.targetPort || ends.targetPort;
+        if (!edge.protocols.includes(link.protocol)) edge.protocols.push(link.protocol);
+        edge.vlan = edge.vlan || link.vlan;
+      }
+    }
+
+    for (const row of await this.dbManager.getTopologyManualLinks()) {
+      const source = addNode(row.source_device_id);
+      const target = addNode(row.target_device_id);
+      const key = [source, target].sort().join('~');
+
+      const edge = edges.get(key) || { id: key, source, target, sourcePort: null, targetPort: null, protocols: [], vlan: null, lastSeen: null };
+      const reversed = edge.source !== source;
+      edge.sourcePort = edge.sourcePort || (reversed ? row.target_port : row.source_port);
+      edge.targetPort = edge.targetPort || (reversed ? row.source_port : row.target_port);
+      edge.protocols.push('manual');
+      edge.manualLinkId = row.id;
+      edge.description = row.description;
+      edges.set(key, edge);
+    }
+
+    if (includeIsolated) {
+      for (const deviceId of devices.keys()) {
+        addNode(deviceId);
+      }
+    }
+
+    const positions = new Map((await this.dbManager.getTopologyPositions()).map(row => [row.node_id, { x: row.x, y: row.y }]));
+    for (const node of nodes.values()) {
+      node.position = positions.get(node.id) || null;
+    }
+
+    const updatedAt = links.reduce((latest, link) => (!latest || link.lastSeen > latest ? link.lastSeen : latest), null);
+
+    return {
+      nodes: Array.from(nodes.values()),
+      links: Array.from(edges.values()),
+      updatedAt
+    };
+  }
+
+  /**
+   * Get the manually drawn links
+   */
+  async getManualLinks() {
+    const rows = await this.dbManager.getTopologyManualLinks();
+    return rows.map(row => this.formatManualLink(row));
+  }
+
+  /**
+   * Draw a link between two devices that no protocol reports, e.g. an
+   * unmanaged switch or a media converter in between
+   * @param {Object} data - { sourceDeviceId, targetDeviceId, sourcePort, targetPort, description }
+   * @returns {Promise<Object>} Created link
+   */
+  async createManualLink(data) {
+    const link = {
+      id: uuidv4(),
+      sourceDeviceId: data.sourceDeviceId,
+      targetDeviceId: data.targetDeviceId,
+      sourcePort: data.sourcePort || null,
+      targetPort: data.targetPort || null,
+      description: data.description || null
+    };
+
+    if (link.sourceDeviceId === link.targetDeviceId) {
+      throw new Error('A link needs two different devices');
+    }
+
+    for (const deviceId of [link.sourceDeviceId, link.targetDeviceId]) {
+      if (!(await this.dbManager.getDevice(deviceId))) {
+        throw new Error(`Device not found: ${deviceId}`);
+      }
+    }
+
+    await this.dbManager.saveTopologyManualLink({
+      id: link.id,
+      source_device_id: link.sourceDeviceId,
+      target_device_id: link.targetDeviceId,
+      source_port: link.sourcePort,
+      target_port: link.targetPort,
+      description: link.description
+    });
+
+    this.logger.info(`Manual topology link created: ${link.sourceDeviceId} - ${link.targetDeviceId}`);
+    this.emit('manualLinkChanged', { action: 'created', link });
+    return link;
+  }
+
+  /**
+   * Delete a manual link
+   * @returns {Promise<Object|null>} Deleted link, or null if not found
+   */
+  async deleteManualLink(linkId) {
+    const row = await this.dbManager.getTopologyManualLink(linkId);
+    if (!row) {
+      return null;
+    }
+
+    await this.dbManager.deleteTopologyManualLink(linkId);
+
+    const link = this.formatManualLink(row);
+    this.logger.info(`Manual topology link deleted: ${link.sourceDeviceId} - ${link.targetDeviceId}`);
+    this.emit('manualLinkChanged', { action: 'deleted', link });
+    return link;
+  }
+
+  /**
+   * Store where nodes were placed on the map
+   * @param {Object[]} positions - [{ nodeId, x, y }]
+   */
+  async savePositions(positions) {
+    await this.serialize(() => this.dbManager.saveTopologyPositions(positions));
+  }
+
+  /**
+   * Forget every saved position so the map is laid out automatically again
+   */
+  async resetPositions() {
+    await this.dbManager.clearTopologyPositions();
+  }
+
+  /**
+   * Find the switch port a MAC address is plugged into
+   * @param {string} mac - Normalized MAC address
+   * @returns {Promise<Object>} { mac, vendor, deviceId, location, sightings } where location is the
+   *   edge port from the latest collections or else the port it was last seen on, with current
+   *   telling whether a switch still reports it there; sightings lists every port it was learned on
+   */
+  async locateMAC(mac) {
+    const [device] = await this.dbManager.getDevicesByMAC(mac);
+    const rows = await this.dbManager.getForwardingEntriesByMAC(mac);
+    const switches = new Map();
+    for (const row of rows) {
+      if (!switches.has(row.device_id)) {
+        switches.set(row.device_id, await this.dbManager.getDevice(row.device_id));
+      }
+    }
+
+    const sightings = rows.map(row => this.formatSighting(row, switches.get(row.device_id)));
+
+    const current = (await this.dbManager.getTopologyLinks()).map(row => this.formatLink(row));
+    const edge = selectAttachments(current).get(mac);
+
+    // Without an edge port (a switch seen only across an uplink, or a host
+    // no switch reports any more) the most recent sighting is the best answer
+    let location = null;
+    if (edge) {
+      location = { ...sightings.find(sighting => sighting.id === edge.id), current: true };
+    } else if (sightings.length > 0) {
+      location = { ...sightings[0], current: current.some(link => link.id === sightings[0].id) };
+    }
+
+    return {
+      mac,
+      vendor: device?.vendor || (this.ouiDatabase ? this.ouiDatabase.lookup(mac) : null),
+      deviceId: device ? device.id : null,
+      location,
+      sightings
+    };
+  }
+
+  /**
+   * Find the switch ports a device is plugged into, one per MAC address it has used
+   * @param {Object} device - devices row
+   * @returns {Promise<Object[]>} locateMAC results for MACs that were seen on a switch
+   */
+  async locateDevice(device) {
+    const addresses = await this.dbManager.getDeviceAddresses(device.id);
+    const macs = new Set([device.mac, ...addresses.map(address => address.mac)].filter(Boolean));
+
+    const results = [];
+    for (const mac of macs) {
+      const result = await this.locateMAC(mac);
+      if (result.location) {
+        results.push(result);
+      }
+    }
+
+    // The port it is on now first
+    return results.sort((a, b) => (b.location.current - a.location.current) || b.location.lastSeen.localeCompare(a.location.lastSeen));
+  }
+
+  /**
+   * Per-port view of a switch from its latest collection: the endpoints
+   * plugged into each port and the LLDP/CDP neighbour on it
+   * @param {string} deviceId - Switch device ID
+   * @returns {Promise<Object>} { ports, updatedAt }
+   */
+  async getSwitchPorts(deviceId) {
+    const rows = await this.dbManager.getLatestTopologyLinksForDevice(deviceId);
+    const links = rows.map(row => this.formatLink(row));
+    const devices = new Map((await this.dbManager.getAllDevices()).map(device => [device.id, device]));
+
+    const current = (await this.dbManager.getTopologyLinks()).map(row => this.formatLink(row));
+    const attachments = new Set(Array.from(selectAttachments(current).values()).map(link => link.id));
+    const bridges = new Set(current.filter(link => link.protocol === 'fdb').map(link => link.deviceId));
+
+    const ports = new Map();
+    for (const link of links) {
+      if (!ports.has(link.localPort)) {
+        ports.set(link.localPort, {
+          port: link.localPort,
+          ifIndex: link.localIfIndex,
+          vlans: [],
+          learned: 0,
+          uplink: false,
+          neighbors: [],
+          endpoints: []
+        });
+      }
+      const port = ports.get(link.localPort);
+      const remote = link.remoteDeviceId ? devices.get(link.remoteDeviceId) : null;
+
+      if (link.protocol !== 'fdb') {
+        port.neighbors.push({
+          protocol: link.protocol,
+          deviceId: link.remoteDeviceId,
+          name: remote ? (remote.hostname || remote.ip) : link.remoteName,
+          port: link.remotePort,
+          ip: link.remoteIp
+        });
+        if (link.remoteDeviceId && bridges.has(link.remoteDeviceId)) {
+          port.uplink = true;
+        }
+        continue;
+      }
+
+      port.learned++;
+      if (link.vlan && !port.vlans.includes(link.vlan)) {
+        port.vlans.push(link.vlan);
+      }
+
+      // MACs learned through another switch are not plugged in here
+      if (!attachments.has(link.id)) continue;
+
+      port.endpoints.push({
+        mac: link.remoteMac,
+        deviceId: link.remoteDeviceId,
+        hostname: remote ? remote.hostname : null,
+        ip: remote ? remote.ip : null,
+        vendor: remote?.vendor || (this.ouiDatabase ? this.ouiDatabase.lookup(link.remoteMac) : null),
+        vlan: link.vlan,
+        lastSeen: link.lastSeen
+      });
+    }
+
+    for (const port of ports.values()) {
+      port.vlans.sort((a, b) => a - b);
+      // A port with traffic but nothing plugged in directly leads to another switch
+      port.uplink = port.uplink || (port.learned > 0 && port.endpoints.length === 0);
+    }
+
+    return {
+      ports: Array.from(ports.values())
+        .sort((a, b) => (a.ifIndex || Infinity) - (b.ifIndex || Infinity) || a.port.localeCompare(b.port, undefined, { numeric: true })),
+      updatedAt: links.length > 0 ? links[0].lastSeen : null
+    };
+  }
+
+  /**
+   * Links a device reported and links other devices reported about it
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} { reported, seenBy }
+   */
+  async getDeviceLinks(deviceId) {
+    const rows = await this.dbManager.getTopologyLinksForDevice(deviceId);
+    const links = rows.map(row => this.formatLink(row));
+
+    return {
+      reported: links.filter(link => link.deviceId === deviceId),
+      seenBy: links.filter(link => link.remoteDeviceId === deviceId)
+    };
+  }
+
+  /**
+   * Describe a forwarding table entry as a place a MAC was seen
+   */
+  formatSighting(row, switchDevice) {
+    return {
+      id: row.id,
+      switchId: row.device_id,
+      switchName: switchDevice ? (switchDevice.hostname || switchDevice.sys_name || switchDevice.ip) : null,
+      switchIp: switchDevice ? switchDevice.ip : null,
+      port: row.local_port,
+      ifIndex: row.local_if_index,
+      vlan: row.vlan || null,
+      firstSeen: row.first_seen,
+      lastSeen: row.last_seen
+    };
+  }
+
+  /**
+   * Convert a topology_manual_links row to the API representation
+   */
+  formatManualLink(row) {
+    return {
+      id: row.id,
+      sourceDeviceId: row.source_device_id,
+      targetDeviceId: row.target_device_id,
+      sourcePort: row.source_port,
+      targetPort: row.target_port,
+      description: row.description,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Convert a topology_links row to the API representation
+   */
+  formatLink(row) {
+    return {
+      id: row.id,
+      deviceId: row.device_id,
+      protocol: row.protocol,
+      localPort: row.local_port,
+      localIfIndex: row.local_if_index,
+      remoteKey: row.remote_key,
+      remoteDeviceId: row.remote_device_id,
+      remoteName: row.remote_name,
+      remotePort: row.remote_port,
+      remoteMac: row.remote_mac,
+      remoteIp: row.remote_ip,
+      remoteDescription: row.remote_description,
+      vlan: row.vlan || null,
+      firstSeen: row.first_seen,
+      lastSeen: row.last_seen
+    };
+  }
+}
@@ -0,0 +1,286 @@
+import dns from 'dns';
+import net from 'net';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const TRACE_METHODS = ['auto', 'udp', 'icmp', 'tcp'];
+
+// Order tried by 'auto'; TCP goes last because it needs root but gets through
+// firewalls that drop UDP and ICMP probes
+const AUTO_METHODS = ['udp', 'icmp', 'tcp'];
+
+const DEFAULT_TCP_PORT = 443;
+
+// traceroute output that means the method needs privileges we do not have
+const PRIVILEGE_PATTERN = /not have enough privileges|operation not permitted|permission denied/i;
+
+/**
+ * Parse `traceroute -n` output into hops
+ *   " 3  10.0.0.1  5.123 ms  10.0.0.2  5.301 ms *"
+ */
+export function parseTraceroute(output) {
+  const hops = [];
+
+  for (const line of output.split('\n')) {
+    const match = /^\s*(\d+)\s+(.*)$/.exec(line);
+    if (!match) continue;
+
+    const hop = { hop: parseInt(match[1], 10), addresses: [], rtts: [], lost: 0, flags: [] };
+    const tokens = match[2].trim().split(/\s+/);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token === '*') {
+        hop.lost++;
+      } else if (net.isIP(token)) {
+        if (!hop.addresses.includes(token)) hop.addresses.push(token);
+      } else if (/^[\d.]+$/.test(token) && tokens[i + 1] === 'ms') {
+        hop.rtts.push(parseFloat(token));
+        i++;
+      } else if (token.startsWith('!')) {
+        // !H, !N, !P, !X: host, network, protocol or administratively unreachable
+        hop.flags.push(token);
+      }
+    }
+
+    hops.push(hop);
+  }
+
+  return hops;
+}
+
+/**
+ * Parse `tracepath -n` output into hops; tracepath sends one probe per line
+ *   " 2:  10.0.0.1                                5.123ms"
+ *   " 3:  no reply"
+ */
+export function parseTracepath(output) {
+  const hops = new Map();
+
+  for (const line of output.split('\n')) {
+    const match = /^\s*(\d+)\??:\s+(.*)$/.exec(line);
+    if (!match || match[2].startsWith('[LOCALHOST]')) continue;
+
+    const number = parseInt(match[1], 10);
+    if (!hops.has(number)) {
+      hops.set(number, { hop: number, addresses: [], rtts: [], lost: 0, flags: [] });
+    }
+    const hop = hops.get(number);
+
+    const [address] = match[2].trim().split(/\s+/);
+    const rtt = /([\d.]+)ms/.exec(match[2]);
+    if (net.isIP(address)) {
+      if (!hop.addresses.includes(address)) hop.addresses.push(address);
+      if (rtt) hop.rtts.push(parseFloat(rtt[1]));
+    } else {
+      hop.lost++;
+    }
+  }
+
+  return Array.from(hops.values());
+}
+
+/**
+ * Compare two traces of the same target hop by hop. Hops that did not answer
+ * in either trace are ignored, and a hop only counts as changed when the two
+ * traces share none of its addresses, so per-flow load balancing across the
+ * same routers does not look like a new path.
+ * @returns {Object} { changed, gatewayChanged, changes: [{ hop, before, after }] }
+ */
+export function comparePaths(previous, current) {
+  const before = new Map(previous.hops.map(hop => [hop.hop, hop]));
+  const changes = [];
+
+  for (const hop of current.hops) {
+    const earlier = before.get(hop.hop);
+    if (!earlier || earlier.addresses.length === 0 || hop.addresses.length === 0) continue;
+
+    if (!hop.addresses.some(address => earlier.addresses.includes(address))) {
+      changes.push({ hop: hop.hop, before: earlier.addresses, after: hop.addresses });
+    }
+  }
+
+  // The destination moving closer or further away is a change even if every
+  // hop both traces saw is the same
+  if (previous.reached && current.reached && previous.hops.length !== current.hops.length) {
+    changes.push({ hop: current.hops.length, before: [], after: [current.targetIp], lengthChanged: true });
+  }
+
+  return {
+    changed: changes.length > 0,
+    gatewayChanged: changes.some(change => change.hop === 1),
+    changes
+  };
+}
+
+/**
+ * Runs the system traceroute (or tracepath, for UDP without traceroute) and
+ * turns its output into hops with RTTs, loss and resolved names.
+ */
+export class Tracerouter {
+  constructor({ timeout = 2000, maxHops = 30, queries = 3 } = {}) {
+    this.timeout = timeout;
+    this.maxHops = maxHops;
+    this.queries = queries;
+  }
+
+  /**
+   * Trace the path to a host
+   * @param {string} host - IP address or hostname
+   * @param {Object} options - { method, maxHops, timeout, queries, port, lookupName } where
+   *   method is one of TRACE_METHODS and lookupName is an async (ip) => name used to name hops
+   * @returns {Promise<Object>} { host, targetIp, method, reached, hops, durationMs }
+   * @throws {Error} If no method could be run
+   */
+  async trace(host, options = {}) {
+    const {
+      method = 'auto',
+      maxHops = this.maxHops,
+      timeout = this.timeout,
+      queries = this.queries,
+      port = null,
+      lookupName = null
+    } = options;
+
+    const targetIp = net.isIP(host) ? host : (await dns.promises.lookup(host)).address;
+    const startedAt = Date.now();
+
+    let best = null;
+    const failures = [];
+    for (const attempt of method === 'auto' ? AUTO_METHODS : [method]) {
+      let hops;
+      try {
+        hops = await this.run(targetIp, attempt, { maxHops, timeout, queries, port });
+      } catch (error) {
+        failures.push(`${attempt}: ${error.message}`);
+        continue;
+      }
+
+      const result = this.buildResult(host, targetIp, attempt, hops);
+      if (!best || this.score(result) > this.score(best)) {
+        best = result;
+      }
+      if (result.reached) break;
+    }
+
+    if (!best) {
+      throw new Error(`Traceroute to ${host} failed (${failures.join('; ')})`);
+    }
+
+    if (lookupName) {
+      await Promise.all(best.hops.map(async (hop) => {
+        hop.hostname = hop.ip ? await lookupName(hop.ip).catch(() => null) : null;
+      }));
+    }
+
+    return { ...best, durationMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Run one traceroute method and parse its hops
+   */
+  async run(ip, method, { maxHops, timeout, queries, port }) {
+    const waitSeconds = String(Math.max(1, Math.ceil(timeout / 1000)));
+    const family = net.isIPv6(ip) ? '-6' : '-4';
+    const args = ['-n', family, '-q', String(queries), '-w', waitSeconds, '-m', String(maxHops)];
+
+    if (method === 'icmp') {
+      args.push('-I');
+    } else if (method === 'tcp') {
+      args.push('-T', '-p', String(port || DEFAULT_TCP_PORT));
+    } else if (port) {
+      args.push('-p', String(port));
+    }
+
+    // Probes go out in parallel, but a path of silent hops still waits out every probe
+    const limit = maxHops * queries * timeout + 5000;
+
+    try {
+      const { stdout } = await execFileAsync('traceroute', [...args, ip], { timeout: limit });
+      return parseTraceroute(stdout);
+    } catch (error) {
+      const output = `${error.stdout || ''}${error.stderr || ''}`;
+
+      if (error.code === 'ENOENT') {
+        // tracepath is unprivileged and UDP only
+        if (method === 'udp') {
+          return this.runTracepath(ip, { maxHops, port, limit });
+        }
+        throw new Error('traceroute is not installed');
+      }
+      if (PRIVILEGE_PATTERN.test(output)) {
+        throw new Error(`${method.toUpperCase()} traceroute needs root privileges`);
+      }
+      // traceroute exits non-zero on some errors but may still have traced hops
+      const hops = parseTraceroute(error.stdout || '');
+      if (hops.length > 0) {
+        return hops;
+      }
+      throw new Error(output.trim().split('\n').pop() || error.message);
+    }
+  }
+
+  async runTracepath(ip, { maxHops, port, limit }) {
+    const args = ['-n', '-m', String(maxHops)];
+    if (port) {
+      args.push('-p', String(port));
+    }
+
+    try {
+      const { stdout } = await execFileAsync(net.isIPv6(ip) ? 'tracepath6' : 'tracepath', [...args, ip], { timeout: limit });
+      return parseTracepath(stdout);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('neither traceroute nor tracepath is installed');
+      }
+      const hops = parseTracepath(error.stdout || '');
+      if (hops.length > 0) {
+        return hops;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize parsed hops. Silent hops after the last answering one are
+   * dropped: they only show how far the probes were sent.
+   */
+  buildResult(host, targetIp, method, parsedHops) {
+    const hops = parsedHops.map(hop => {
+      const sent = hop.rtts.length + hop.lost;
+      return {
+        hop: hop.hop,
+        ip: hop.addresses[0] || null,
+        addresses: hop.addresses,
+        rtts: hop.rtts,
+        min: hop.rtts.length > 0 ? Math.min(...hop.rtts) : null,
+        avg: hop.rtts.length > 0 ? Math.round(hop.rtts.reduce((sum, rtt) => sum + rtt, 0) / hop.rtts.length * 1000) / 1000 : null,
+        max: hop.rtts.length > 0 ? Math.max(...hop.rtts) : null,
+        loss: sent > 0 ? Math.round(hop.lost / sent * 100) : 100,
+        flags: hop.flags
+      };
+    });
+
+    while (hops.length > 0 && hops[hops.length - 1].addresses.length === 0) {
+      hops.pop();
+    }
+
+    const last = hops[hops.length - 1];
+    return {
+      host,
+      targetIp,
+      method,
+      reached: Boolean(last && last.addresses.includes(targetIp)),
+      hops
+    };
+  }
+
+  /**
+   * Rank attempts: reaching the target beats everything, then answering hops
+   */
+  score(result) {
+    return (result.reached ? 1000 : 0) + result.hops.filter(hop => hop.addresses.length > 0).length;
+  }
+}
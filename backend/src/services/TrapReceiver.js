@@ -0,0 +1,340 @@
+import snmp from 'net-snmp';
+import { EventEmitter } from 'events';
+import { decodeOctets } from './SNMPCollector.js';
+
+// Notification varbinds of SNMPv2-MIB (RFC 3416)
+const SYS_UPTIME_OID = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+const SNMP_TRAP_ENTERPRISE_OID = '1.3.6.1.6.3.1.1.4.3.0';
+
+// Original sender and community of a trap forwarded by a proxy (RFC 3584)
+const SNMP_TRAP_ADDRESS_OID = '1.3.6.1.6.3.18.1.3.0';
+const SNMP_TRAP_COMMUNITY_OID = '1.3.6.1.6.3.18.1.4.0';
+
+// SNMPv1 generic trap N is the v2 notification snmpTraps.(N + 1) (RFC 3584 section 3.1)
+const SNMP_TRAPS_OID = '1.3.6.1.6.3.1.1.5';
+const ENTERPRISE_SPECIFIC_TRAP = 6;
+
+export const STANDARD_TRAPS = {
+  [`${SNMP_TRAPS_OID}.1`]: 'coldStart',
+  [`${SNMP_TRAPS_OID}.2`]: 'warmStart',
+  [`${SNMP_TRAPS_OID}.3`]: 'linkDown',
+  [`${SNMP_TRAPS_OID}.4`]: 'linkUp',
+  [`${SNMP_TRAPS_OID}.5`]: 'authenticationFailure',
+  [`${SNMP_TRAPS_OID}.6`]: 'egpNeighborLoss'
+};
+
+// Objects that commonly ride along with traps, shown by name with their instance suffix
+const VARBIND_NAMES = {
+  '1.3.6.1.2.1.1.3': 'sysUpTime',
+  '1.3.6.1.2.1.1.5': 'sysName',
+  '1.3.6.1.6.3.1.1.4.1': 'snmpTrapOID',
+  '1.3.6.1.6.3.1.1.4.3': 'snmpTrapEnterprise',
+  '1.3.6.1.6.3.18.1.3': 'snmpTrapAddress',
+  '1.3.6.1.2.1.2.2.1.1': 'ifIndex',
+  '1.3.6.1.2.1.2.2.1.2': 'ifDescr',
+  '1.3.6.1.2.1.2.2.1.3': 'ifType',
+  '1.3.6.1.2.1.2.2.1.7': 'ifAdminStatus',
+  '1.3.6.1.2.1.2.2.1.8': 'ifOperStatus',
+  '1.3.6.1.2.1.31.1.1.1.1': 'ifName',
+  '1.3.6.1.2.1.31.1.1.1.18': 'ifAlias'
+};
+
+// ifAdminStatus / ifOperStatus values (IF-MIB)
+const IF_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+
+/**
+ * Name of a varbind OID, e.g. "ifOperStatus.3", or null for objects not in VARBIND_NAMES
+ */
+function varbindName(oid) {
+  const column = Object.keys(VARBIND_NAMES)
+    .filter(prefix => oid === prefix || oid.startsWith(`${prefix}.`))
+    .sort((a, b) => b.length - a.length)[0];
+  return column ? VARBIND_NAMES[column] + oid.slice(column.length) : null;
+}
+
+/**
+ * JSON-friendly value of a varbind: text or hex for octet strings, a decimal
+ * string for 64-bit counters, null for exceptions
+ */
+function varbindValue({ type, value }) {
+  switch (type) {
+    case snmp.ObjectType.OctetString:
+      return decodeOctets(value);
+    case snmp.ObjectType.Counter64:
+      return Buffer.isBuffer(value) && value.length > 0 ? BigInt(`0x${value.toString('hex')}`).toString() : '0';
+    case snmp.ObjectType.Opaque:
+      return Buffer.isBuffer(value) ? value.toString('hex') : value;
+    case snmp.ObjectType.Null:
+    case snmp.ObjectType.NoSuchObject:
+    case snmp.ObjectType.NoSuchInstance:
+    case snmp.ObjectType.EndOfMibView:
+      return null;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Listens for SNMP traps and informs (v1, v2c and v3), decodes them, stores
+ * them and emits each one. Communities and SNMPv3 users are accepted when an
+ * SNMP profile in the credential vault holds them.
+ */
+export class TrapReceiver extends EventEmitter {
+  constructor({ dbManager, snmpCollector, credentialVault, logger }) {
+    super();
+    this.dbManager = dbManager;
+    this.snmpCollector = snmpCollector;
+    this.credentialVault = credentialVault;
+    this.logger = logger;
+
+    this.port = snmpCollector.defaultOptions.trapPort;
+    this.address = process.env.SNMP_TRAP_ADDRESS || null;
+    // Accept notifications whatever their community or user, e.g. while setting up agents
+    this.acceptAny = process.env.SNMP_TRAP_ACCEPT_ANY === 'true';
+
+    this.receiver = null;
+    this.listening = false;
+    this.error = null;
+    this.stats = { received: 0, informs: 0, rejected: 0, lastReceivedAt: null };
+    // Notifications are handled one at a time, in arrival order, so a linkUp never overtakes its linkDown
+    this.queue = Promise.resolve();
+
+    this.reloadAuthorization = () => {
+      this.loadAuthorization().catch(error => {
+        this.logger.error('Failed to reload SNMP trap credentials:', error);
+      });
+    };
+  }
+
+  /**
+   * Start listening; a port already in use or needing privileges is logged
+   * and leaves the receiver stopped rather than failing startup
+   */
+  async start() {
+    if (this.receiver) return;
+
+    this.error = null;
+    this.receiver = snmp.createReceiver({
+      port: this.port,
+      address: this.address,
+      transport: 'udp4',
+      disableAuthorization: this.acceptAny,
+      includeAuthentication: true
+    }, (error, notification) => this.onNotification(error, notification));
+    this.listening = true;
+    this.credentialVault.on('profileChanged', this.reloadAuthorization);
+
+    await this.loadAuthorization();
+
+    // A bind that failed while the credentials loaded has already stopped the receiver
+    if (this.listening) {
+      this.logger.info(`SNMP trap receiver listening on udp/${this.port}${this.acceptAny ? ' (accepting any community)' : ''}`);
+    }
+  }
+
+  stop() {
+    if (!this.receiver) return;
+
+    this.credentialVault.off('profileChanged', this.reloadAuthorization);
+    try {
+      this.receiver.close();
+    } catch (error) {
+      // A socket that failed to bind is already closed
+    }
+    this.receiver = null;
+    this.listening = false;
+  }
+
+  /**
+   * Accept the communities and SNMPv3 users of every SNMP profile
+   */
+  async loadAuthorization() {
+    if (!this.receiver) return;
+
+    const authorizer = this.receiver.getAuthorizer();
+    for (const community of [...authorizer.getCommunities()]) {
+      authorizer.deleteCommunity(community);
+    }
+    for (const user of [...authorizer.getUsers()]) {
+      authorizer.deleteUser(user.name);
+    }
+
+    for (const profile of await this.credentialVault.getProfiles('snmp')) {
+      const { fields } = await this.credentialVault.getCredentials(profile.id);
+      if (fields.version === '3') {
+        authorizer.addUser(this.snmpCollector.usmUser(fields));
+      } else if (fields.community) {
+        authorizer.addCommunity(fields.community);
+      }
+    }
+
+    this.logger.debug(`SNMP trap receiver accepts ${authorizer.getCommunities().length} communities and ${authorizer.getUsers().length} users`);
+  }
+
+  onNotification(error, notification) {
+    if (error) {
+      if (error.code === 'EACCES' || error.code === 'EADDRINUSE') {
+        this.error = error.code === 'EACCES'
+          ? `Not permitted to listen on udp/${this.port}; run with CAP_NET_BIND_SERVICE or set SNMP_TRAP_PORT above 1023`
+          : `udp/${this.port} is already in use`;
+        this.logger.warn(`SNMP trap receiver stopped: ${this.error}`);
+        this.stop();
+        return;
+      }
+
+      // Unknown communities and users, bad digests and undecodable packets
+      this.stats.rejected++;
+      this.logger.debug(`SNMP notification rejected: ${error.message}`);
+      return;
+    }
+
+    this.queue = this.queue
+      .then(() => this.handleNotification(notification))
+      .catch(handleError => {
+        this.logger.error(`Failed to process SNMP notification from ${notification.rinfo.address}:`, handleError);
+      });
+  }
+
+  async handleNotification({ pdu, rinfo }) {
+    const trap = this.decodeNotification(pdu, rinfo);
+
+    const device = await this.dbManager.getDeviceByIP(trap.agentAddress);
+    trap.deviceId = device?.id || null;
+
+    const { id } = await this.dbManager.saveTrap(trap);
+    const saved = this.formatTrap(await this.dbManager.getTrap(id));
+
+    this.stats.received++;
+    if (trap.pduType === 'inform') {
+      this.stats.informs++;
+    }
+    this.stats.lastReceivedAt = saved.receivedAt;
+
+    this.logger.debug(`SNMP ${trap.pduType} ${trap.trapName || trap.trapOid} from ${trap.agentAddress}`);
+    this.emit('trap', { trap: saved, device });
+    return saved;
+  }
+
+  /**
+   * Turn a received PDU into a trap record. SNMPv1 traps get the v2
+   * notification OID they map to, so both versions are searched alike.
+   */
+  decodeNotification(pdu, rinfo) {
+    const isV1 = pdu.type === snmp.PduType.Trap;
+    const decoded = (pdu.varbinds || []).map(varbind => ({
+      oid: varbind.oid,
+      name: varbindName(varbind.oid),
+      type: snmp.ObjectType[varbind.type] || String(varbind.type),
+      value: varbindValue(varbind)
+    }));
+    const valueOf = (oid) => decoded.find(varbind => varbind.oid === oid)?.value ?? null;
+
+    let trapOid, uptime, enterprise;
+    if (isV1) {
+      enterprise = pdu.enterprise;
+      trapOid = pdu.generic === ENTERPRISE_SPECIFIC_TRAP
+        ? `${pdu.enterprise}.0.${pdu.specific}`
+        : `${SNMP_TRAPS_OID}.${pdu.generic + 1}`;
+      uptime = pdu.upTime;
+    } else {
+      trapOid = valueOf(SNMP_TRAP_OID);
+      uptime = valueOf(SYS_UPTIME_OID);
+      enterprise = valueOf(SNMP_TRAP_ENTERPRISE_OID);
+    }
+
+    const agentAddress = isV1 ? pdu.agentAddr : valueOf(SNMP_TRAP_ADDRESS_OID);
+
+    return {
+      sourceIp: rinfo.address,
+      agentAddress: agentAddress && agentAddress !== '0.0.0.0' ? agentAddress : rinfo.address,
+      version: isV1 ? '1' : pdu.user !== undefined ? '3' : '2c',
+      pduType: pdu.type === snmp.PduType.InformRequest ? 'inform' : 'trap',
+      trapOid,
+      trapName: STANDARD_TRAPS[trapOid] || null,
+      enterprise,
+      genericTrap: isV1 ? pdu.generic : null,
+      specificTrap: isV1 ? pdu.specific : null,
+      uptime,
+      // The v3 security name; communities are secrets and are not kept
+      user: pdu.user ?? null,
+      varbinds: decoded.filter(varbind =>
+        ![SYS_UPTIME_OID, SNMP_TRAP_OID, SNMP_TRAP_COMMUNITY_OID].includes(varbind.oid)
+      )
+    };
+  }
+
+  /**
+   * Search stored traps
+   * @param {Object} filters - See DatabaseManager.searchTraps
+   * @returns {Promise<Object>} { traps, total }
+   */
+  async getTraps(filters = {}) {
+    const { rows, total } = await this.dbManager.searchTraps(filters);
+    return { traps: rows.map(row => this.formatTrap(row)), total };
+  }
+
+  async getTrap(trapId) {
+    const row = await this.dbManager.getTrap(trapId);
+    return row ? this.formatTrap(row) : null;
+  }
+
+  getStatus() {
+    return {
+      listening: this.listening,
+      port: this.port,
+      address: this.address,
+      acceptAny: this.acceptAny,
+      error: this.error,
+      ...this.stats
+    };
+  }
+
+  /**
+   * The interface a trap is about, from its IF-MIB varbinds
+   * @returns {Object|null} { index, name, descr, adminStatus, operStatus }
+   */
+  trapInterface(varbinds) {
+    const column = (name) => varbinds.find(varbind => varbind.name?.split('.')[0] === name);
+    const status = (name) => IF_STATUS[column(name)?.value] || null;
+
+    const indexed = ['ifIndex', 'ifAdminStatus', 'ifOperStatus', 'ifDescr', 'ifName'].map(column).find(Boolean);
+    if (!indexed) {
+      return null;
+    }
+
+    const suffix = parseInt(indexed.name.split('.')[1]);
+    return {
+      index: column('ifIndex')?.value ?? (Number.isNaN(suffix) ? null : suffix),
+      name: column('ifName')?.value || null,
+      descr: column('ifDescr')?.value || null,
+      adminStatus: status('ifAdminStatus'),
+      operStatus: status('ifOperStatus')
+    };
+  }
+
+  /**
+   * Convert an snmp_traps row to the API representation
+   */
+  formatTrap(row) {
+    const varbinds = JSON.parse(row.varbinds || '[]');
+    return {
+      id: row.id,
+      deviceId: row.device_id,
+      sourceIp: row.source_ip,
+      agentAddress: row.agent_address,
+      version: row.version,
+      pduType: row.pdu_type,
+      trapOid: row.trap_oid,
+      trapName: row.trap_name,
+      enterprise: row.enterprise,
+      genericTrap: row.generic_trap,
+      specificTrap: row.specific_trap,
+      uptime: row.uptime,
+      user: row.security_name,
+      interface: this.trapInterface(varbinds),
+      varbinds,
+      receivedAt: row.received_at
+    };
+  }
+}
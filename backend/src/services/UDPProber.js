@@ -0,0 +1,414 @@
+import dgram from 'dgram';
+import net from 'net';
+import { randomInt } from 'crypto';
+import { encodeQuery, decodeMessage as decodeDNSMessage, DNS_TYPES, DNS_CLASSES } from '../utils/DNSPacket.js';
+import { encodeGetRequest, encodeDiscoveryRequest, decodeMessage as decodeSNMPMessage, SNMP_VERSIONS } from '../utils/SNMPPacket.js';
+import { encodeNodeStatusRequest, parseNodeStatus } from '../utils/NetBIOSPacket.js';
+
+// UDP services with a protocol-aware probe
+export const UDP_SERVICES = {
+  dns: { port: 53, name: 'DNS' },
+  ntp: { port: 123, name: 'NTP' },
+  netbios: { port: 137, name: 'NetBIOS' },
+  snmp: { port: 161, name: 'SNMP' },
+  ssdp: { port: 1900, name: 'SSDP' },
+  mdns: { port: 5353, name: 'mDNS' }
+};
+
+// Community strings tried, all in one round trip, when probing SNMP
+export const SNMP_COMMUNITIES = [...new Set([process.env.DEFAULT_COMMUNITY || 'public', 'public', 'private', 'monitoring'])];
+
+const SYSTEM_OIDS = {
+  sysDescr: '1.3.6.1.2.1.1.1.0',
+  sysObjectID: '1.3.6.1.2.1.1.2.0',
+  sysName: '1.3.6.1.2.1.1.5.0'
+};
+
+// How long to keep listening for further replies once a service has answered
+const SETTLE_MS = 250;
+
+/**
+ * Probes UDP services with requests they are obliged to answer, so a reply
+ * proves the service is there. No reply leaves the port "filtered" (UDP cannot
+ * tell a dropped probe from a silent service); an ICMP port unreachable makes
+ * it "closed".
+ */
+export class UDPProber {
+  constructor({ timeout = 1500 } = {}) {
+    this.timeout = timeout;
+  }
+
+  /**
+   * Probe several UDP services on a host in parallel
+   * @param {string} ip - IP address
+   * @param {string[]} services - Keys of UDP_SERVICES
+   * @param {Object} options - { timeout, communities }; communities are strings or
+   *   { profileId, community } vault entries
+   * @returns {Promise<Object[]>} One result per service, ordered by port
+   */
+  async probeServices(ip, services = Object.keys(UDP_SERVICES), options = {}) {
+    const results = await Promise.all(services.map(service => this.probe(ip, service, options)));
+    return results.sort((a, b) => a.port - b.port);
+  }
+
+  /**
+   * Probe one UDP service
+   * @param {string} ip - IP address
+   * @param {string} service - Key of UDP_SERVICES
+   * @param {Object} options - { timeout, communities }
+   * @returns {Promise<Object>} { port, protocol, service, status, product, version, banner, details }
+   */
+  async probe(ip, service, options = {}) {
+    const definition = UDP_SERVICES[service];
+    if (!definition) {
+      throw new Error(`Unknown UDP service "${service}"`);
+    }
+
+    const timeout = options.timeout || this.timeout;
+    const result = {
+      port: definition.port,
+      protocol: 'udp',
+      service: definition.name,
+      status: 'filtered',
+      product: null,
+      version: null,
+      banner: null,
+      details: null
+    };
+
+    const probes = {
+      dns: () => this.probeDNS(ip, timeout, result),
+      ntp: () => this.probeNTP(ip, timeout, result),
+      netbios: () => this.probeNetBIOS(ip, timeout, result),
+      snmp: () => this.probeSNMP(ip, timeout, result, options.communities || SNMP_COMMUNITIES),
+      ssdp: () => this.probeSSDP(ip, timeout, result),
+      mdns: () => this.probeMDNS(ip, timeout, result)
+    };
+
+    try {
+      await probes[service]();
+    } catch (error) {
+      // Socket failures leave the port unanswered
+    }
+    return result;
+  }
+
+  /**
+   * SNMPv2c GET of the system group for each community, plus an SNMPv3
+   * engine discovery request that agents answer regardless of credentials.
+   * The community that answered is never put in the result, which is
+   * broadcast and stored; details.profileId names its vault profile instead.
+   */
+  async probeSNMP(ip, timeout, result, candidates) {
+    const communities = candidates.map(candidate => (typeof candidate === 'string' ? candidate : candidate.community));
+    const baseId = randomInt(1, 0x3fffffff);
+    const requests = communities.map((community, index) => encodeGetRequest({
+      version: SNMP_VERSIONS.v2c,
+      community,
+      requestId: baseId + index,
+      oids: Object.values(SYSTEM_OIDS)
+    }));
+    requests.push(encodeDiscoveryRequest({ messageId: baseId, requestId: baseId + communities.length }));
+
+    const details = { profileId: null, versions: [], sysDescr: null, sysObjectId: null, sysName: null, engineId: null };
+    let answered = false;
+
+    const status = await this.exchange(ip, UDP_SERVICES.snmp.port, requests, timeout, (message) => {
+      const response = decodeSNMPMessage(message);
+
+      if (response.version === SNMP_VERSIONS.v3) {
+        if (response.messageId !== baseId) return false;
+        details.engineId = response.engineId || null;
+        details.versions.push('v3');
+        return 'partial';
+      }
+
+      const index = response.pdu.requestId - baseId;
+      if (index < 0 || index >= communities.length || answered) return false;
+
+      answered = true;
+      details.profileId = candidates[index].profileId || null;
+      details.versions.push('v2c');
+      for (const { oid, value } of response.pdu.varbinds) {
+        const text = Buffer.isBuffer(value) ? value.toString('utf8').trim() : value;
+        if (oid === SYSTEM_OIDS.sysDescr) details.sysDescr = text || null;
+        if (oid === SYSTEM_OIDS.sysObjectID) details.sysObjectId = text || null;
+        if (oid === SYSTEM_OIDS.sysName) details.sysName = text || null;
+      }
+      return true;
+    });
+
+    result.status = status;
+    if (status === 'open') {
+      result.banner = details.sysDescr ? details.sysDescr.split(/\r?\n/)[0].slice(0, 200) : null;
+      result.details = details;
+    }
+  }
+
+  /**
+   * Root NS query, which any DNS server answers even if only to refuse,
+   * plus a CHAOS version.bind query that many servers answer with their version
+   */
+  async probeDNS(ip, timeout, result) {
+    const queryId = randomInt(1, 0xffff);
+    const versionId = (queryId + 1) & 0xffff;
+    const requests = [
+      encodeQuery({ id: queryId, name: '.', type: DNS_TYPES.NS }),
+      encodeQuery({ id: versionId, name: 'version.bind', type: DNS_TYPES.TXT, class: DNS_CLASSES.CH })
+    ];
+
+    const details = { rcode: null, recursionAvailable: false, versionBind: null };
+
+    const status = await this.exchange(ip, UDP_SERVICES.dns.port, requests, timeout, (message) => {
+      const response = decodeDNSMessage(message);
+      if (!response.response) return false;
+
+      if (response.id === versionId) {
+        const txt = response.answers.find(answer => answer.typeName === 'TXT');
+        details.versionBind = txt ? txt.data.join('') : null;
+        return 'partial';
+      }
+      if (response.id !== queryId) return false;
+
+      details.rcode = response.rcode;
+      details.recursionAvailable = response.recursionAvailable;
+      return 'partial';
+    });
+
+    result.status = status;
+    if (status === 'open') {
+      result.details = details;
+      result.banner = details.versionBind;
+
+      // "dnsmasq-2.85", "9.18.18-0ubuntu0.22.04.1-Ubuntu" (BIND), "unbound 1.17.1"
+      const version = details.versionBind && details.versionBind.match(/^(?:([A-Za-z][\w-]*?)[- ])?(\d[\w.]*)/);
+      if (version) {
+        result.product = version[1] || 'BIND';
+        result.version = version[2];
+      }
+    }
+  }
+
+  /**
+   * NTPv4 client request; servers answer in server mode with their stratum
+   */
+  async probeNTP(ip, timeout, result) {
+    const request = Buffer.alloc(48);
+    request[0] = 0x23; // LI 0, version 4, mode 3 (client)
+
+    const details = {};
+
+    const status = await this.exchange(ip, UDP_SERVICES.ntp.port, [request], timeout, (message) => {
+      if (message.length < 48 || (message[0] & 0x07) !== 4) return false;
+
+      details.version = (message[0] >> 3) & 0x07;
+      details.stratum = message[1];
+
+      // Stratum 0-1 carry a reference code ("GPS", "PPS"), higher strata the upstream server's address
+      const reference = message.subarray(12, 16);
+      details.referenceId = details.stratum <= 1
+        ? reference.toString('ascii').replace(/\0+$/, '')
+        : Array.from(reference).join('.');
+      return true;
+    });
+
+    result.status = status;
+    if (status === 'open') {
+      result.details = details;
+    }
+  }
+
+  /**
+   * NetBIOS node status (NBSTAT) query for the wildcard name, which returns
+   * the host's NetBIOS names, workgroup and adapter MAC
+   */
+  async probeNetBIOS(ip, timeout, result) {
+    const queryId = randomInt(1, 0xffff);
+    let details = null;
+
+    const status = await this.exchange(ip, UDP_SERVICES.netbios.port, [encodeNodeStatusRequest(queryId)], timeout, (message) => {
+      if (message.length < 12 || message.readUInt16BE(0) !== queryId) return false;
+      details = parseNodeStatus(message);
+      return true;
+    });
+
+    result.status = status;
+    if (status === 'open' && details) {
+      result.details = details;
+      result.banner = details.name ? `${details.name}${details.workgroup ? ` (${details.workgroup})` : ''}` : null;
+    }
+  }
+
+  /**
+   * Unicast SSDP M-SEARCH; UPnP devices reply with their SERVER string and description URL
+   */
+  async probeSSDP(ip, timeout, result) {
+    const request = Buffer.from([
+      'M-SEARCH * HTTP/1.1',
+      'HOST: 239.255.255.250:1900',
+      'MAN: "ssdp:discover"',
+      'MX: 1',
+      'ST: ssdp:all',
+      '',
+      ''
+    ].join('\r\n'));
+
+    const details = { server: null, location: null, types: [] };
+
+    // Devices often reply from another source port, so the socket cannot be connected
+    const status = await this.exchange(ip, UDP_SERVICES.ssdp.port, [request], timeout, (message) => {
+      const text = message.toString('utf8');
+      if (!/^HTTP\/1\.1 200/i.test(text)) return false;
+
+      const headers = {};
+      for (const line of text.split(/\r?\n/).slice(1)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+      }
+
+      details.server = details.server || headers.server || null;
+      details.location = details.location || headers.location || null;
+      if (headers.st && !details.types.includes(headers.st)) {
+        details.types.push(headers.st);
+      }
+      return 'partial';
+    }, { connected: false });
+
+    result.status = status;
+    if (status === 'open') {
+      result.details = details;
+      result.banner = details.server;
+    }
+  }
+
+  /**
+   * Legacy unicast mDNS queries: DNS-SD service enumeration and the host's reverse name
+   */
+  async probeMDNS(ip, timeout, result) {
+    const servicesId = randomInt(1, 0xffff);
+    const reverseId = (servicesId + 1) & 0xffff;
+    const requests = [
+      encodeQuery({ id: servicesId, name: '_services._dns-sd._udp.local', type: DNS_TYPES.PTR, recursionDesired: false }),
+      encodeQuery({ id: reverseId, name: this.reverseName(ip), type: DNS_TYPES.PTR, recursionDesired: false })
+    ];
+
+    const details = { hostname: null, serviceTypes: [] };
+
+    const status = await this.exchange(ip, UDP_SERVICES.mdns.port, requests, timeout, (message) => {
+      const response = decodeDNSMessage(message);
+      if (!response.response || (response.id !== servicesId && response.id !== reverseId)) return false;
+
+      for (const record of [...response.answers, ...response.additionals]) {
+        if (record.typeName !== 'PTR') continue;
+        if (record.name === '_services._dns-sd._udp.local' && !details.serviceTypes.includes(record.data)) {
+          details.serviceTypes.push(record.data);
+        } else if (/\.(in-addr|ip6)\.arpa$/.test(record.name)) {
+          details.hostname = record.data;
+        }
+      }
+      return 'partial';
+    });
+
+    result.status = status;
+    if (status === 'open') {
+      result.details = details;
+      result.banner = details.hostname;
+    }
+  }
+
+  /**
+   * Send requests and feed replies to a handler until the service has answered
+   * @param {Function} handle - Returns false to ignore a reply, true when the answer is
+   *   complete, or 'partial' to keep listening briefly for more replies
+   * @param {Object} options - { connected } where a connected socket also reports ICMP
+   *   port unreachable, but only accepts replies from the port it sent to
+   * @returns {Promise<string>} 'open', 'closed' or 'filtered'
+   */
+  exchange(ip, port, requests, timeout, handle, { connected = true } = {}) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket(net.isIPv6(ip) ? 'udp6' : 'udp4');
+      let answered = false;
+      let finished = false;
+      let settleTimer = null;
+
+      const finish = (status) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        clearTimeout(retryTimer);
+        clearTimeout(settleTimer);
+        socket.close();
+        resolve(status);
+      };
+
+      const send = () => {
+        for (const request of requests) {
+          if (connected) {
+            socket.send(request);
+          } else {
+            socket.send(request, port, ip);
+          }
+        }
+      };
+
+      const timer = setTimeout(() => finish(answered ? 'open' : 'filtered'), timeout);
+
+      // UDP is lossy; repeat the requests once if nothing came back
+      const retryTimer = setTimeout(() => {
+        if (!answered && !finished) send();
+      }, Math.floor(timeout / 2));
+
+      socket.on('message', (message, remote) => {
+        if (remote.address !== ip && remote.address !== `::ffff:${ip}`) return;
+
+        let outcome;
+        try {
+          outcome = handle(message);
+        } catch (error) {
+          // Not a reply to our probe
+          return;
+        }
+
+        if (outcome === true) {
+          answered = true;
+          finish('open');
+        } else if (outcome === 'partial' && !answered) {
+          answered = true;
+          settleTimer = setTimeout(() => finish('open'), SETTLE_MS);
+        }
+      });
+
+      // ECONNREFUSED is the kernel relaying an ICMP port unreachable
+      socket.on('error', (error) => {
+        finish(error.code === 'ECONNREFUSED' && !answered ? 'closed' : (answered ? 'open' : 'filtered'));
+      });
+
+      if (connected) {
+        socket.connect(port, ip, send);
+      } else {
+        socket.bind(0, send);
+      }
+    });
+  }
+
+  /**
+   * PTR name for an address, e.g. 1.1.168.192.in-addr.arpa
+   */
+  reverseName(ip) {
+    if (net.isIPv4(ip)) {
+      return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+    }
+
+    // Expand "::" so every nibble is present
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = ip.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    const nibbles = groups.map(group => group.padStart(4, '0')).join('').split('');
+    return `${nibbles.reverse().join('.')}.ip6.arpa`;
+  }
+}
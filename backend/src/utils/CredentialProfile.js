@@ -0,0 +1,155 @@
+import { SNMP_VERSIONS, SECURITY_LEVELS, AUTH_PROTOCOLS, PRIV_PROTOCOLS, MIN_KEY_LENGTH } from './SNMPCredentials.js';
+
+// Kinds of credentials the vault holds
+export const CREDENTIAL_TYPES = ['snmp', 'ssh', 'http'];
+
+// Fields of each type that are encrypted; the rest are stored as plain settings
+const SECRET_FIELDS = {
+  snmp: ['community', 'authKey', 'privKey'],
+  ssh: ['password', 'privateKey', 'passphrase'],
+  http: ['password', 'token']
+};
+
+export const HTTP_AUTH_SCHEMES = ['basic', 'bearer'];
+
+/**
+ * Keep the fields a profile type uses, with defaults filled in; fields the
+ * chosen SNMP security level or HTTP scheme does not use are dropped
+ * @param {string} type - snmp, ssh or http
+ * @param {Object} fields - Profile fields
+ * @returns {Object} Normalized fields
+ */
+export function normalizeCredentials(type, fields) {
+  const pick = (keys) => Object.fromEntries(
+    keys.filter(key => fields[key] !== undefined && fields[key] !== null && fields[key] !== '')
+      .map(key => [key, fields[key]])
+  );
+
+  if (type === 'snmp') {
+    const version = fields.version || '2c';
+    if (version !== '3') {
+      return { version, ...pick(['community']) };
+    }
+
+    const securityLevel = fields.securityLevel || 'authPriv';
+    const normalized = { version, securityLevel, ...pick(['user']) };
+    if (securityLevel !== 'noAuthNoPriv') {
+      Object.assign(normalized, { authProtocol: fields.authProtocol || 'sha' }, pick(['authKey']));
+    }
+    if (securityLevel === 'authPriv') {
+      Object.assign(normalized, { privProtocol: fields.privProtocol || 'aes' }, pick(['privKey']));
+    }
+    return normalized;
+  }
+
+  if (type === 'ssh') {
+    return { port: parseInt(fields.port) || 22, ...pick(['username', 'password', 'privateKey', 'passphrase']) };
+  }
+
+  const authScheme = fields.authScheme || 'basic';
+  return authScheme === 'bearer'
+    ? { authScheme, ...pick(['token']) }
+    : { authScheme, ...pick(['username', 'password']) };
+}
+
+/**
+ * Check that normalized fields make usable credentials
+ * @param {string} type - snmp, ssh or http
+ * @param {Object} fields - Normalized profile fields
+ * @throws {Error} If a field is missing or invalid
+ */
+export function validateCredentials(type, fields) {
+  if (!CREDENTIAL_TYPES.includes(type)) {
+    throw new Error(`Type must be one of ${CREDENTIAL_TYPES.join(', ')}`);
+  }
+
+  if (type === 'snmp') {
+    if (!SNMP_VERSIONS.includes(fields.version)) {
+      throw new Error(`SNMP version must be one of ${SNMP_VERSIONS.join(', ')}`);
+    }
+    if (fields.version !== '3') {
+      if (!fields.community) {
+        throw new Error(`A community string is required for SNMPv${fields.version}`);
+      }
+      return;
+    }
+
+    if (!fields.user) {
+      throw new Error('A user is required for SNMPv3');
+    }
+    if (!SECURITY_LEVELS.includes(fields.securityLevel)) {
+      throw new Error(`Security level must be one of ${SECURITY_LEVELS.join(', ')}`);
+    }
+    if (fields.securityLevel !== 'noAuthNoPriv') {
+      if (!AUTH_PROTOCOLS.includes(fields.authProtocol)) {
+        throw new Error(`Authentication protocol must be one of ${AUTH_PROTOCOLS.join(', ')}`);
+      }
+      if (!fields.authKey || fields.authKey.length < MIN_KEY_LENGTH) {
+        throw new Error(`An authentication key of at least ${MIN_KEY_LENGTH} characters is required for ${fields.securityLevel}`);
+      }
+    }
+    if (fields.securityLevel === 'authPriv') {
+      if (!PRIV_PROTOCOLS.includes(fields.privProtocol)) {
+        throw new Error(`Privacy protocol must be one of ${PRIV_PROTOCOLS.join(', ')}`);
+      }
+      if (!fields.privKey || fields.privKey.length < MIN_KEY_LENGTH) {
+        throw new Error(`A privacy key of at least ${MIN_KEY_LENGTH} characters is required for authPriv`);
+      }
+    }
+    return;
+  }
+
+  if (type === 'ssh') {
+    if (!fields.username) {
+      throw new Error('A username is required for SSH');
+    }
+    if (!fields.password && !fields.privateKey) {
+      throw new Error('A password or private key is required for SSH');
+    }
+    if (!Number.isInteger(fields.port) || fields.port < 1 || fields.port > 65535) {
+      throw new Error('SSH port must be between 1 and 65535');
+    }
+    return;
+  }
+
+  if (!HTTP_AUTH_SCHEMES.includes(fields.authScheme)) {
+    throw new Error(`HTTP authentication scheme must be one of ${HTTP_AUTH_SCHEMES.join(', ')}`);
+  }
+  if (fields.authScheme === 'bearer' && !fields.token) {
+    throw new Error('A token is required for bearer authentication');
+  }
+  if (fields.authScheme === 'basic' && (!fields.username || !fields.password)) {
+    throw new Error('A username and password are required for basic authentication');
+  }
+}
+
+/**
+ * Split normalized fields into plain settings and the secrets to encrypt
+ * @param {string} type - snmp, ssh or http
+ * @param {Object} fields - Normalized profile fields
+ * @returns {Object} { settings, secret }
+ */
+export function splitCredentials(type, fields) {
+  const settings = {};
+  const secret = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    (SECRET_FIELDS[type].includes(key) ? secret : settings)[key] = value;
+  }
+
+  return { settings, secret };
+}
+
+/**
+ * Copy of probe details without any credential field, for what is stored
+ * in the clear or returned by the API
+ * @param {Object|null} details - Details of a UDP probe or fingerprint
+ * @returns {Object|null} The details minus community, keys, passwords and tokens
+ */
+export function withoutSecrets(details) {
+  if (!details || typeof details !== 'object') {
+    return details ?? null;
+  }
+  const secretFields = Object.values(SECRET_FIELDS).flat();
+  return Object.fromEntries(Object.entries(details).filter(([key]) => !secretFields.includes(key)));
+}
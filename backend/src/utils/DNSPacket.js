@@ -0,0 +1,196 @@
+// Record types used by the probes and discovery sources
+export const DNS_TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  PTR: 12,
+  HINFO: 13,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  ANY: 255
+};
+
+export const DNS_CLASSES = {
+  IN: 1,
+  CH: 3
+};
+
+const RCODE_NAMES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+
+// mDNS reuses the top bit of the class field for "unicast response" and "cache flush"
+const CLASS_FLAG = 0x8000;
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(DNS_TYPES).map(([name, value]) => [value, name]));
+
+/**
+ * Encode a DNS name as length-prefixed labels
+ */
+function encodeName(name) {
+  const labels = name.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+  const parts = labels.map(label => {
+    const bytes = Buffer.from(label, 'utf8');
+    if (bytes.length > 63) {
+      throw new Error(`DNS label too long: "${label}"`);
+    }
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Read a possibly compressed name starting at offset
+ * @returns {Object} { name, offset } where offset is just past the name in the original position
+ */
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let end = null;
+  let jumps = 0;
+
+  while (position < buffer.length) {
+    const length = buffer[position];
+
+    if (length === 0) {
+      position++;
+      break;
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      // Compression pointer; guard against pointer loops in malformed packets
+      if (++jumps > 20 || position + 1 >= buffer.length) {
+        throw new Error('Malformed DNS name');
+      }
+      if (end === null) end = position + 2;
+      position = ((length & 0x3f) << 8) | buffer[position + 1];
+      continue;
+    }
+
+    labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+    position += length + 1;
+  }
+
+  return { name: labels.join('.'), offset: end === null ? position : end };
+}
+
+/**
+ * Decode the data of a resource record into something readable
+ */
+function decodeRecordData(buffer, type, offset, length) {
+  const data = buffer.subarray(offset, offset + length);
+
+  switch (type) {
+    case DNS_TYPES.A:
+      return Array.from(data).join('.');
+    case DNS_TYPES.AAAA:
+      return data.toString('hex').match(/.{4}/g).map(group => group.replace(/^0+(?=.)/, '')).join(':');
+    case DNS_TYPES.PTR:
+    case DNS_TYPES.CNAME:
+    case DNS_TYPES.NS:
+      return decodeName(buffer, offset).name;
+    case DNS_TYPES.SRV:
+      return {
+        priority: data.readUInt16BE(0),
+        weight: data.readUInt16BE(2),
+        port: data.readUInt16BE(4),
+        target: decodeName(buffer, offset + 6).name
+      };
+    case DNS_TYPES.TXT: {
+      const strings = [];
+      let position = 0;
+      while (position < data.length) {
+        const size = data[position];
+        strings.push(data.toString('utf8', position + 1, position + 1 + size));
+        position += size + 1;
+      }
+      return strings;
+    }
+    default:
+      return data;
+  }
+}
+
+/**
+ * Build a query message
+ * @param {Object} query - { id, name, type, class, recursionDesired, unicastResponse }
+ * @returns {Buffer} Encoded message
+ */
+export function encodeQuery({ id = 0, name, type = DNS_TYPES.A, class: qclass = DNS_CLASSES.IN, recursionDesired = true, unicastResponse = false }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(recursionDesired ? 0x0100 : 0, 2);
+  header.writeUInt16BE(1, 4);
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(type, 0);
+  question.writeUInt16BE(qclass | (unicastResponse ? CLASS_FLAG : 0), 2);
+
+  return Buffer.concat([header, encodeName(name), question]);
+}
+
+/**
+ * Parse a DNS or mDNS message
+ * @param {Buffer} buffer - Raw message
+ * @returns {Object} { id, response, authoritative, recursionAvailable, rcode, questions, answers, authorities, additionals }
+ * @throws {Error} If the message is truncated or malformed
+ */
+export function decodeMessage(buffer) {
+  if (buffer.length < 12) {
+    throw new Error('DNS message too short');
+  }
+
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+  let offset = 12;
+
+  const questions = [];
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: next } = decodeName(buffer, offset);
+    questions.push({
+      name,
+      type: buffer.readUInt16BE(next),
+      class: buffer.readUInt16BE(next + 2) & ~CLASS_FLAG
+    });
+    offset = next + 4;
+  }
+
+  const readRecords = (count) => {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const { name, offset: next } = decodeName(buffer, offset);
+      const type = buffer.readUInt16BE(next);
+      const length = buffer.readUInt16BE(next + 8);
+      if (next + 10 + length > buffer.length) {
+        throw new Error('DNS record extends past end of message');
+      }
+
+      records.push({
+        name,
+        type,
+        typeName: TYPE_NAMES[type] || String(type),
+        class: buffer.readUInt16BE(next + 2) & ~CLASS_FLAG,
+        ttl: buffer.readUInt32BE(next + 4),
+        data: decodeRecordData(buffer, type, next + 10, length)
+      });
+      offset = next + 10 + length;
+    }
+    return records;
+  };
+
+  const answers = readRecords(counts[1]);
+  const authorities = readRecords(counts[2]);
+  const additionals = readRecords(counts[3]);
+  const rcode = flags & 0x000f;
+
+  return {
+    id: buffer.readUInt16BE(0),
+    response: (flags & 0x8000) !== 0,
+    authoritative: (flags & 0x0400) !== 0,
+    recursionAvailable: (flags & 0x0080) !== 0,
+    rcode: RCODE_NAMES[rcode] || String(rcode),
+    questions,
+    answers,
+    authorities,
+    additionals
+  };
+}
@@ -0,0 +1,322 @@
+import net from 'net';
+
+// Upper bound on the number of addresses a single expression may expand to
+export const DEFAULT_MAX_HOSTS = parseInt(process.env.SCAN_MAX_HOSTS) || 65536;
+
+const FAMILY_BITS = { 4: 32n, 6: 128n };
+
+/**
+ * Convert an IPv4 address to a BigInt
+ * @param {string} ip - Dotted-quad IPv4 address
+ * @returns {bigint} Numeric address
+ */
+export function ipv4ToBigInt(ip) {
+  return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+}
+
+/**
+ * Convert a BigInt to a dotted-quad IPv4 address
+ * @param {bigint} value - Numeric address
+ * @returns {string} IPv4 address
+ */
+export function bigIntToIPv4(value) {
+  const octets = [];
+  for (let shift = 24n; shift >= 0n; shift -= 8n) {
+    octets.push(Number((value >> shift) & 0xffn));
+  }
+  return octets.join('.');
+}
+
+/**
+ * Convert an IPv6 address (including embedded IPv4 notation) to a BigInt
+ * @param {string} ip - IPv6 address
+ * @returns {bigint} Numeric address
+ */
+export function ipv6ToBigInt(ip) {
+  let address = ip.split('%')[0];
+
+  // Expand a trailing dotted-quad (e.g. ::ffff:192.168.1.1) into two hex groups
+  const lastColon = address.lastIndexOf(':');
+  const tail = address.slice(lastColon + 1);
+  if (net.isIPv4(tail)) {
+    const v4 = ipv4ToBigInt(tail);
+    address = `${address.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+  const missing = 8 - headGroups.length - restGroups.length;
+  const groups = rest !== undefined
+    ? [...headGroups, ...new Array(missing).fill('0'), ...restGroups]
+    : headGroups;
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Convert a BigInt to a compressed IPv6 address (RFC 5952)
+ * @param {bigint} value - Numeric address
+ * @returns {string} IPv6 address
+ */
+export function bigIntToIPv6(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Find the longest run of zero groups (length >= 2) to compress
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === 0) j++;
+    if (j - i > bestLength && j - i >= 2) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+
+  const head = hex.slice(0, bestStart).join(':');
+  const tail = hex.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Convert an address of either family to a BigInt
+ */
+export function ipToBigInt(ip) {
+  return net.isIPv4(ip) ? ipv4ToBigInt(ip) : ipv6ToBigInt(ip);
+}
+
+/**
+ * Convert a BigInt to an address string of the given family
+ */
+export function bigIntToIP(value, family) {
+  return family === 4 ? bigIntToIPv4(value) : bigIntToIPv6(value);
+}
+
+/**
+ * Parse a single range segment into an inclusive numeric interval
+ * @param {string} segment - Single IP, CIDR block or dash range
+ * @returns {Object} { expression, family, start, end }
+ */
+export function parseSegment(segment) {
+  const expression = segment.trim();
+
+  // A zone ID (fe80::1%eth0) names an interface of this machine; one range
+  // cannot carry it to every address, and dropping it leaves link-local
+  // addresses unreachable on a multi-homed host
+  if (expression.includes('%')) {
+    throw new Error(`Scoped IPv6 addresses are not supported in "${expression}"; remove the zone ID`);
+  }
+
+  if (expression.includes('/')) {
+    const [address, prefixText] = expression.split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      throw new Error(`Invalid network address in "${expression}"`);
+    }
+
+    const bits = FAMILY_BITS[family];
+    if (!/^\d{1,3}$/.test(prefixText) || BigInt(prefixText) > bits) {
+      throw new Error(`Invalid prefix length in "${expression}"`);
+    }
+
+    const prefix = BigInt(prefixText);
+    const hostBits = bits - prefix;
+    const hostMask = (1n << hostBits) - 1n;
+    let start = ipToBigInt(address) & ~hostMask;
+    let end = start | hostMask;
+
+    // Skip the network and broadcast addresses (IPv4) or the subnet-router
+    // anycast address (IPv6) unless the block is a point-to-point or host prefix
+    if (family === 4 && hostBits >= 2n) {
+      start += 1n;
+      end -= 1n;
+    } else if (family === 6 && hostBits >= 2n) {
+      start += 1n;
+    }
+
+    return { expression, family, start, end };
+  }
+
+  if (expression.includes('-')) {
+    const dash = expression.indexOf('-');
+    const first = expression.slice(0, dash).trim();
+    const last = expression.slice(dash + 1).trim();
+    const family = net.isIP(first);
+    if (!family) {
+      throw new Error(`Invalid start address in "${expression}"`);
+    }
+
+    const start = ipToBigInt(first);
+    let end;
+
+    if (net.isIP(last) === family) {
+      end = ipToBigInt(last);
+    } else if (family === 4 && /^\d{1,3}$/.test(last) && parseInt(last, 10) <= 255) {
+      // Short form: 192.168.1.10-50 replaces the last octet
+      end = (start & ~0xffn) | BigInt(parseInt(last, 10));
+    } else if (family === 6 && /^[0-9a-f]{1,4}$/i.test(last)) {
+      // Short form: fd00::10-ff replaces the last group
+      end = (start & ~0xffffn) | BigInt(parseInt(last, 16));
+    } else {
+      throw new Error(`Invalid end address in "${expression}"`);
+    }
+
+    if (end < start) {
+      throw new Error(`Range end is lower than range start in "${expression}"`);
+    }
+
+    return { expression, family, start, end };
+  }
+
+  const family = net.isIP(expression);
+  if (!family) {
+    throw new Error(`Invalid IP address "${expression}"`);
+  }
+
+  const value = ipToBigInt(expression);
+  return { expression, family, start: value, end: value };
+}
+
+/**
+ * Split a range expression into its individual segments
+ */
+function splitExpression(expression) {
+  if (Array.isArray(expression)) {
+    return expression.flatMap(splitExpression);
+  }
+
+  return String(expression || '')
+    .split(/[\s,;]+/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Expand a range expression into individual addresses
+ *
+ * Supported forms, separated by commas or whitespace:
+ *   192.168.1.10                  single address
+ *   192.168.1.1-254               last-octet range
+ *   10.0.0.1-10.0.3.254           full range
+ *   10.0.0.0/22                   CIDR block of any prefix length
+ *   fd00::1, fd00::10-ff          IPv6 addresses and ranges
+ *   fd00::/120                    IPv6 prefix (bounded by maxHosts)
+ *   !192.168.1.1                  exclusion (any of the forms above)
+ *
+ * @param {string|string[]} range - Range expression
+ * @param {Object} options - { exclude, maxHosts }
+ * @returns {Object} Expanded addresses and a breakdown of the expression
+ */
+export function expandIPRange(range, options = {}) {
+  const { exclude = [], maxHosts = DEFAULT_MAX_HOSTS } = options;
+
+  const includeSegments = [];
+  const excludeSegments = [];
+
+  for (const part of splitExpression(range)) {
+    if (part.startsWith('!')) {
+      excludeSegments.push(parseSegment(part.slice(1)));
+    } else {
+      includeSegments.push(parseSegment(part));
+    }
+  }
+
+  for (const part of splitExpression(exclude)) {
+    excludeSegments.push(parseSegment(part.replace(/^!/, '')));
+  }
+
+  if (includeSegments.length === 0) {
+    throw new Error('Range does not contain any addresses');
+  }
+
+  // Check the size before expanding anything so huge prefixes fail fast
+  const requested = includeSegments.reduce((sum, segment) => sum + (segment.end - segment.start + 1n), 0n);
+  if (requested > BigInt(maxHosts)) {
+    throw new Error(`Range expands to ${requested} addresses, exceeding the limit of ${maxHosts}`);
+  }
+
+  const isExcluded = (family, value) => excludeSegments.some(segment =>
+    segment.family === family && value >= segment.start && value <= segment.end
+  );
+
+  const seen = new Set();
+  const ips = [];
+  let excludedCount = 0;
+  const counts = { ipv4: 0, ipv6: 0 };
+
+  for (const segment of includeSegments) {
+    for (let value = segment.start; value <= segment.end; value++) {
+      const key = `${segment.family}:${value}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (isExcluded(segment.family, value)) {
+        excludedCount++;
+        continue;
+      }
+
+      ips.push(bigIntToIP(value, segment.family));
+      counts[segment.family === 4 ? 'ipv4' : 'ipv6']++;
+    }
+  }
+
+  const describe = (segment) => ({
+    expression: segment.expression,
+    family: segment.family === 4 ? 'IPv4' : 'IPv6',
+    first: bigIntToIP(segment.start, segment.family),
+    last: bigIntToIP(segment.end, segment.family),
+    count: Number(segment.end - segment.start + 1n)
+  });
+
+  return {
+    ips,
+    total: ips.length,
+    ipv4Count: counts.ipv4,
+    ipv6Count: counts.ipv6,
+    excludedCount,
+    segments: includeSegments.map(describe),
+    exclusions: excludeSegments.map(describe)
+  };
+}
+
+/**
+ * Work out the IPv4 subnet an interface address belongs to
+ * @param {string} address - Interface address
+ * @param {string|number} mask - Dotted-quad netmask or prefix length
+ * @returns {Object} { network, prefix, cidr, hosts }
+ */
+export function ipv4Subnet(address, mask) {
+  const prefix = typeof mask === 'number'
+    ? mask
+    : ipv4ToBigInt(mask).toString(2).replace(/0+$/, '').length;
+
+  if (!net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    throw new Error(`Invalid IPv4 address or netmask "${address}/${mask}"`);
+  }
+
+  const hostMask = (1n << BigInt(32 - prefix)) - 1n;
+  const network = bigIntToIPv4(ipv4ToBigInt(address) & ~hostMask);
+  const size = 2 ** (32 - prefix);
+
+  return {
+    network,
+    prefix,
+    cidr: `${network}/${prefix}`,
+    // Network and broadcast addresses are not hosts, except in /31 and /32
+    hosts: prefix >= 31 ? size : size - 2
+  };
+}
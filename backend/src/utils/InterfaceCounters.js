@@ -0,0 +1,99 @@
+// Counter32 and Counter64 roll over to zero at these values
+const COUNTER32_RANGE = 2 ** 32;
+const COUNTER64_RANGE = 2 ** 64;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Increase of a counter between two readings. A 32-bit counter that went
+ * down wrapped once; a 64-bit one cannot wrap in practice, so it was reset.
+ * @returns {number|null} null if a reading is missing or the counter was reset
+ */
+export function counterDelta(previous, current, bits = 32) {
+  if (previous === null || previous === undefined || current === null || current === undefined) {
+    return null;
+  }
+  if (current >= previous) {
+    return current - previous;
+  }
+  return bits === 64 ? null : current + COUNTER32_RANGE - previous;
+}
+
+/**
+ * Seconds between two readings, on the agent's clock when both carry sysUpTime
+ * @returns {number|null} null if sysUpTime went backwards (the agent restarted)
+ */
+function elapsedSeconds(previous, current, now) {
+  if (previous.sys_uptime !== null && previous.sys_uptime !== undefined && current.sysUpTime !== null && current.sysUpTime !== undefined) {
+    return current.sysUpTime > previous.sys_uptime ? (current.sysUpTime - previous.sys_uptime) / 100 : null;
+  }
+  return (now - new Date(previous.timestamp.replace(' ', 'T') + 'Z').getTime()) / 1000;
+}
+
+/**
+ * Rates for one interface since its previous reading
+ *
+ * Octet and packet counters come from ifXTable (64-bit) when the agent has
+ * it, ifTable (32-bit) otherwise; errors and discards are always 32-bit.
+ * There is no interval to measure on the first reading, after the agent
+ * restarted, when ifCounterDiscontinuityTime changed, or when the counters
+ * switched width.
+ * @param {Object} previous - network_interfaces row stored last cycle
+ * @param {Object} current - Interface from SNMPCollector.collectNetworkInterfaces
+ * @param {number} now - Current time in ms, used when sysUpTime is missing
+ * @returns {Object|null} { seconds, inBps, outBps, inUtilization, outUtilization,
+ *   inUcastPps, outUcastPps, inBroadcastPps, outBroadcastPps,
+ *   inErrors, outErrors, inDiscards, outDiscards }; errors and discards are counts over the interval
+ */
+export function interfaceRates(previous, current, now = Date.now()) {
+  if (!previous || current.inOctets === null || current.inOctets === undefined) {
+    return null;
+  }
+  if (Boolean(previous.hc_counters) !== Boolean(current.hcCounters)) {
+    return null;
+  }
+  if ((previous.counter_discontinuity ?? null) !== (current.counterDiscontinuity ?? null)) {
+    return null;
+  }
+
+  const seconds = elapsedSeconds(previous, current, now);
+  if (!seconds || seconds <= 0) {
+    return null;
+  }
+
+  const bits = current.hcCounters ? 64 : 32;
+  const speed = current.speed > 0 ? current.speed : null;
+
+  // At full speed a 32-bit octet counter wraps in 2^32 * 8 / speed seconds;
+  // over a longer interval it may have wrapped more than once
+  const octetsReliable = bits === 64 || !speed || seconds < (COUNTER32_RANGE * 8) / speed;
+
+  const bitRate = (previousOctets, currentOctets) => {
+    const delta = octetsReliable ? counterDelta(previousOctets, currentOctets, bits) : null;
+    return delta === null ? null : round((delta * 8) / seconds, 1);
+  };
+  const packetRate = (previousPackets, currentPackets) => {
+    const delta = counterDelta(previousPackets, currentPackets, bits);
+    return delta === null ? null : round(delta / seconds, 2);
+  };
+  const utilization = (bps) => (bps === null || !speed ? null : round((bps / speed) * 100, 2));
+
+  const inBps = bitRate(previous.in_octets, current.inOctets);
+  const outBps = bitRate(previous.out_octets, current.outOctets);
+
+  return {
+    seconds: round(seconds, 2),
+    inBps,
+    outBps,
+    inUtilization: utilization(inBps),
+    outUtilization: utilization(outBps),
+    inUcastPps: packetRate(previous.in_ucast_pkts, current.inUcastPkts),
+    outUcastPps: packetRate(previous.out_ucast_pkts, current.outUcastPkts),
+    inBroadcastPps: packetRate(previous.in_broadcast_pkts, current.inBroadcastPkts),
+    outBroadcastPps: packetRate(previous.out_broadcast_pkts, current.outBroadcastPkts),
+    inErrors: counterDelta(previous.in_errors, current.inErrors),
+    outErrors: counterDelta(previous.out_errors, current.outErrors),
+    inDiscards: counterDelta(previous.in_discards, current.inDiscards),
+    outDiscards: counterDelta(previous.out_discards, current.outDiscards)
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Normalize a MAC address to lower-case colon notation
+ * @param {string|Buffer} mac - MAC in colon, dash, dot or bare hex notation, or raw bytes
+ * @returns {string|null} Normalized MAC, or null if invalid
+ */
+export function normalizeMAC(mac) {
+  if (!mac) return null;
+
+  const hex = Buffer.isBuffer(mac)
+    ? mac.toString('hex')
+    : String(mac).replace(/[^0-9a-fA-F]/g, '');
+
+  if (hex.length !== 12) return null;
+
+  return hex.toLowerCase().match(/.{2}/g).join(':');
+}
+
+/**
+ * Whether a MAC is usable as a hardware identifier (not empty, broadcast or multicast)
+ * @param {string} mac - MAC address
+ * @returns {boolean} True for a unicast MAC
+ */
+export function isUsableMAC(mac) {
+  const normalized = normalizeMAC(mac);
+  if (!normalized || normalized === '00:00:00:00:00:00') {
+    return false;
+  }
+
+  // The least significant bit of the first octet marks group (multicast/broadcast) addresses
+  return (parseInt(normalized.slice(0, 2), 16) & 0x01) === 0;
+}
+
+/**
+ * Whether the MAC has the locally administered bit set (randomized or virtual)
+ * @param {string} mac - MAC address
+ * @returns {boolean} True if locally administered
+ */
+export function isLocallyAdministered(mac) {
+  const normalized = normalizeMAC(mac);
+  return normalized ? (parseInt(normalized.slice(0, 2), 16) & 0x02) !== 0 : false;
+}
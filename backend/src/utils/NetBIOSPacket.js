@@ -0,0 +1,157 @@
+import { normalizeMAC, isUsableMAC } from './MACAddress.js';
+
+// NetBIOS name "*" (NBSTAT wildcard) in first-level encoding
+const WILDCARD_NAME = 'CK' + 'A'.repeat(30);
+
+const OPCODES = {
+  QUERY: 0,
+  REGISTRATION: 5,
+  RELEASE: 6,
+  REFRESH: 8,
+  REFRESH_ALT: 9,
+  MULTI_HOMED_REGISTRATION: 15
+};
+
+/**
+ * Decode a first-level encoded NetBIOS name (32 letters A-P) into its name and suffix
+ * @returns {Object|null} { name, suffix }, or null if the label is not an encoded name
+ */
+export function decodeNetBIOSName(encoded) {
+  if (!/^[A-P]{32}$/.test(encoded)) {
+    return null;
+  }
+
+  const bytes = [];
+  for (let i = 0; i < 32; i += 2) {
+    bytes.push(((encoded.charCodeAt(i) - 65) << 4) | (encoded.charCodeAt(i + 1) - 65));
+  }
+
+  return {
+    name: Buffer.from(bytes.slice(0, 15)).toString('ascii').trim(),
+    suffix: bytes[15]
+  };
+}
+
+const QUESTION_TYPES = {
+  NB: 0x20,
+  NBSTAT: 0x21
+};
+
+// Header flags: recursion desired, and broadcast for queries sent to a subnet
+const FLAG_RECURSION_DESIRED = 0x0100;
+const FLAG_BROADCAST = 0x0010;
+
+function encodeWildcardQuery(id, flags, type) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(1, 4);
+
+  return Buffer.concat([
+    header,
+    Buffer.from([WILDCARD_NAME.length]),
+    Buffer.from(WILDCARD_NAME, 'ascii'),
+    Buffer.from([0, 0x00, type, 0x00, 0x01]) // terminator, type, class IN
+  ]);
+}
+
+/**
+ * Build a node status (NBSTAT) request for the wildcard name
+ * @param {number} id - Transaction ID
+ * @returns {Buffer} Encoded request
+ */
+export function encodeNodeStatusRequest(id) {
+  return encodeWildcardQuery(id, 0, QUESTION_TYPES.NBSTAT);
+}
+
+/**
+ * Build a broadcast name query for the wildcard name, which every NetBIOS
+ * host on the subnet answers with its address
+ * @param {number} id - Transaction ID
+ * @returns {Buffer} Encoded request
+ */
+export function encodeWildcardNameQuery(id) {
+  return encodeWildcardQuery(id, FLAG_RECURSION_DESIRED | FLAG_BROADCAST, QUESTION_TYPES.NB);
+}
+
+/**
+ * Skip a name (inline labels or a compression pointer) starting at offset
+ * @returns {Object} { label, offset } with the first label and the offset just past the name
+ */
+function readName(message, offset) {
+  if ((message[offset] & 0xc0) === 0xc0) {
+    return { label: null, offset: offset + 2 };
+  }
+
+  const label = message.toString('ascii', offset + 1, offset + 1 + message[offset]);
+  while (offset < message.length && message[offset] !== 0) {
+    offset += message[offset] + 1;
+  }
+  return { label, offset: offset + 1 };
+}
+
+/**
+ * Parse the names, workgroup and MAC from a node status response
+ * @param {Buffer} message - Raw response
+ * @returns {Object} { name, workgroup, fileServer, mac, names }
+ */
+export function parseNodeStatus(message) {
+  // Skip the answer name, then type, class, ttl and rdlength
+  let { offset } = readName(message, 12);
+  offset += 10;
+
+  const count = message[offset++];
+  const names = [];
+
+  for (let i = 0; i < count && offset + 18 <= message.length; i++) {
+    const name = message.toString('ascii', offset, offset + 15).trim();
+    const suffix = message[offset + 15];
+    const flags = message.readUInt16BE(offset + 16);
+    names.push({ name, suffix, group: (flags & 0x8000) !== 0 });
+    offset += 18;
+  }
+
+  const mac = offset + 6 <= message.length ? normalizeMAC(message.subarray(offset, offset + 6)) : null;
+
+  return {
+    name: names.find(entry => entry.suffix === 0x00 && !entry.group)?.name || null,
+    workgroup: names.find(entry => entry.suffix === 0x00 && entry.group)?.name || null,
+    fileServer: names.some(entry => entry.suffix === 0x20),
+    mac: isUsableMAC(mac) ? mac : null,
+    names: names.map(entry => `${entry.name}<${entry.suffix.toString(16).padStart(2, '0')}>`)
+  };
+}
+
+/**
+ * Parse a broadcast name registration or refresh, which hosts send when they
+ * start up and periodically afterwards
+ * @param {Buffer} message - Raw packet
+ * @returns {Object|null} { name, suffix, group, ip }, or null for any other packet
+ */
+export function parseRegistration(message) {
+  if (message.length < 12) return null;
+
+  const flags = message.readUInt16BE(2);
+  const opcode = (flags >> 11) & 0x0f;
+  const isResponse = (flags & 0x8000) !== 0;
+  const registering = [OPCODES.REGISTRATION, OPCODES.REFRESH, OPCODES.REFRESH_ALT, OPCODES.MULTI_HOMED_REGISTRATION];
+
+  if (isResponse || !registering.includes(opcode) || message.readUInt16BE(4) !== 1 || message.readUInt16BE(10) !== 1) {
+    return null;
+  }
+
+  const question = readName(message, 12);
+  const decoded = question.label ? decodeNetBIOSName(question.label) : null;
+  if (!decoded) return null;
+
+  // The additional record repeats the name (usually as a pointer) and carries NB flags and the address
+  const additional = readName(message, question.offset + 4);
+  const rdata = additional.offset + 10;
+  if (rdata + 6 > message.length) return null;
+
+  return {
+    ...decoded,
+    group: (message.readUInt16BE(rdata) & 0x8000) !== 0,
+    ip: Array.from(message.subarray(rdata + 2, rdata + 6)).join('.')
+  };
+}
@@ -0,0 +1,147 @@
+// Share of errors in a window that triggers a back-off
+const ERROR_RATE_LIMIT = 0.05;
+
+// Rise in the timeout rate over the baseline that triggers a back-off
+const TIMEOUT_RATE_JUMP = 0.2;
+
+/**
+ * Token bucket: allows bursts of up to `burst` probes, then `rate` per second
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - { rate, burst } with rate in tokens per second
+   */
+  constructor({ rate, burst = Math.max(1, Math.ceil(rate)) }) {
+    if (!(rate > 0)) {
+      throw new Error('Token bucket rate must be greater than zero');
+    }
+
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+
+    // Waiters are served in order so one large request cannot be starved
+    this.pending = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Wait until `count` tokens are available and take them
+   * @param {number} count - Tokens to take; more than the burst size is allowed and simply waits longer
+   * @param {AbortSignal} signal - Stops waiting when aborted
+   * @returns {Promise<boolean>} False if the wait was aborted
+   */
+  take(count = 1, signal = null) {
+    const turn = this.pending.then(async () => {
+      while (!signal?.aborted) {
+        this.refill();
+        if (this.tokens >= Math.min(count, this.burst)) {
+          this.tokens -= count;
+          return true;
+        }
+
+        const wait = Math.ceil((Math.min(count, this.burst) - this.tokens) / this.rate * 1000);
+        await sleep(wait, signal);
+      }
+      return false;
+    });
+
+    this.pending = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * Additive-increase, multiplicative-decrease limit on probes in flight.
+ * Outcomes are judged per window: ICMP errors and local send failures, or a
+ * timeout rate well above what the scan has seen so far, halve the limit;
+ * a healthy window raises it by one.
+ */
+export class AdaptiveConcurrency {
+  /**
+   * @param {Object} options - { initial, min, max, windowSize }
+   */
+  constructor({ initial, min = 1, max = initial, windowSize = 20 }) {
+    this.limit = initial;
+    this.min = min;
+    this.max = max;
+    this.windowSize = windowSize;
+
+    this.window = { success: 0, timeout: 0, error: 0 };
+    this.baselineTimeoutRate = null;
+    this.backoffs = 0;
+    this.lowest = initial;
+  }
+
+  /**
+   * Record how a probe ended
+   * @param {string} outcome - 'success', 'timeout' or 'error'
+   */
+  record(outcome) {
+    this.window[outcome]++;
+
+    const total = this.window.success + this.window.timeout + this.window.error;
+    if (total < this.windowSize) {
+      return;
+    }
+
+    const errorRate = this.window.error / total;
+    const timeoutRate = this.window.timeout / total;
+
+    // Most addresses in a sweep never answer, so only a jump in timeouts counts
+    const congested = errorRate > ERROR_RATE_LIMIT ||
+      (this.baselineTimeoutRate !== null && timeoutRate > this.baselineTimeoutRate + TIMEOUT_RATE_JUMP);
+
+    if (congested) {
+      this.limit = Math.max(this.min, Math.floor(this.limit / 2));
+      this.lowest = Math.min(this.lowest, this.limit);
+      this.backoffs++;
+    } else {
+      this.limit = Math.min(this.max, this.limit + 1);
+      this.baselineTimeoutRate = this.baselineTimeoutRate === null
+        ? timeoutRate
+        : this.baselineTimeoutRate * 0.7 + timeoutRate * 0.3;
+    }
+
+    this.window = { success: 0, timeout: 0, error: 0 };
+  }
+
+  getStats() {
+    return { limit: this.limit, lowest: this.lowest, backoffs: this.backoffs };
+  }
+}
+
+/**
+ * Resolve after `ms` milliseconds, or as soon as the signal is aborted
+ */
+export function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @returns {Array} The same array
+ */
+export function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,71 @@
+// SNMP versions a device can be polled with
+export const SNMP_VERSIONS = ['1', '2c', '3'];
+
+// USM security levels, authentication and privacy protocols (RFC 3414, RFC 3826, RFC 7860)
+export const SECURITY_LEVELS = ['noAuthNoPriv', 'authNoPriv', 'authPriv'];
+export const AUTH_PROTOCOLS = ['md5', 'sha', 'sha256'];
+export const PRIV_PROTOCOLS = ['des', 'aes'];
+
+// USM derives keys from passphrases and refuses ones shorter than this
+export const MIN_KEY_LENGTH = 8;
+
+/**
+ * Credentials to hand to SNMPCollector: a bare community string for v2c,
+ * an object for v1 and v3
+ * @param {Object} fields - SNMP profile fields { version, community, user, securityLevel, authProtocol, authKey, privProtocol, privKey }
+ * @returns {string|Object} Community string or SNMPCollector credentials
+ */
+export function sessionCredentials(fields) {
+  const version = fields.version || '2c';
+
+  if (version === '2c') {
+    return fields.community || 'public';
+  }
+
+  if (version === '1') {
+    return { version: '1', community: fields.community || 'public' };
+  }
+
+  return {
+    version: '3',
+    user: fields.user,
+    securityLevel: fields.securityLevel,
+    authProtocol: fields.authProtocol,
+    authKey: fields.authKey,
+    privProtocol: fields.privProtocol,
+    privKey: fields.privKey
+  };
+}
+
+/**
+ * SNMP profile fields given inline in a device request body (community,
+ * snmpVersion, snmpUser, securityLevel, authProtocol, authKey, privProtocol, privKey)
+ * @param {Object} body - Request body
+ * @returns {Object|null} Profile fields, or null if the body has no SNMP credentials
+ */
+export function credentialsFromBody(body) {
+  if (!body.snmpVersion && !body.community) {
+    return null;
+  }
+
+  const { snmpVersion = '2c', community, snmpUser, securityLevel, authProtocol, authKey, privProtocol, privKey } = body;
+  return snmpVersion === '3'
+    ? { version: '3', user: snmpUser, securityLevel, authProtocol, authKey, privProtocol, privKey }
+    : { version: snmpVersion, community: community || 'public' };
+}
+
+/**
+ * Short description of credentials for logs and responses; communities are
+ * secrets too, so only the version is named for v1 and v2c
+ * @param {string|Object} credentials - Community string or credentials object
+ * @returns {string} e.g. "SNMPv2c community" or "SNMPv3 user 'monitor' (authPriv)"
+ */
+export function describeCredentials(credentials) {
+  if (typeof credentials === 'string') {
+    return 'SNMPv2c community';
+  }
+  if (credentials.version === '3') {
+    return `SNMPv3 user '${credentials.user}' (${credentials.securityLevel})`;
+  }
+  return `SNMPv${credentials.version} community`;
+}
@@ -0,0 +1,300 @@
+// ASN.1 BER tags used by SNMP messages
+const TAGS = {
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  SEQUENCE: 0x30,
+  IP_ADDRESS: 0x40,
+  COUNTER: 0x41,
+  GAUGE: 0x42,
+  TIMETICKS: 0x43,
+  COUNTER64: 0x46,
+  NO_SUCH_OBJECT: 0x80,
+  NO_SUCH_INSTANCE: 0x81,
+  END_OF_MIB_VIEW: 0x82
+};
+
+export const PDU_TYPES = {
+  GET_REQUEST: 0xa0,
+  GET_NEXT_REQUEST: 0xa1,
+  RESPONSE: 0xa2,
+  SET_REQUEST: 0xa3,
+  GET_BULK_REQUEST: 0xa5,
+  INFORM_REQUEST: 0xa6,
+  TRAP_V2: 0xa7,
+  REPORT: 0xa8
+};
+
+// Version field values on the wire
+export const SNMP_VERSIONS = {
+  v1: 0,
+  v2c: 1,
+  v3: 3
+};
+
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining >>= 8) {
+    bytes.unshift(remaining & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function encodeTLV(tag, value) {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+}
+
+function encodeInteger(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    bytes.unshift(remaining & 0xff);
+    remaining = Math.floor(remaining / 256);
+  } while (remaining > 0);
+
+  // Keep positive values positive in two's complement
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return encodeTLV(TAGS.INTEGER, Buffer.from(bytes));
+}
+
+function encodeOctetString(value) {
+  return encodeTLV(TAGS.OCTET_STRING, Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8'));
+}
+
+function encodeOID(oid) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+
+  for (const part of parts.slice(2)) {
+    const chunk = [part & 0x7f];
+    for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+      chunk.unshift((remaining & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return encodeTLV(TAGS.OID, Buffer.from(bytes));
+}
+
+function encodeSequence(tag, items) {
+  return encodeTLV(tag, Buffer.concat(items));
+}
+
+function encodePDU(type, requestId, oids) {
+  const varbinds = oids.map(oid => encodeSequence(TAGS.SEQUENCE, [encodeOID(oid), encodeTLV(TAGS.NULL, Buffer.alloc(0))]));
+  return encodeSequence(type, [
+    encodeInteger(requestId),
+    encodeInteger(0),
+    encodeInteger(0),
+    encodeSequence(TAGS.SEQUENCE, varbinds)
+  ]);
+}
+
+/**
+ * Read one TLV at offset
+ * @returns {Object} { tag, value, end }
+ */
+function readTLV(buffer, offset) {
+  if (offset + 2 > buffer.length) {
+    throw new Error('Truncated SNMP message');
+  }
+
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const size = length & 0x7f;
+    if (size === 0 || size > 4 || start + size > buffer.length) {
+      throw new Error('Unsupported BER length in SNMP message');
+    }
+    length = buffer.readUIntBE(start, size);
+    start += size;
+  }
+
+  if (start + length > buffer.length) {
+    throw new Error('Truncated SNMP message');
+  }
+  return { tag, value: buffer.subarray(start, start + length), end: start + length };
+}
+
+/**
+ * Split the contents of a constructed value into its TLVs
+ */
+function readChildren(buffer) {
+  const children = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const child = readTLV(buffer, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+function decodeInteger(value) {
+  let result = 0;
+  for (const byte of value) {
+    result = result * 256 + byte;
+  }
+
+  // Two's complement negative
+  if (value.length > 0 && (value[0] & 0x80)) {
+    result -= 256 ** value.length;
+  }
+  return result;
+}
+
+function decodeUnsigned(value) {
+  let result = 0n;
+  for (const byte of value) {
+    result = (result << 8n) | BigInt(byte);
+  }
+  return result <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(result) : result;
+}
+
+function decodeOID(value) {
+  if (value.length === 0) return '';
+
+  const parts = [Math.floor(value[0] / 40), value[0] % 40];
+  let current = 0;
+  for (const byte of value.subarray(1)) {
+    current = current * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(current);
+      current = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+function decodeValue({ tag, value }) {
+  switch (tag) {
+    case TAGS.INTEGER:
+      return decodeInteger(value);
+    case TAGS.OCTET_STRING:
+      return value;
+    case TAGS.OID:
+      return decodeOID(value);
+    case TAGS.IP_ADDRESS:
+      return Array.from(value).join('.');
+    case TAGS.COUNTER:
+    case TAGS.GAUGE:
+    case TAGS.TIMETICKS:
+    case TAGS.COUNTER64:
+      return decodeUnsigned(value);
+    default:
+      return null;
+  }
+}
+
+function decodePDU({ tag, value }) {
+  const [requestId, errorStatus, errorIndex, varbindList] = readChildren(value);
+  return {
+    type: tag,
+    requestId: decodeInteger(requestId.value),
+    errorStatus: decodeInteger(errorStatus.value),
+    errorIndex: decodeInteger(errorIndex.value),
+    varbinds: readChildren(varbindList.value).map(varbind => {
+      const [oid, data] = readChildren(varbind.value);
+      return { oid: decodeOID(oid.value), type: data.tag, value: decodeValue(data) };
+    })
+  };
+}
+
+/**
+ * Build an SNMPv1/v2c GET request
+ * @param {Object} request - { version, community, requestId, oids }
+ * @returns {Buffer} Encoded message
+ */
+export function encodeGetRequest({ version = SNMP_VERSIONS.v2c, community, requestId, oids }) {
+  return encodeSequence(TAGS.SEQUENCE, [
+    encodeInteger(version),
+    encodeOctetString(community),
+    encodePDU(PDU_TYPES.GET_REQUEST, requestId, oids)
+  ]);
+}
+
+/**
+ * Build an unauthenticated SNMPv3 request that asks the agent to reveal its
+ * engine ID (RFC 3414 discovery). Any v3-capable agent answers it with a
+ * Report, whatever users and communities it has configured.
+ * @param {Object} request - { messageId, requestId }
+ * @returns {Buffer} Encoded message
+ */
+export function encodeDiscoveryRequest({ messageId, requestId }) {
+  const globalData = encodeSequence(TAGS.SEQUENCE, [
+    encodeInteger(messageId),
+    encodeInteger(65507),
+    encodeOctetString(Buffer.from([0x04])), // reportable, no auth, no privacy
+    encodeInteger(3) // user-based security model
+  ]);
+
+  const securityParameters = encodeOctetString(encodeSequence(TAGS.SEQUENCE, [
+    encodeOctetString(''),
+    encodeInteger(0),
+    encodeInteger(0),
+    encodeOctetString(''),
+    encodeOctetString(''),
+    encodeOctetString('')
+  ]));
+
+  const scopedPDU = encodeSequence(TAGS.SEQUENCE, [
+    encodeOctetString(''),
+    encodeOctetString(''),
+    encodePDU(PDU_TYPES.GET_REQUEST, requestId, [])
+  ]);
+
+  return encodeSequence(TAGS.SEQUENCE, [encodeInteger(SNMP_VERSIONS.v3), globalData, securityParameters, scopedPDU]);
+}
+
+/**
+ * Parse an SNMP message
+ * @param {Buffer} buffer - Raw message
+ * @returns {Object} { version, community, messageId, engineId, engineBoots, engineTime, pdu }
+ *   where engine fields are only set for v3 and pdu is null when it is encrypted
+ * @throws {Error} If the message is not valid SNMP
+ */
+export function decodeMessage(buffer) {
+  const message = readTLV(buffer, 0);
+  if (message.tag !== TAGS.SEQUENCE) {
+    throw new Error('Not an SNMP message');
+  }
+
+  const [versionTLV, ...rest] = readChildren(message.value);
+  const version = decodeInteger(versionTLV.value);
+
+  if (version !== SNMP_VERSIONS.v3) {
+    const [community, pdu] = rest;
+    return {
+      version,
+      community: community.value.toString('utf8'),
+      pdu: decodePDU(pdu)
+    };
+  }
+
+  const [globalData, securityParameters, scopedPDU] = rest;
+  const [messageId] = readChildren(globalData.value);
+  const [usm] = readChildren(securityParameters.value);
+  const [engineId, engineBoots, engineTime] = readChildren(usm.value);
+
+  // An encrypted scoped PDU arrives as an OCTET STRING we cannot read
+  let pdu = null;
+  if (scopedPDU.tag === TAGS.SEQUENCE) {
+    const [, , pduTLV] = readChildren(scopedPDU.value);
+    pdu = decodePDU(pduTLV);
+  }
+
+  return {
+    version,
+    messageId: decodeInteger(messageId.value),
+    engineId: engineId.value.toString('hex'),
+    engineBoots: decodeInteger(engineBoots.value),
+    engineTime: decodeInteger(engineTime.value),
+    pdu
+  };
+}
@@ -0,0 +1,90 @@
+import net from 'net';
+import { parseSegment, ipToBigInt } from './IPRange.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert "HH:MM" into minutes after midnight
+ * @throws {Error} If the time is not a valid 24-hour time
+ */
+export function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid time of day "${value}" (expected HH:MM)`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Check a scan window definition
+ * @param {Object} window - { subnet, days, startTime, endTime }
+ * @throws {Error} If any field is invalid
+ */
+export function validateScanWindow({ subnet, days = [], startTime, endTime }) {
+  if (!subnet || !String(subnet).includes('/')) {
+    throw new Error('Subnet must be given in CIDR notation, e.g. 10.0.0.0/16');
+  }
+  parseSegment(subnet);
+
+  const start = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  if (start === end) {
+    throw new Error('Start and end time must differ');
+  }
+
+  if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error('Days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+  }
+}
+
+/**
+ * Is `date` inside the window? Windows may wrap past midnight ("22:00"-"06:00");
+ * the early-morning part belongs to the day the window opened.
+ */
+export function isWithinWindow(window, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseTimeOfDay(window.startTime);
+  const end = parseTimeOfDay(window.endTime);
+  const days = window.days || [];
+
+  let openedOn = date.getDay();
+  let inside;
+  if (start < end) {
+    inside = minutes >= start && minutes < end;
+  } else {
+    inside = minutes >= start || minutes < end;
+    if (minutes < end) {
+      openedOn = (openedOn + 6) % 7;
+    }
+  }
+
+  return inside && (days.length === 0 || days.includes(openedOn));
+}
+
+/**
+ * Build a test that says whether an address may be scanned right now. An
+ * address covered by several window subnets follows the most specific one;
+ * addresses outside every window subnet may always be scanned.
+ * @param {Object[]} windows - Enabled windows of { subnet, days, startTime, endTime }
+ * @returns {Function} (ip, date) => boolean
+ */
+export function createWindowChecker(windows = []) {
+  const subnets = new Map();
+  for (const window of windows) {
+    if (!subnets.has(window.subnet)) {
+      const { family, start, end } = parseSegment(window.subnet);
+      subnets.set(window.subnet, { family, start, end, windows: [] });
+    }
+    subnets.get(window.subnet).windows.push(window);
+  }
+
+  // Smallest block first, so the first match is the most specific
+  const ordered = [...subnets.values()].sort((a, b) => (a.end - a.start < b.end - b.start ? -1 : 1));
+
+  return (ip, date = new Date()) => {
+    const family = net.isIP(ip);
+    const value = ipToBigInt(ip);
+    const subnet = ordered.find(entry => entry.family === family && value >= entry.start && value <= entry.end);
+    return !subnet || subnet.windows.some(window => isWithinWindow(window, date));
+  };
+}
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { AlertManager } from '../src/services/AlertManager.js';
+import { DatabaseManager } from '../src/services/DatabaseManager.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('AlertManager', () => {
+  let dbManager;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dbManager = new DatabaseManager();
+    dbManager.dbPath = ':memory:';
+    await dbManager.initialize();
+    await dbManager.saveDevice({ id: 'device-1', ip: '10.0.0.1', hostname: 'switch-1' });
+  });
+
+  afterEach(async () => {
+    await dbManager.close();
+    jest.restoreAllMocks();
+  });
+
+  const startAlertManager = async () => {
+    const alertManager = new AlertManager();
+    alertManager.initialize(dbManager, logger);
+    await alertManager.loadActiveAlerts();
+    return alertManager;
+  };
+
+  test('keeps alert metadata across a restart', async () => {
+    const before = await startAlertManager();
+    const alert = await before.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'link_down',
+      severity: 'warning',
+      message: 'Interface Gi1/0/1 went down',
+      metadata: { ifIndex: 1, ifName: 'Gi1/0/1' }
+    });
+
+    const after = await startAlertManager();
+    expect(after.getAlert(alert.id).metadata).toEqual({ ifIndex: 1, ifName: 'Gi1/0/1' });
+  });
+
+  test('still tells interfaces apart after a restart', async () => {
+    const before = await startAlertManager();
+    const first = await before.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'link_down',
+      severity: 'warning',
+      message: 'Interface 1 went down',
+      metadata: { ifIndex: 1 }
+    });
+
+    const after = await startAlertManager();
+    const repeat = await after.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'link_down',
+      severity: 'warning',
+      message: 'Interface 1 went down',
+      metadata: { ifIndex: 1 }
+    });
+    const other = await after.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'link_down',
+      severity: 'warning',
+      message: 'Interface 2 went down',
+      metadata: { ifIndex: 2 }
+    });
+
+    expect(repeat.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+  });
+
+  test('keeps path changes of different targets apart on localhost', async () => {
+    const alertManager = await startAlertManager();
+    const created = [];
+    alertManager.on('alertCreated', (alert) => created.push(alert));
+
+    const pathChange = (targetId, message) => alertManager.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'path_change',
+      severity: 'warning',
+      message,
+      metadata: { targetId }
+    });
+
+    const isp = await pathChange('target-isp', 'Path to ISP changed');
+    const dns = await pathChange('target-dns', 'Path to DNS changed');
+    const ispAgain = await pathChange('target-isp', 'Path to ISP changed');
+
+    expect(dns.id).not.toBe(isp.id);
+    expect(dns.message).toBe('Path to DNS changed');
+    expect(ispAgain.id).toBe(isp.id);
+    expect(created).toHaveLength(2);
+  });
+
+  test('raises a new alert for each different port change', async () => {
+    const alertManager = await startAlertManager();
+    const created = [];
+    alertManager.on('alertCreated', (alert) => created.push(alert));
+
+    const portChange = (details) => alertManager.createAlert({
+      deviceId: 'device-1',
+      deviceIp: '10.0.0.1',
+      type: 'port_change',
+      severity: 'warning',
+      message: `Open ports changed on switch-1: ${details}`,
+      metadata: { dedupKey: details }
+    });
+
+    const first = await portChange('opened 22/ssh');
+    const second = await portChange('opened 3389/rdp');
+    const repeat = await portChange('opened 3389/rdp');
+
+    expect(second.id).not.toBe(first.id);
+    expect(second.message).toBe('Open ports changed on switch-1: opened 3389/rdp');
+    expect(repeat.id).toBe(second.id);
+    expect(created.map(alert => alert.id)).toEqual([first.id, second.id]);
+  });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { CredentialVault } from '../src/services/CredentialVault.js';
+import { DatabaseManager } from '../src/services/DatabaseManager.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('CredentialVault', () => {
+  let dbManager;
+
+  const startVault = async (masterKey = 'test-master-key') => {
+    process.env.CREDENTIAL_MASTER_KEY = masterKey;
+    const vault = new CredentialVault({ dbManager, logger });
+    await vault.initialize();
+    return vault;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dbManager = new DatabaseManager();
+    dbManager.dbPath = ':memory:';
+    await dbManager.initialize();
+  });
+
+  afterEach(async () => {
+    await dbManager.close();
+    delete process.env.CREDENTIAL_MASTER_KEY;
+    jest.restoreAllMocks();
+  });
+
+  test('decrypts what it encrypted, and nothing that was tampered with', async () => {
+    const vault = await startVault();
+    const sealed = vault.encrypt({ community: 'n0t-public' });
+
+    expect(sealed).toMatch(/^v1:/);
+    expect(sealed).not.toContain('n0t-public');
+    expect(vault.decrypt(sealed)).toEqual({ community: 'n0t-public' });
+
+    const [version, iv, tag, ciphertext] = sealed.split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 0xff;
+    expect(() => vault.decrypt([version, iv, tag, flipped.toString('base64')].join(':'))).toThrow();
+  });
+
+  test('stores profile secrets encrypted and reads them back after a restart', async () => {
+    const vault = await startVault();
+    const profile = await vault.createProfile({ name: 'Core switches', type: 'snmp', version: '2c', community: 'n0t-public' });
+
+    expect(profile.secretsSet).toEqual(['community']);
+    expect(profile).not.toHaveProperty('community');
+
+    const row = await dbManager.getCredentialProfile(profile.id);
+    expect(row.secret).not.toContain('n0t-public');
+    expect(row.settings).not.toContain('n0t-public');
+
+    const restarted = await startVault();
+    expect((await restarted.getCredentials(profile.id)).fields).toEqual({ version: '2c', community: 'n0t-public' });
+  });
+
+  test('refuses to start with a master key that does not match', async () => {
+    const vault = await startVault();
+    await vault.createProfile({ name: 'Core switches', type: 'snmp', version: '2c', community: 'n0t-public' });
+
+    await expect(startVault('another-key')).rejects.toThrow('master key does not match');
+  });
+
+  test('moves plaintext communities into shared profiles', async () => {
+    await dbManager.saveDevice({ id: 'device-1', ip: '10.0.0.1', hostname: 'a', community: 'office' });
+    await dbManager.saveDevice({ id: 'device-2', ip: '10.0.0.2', hostname: 'b', community: 'office' });
+    await dbManager.saveDevice({ id: 'device-3', ip: '10.0.0.3', hostname: 'c', community: 'lab' });
+
+    const vault = await startVault();
+    const [first, second, third] = await Promise.all(['device-1', 'device-2', 'device-3'].map(id => dbManager.getDevice(id)));
+
+    expect(first.community).toBeNull();
+    expect(first.snmp_profile_id).toBeTruthy();
+    expect(second.snmp_profile_id).toBe(first.snmp_profile_id);
+    expect(third.snmp_profile_id).not.toBe(first.snmp_profile_id);
+    expect(await vault.snmpCredentials(first)).toBe('office');
+    expect(await vault.snmpCredentials(third)).toBe('lab');
+  });
+
+  test('moves per-device SNMPv3 credentials into a profile', async () => {
+    await dbManager.saveDevice({ id: 'device-1', ip: '10.0.0.1', hostname: 'a' });
+    await dbManager.run(`
+      CREATE TABLE device_snmp_credentials (
+        device_id TEXT PRIMARY KEY, version TEXT NOT NULL DEFAULT '2c', username TEXT, security_level TEXT,
+        auth_protocol TEXT, auth_key TEXT, priv_protocol TEXT, priv_key TEXT
+      )
+    `);
+    await dbManager.run(
+      'INSERT INTO device_snmp_credentials VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      ['device-1', '3', 'monitor', 'authPriv', 'sha', 'auth-secret', 'aes', 'priv-secret']
+    );
+
+    const vault = await startVault();
+    const device = await dbManager.getDevice('device-1');
+
+    expect(await dbManager.getLegacySNMPCredentials()).toEqual([]);
+    expect((await vault.getCredentials(device.snmp_profile_id)).fields).toEqual({
+      version: '3',
+      user: 'monitor',
+      securityLevel: 'authPriv',
+      authProtocol: 'sha',
+      authKey: 'auth-secret',
+      privProtocol: 'aes',
+      privKey: 'priv-secret'
+    });
+  });
+
+  test('lists discovery communities with the profile that holds them', async () => {
+    const vault = await startVault();
+    const communities = await vault.getDiscoveryCommunities();
+
+    expect(communities.map(entry => entry.community)).toEqual(expect.arrayContaining(['public', 'private', 'monitoring']));
+    for (const { profileId, community } of communities) {
+      expect((await vault.getCredentials(profileId)).fields.community).toBe(community);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { expandIPRange, parseSegment, ipv6ToBigInt, bigIntToIPv6, ipv4Subnet } from '../src/utils/IPRange.js';
+
+describe('parseSegment', () => {
+  test('skips network and broadcast addresses of an IPv4 block', () => {
+    const { ips } = expandIPRange('192.168.1.0/30');
+    expect(ips).toEqual(['192.168.1.1', '192.168.1.2']);
+  });
+
+  test('keeps both addresses of a /31 and the one of a /32', () => {
+    expect(expandIPRange('10.0.0.0/31').ips).toEqual(['10.0.0.0', '10.0.0.1']);
+    expect(expandIPRange('10.0.0.7/32').ips).toEqual(['10.0.0.7']);
+  });
+
+  test('expands last-octet and full dash ranges', () => {
+    expect(expandIPRange('192.168.1.10-12').ips).toEqual(['192.168.1.10', '192.168.1.11', '192.168.1.12']);
+    expect(expandIPRange('10.0.0.255-10.0.1.1').ips).toEqual(['10.0.0.255', '10.0.1.0', '10.0.1.1']);
+  });
+
+  test('expands IPv6 ranges and prefixes without the subnet-router anycast address', () => {
+    expect(expandIPRange('fd00::10-12').ips).toEqual(['fd00::10', 'fd00::11', 'fd00::12']);
+    expect(expandIPRange('fd00::/126').ips).toEqual(['fd00::1', 'fd00::2', 'fd00::3']);
+  });
+
+  test('rejects malformed segments', () => {
+    expect(() => parseSegment('192.168.1.300')).toThrow('Invalid IP address');
+    expect(() => parseSegment('10.0.0.0/33')).toThrow('Invalid prefix length');
+    expect(() => parseSegment('10.0.0.50-10')).toThrow('lower than range start');
+    expect(() => parseSegment('10.0.0.1-fd00::1')).toThrow('Invalid end address');
+  });
+
+  test('rejects scoped IPv6 addresses instead of dropping the zone ID', () => {
+    expect(() => parseSegment('fe80::1%eth0')).toThrow('Scoped IPv6 addresses are not supported');
+    expect(() => parseSegment('fe80::1%eth0-ff')).toThrow('Scoped IPv6 addresses are not supported');
+    expect(() => parseSegment('fe80::%eth0/120')).toThrow('Scoped IPv6 addresses are not supported');
+  });
+});
+
+describe('expandIPRange', () => {
+  test('applies exclusions from the expression and the options', () => {
+    const result = expandIPRange('192.168.1.1-5, !192.168.1.2', { exclude: ['192.168.1.4'] });
+    expect(result.ips).toEqual(['192.168.1.1', '192.168.1.3', '192.168.1.5']);
+    expect(result.excludedCount).toBe(2);
+  });
+
+  test('counts addresses of each family once', () => {
+    const result = expandIPRange('10.0.0.1-2 10.0.0.2 fd00::1');
+    expect(result.ips).toEqual(['10.0.0.1', '10.0.0.2', 'fd00::1']);
+    expect(result.ipv4Count).toBe(2);
+    expect(result.ipv6Count).toBe(1);
+  });
+
+  test('refuses ranges above maxHosts before expanding them', () => {
+    expect(() => expandIPRange('fd00::/64')).toThrow('exceeding the limit');
+    expect(() => expandIPRange('10.0.0.0/24', { maxHosts: 100 })).toThrow('254 addresses');
+  });
+
+  test('refuses an expression with only exclusions', () => {
+    expect(() => expandIPRange('!10.0.0.1')).toThrow('does not contain any addresses');
+  });
+});
+
+describe('IPv6 conversion', () => {
+  test('reads embedded IPv4 notation', () => {
+    expect(bigIntToIPv6(ipv6ToBigInt('::ffff:192.168.1.1'))).toBe('::ffff:c0a8:101');
+  });
+
+  test('compresses the longest run of zero groups', () => {
+    expect(bigIntToIPv6(ipv6ToBigInt('2001:db8:0:0:1:0:0:1'))).toBe('2001:db8::1:0:0:1');
+    expect(bigIntToIPv6(ipv6ToBigInt('2001:db8:0:1:1:1:1:1'))).toBe('2001:db8:0:1:1:1:1:1');
+  });
+});
+
+describe('ipv4Subnet', () => {
+  test('accepts dotted and prefix-length masks', () => {
+    expect(ipv4Subnet('192.168.1.77', '255.255.255.0')).toEqual({ network: '192.168.1.0', prefix: 24, cidr: '192.168.1.0/24', hosts: 254 });
+    expect(ipv4Subnet('10.1.2.3', 31).hosts).toBe(2);
+  });
+});
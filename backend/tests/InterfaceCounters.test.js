@@ -0,0 +1,121 @@
+import { counterDelta, interfaceRates } from '../src/utils/InterfaceCounters.js';
+
+const GIGABIT = 1000000000;
+
+// network_interfaces row as stored by the previous cycle
+const previousRow = (fields = {}) => ({
+  timestamp: '2026-01-01 00:00:00',
+  hc_counters: 1,
+  counter_discontinuity: 0,
+  sys_uptime: 100000,
+  in_octets: 1000,
+  out_octets: 2000,
+  in_ucast_pkts: 10,
+  out_ucast_pkts: 20,
+  in_broadcast_pkts: 0,
+  out_broadcast_pkts: 0,
+  in_errors: 5,
+  out_errors: 0,
+  in_discards: 0,
+  out_discards: 0,
+  ...fields
+});
+
+// Interface as collected this cycle, 10 s of agent time later
+const currentInterface = (fields = {}) => ({
+  speed: GIGABIT,
+  hcCounters: true,
+  counterDiscontinuity: 0,
+  sysUpTime: 101000,
+  inOctets: 1000 + 12500000,
+  outOctets: 2000 + 1250000,
+  inUcastPkts: 1010,
+  outUcastPkts: 20,
+  inBroadcastPkts: 0,
+  outBroadcastPkts: 0,
+  inErrors: 7,
+  outErrors: 0,
+  inDiscards: 0,
+  outDiscards: 0,
+  ...fields
+});
+
+describe('counterDelta', () => {
+  test('is the difference of increasing readings', () => {
+    expect(counterDelta(100, 250)).toBe(150);
+    expect(counterDelta(100, 250, 64)).toBe(150);
+  });
+
+  test('accounts for one Counter32 wrap', () => {
+    expect(counterDelta(2 ** 32 - 10, 5)).toBe(15);
+  });
+
+  test('treats a Counter64 that went down as a reset', () => {
+    expect(counterDelta(1000, 5, 64)).toBeNull();
+  });
+
+  test('is null when a reading is missing', () => {
+    expect(counterDelta(null, 5)).toBeNull();
+    expect(counterDelta(5, undefined)).toBeNull();
+  });
+});
+
+describe('interfaceRates', () => {
+  test('times the interval on sysUpTime', () => {
+    const rates = interfaceRates(previousRow(), currentInterface());
+    expect(rates.seconds).toBe(10);
+    expect(rates.inBps).toBe(10000000);
+    expect(rates.outBps).toBe(1000000);
+    expect(rates.inUtilization).toBe(1);
+    expect(rates.inUcastPps).toBe(100);
+    expect(rates.inErrors).toBe(2);
+  });
+
+  test('falls back to the row timestamp without sysUpTime', () => {
+    const now = Date.parse('2026-01-01T00:00:20Z');
+    const rates = interfaceRates(previousRow({ sys_uptime: null }), currentInterface({ sysUpTime: null }), now);
+    expect(rates.seconds).toBe(20);
+    expect(rates.inBps).toBe(5000000);
+  });
+
+  test('has nothing to report on the first reading', () => {
+    expect(interfaceRates(null, currentInterface())).toBeNull();
+  });
+
+  test('skips the interval after the agent restarted', () => {
+    expect(interfaceRates(previousRow(), currentInterface({ sysUpTime: 500, inOctets: 10 }))).toBeNull();
+  });
+
+  test('skips the interval after a counter discontinuity', () => {
+    expect(interfaceRates(previousRow(), currentInterface({ counterDiscontinuity: 4200 }))).toBeNull();
+  });
+
+  test('skips the interval when the counters changed width', () => {
+    expect(interfaceRates(previousRow({ hc_counters: 0 }), currentInterface())).toBeNull();
+  });
+
+  test('reports a reset 64-bit counter as unknown rather than a spike', () => {
+    const rates = interfaceRates(previousRow({ in_octets: 5000000 }), currentInterface({ inOctets: 100 }));
+    expect(rates.inBps).toBeNull();
+    expect(rates.outBps).toBe(1000000);
+  });
+
+  test('reads across a Counter32 wrap', () => {
+    const rates = interfaceRates(
+      previousRow({ hc_counters: 0, in_octets: 2 ** 32 - 1000 }),
+      currentInterface({ hcCounters: false, inOctets: 11499000 })
+    );
+    expect(rates.inBps).toBe(9200000);
+  });
+
+  test('drops 32-bit bit rates over an interval long enough to wrap more than once', () => {
+    // At 1 Gbit/s a Counter32 of octets wraps in about 34 s
+    const rates = interfaceRates(
+      previousRow({ hc_counters: 0 }),
+      currentInterface({ hcCounters: false, sysUpTime: 100000 + 6000 })
+    );
+    expect(rates.seconds).toBe(60);
+    expect(rates.inBps).toBeNull();
+    expect(rates.inUcastPps).not.toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+import { MonitoringService } from '../src/services/MonitoringService.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('MonitoringService.performMonitoringCycle', () => {
+  test('skips a cycle while the previous one is still running', async () => {
+    const service = new MonitoringService({ logger });
+    service.currentDevices.set('device-1', { id: 'device-1', ip: '10.0.0.1' });
+
+    let finish;
+    let monitored = 0;
+    service.monitorDevice = () => {
+      monitored++;
+      return new Promise(resolve => { finish = resolve; });
+    };
+
+    const first = service.performMonitoringCycle();
+    await service.performMonitoringCycle();
+    expect(monitored).toBe(1);
+
+    finish({ deviceId: 'device-1' });
+    await first;
+
+    const next = service.performMonitoringCycle();
+    finish({ deviceId: 'device-1' });
+    await next;
+    expect(monitored).toBe(2);
+  });
+});
@@ -0,0 +1,61 @@
+import { NetworkScanner } from '../src/services/NetworkScanner.js';
+
+const SECRET = 'vault-only-community';
+
+const collectEvents = (scanner, names) => {
+  const events = [];
+  for (const name of names) {
+    scanner.on(name, (data) => events.push({ name, data }));
+  }
+  return events;
+};
+
+describe('NetworkScanner broadcasts', () => {
+  test('scanStarted does not carry the discovery communities', async () => {
+    const scanner = new NetworkScanner();
+    const events = collectEvents(scanner, ['scanStarted']);
+    const controller = new AbortController();
+    controller.abort();
+
+    await scanner.scanRange('192.0.2.1', {
+      communities: [{ profileId: 'profile-1', community: SECRET }],
+      announcements: false,
+      signal: controller.signal
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0].data.options).not.toHaveProperty('communities');
+    expect(JSON.stringify(events)).not.toContain(SECRET);
+  });
+
+  test('hostDiscovered names the profile that answered, not its community', async () => {
+    const scanner = new NetworkScanner();
+    scanner.pingHost = async () => ({ alive: true, time: 1, ttl: 64 });
+    scanner.refreshNeighbors = async () => {};
+    scanner.resolveHardware = () => ({ mac: null, vendor: null });
+    scanner.learnAnnouncements = async () => null;
+
+    // The agent answers the second community's request
+    scanner.udpProber.exchange = async (ip, port, requests, timeout, onMessage) => {
+      onMessage(requests[1]);
+      return 'open';
+    };
+
+    const events = collectEvents(scanner, ['scanStarted', 'hostDiscovered', 'scanCompleted']);
+    const hosts = await scanner.scanRange('192.0.2.1', {
+      includePorts: false,
+      udpServices: ['snmp'],
+      announcements: false,
+      communities: [
+        { profileId: 'profile-1', community: 'public' },
+        { profileId: 'profile-2', community: SECRET }
+      ]
+    });
+
+    expect(hosts).toHaveLength(1);
+    expect(hosts[0].snmp.profileId).toBe('profile-2');
+    expect(hosts[0].snmp).not.toHaveProperty('community');
+    expect(events.map(event => event.name)).toEqual(['scanStarted', 'hostDiscovered', 'scanCompleted']);
+    expect(JSON.stringify(events)).not.toContain(SECRET);
+  });
+});
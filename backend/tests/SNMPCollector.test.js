@@ -0,0 +1,172 @@
+import snmp from 'net-snmp';
+import { SNMPCollector } from '../src/services/SNMPCollector.js';
+
+const ENTRY = '1.3.6.1.2.1.2.2.1';
+
+const compareOids = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return left.length - right.length;
+};
+
+const tooBig = () => Object.assign(new Error('tooBig'), { status: snmp.ErrorStatus.TooBig });
+
+/**
+ * Session stand-in answering from a fixed MIB. Rejects any GETBULK asking for
+ * more than maxCells varbinds, and any GET of more than maxGet OIDs, with tooBig.
+ */
+function fakeSession(mib, { version = snmp.Version2c, maxCells = Infinity, maxGet = Infinity } = {}) {
+  const oids = Object.keys(mib).sort(compareOids);
+  const after = oid => oids.find(candidate => compareOids(candidate, oid) > 0);
+
+  return {
+    version,
+    bulkRequests: [],
+    getRequests: [],
+    get(requested, callback) {
+      this.getRequests.push(requested.length);
+      if (requested.length > maxGet) {
+        return callback(tooBig());
+      }
+      callback(null, requested.map(oid => ({ oid, type: snmp.ObjectType.OctetString, value: mib[oid] })));
+    },
+    getNext(requested, callback) {
+      callback(null, requested.map(oid => {
+        const next = after(oid);
+        return next ? { oid: next, value: mib[next] } : { oid, type: snmp.ObjectType.EndOfMibView };
+      }));
+    },
+    getBulk(requested, nonRepeaters, maxRepetitions, callback) {
+      this.bulkRequests.push(maxRepetitions);
+      if (requested.length * maxRepetitions > maxCells) {
+        return callback(tooBig());
+      }
+      callback(null, requested.map(oid => {
+        const column = [];
+        for (let cursor = oid; column.length < maxRepetitions;) {
+          const next = after(cursor);
+          if (!next) {
+            column.push({ oid: cursor, type: snmp.ObjectType.EndOfMibView });
+            break;
+          }
+          column.push({ oid: next, type: snmp.ObjectType.OctetString, value: mib[next] });
+          cursor = next;
+        }
+        return column;
+      }));
+    },
+    walk(oid, maxRepetitions, feedCb, doneCb) {
+      const below = oids.filter(candidate => candidate.startsWith(`${oid}.`));
+      feedCb(below.map(candidate => ({ oid: candidate, type: snmp.ObjectType.OctetString, value: mib[candidate] })));
+      doneCb(null);
+    }
+  };
+}
+
+// ifDescr and ifOperStatus for ten interfaces, followed by another table
+const interfaces = () => {
+  const mib = {};
+  for (let index = 1; index <= 10; index++) {
+    mib[`${ENTRY}.2.${index}`] = `eth${index}`;
+    mib[`${ENTRY}.8.${index}`] = index % 2 ? 1 : 2;
+  }
+  mib['1.3.6.1.2.1.31.1.1.1.1.1'] = 'after the table';
+  return mib;
+};
+
+describe('SNMPCollector.getTable', () => {
+  test('reads several columns into rows', async () => {
+    const collector = new SNMPCollector();
+    const session = fakeSession(interfaces());
+
+    const rows = await collector.getTable(session, ENTRY, [2, 8]);
+
+    expect(rows.size).toBe(10);
+    expect(rows.get('1')).toEqual({ 2: 'eth1', 8: 1 });
+    expect(rows.get('10')).toEqual({ 2: 'eth10', 8: 2 });
+    expect(session.bulkRequests).toEqual([25]);
+  });
+
+  test('halves maxRepetitions while the agent answers tooBig', async () => {
+    const collector = new SNMPCollector();
+    const session = fakeSession(interfaces(), { maxCells: 8 });
+
+    const rows = await collector.getTable(session, ENTRY, [2, 8]);
+
+    expect(rows.size).toBe(10);
+    expect(rows.get('7')).toEqual({ 2: 'eth7', 8: 1 });
+    expect(session.bulkRequests.slice(0, 4)).toEqual([25, 13, 7, 4]);
+    expect(session.bulkRequests.slice(4).every(maxRepetitions => maxRepetitions === 4)).toBe(true);
+  });
+
+  test('gives up when the agent will not answer even one row', async () => {
+    const collector = new SNMPCollector();
+    const session = fakeSession(interfaces(), { maxCells: 1 });
+
+    await expect(collector.getTable(session, ENTRY, [2, 8])).rejects.toThrow('tooBig');
+    expect(session.bulkRequests).toEqual([25, 13, 7, 4, 2, 1]);
+  });
+
+  test('walks each column on SNMPv1, which has no GETBULK', async () => {
+    const collector = new SNMPCollector();
+    const session = fakeSession(interfaces(), { version: snmp.Version1 });
+
+    const rows = await collector.getTable(session, ENTRY, [2, 8]);
+
+    expect(rows.size).toBe(10);
+    expect(rows.get('4')).toEqual({ 2: 'eth4', 8: 2 });
+    expect(session.bulkRequests).toEqual([]);
+  });
+});
+
+describe('SNMPCollector.getVarbinds', () => {
+  const scalars = count => Object.fromEntries(
+    Array.from({ length: count }, (_, index) => [`1.3.6.1.4.1.9999.${index + 1}.0`, `value ${index + 1}`])
+  );
+
+  test('asks for at most 40 OIDs per request', async () => {
+    const collector = new SNMPCollector();
+    const mib = scalars(90);
+    const session = fakeSession(mib);
+
+    const varbinds = await collector.getVarbinds(session, Object.keys(mib));
+
+    expect(session.getRequests).toEqual([40, 40, 10]);
+    expect(varbinds.map(varbind => varbind.value)).toEqual(Object.values(mib));
+  });
+
+  test('splits a batch the agent answers tooBig', async () => {
+    const collector = new SNMPCollector();
+    const mib = scalars(40);
+    const session = fakeSession(mib, { maxGet: 15 });
+
+    const varbinds = await collector.getVarbinds(session, Object.keys(mib));
+
+    expect(session.getRequests).toEqual([40, 20, 10, 10, 20, 10, 10]);
+    expect(varbinds.map(varbind => varbind.oid)).toEqual(Object.keys(mib));
+  });
+});
+
+describe('SNMPCollector.getTimingStats', () => {
+  test('counts the requests an instrumented session sends', async () => {
+    const collector = new SNMPCollector();
+    const session = fakeSession(interfaces());
+    collector.instrumentSession(session, '10.0.0.1');
+
+    await collector.getTable(session, ENTRY, [2, 8]);
+    await collector.getVarbinds(session, [`${ENTRY}.2.1`]);
+
+    const stats = collector.getTimingStats('10.0.0.1');
+    expect(stats.requestsByType).toEqual({ get: 1, getNext: 0, getBulk: 1 });
+    expect(stats.requests).toBe(2);
+    // GETBULK runs on past each column's end: 22 varbinds from ifDescr, 12 from ifOperStatus
+    expect(stats.varbinds).toBe(22 + 12 + 1);
+    expect(stats.errors).toBe(0);
+    expect(collector.getTimingStats('10.0.0.2')).toBeNull();
+  });
+});
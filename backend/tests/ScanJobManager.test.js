@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { ScanJobManager } from '../src/services/ScanJobManager.js';
+import { DatabaseManager } from '../src/services/DatabaseManager.js';
+import { expandIPRange } from '../src/utils/IPRange.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * NetworkScanner stand-in: the addresses in `alive` answer, those in
+ * `outsideWindow` are skipped as a closed scan window would
+ */
+class FakeScanner extends EventEmitter {
+  constructor() {
+    super();
+    this.alive = new Set();
+    this.outsideWindow = new Set();
+  }
+
+  describeIPRange(range, options = {}) {
+    return expandIPRange(range, options);
+  }
+
+  async scanRange(range, { exclude, maxHosts, jobId }) {
+    const hosts = [];
+    for (const ip of expandIPRange(range, { exclude, maxHosts }).ips) {
+      if (this.outsideWindow.has(ip)) {
+        this.emit('scanProgress', { jobId, ip, skipped: 'outside-window' });
+        continue;
+      }
+      this.emit('scanProgress', { jobId, ip });
+      if (this.alive.has(ip)) {
+        const host = { ip, alive: true, time: 1, ports: [] };
+        this.emit('hostDiscovered', { ...host, jobId });
+        hosts.push(host);
+      }
+    }
+    return hosts;
+  }
+}
+
+describe('ScanJobManager diffs', () => {
+  let dbManager;
+  let scanner;
+  let manager;
+  let diffs;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dbManager = new DatabaseManager();
+    dbManager.dbPath = ':memory:';
+    await dbManager.initialize();
+
+    scanner = new FakeScanner();
+    manager = new ScanJobManager({
+      dbManager,
+      networkScanner: scanner,
+      credentialVault: { getDiscoveryCommunities: async () => [] },
+      logger
+    });
+    await manager.initialize();
+
+    diffs = [];
+    manager.on('scanDiff', ({ diff }) => diffs.push(diff));
+  });
+
+  afterEach(async () => {
+    await dbManager.close();
+    jest.restoreAllMocks();
+  });
+
+  const scan = async (range, options = {}) => {
+    const job = await manager.enqueue(range, options);
+    while (manager.activeJob || manager.queue.length > 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return manager.getJob(job.id);
+  };
+
+  test('reports hosts that came and went between complete scans', async () => {
+    scanner.alive = new Set(['10.0.0.1', '10.0.0.2']);
+    await scan('10.0.0.0/29');
+
+    scanner.alive = new Set(['10.0.0.1', '10.0.0.3']);
+    await scan('10.0.0.0/29');
+
+    expect(diffs).toHaveLength(1);
+    expect(diffs[0].newHosts.map(host => host.ip)).toEqual(['10.0.0.3']);
+    expect(diffs[0].vanishedHosts.map(host => host.ip)).toEqual(['10.0.0.2']);
+    expect(diffs[0].unchangedCount).toBe(1);
+  });
+
+  test('leaves addresses skipped for their scan window out of the diff', async () => {
+    scanner.alive = new Set(['10.0.0.1', '10.0.0.2', '10.0.0.5']);
+    await scan('10.0.0.0/29');
+
+    // 10.0.0.4 and up are outside their window this time
+    scanner.outsideWindow = new Set(['10.0.0.4', '10.0.0.5', '10.0.0.6']);
+    const job = await scan('10.0.0.0/29');
+    expect(job.status).toBe('completed');
+    expect(job.skippedIPs).toBe(3);
+    expect(job).not.toHaveProperty('skippedAddresses');
+
+    // ...and back inside it, compared with the scan that skipped them
+    scanner.outsideWindow = new Set();
+    scanner.alive.add('10.0.0.6');
+    await scan('10.0.0.0/29');
+
+    expect(diffs).toHaveLength(2);
+    for (const diff of diffs) {
+      expect(diff.vanishedHosts).toEqual([]);
+      expect(diff.newHosts).toEqual([]);
+      expect(diff.unchangedCount).toBe(2);
+    }
+  });
+
+  test('compares only addresses both scans covered when their exclusions differ', async () => {
+    scanner.alive = new Set(['10.0.0.1', '10.0.0.2', '10.0.0.5']);
+    await scan('10.0.0.0/29', { exclude: '10.0.0.2' });
+    await scan('10.0.0.0/29', { exclude: '10.0.0.5' });
+    await scan('10.0.0.0/29');
+
+    expect(diffs).toHaveLength(2);
+    for (const diff of diffs) {
+      expect(diff.newHosts).toEqual([]);
+      expect(diff.vanishedHosts).toEqual([]);
+    }
+    // Only 10.0.0.1 was in both of the first two; 10.0.0.2 is back in the third
+    expect(diffs.map(diff => diff.unchangedCount)).toEqual([1, 2]);
+  });
+});
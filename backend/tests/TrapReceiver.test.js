@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import snmp from 'net-snmp';
+import { TrapReceiver } from '../src/services/TrapReceiver.js';
+import { DatabaseManager } from '../src/services/DatabaseManager.js';
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+const rinfo = { address: '10.0.0.1', port: 50162 };
+
+const receiver = (dbManager = null) => new TrapReceiver({
+  dbManager,
+  snmpCollector: { defaultOptions: { trapPort: 1162 } },
+  credentialVault: null,
+  logger
+});
+
+// linkDown for ifIndex 3 as a v2c agent sends it
+const linkDownPdu = (overrides = {}) => ({
+  type: snmp.PduType.TrapV2,
+  varbinds: [
+    { oid: '1.3.6.1.2.1.1.3.0', type: snmp.ObjectType.TimeTicks, value: 123456 },
+    { oid: '1.3.6.1.6.3.1.1.4.1.0', type: snmp.ObjectType.OID, value: '1.3.6.1.6.3.1.1.5.3' },
+    { oid: '1.3.6.1.2.1.2.2.1.1.3', type: snmp.ObjectType.Integer, value: 3 },
+    { oid: '1.3.6.1.2.1.2.2.1.7.3', type: snmp.ObjectType.Integer, value: 1 },
+    { oid: '1.3.6.1.2.1.2.2.1.8.3', type: snmp.ObjectType.Integer, value: 2 },
+    { oid: '1.3.6.1.2.1.31.1.1.1.1.3', type: snmp.ObjectType.OctetString, value: Buffer.from('ge-0/0/3') }
+  ],
+  ...overrides
+});
+
+describe('TrapReceiver.decodeNotification', () => {
+  test('decodes a v2c trap by its snmpTrapOID', () => {
+    const trap = receiver().decodeNotification(linkDownPdu(), rinfo);
+
+    expect(trap).toMatchObject({
+      sourceIp: '10.0.0.1',
+      agentAddress: '10.0.0.1',
+      version: '2c',
+      pduType: 'trap',
+      trapOid: '1.3.6.1.6.3.1.1.5.3',
+      trapName: 'linkDown',
+      uptime: 123456,
+      genericTrap: null,
+      user: null
+    });
+    // sysUpTime and snmpTrapOID are fields of the trap, not varbinds
+    expect(trap.varbinds.map(varbind => varbind.name)).toEqual(['ifIndex.3', 'ifAdminStatus.3', 'ifOperStatus.3', 'ifName.3']);
+    expect(trap.varbinds[3]).toEqual({ oid: '1.3.6.1.2.1.31.1.1.1.1.3', name: 'ifName.3', type: 'OctetString', value: 'ge-0/0/3' });
+  });
+
+  test('maps SNMPv1 generic traps to their v2 notification OIDs', () => {
+    const trap = receiver().decodeNotification({
+      type: snmp.PduType.Trap,
+      enterprise: '1.3.6.1.4.1.9',
+      agentAddr: '192.168.1.1',
+      generic: 2,
+      specific: 0,
+      upTime: 42,
+      varbinds: []
+    }, rinfo);
+
+    expect(trap).toMatchObject({
+      agentAddress: '192.168.1.1',
+      version: '1',
+      trapOid: '1.3.6.1.6.3.1.1.5.3',
+      trapName: 'linkDown',
+      enterprise: '1.3.6.1.4.1.9',
+      genericTrap: 2,
+      uptime: 42
+    });
+  });
+
+  test('builds enterprise-specific v1 trap OIDs from the enterprise', () => {
+    const trap = receiver().decodeNotification({
+      type: snmp.PduType.Trap,
+      enterprise: '1.3.6.1.4.1.9',
+      agentAddr: '0.0.0.0',
+      generic: 6,
+      specific: 17,
+      upTime: 42,
+      varbinds: []
+    }, rinfo);
+
+    expect(trap.trapOid).toBe('1.3.6.1.4.1.9.0.17');
+    expect(trap.trapName).toBeNull();
+    expect(trap.agentAddress).toBe('10.0.0.1');
+  });
+
+  test('keeps the v3 user and the forwarded agent address, but not the community', () => {
+    const pdu = linkDownPdu({ type: snmp.PduType.InformRequest, user: 'monitor' });
+    pdu.varbinds.push(
+      { oid: '1.3.6.1.6.3.18.1.3.0', type: snmp.ObjectType.IpAddress, value: '192.168.1.20' },
+      { oid: '1.3.6.1.6.3.18.1.4.0', type: snmp.ObjectType.OctetString, value: Buffer.from('s3cret') }
+    );
+
+    const trap = receiver().decodeNotification(pdu, rinfo);
+
+    expect(trap).toMatchObject({ version: '3', pduType: 'inform', user: 'monitor', agentAddress: '192.168.1.20' });
+    expect(JSON.stringify(trap)).not.toContain('s3cret');
+  });
+
+  test('decodes Counter64, binary octet strings and exceptions', () => {
+    const trap = receiver().decodeNotification(linkDownPdu({
+      varbinds: [
+        { oid: '1.3.6.1.2.1.31.1.1.1.6.3', type: snmp.ObjectType.Counter64, value: Buffer.from('0100000000', 'hex') },
+        { oid: '1.3.6.1.2.1.2.2.1.6.3', type: snmp.ObjectType.OctetString, value: Buffer.from('001122aabbcc', 'hex') },
+        { oid: '1.3.6.1.2.1.2.2.1.2.3', type: snmp.ObjectType.NoSuchInstance, value: null }
+      ]
+    }), rinfo);
+
+    expect(trap.varbinds.map(({ name, value }) => [name, value])).toEqual([
+      [null, '4294967296'],
+      [null, '00:11:22:aa:bb:cc'],
+      ['ifDescr.3', null]
+    ]);
+  });
+});
+
+describe('TrapReceiver.trapInterface', () => {
+  test('reads the interface from IF-MIB varbinds', () => {
+    const { varbinds } = receiver().decodeNotification(linkDownPdu(), rinfo);
+
+    expect(receiver().trapInterface(varbinds)).toEqual({
+      index: 3,
+      name: 'ge-0/0/3',
+      descr: null,
+      adminStatus: 'up',
+      operStatus: 'down'
+    });
+  });
+
+  test('takes the index from the instance suffix without an ifIndex varbind', () => {
+    const { varbinds } = receiver().decodeNotification(linkDownPdu(), rinfo);
+
+    expect(receiver().trapInterface(varbinds.filter(varbind => varbind.name !== 'ifIndex.3')).index).toBe(3);
+    expect(receiver().trapInterface([])).toBeNull();
+  });
+});
+
+describe('TrapReceiver.handleNotification', () => {
+  let dbManager;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dbManager = new DatabaseManager();
+    dbManager.dbPath = ':memory:';
+    await dbManager.initialize();
+    await dbManager.saveDevice({ id: 'device-1', ip: '10.0.0.1', hostname: 'switch-1' });
+  });
+
+  afterEach(async () => {
+    await dbManager.close();
+    jest.restoreAllMocks();
+  });
+
+  test('stores the trap against the device that sent it', async () => {
+    const trapReceiver = receiver(dbManager);
+    const emitted = jest.fn();
+    trapReceiver.on('trap', emitted);
+
+    const saved = await trapReceiver.handleNotification({ pdu: linkDownPdu(), rinfo });
+
+    expect(saved).toMatchObject({ deviceId: 'device-1', trapName: 'linkDown', interface: { index: 3, operStatus: 'down' } });
+    expect(await trapReceiver.getTrap(saved.id)).toEqual(saved);
+    expect(emitted).toHaveBeenCalledWith({ trap: saved, device: expect.objectContaining({ id: 'device-1' }) });
+    expect(trapReceiver.getStatus()).toMatchObject({ received: 1, informs: 0 });
+  });
+});
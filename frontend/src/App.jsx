@@ -7,6 +7,8 @@ import NetworkScan from './components/NetworkScan';
 import AlertsPanel from './components/AlertsPanel';
 import Settings from './components/Settings';
 import DeviceDetails from './components/DeviceDetails';
+import NetworkMap from './components/NetworkMap';
+import TrapLog from './components/TrapLog';
 import { apiService, wsService } from './services/api';
 
 function App() {
@@ -60,6 +62,11 @@ function App() {
       console.log('New host discovered:', host);
     });
 
+    // Device identity changes (new DHCP lease, merge, split)
+    wsService.on('deviceMoved', () => loadDevices());
+    wsService.on('devicesMerged', () => loadDevices());
+    wsService.on('deviceSplit', () => loadDevices());
+
     return () => {
       wsService.disconnect();
     };
@@ -244,6 +251,14 @@ function App() {
                 />
               } 
             />
+            <Route 
+              path="/topology" 
+              element={
+                <NetworkMap 
+                  devices={devices}
+                />
+              } 
+            />
             <Route 
               path="/scan" 
               element={
@@ -263,6 +278,14 @@ function App() {
                 />
               } 
             />
+            <Route 
+              path="/traps" 
+              element={
+                <TrapLog 
+                  devices={devices}
+                />
+              } 
+            />
             <Route 
               path="/settings" 
               element={
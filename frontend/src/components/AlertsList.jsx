@@ -4,7 +4,13 @@ import {
   CpuChipIcon,
   CircleStackIcon,
   ServerIcon,
-  WifiIcon
+  WifiIcon,
+  SignalIcon,
+  SignalSlashIcon,
+  LockOpenIcon,
+  ArrowsRightLeftIcon,
+  ArrowPathIcon,
+  KeyIcon
 } from '@heroicons/react/24/outline';
 
 const AlertsList = ({ alerts, compact = false, onAcknowledge, onResolve }) => {
@@ -15,6 +21,13 @@ const AlertsList = ({ alerts, compact = false, onAcknowledge, onResolve }) => {
       case 'disk': return ServerIcon;
       case 'network': return WifiIcon;
       case 'offline': return ServerIcon;
+      case 'new_device': return SignalIcon;
+      case 'device_vanished': return SignalSlashIcon;
+      case 'port_change': return LockOpenIcon;
+      case 'path_change': return ArrowsRightLeftIcon;
+      case 'link_down': return SignalSlashIcon;
+      case 'device_restart': return ArrowPathIcon;
+      case 'snmp_auth_failure': return KeyIcon;
       default: return ExclamationTriangleIcon;
     }
   };
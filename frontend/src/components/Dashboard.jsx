@@ -5,9 +5,10 @@ import {
   ChartBarIcon,
   ClockIcon,
   CpuChipIcon,
-  CircleStackIcon
+  CircleStackIcon,
+  SignalIcon
 } from '@heroicons/react/24/outline';
-import { apiService } from '../services/api';
+import { apiService, wsService } from '../services/api';
 import MetricsChart from './MetricsChart';
 import DeviceStatusCard from './DeviceStatusCard';
 import AlertsList from './AlertsList';
@@ -16,16 +17,43 @@ const Dashboard = ({ devices, alerts, systemStatus, isConnected }) => {
   const [metricsOverview, setMetricsOverview] = useState(null);
   const [realtimeMetrics, setRealtimeMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [latencyTargets, setLatencyTargets] = useState([]);
+  const [latencyTargetId, setLatencyTargetId] = useState('');
+  const [latencyHours, setLatencyHours] = useState(3);
+  const [latencySeries, setLatencySeries] = useState([]);
 
   useEffect(() => {
     loadDashboardData();
+    loadLatencyTargets();
     
     // Set up periodic refresh for real-time data
     const interval = setInterval(loadRealtimeMetrics, 10000); // Every 10 seconds
     
-    return () => clearInterval(interval);
+    wsService.on('latencyTargetChanged', loadLatencyTargets);
+    
+    return () => {
+      clearInterval(interval);
+      wsService.off('latencyTargetChanged', loadLatencyTargets);
+    };
   }, []);
 
+  useEffect(() => {
+    if (!latencyTargetId) {
+      setLatencySeries([]);
+      return undefined;
+    }
+
+    loadLatencySeries();
+
+    // Redraw as new probes of the selected target arrive
+    const handleSample = (data) => {
+      if (data.targetId === latencyTargetId) loadLatencySeries();
+    };
+    wsService.on('latencySample', handleSample);
+
+    return () => wsService.off('latencySample', handleSample);
+  }, [latencyTargetId, latencyHours]);
+
   const loadDashboardData = async () => {
     try {
       setLoading(true);
@@ -52,6 +80,28 @@ const Dashboard = ({ devices, alerts, systemStatus, isConnected }) => {
     }
   };
 
+  const loadLatencyTargets = async () => {
+    try {
+      const response = await apiService.getLatencyTargets();
+      const targets = response.targets || [];
+      setLatencyTargets(targets);
+      setLatencyTargetId(current =>
+        targets.some(target => target.id === current) ? current : (targets[0]?.id || '')
+      );
+    } catch (error) {
+      console.error('Failed to load latency targets:', error);
+    }
+  };
+
+  const loadLatencySeries = async () => {
+    try {
+      const response = await apiService.getLatencySeries(latencyTargetId, latencyHours);
+      setLatencySeries(response.series || []);
+    } catch (error) {
+      console.error('Failed to load latency series:', error);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'online': return 'text-green-600 bg-green-100';
@@ -240,7 +290,48 @@ const Dashboard = ({ devices, alerts, systemStatus, isConnected }) => {
               </div>
             </div>
             
-            {/* System Information */}
+            {/* Latency */}
+      {latencyTargets.length > 0 && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+            <div className="flex items-center">
+              <SignalIcon className="h-5 w-5 text-blue-600 mr-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Latency</h3>
+            </div>
+            <div className="flex space-x-3">
+              <select
+                value={latencyTargetId}
+                onChange={(e) => setLatencyTargetId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+              >
+                {latencyTargets.map((target) => (
+                  <option key={target.id} value={target.id}>{target.name}</option>
+                ))}
+              </select>
+              <select
+                value={latencyHours}
+                onChange={(e) => setLatencyHours(parseInt(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+              >
+                <option value={1}>Last Hour</option>
+                <option value={3}>Last 3 Hours</option>
+                <option value={24}>Last 24 Hours</option>
+                <option value={168}>Last Week</option>
+              </select>
+            </div>
+          </div>
+          <div className="p-6">
+            <MetricsChart
+              metricType="latency"
+              series={latencySeries}
+              hours={latencyHours}
+              color="#2563EB"
+            />
+          </div>
+        </div>
+      )}
+
+      {/* System Information */}
             <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
               <div className="bg-white rounded-lg p-4 shadow-sm border">
                 <h3 className="font-medium text-gray-900 mb-3">System Information</h3>
@@ -9,12 +9,35 @@ import {
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { apiService } from '../services/api';
+import { DEVICE_TYPE_LABELS, OS_FAMILY_LABELS } from './DeviceTypeIcon';
+import MetricsChart, { formatBitRate } from './MetricsChart';
+
+const HOSTNAME_SOURCE_LABELS = {
+  manual: 'Manual',
+  snmp: 'SNMP sysName',
+  dns: 'Reverse DNS',
+  mdns: 'mDNS',
+  netbios: 'NetBIOS'
+};
 
 const DeviceDetails = ({ devices, onDeviceUpdate }) => {
   const { deviceId } = useParams();
   const [device, setDevice] = useState(null);
   const [metricsHistory, setMetricsHistory] = useState({});
   const [alerts, setAlerts] = useState([]);
+  const [addresses, setAddresses] = useState([]);
+  const [services, setServices] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [switchPorts, setSwitchPorts] = useState([]);
+  const [interfaces, setInterfaces] = useState([]);
+  const [selectedInterface, setSelectedInterface] = useState(null);
+  const [interfaceHistory, setInterfaceHistory] = useState(null);
+  const [scanningServices, setScanningServices] = useState(false);
+  const [naming, setNaming] = useState(null);
+  const [credentials, setCredentials] = useState(null);
+  const [snmpStats, setSnmpStats] = useState(null);
+  const [resolvingHostname, setResolvingHostname] = useState(false);
+  const [mergeSourceId, setMergeSourceId] = useState('');
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState(24);
 
@@ -24,6 +47,12 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
     }
   }, [deviceId, timeRange]);
 
+  useEffect(() => {
+    if (selectedInterface !== null) {
+      loadInterfaceHistory(selectedInterface);
+    }
+  }, [deviceId, selectedInterface, timeRange]);
+
   const loadDeviceDetails = async () => {
     try {
       setLoading(true);
@@ -31,13 +60,33 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
       setDevice(deviceData);
 
       if (deviceData) {
-        const [metricsResponse, alertsResponse] = await Promise.all([
+        const [deviceResponse, metricsResponse, alertsResponse, addressesResponse, servicesResponse, hostnamesResponse] = await Promise.all([
+          apiService.getDevice(deviceId).catch(() => ({ device: null })),
           apiService.getDeviceDetailedMetrics(deviceId, timeRange),
-          apiService.getDeviceAlerts(deviceId, { limit: 20 })
+          apiService.getDeviceAlerts(deviceId, { limit: 20 }),
+          apiService.getDeviceAddresses(deviceId),
+          apiService.getDeviceServices(deviceId),
+          apiService.getDeviceHostnames(deviceId)
         ]);
 
+        setCredentials(deviceResponse.device?.credentials || null);
         setMetricsHistory(metricsResponse.metrics);
         setAlerts(alertsResponse.alerts);
+        setAddresses(addressesResponse.addresses || []);
+        setServices(servicesResponse.services || []);
+        setNaming(hostnamesResponse);
+
+        // Switch port data only exists once switches have been walked
+        const [locationResponse, portsResponse, interfacesResponse, snmpStatsResponse] = await Promise.all([
+          apiService.getDeviceLocation(deviceId).catch(() => ({ locations: [] })),
+          apiService.getDevicePorts(deviceId).catch(() => ({ ports: [] })),
+          apiService.getDeviceInterfaces(deviceId).catch(() => ({ interfaces: [] })),
+          apiService.getDeviceSNMPStats(deviceId).catch(() => ({ stats: null }))
+        ]);
+        setLocations(locationResponse.locations || []);
+        setSwitchPorts(portsResponse.ports || []);
+        setInterfaces((interfacesResponse.interfaces || []).filter(iface => iface.index !== null));
+        setSnmpStats(snmpStatsResponse.stats);
       }
     } catch (error) {
       console.error('Failed to load device details:', error);
@@ -46,6 +95,15 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
     }
   };
 
+  const loadInterfaceHistory = async (ifIndex) => {
+    try {
+      setInterfaceHistory(await apiService.getInterfaceHistory(deviceId, ifIndex, timeRange));
+    } catch (error) {
+      console.error('Failed to load interface history:', error);
+      setInterfaceHistory(null);
+    }
+  };
+
   const handleCollectMetrics = async () => {
     try {
       await apiService.collectDeviceMetrics(deviceId);
@@ -56,11 +114,69 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
     }
   };
 
+  const handleScanServices = async () => {
+    try {
+      setScanningServices(true);
+      const response = await apiService.scanDeviceServices(deviceId);
+      setServices(response.services || []);
+    } catch (error) {
+      alert('Failed to scan services: ' + error.message);
+    } finally {
+      setScanningServices(false);
+    }
+  };
+
+  const handleResolveHostname = async () => {
+    try {
+      setResolvingHostname(true);
+      await apiService.resolveDeviceHostname(deviceId);
+      setNaming(await apiService.getDeviceHostnames(deviceId));
+    } catch (error) {
+      alert('Failed to resolve hostname: ' + error.message);
+    } finally {
+      setResolvingHostname(false);
+    }
+  };
+
+  const handleClearManualHostname = async () => {
+    try {
+      await apiService.clearManualHostname(deviceId);
+      setNaming(await apiService.getDeviceHostnames(deviceId));
+    } catch (error) {
+      alert('Failed to clear hostname: ' + error.message);
+    }
+  };
+
+  const handleSplitAddress = async (ip) => {
+    if (!window.confirm(`Move ${ip} to a new device? Use this when the address belonged to a different host.`)) return;
+    try {
+      await apiService.splitDevice(deviceId, [ip]);
+      const response = await apiService.getDeviceAddresses(deviceId);
+      setAddresses(response.addresses || []);
+    } catch (error) {
+      alert('Failed to split device: ' + error.message);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!mergeSourceId) return;
+    const source = devices.find(d => d.id === mergeSourceId);
+    if (!window.confirm(`Merge ${source?.hostname || source?.ip} into this device? Its history will be moved here.`)) return;
+    try {
+      await apiService.mergeDevices(deviceId, [mergeSourceId]);
+      setMergeSourceId('');
+      const response = await apiService.getDeviceAddresses(deviceId);
+      setAddresses(response.addresses || []);
+    } catch (error) {
+      alert('Failed to merge devices: ' + error.message);
+    }
+  };
+
   const handleTestSNMP = async () => {
     try {
-      const response = await apiService.testDeviceSNMP(deviceId, device.community);
+      const response = await apiService.testDeviceSNMP(deviceId);
       if (response.success) {
-        alert('SNMP test successful');
+        alert(`SNMP test successful (SNMPv${response.snmpVersion})`);
       } else {
         alert('SNMP test failed: ' + response.error);
       }
@@ -253,12 +369,135 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Hostname:</span>
-                <span className="font-medium">{device.hostname || 'N/A'}</span>
+                <span className="font-medium">
+                  {naming?.hostname || device.hostname || 'N/A'}
+                  {naming?.source && (
+                    <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full">
+                      {HOSTNAME_SOURCE_LABELS[naming.source] || naming.source}
+                    </span>
+                  )}
+                </span>
+              </div>
+              {naming && (
+                <div className="border border-gray-100 rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm text-gray-600">Name Sources</span>
+                    <div className="flex items-center space-x-3">
+                      {naming.hostnames.some(entry => entry.source === 'manual') && (
+                        <button
+                          onClick={handleClearManualHostname}
+                          className="text-xs text-gray-600 hover:text-gray-900"
+                        >
+                          Use discovered name
+                        </button>
+                      )}
+                      <button
+                        onClick={handleResolveHostname}
+                        disabled={resolvingHostname}
+                        className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        {resolvingHostname ? 'Resolving...' : 'Resolve now'}
+                      </button>
+                    </div>
+                  </div>
+                  {naming.hostnames.length === 0 ? (
+                    <p className="text-xs text-gray-500">No names reported yet</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {naming.precedence
+                        .map(source => naming.hostnames.find(entry => entry.source === source))
+                        .filter(Boolean)
+                        .map(entry => (
+                          <div key={entry.source} className="flex justify-between text-sm">
+                            <span className="text-gray-500">{HOSTNAME_SOURCE_LABELS[entry.source] || entry.source}</span>
+                            <span
+                              className={`font-mono ${entry.source === naming.source ? 'font-semibold text-gray-900' : 'text-gray-600'}`}
+                              title={`Changed ${new Date(entry.changedAt).toLocaleString()}`}
+                            >
+                              {entry.name}
+                            </span>
+                          </div>
+                        ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-600">MAC Address:</span>
+                <span className="font-medium font-mono">{device.mac || 'N/A'}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Vendor:</span>
+                <span className="font-medium">{device.vendor || 'N/A'}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Device Type:</span>
+                <span
+                  className="font-medium text-right"
+                  title={device.classificationReasons?.join('\n')}
+                >
+                  {device.deviceType
+                    ? `${DEVICE_TYPE_LABELS[device.deviceType] || device.deviceType} (${device.deviceTypeConfidence}%)`
+                    : 'Unknown'}
+                </span>
               </div>
               <div className="flex justify-between">
-                <span className="text-gray-600">SNMP Community:</span>
-                <span className="font-medium">{device.community}</span>
+                <span className="text-gray-600">Operating System:</span>
+                <span className="font-medium">
+                  {device.osFamily
+                    ? `${OS_FAMILY_LABELS[device.osFamily] || device.osFamily} (${device.osFamilyConfidence}%)`
+                    : 'Unknown'}
+                </span>
               </div>
+              {device.model && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Model:</span>
+                  <span className="font-medium">{device.model}</span>
+                </div>
+              )}
+              {(device.mdnsName || device.netbiosName) && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Announced As:</span>
+                  <span className="font-medium text-right">
+                    {[device.mdnsName, device.netbiosName && `${device.netbiosName} (NetBIOS)`].filter(Boolean).join(', ')}
+                  </span>
+                </div>
+              )}
+              {device.serviceTypes?.length > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Advertised Services:</span>
+                  <span className="font-medium font-mono text-sm text-right">{device.serviceTypes.join(', ')}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-600">SNMP Credentials:</span>
+                <span className="font-medium">{credentials?.snmp?.name || 'Default community'}</span>
+              </div>
+              {snmpStats?.lastCollection && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">SNMP Polling:</span>
+                  <span className="font-medium text-right">
+                    {snmpStats.lastCollection.requests} requests in {snmpStats.lastCollection.durationMs} ms
+                    {snmpStats.averageRequestMs !== null && (
+                      <span className="block text-xs text-gray-400">
+                        {snmpStats.averageRequestMs} ms average round trip{snmpStats.timeouts > 0 ? `, ${snmpStats.timeouts} timeouts` : ''}
+                      </span>
+                    )}
+                  </span>
+                </div>
+              )}
+              {credentials?.ssh && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">SSH Credentials:</span>
+                  <span className="font-medium">{credentials.ssh.name}</span>
+                </div>
+              )}
+              {credentials?.http && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">HTTP Credentials:</span>
+                  <span className="font-medium">{credentials.http.name}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Description:</span>
                 <span className="font-medium">{device.description || 'N/A'}</span>
@@ -318,6 +557,334 @@ const DeviceDetails = ({ devices, onDeviceUpdate }) => {
         </div>
       </div>
 
+      {/* Switch Port Location */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Switch Port</h2>
+          <p className="text-sm text-gray-500">Where this device is plugged in, from switch forwarding tables</p>
+        </div>
+        <div className="p-6">
+          {locations.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">Not seen on any polled switch</p>
+          ) : (
+            <div className="space-y-3">
+              {locations.map(({ mac, location }) => (
+                <div key={mac} className="flex items-center justify-between text-sm">
+                  <div>
+                    <Link to={`/devices/${location.switchId}`} className="font-medium text-blue-600 hover:text-blue-800">
+                      {location.switchName || location.switchIp}
+                    </Link>
+                    <span className="text-gray-900"> port {location.port}</span>
+                    {location.vlan && <span className="text-gray-500">, VLAN {location.vlan}</span>}
+                    <span className="block text-xs text-gray-400 font-mono">{mac}</span>
+                  </div>
+                  <div className="text-right">
+                    {location.current ? (
+                      <span className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">Current</span>
+                    ) : (
+                      <span className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full">No longer reported</span>
+                    )}
+                    <span className="block text-xs text-gray-500 mt-1">
+                      Last seen {new Date(location.lastSeen).toLocaleString()}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Switch Ports */}
+      {switchPorts.length > 0 && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Switch Ports</h2>
+            <p className="text-sm text-gray-500">Endpoints plugged into each port and neighbouring switches</p>
+          </div>
+          <div className="p-6">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Port</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">VLANs</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Connected</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {switchPorts.map((port) => (
+                    <tr key={port.port}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 align-top">
+                        {port.port}
+                        {port.uplink && (
+                          <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-800 text-xs rounded-full">Uplink</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 align-top">
+                        {port.vlans.length > 0 ? port.vlans.join(', ') : '-'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {port.neighbors.map((neighbor, index) => (
+                          <p key={`${neighbor.protocol}-${index}`}>
+                            {neighbor.deviceId ? (
+                              <Link to={`/devices/${neighbor.deviceId}`} className="text-blue-600 hover:text-blue-800">{neighbor.name}</Link>
+                            ) : (
+                              neighbor.name || neighbor.ip
+                            )}
+                            {neighbor.port && <span className="text-gray-500"> ({neighbor.port})</span>}
+                            <span className="text-xs text-gray-400"> {neighbor.protocol.toUpperCase()}</span>
+                          </p>
+                        ))}
+                        {port.endpoints.map((endpoint) => (
+                          <p key={endpoint.mac}>
+                            {endpoint.deviceId ? (
+                              <Link to={`/devices/${endpoint.deviceId}`} className="text-blue-600 hover:text-blue-800">
+                                {endpoint.hostname || endpoint.ip}
+                              </Link>
+                            ) : (
+                              <span className="font-mono">{endpoint.mac}</span>
+                            )}
+                            <span className="text-xs text-gray-400">
+                              {endpoint.deviceId && ` ${endpoint.mac}`}
+                              {endpoint.vendor && ` ${endpoint.vendor}`}
+                            </span>
+                          </p>
+                        ))}
+                        {port.neighbors.length === 0 && port.endpoints.length === 0 && (
+                          <span className="text-gray-500">{port.learned} addresses learned</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 align-top">
+                        {port.endpoints.length > 0 ? new Date(port.endpoints[0].lastSeen).toLocaleString() : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Services */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Services</h2>
+            <p className="text-sm text-gray-500">Software identified on open ports</p>
+          </div>
+          <button
+            onClick={handleScanServices}
+            disabled={scanningServices}
+            className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            {scanningServices ? 'Scanning...' : 'Scan Services'}
+          </button>
+        </div>
+        <div className="p-6">
+          {services.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No services recorded</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Port</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Service</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {services.map((service) => (
+                    <tr key={`${service.protocol}/${service.port}`}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{service.port}/{service.protocol}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{service.service || 'Unknown'}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {service.product ? `${service.product}${service.version ? ` ${service.version}` : ''}` : 'N/A'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-500">
+                        {service.http?.title && <p>Title: {service.http.title}</p>}
+                        {service.tls && (
+                          <p>
+                            {service.tls.protocol} · {service.tls.subject || 'no subject'}
+                            {service.tls.selfSigned && ' (self-signed)'}
+                            {service.tls.validTo && `, expires ${new Date(service.tls.validTo).toLocaleDateString()}`}
+                          </p>
+                        )}
+                        {service.probe?.versions?.length > 0 && <p>SNMP {service.probe.versions.join(', ')}</p>}
+                        {service.probe?.serviceTypes?.length > 0 && <p>{service.probe.serviceTypes.join(', ')}</p>}
+                        {service.probe?.stratum !== undefined && <p>Stratum {service.probe.stratum} via {service.probe.referenceId}</p>}
+                        {!service.http && !service.tls && service.banner && (
+                          <p className="font-mono text-xs truncate max-w-md">{service.banner}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{new Date(service.lastSeen).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Address History */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Address History</h2>
+            <p className="text-sm text-gray-500">IP addresses this device has used</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={mergeSourceId}
+              onChange={(e) => setMergeSourceId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Merge duplicate device...</option>
+              {devices.filter(d => d.id !== deviceId).map(d => (
+                <option key={d.id} value={d.id}>
+                  {d.hostname && d.hostname !== d.ip ? `${d.hostname} (${d.ip})` : d.ip}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleMerge}
+              disabled={!mergeSourceId}
+              className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+            >
+              Merge
+            </button>
+          </div>
+        </div>
+        <div className="p-6">
+          {addresses.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No address history recorded</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MAC Address</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">First Seen</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {addresses.map((address) => (
+                    <tr key={address.id}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {address.ip}
+                        {address.ip === device.ip && (
+                          <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">Current</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">{address.mac || 'N/A'}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{new Date(address.first_seen).toLocaleString()}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{new Date(address.last_seen).toLocaleString()}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                        {addresses.length > 1 && (
+                          <button
+                            onClick={() => handleSplitAddress(address.ip)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Split off
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Interfaces */}
+      {interfaces.length > 0 && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Interfaces</h2>
+            <p className="text-sm text-gray-500">Traffic since the last collection; select an interface for its history</p>
+          </div>
+          <div className="p-6 space-y-6">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Interface</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Speed</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">In</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Out</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Errors In / Out</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {interfaces.map((iface) => (
+                    <tr
+                      key={iface.index}
+                      onClick={() => setSelectedInterface(iface.index === selectedInterface ? null : iface.index)}
+                      className={`cursor-pointer ${iface.index === selectedInterface ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                    >
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {iface.name || iface.description}
+                        {iface.name && iface.description && iface.name !== iface.description && (
+                          <span className="block text-xs text-gray-400">{iface.description}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          iface.status === 'up' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {iface.adminStatus === 2 ? 'disabled' : iface.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                        {iface.speed ? formatBitRate(iface.speed) : '-'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {formatBitRate(iface.inBps)}
+                        {iface.inUtilization !== null && <span className="text-xs text-gray-400"> {iface.inUtilization}%</span>}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {formatBitRate(iface.outBps)}
+                        {iface.outUtilization !== null && <span className="text-xs text-gray-400"> {iface.outUtilization}%</span>}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                        {iface.totals.inErrors ?? '-'} / {iface.totals.outErrors ?? '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {selectedInterface !== null && interfaceHistory && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-4">
+                  {interfaceHistory.interface.name || interfaceHistory.interface.description} traffic ({timeRange}h)
+                </h3>
+                <MetricsChart
+                  metricType="traffic"
+                  series={interfaceHistory.series}
+                  summary={interfaceHistory.summary}
+                  hours={timeRange}
+                  color="#3B82F6"
+                />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Metrics History Charts */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-6 border-b border-gray-200">
@@ -1,30 +1,57 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { PlusIcon, ServerIcon } from '@heroicons/react/24/outline';
 import DeviceStatusCard from './DeviceStatusCard';
+import DeviceTypeIcon from './DeviceTypeIcon';
+import { apiService } from '../services/api';
+
+const emptyDevice = {
+  ip: '',
+  hostname: '',
+  community: 'public',
+  description: '',
+  location: '',
+  contact: '',
+  snmpProfileId: '',
+  snmpVersion: '2c',
+  snmpUser: '',
+  securityLevel: 'authPriv',
+  authProtocol: 'sha',
+  authKey: '',
+  privProtocol: 'aes',
+  privKey: ''
+};
+
+// Inline credentials are only sent without a profile, SNMPv3 fields only for v3,
+// and blank optional fields not at all
+const devicePayload = (device) => {
+  const v3Fields = ['snmpUser', 'securityLevel', 'authProtocol', 'authKey', 'privProtocol', 'privKey'];
+  const inlineFields = ['community', 'snmpVersion', ...v3Fields];
+  return Object.fromEntries(
+    Object.entries(device).filter(([key, value]) =>
+      value !== '' &&
+      (!device.snmpProfileId || !inlineFields.includes(key)) &&
+      (device.snmpVersion === '3' || !v3Fields.includes(key))
+    )
+  );
+};
 
 const DeviceList = ({ devices, onDeviceAdd, onDeviceUpdate, onDeviceDelete }) => {
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newDevice, setNewDevice] = useState({
-    ip: '',
-    hostname: '',
-    community: 'public',
-    description: '',
-    location: '',
-    contact: ''
-  });
+  const [newDevice, setNewDevice] = useState(emptyDevice);
+  const [snmpProfiles, setSnmpProfiles] = useState([]);
+
+  useEffect(() => {
+    if (!showAddForm) return;
+    apiService.getCredentialProfiles('snmp')
+      .then(response => setSnmpProfiles(response.profiles || []))
+      .catch(error => console.error('Failed to load credential profiles:', error));
+  }, [showAddForm]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      await onDeviceAdd(newDevice);
-      setNewDevice({
-        ip: '',
-        hostname: '',
-        community: 'public',
-        description: '',
-        location: '',
-        contact: ''
-      });
+      await onDeviceAdd(devicePayload(newDevice));
+      setNewDevice(emptyDevice);
       setShowAddForm(false);
     } catch (error) {
       alert('Failed to add device: ' + error.message);
@@ -89,16 +116,143 @@ const DeviceList = ({ devices, onDeviceAdd, onDeviceUpdate, onDeviceDelete }) =>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  SNMP Community
+                  SNMP Credentials
                 </label>
-                <input
-                  type="text"
-                  value={newDevice.community}
-                  onChange={(e) => setNewDevice({...newDevice, community: e.target.value})}
+                <select
+                  value={newDevice.snmpProfileId}
+                  onChange={(e) => setNewDevice({...newDevice, snmpProfileId: e.target.value})}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="public"
-                />
+                >
+                  <option value="">Enter below (saved as a profile)</option>
+                  {snmpProfiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
               </div>
+              {!newDevice.snmpProfileId && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      SNMP Community
+                    </label>
+                    <input
+                      type="text"
+                      value={newDevice.community}
+                      onChange={(e) => setNewDevice({...newDevice, community: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="public"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      SNMP Version
+                    </label>
+                    <select
+                      value={newDevice.snmpVersion}
+                      onChange={(e) => setNewDevice({...newDevice, snmpVersion: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="1">v1</option>
+                      <option value="2c">v2c</option>
+                      <option value="3">v3</option>
+                    </select>
+                  </div>
+                  {newDevice.snmpVersion === '3' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          SNMPv3 User *
+                        </label>
+                        <input
+                          type="text"
+                          required
+                          value={newDevice.snmpUser}
+                          onChange={(e) => setNewDevice({...newDevice, snmpUser: e.target.value})}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          placeholder="monitor"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Security Level
+                        </label>
+                        <select
+                          value={newDevice.securityLevel}
+                          onChange={(e) => setNewDevice({...newDevice, securityLevel: e.target.value})}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="noAuthNoPriv">noAuthNoPriv</option>
+                          <option value="authNoPriv">authNoPriv</option>
+                          <option value="authPriv">authPriv</option>
+                        </select>
+                      </div>
+                      {newDevice.securityLevel !== 'noAuthNoPriv' && (
+                        <>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Auth Protocol
+                            </label>
+                            <select
+                              value={newDevice.authProtocol}
+                              onChange={(e) => setNewDevice({...newDevice, authProtocol: e.target.value})}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="sha">SHA</option>
+                              <option value="sha256">SHA-256</option>
+                              <option value="md5">MD5</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Auth Key *
+                            </label>
+                            <input
+                              type="password"
+                              required
+                              minLength={8}
+                              autoComplete="new-password"
+                              value={newDevice.authKey}
+                              onChange={(e) => setNewDevice({...newDevice, authKey: e.target.value})}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        </>
+                      )}
+                      {newDevice.securityLevel === 'authPriv' && (
+                        <>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Privacy Protocol
+                            </label>
+                            <select
+                              value={newDevice.privProtocol}
+                              onChange={(e) => setNewDevice({...newDevice, privProtocol: e.target.value})}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              <option value="aes">AES</option>
+                              <option value="des">DES</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Privacy Key *
+                            </label>
+                            <input
+                              type="password"
+                              required
+                              minLength={8}
+                              autoComplete="new-password"
+                              value={newDevice.privKey}
+                              onChange={(e) => setNewDevice({...newDevice, privKey: e.target.value})}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          </div>
+                        </>
+                      )}
+                    </>
+                  )}
+                </>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Location
@@ -184,7 +338,7 @@ const DeviceList = ({ devices, onDeviceAdd, onDeviceUpdate, onDeviceDelete }) =>
                       <div className="flex items-center justify-between mb-3">
                         <div className="flex items-center space-x-2">
                           <div className="p-2 bg-green-100 rounded-lg">
-                            <ServerIcon className="h-5 w-5 text-green-600" />
+                            <DeviceTypeIcon device={device} className="h-5 w-5 text-green-600" />
                           </div>
                           <div>
                             <h3 className="font-medium text-gray-900">{device.hostname}</h3>
@@ -1,11 +1,11 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { 
-  ServerIcon, 
   CpuChipIcon, 
   CircleStackIcon,
   ClockIcon
 } from '@heroicons/react/24/outline';
+import DeviceTypeIcon from './DeviceTypeIcon';
 
 const DeviceStatusCard = ({ device, status }) => {
   const getStatusColor = (status) => {
@@ -43,10 +43,15 @@ const DeviceStatusCard = ({ device, status }) => {
     >
       <div className="flex items-start justify-between mb-3">
         <div className="flex items-center space-x-2">
-          <ServerIcon className="h-5 w-5 text-gray-600" />
+          <DeviceTypeIcon device={device} className="h-5 w-5 text-gray-600" />
           <div>
             <h3 className="font-medium text-gray-900">{device.hostname || device.ip}</h3>
             <p className="text-sm text-gray-500">{device.ip}</p>
+            {(device.model || device.vendor) && (
+              <p className="text-xs text-gray-400 truncate" title={device.mac}>
+                {[device.vendor, device.model].filter(Boolean).join(' · ')}
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center space-x-1">
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  ServerIcon,
+  ComputerDesktopIcon,
+  PrinterIcon,
+  VideoCameraIcon,
+  DevicePhoneMobileIcon,
+  WifiIcon,
+  Square3Stack3DIcon
+} from '@heroicons/react/24/outline';
+
+export const DEVICE_TYPE_LABELS = {
+  router: 'Router',
+  switch: 'Switch',
+  printer: 'Printer',
+  'linux-server': 'Linux server',
+  'windows-host': 'Windows host',
+  camera: 'IP camera',
+  phone: 'Phone'
+};
+
+export const OS_FAMILY_LABELS = {
+  linux: 'Linux',
+  windows: 'Windows',
+  macos: 'macOS',
+  ios: 'iOS',
+  android: 'Android',
+  bsd: 'BSD',
+  'network-os': 'Network OS',
+  embedded: 'Embedded'
+};
+
+const ICONS = {
+  router: WifiIcon,
+  switch: Square3Stack3DIcon,
+  printer: PrinterIcon,
+  'linux-server': ServerIcon,
+  'windows-host': ComputerDesktopIcon,
+  camera: VideoCameraIcon,
+  phone: DevicePhoneMobileIcon
+};
+
+/**
+ * Describe a device's guessed type and OS, e.g. "Printer (92%), Embedded (60%)"
+ */
+export const describeClassification = (device) => {
+  const parts = [];
+  if (device.deviceType) {
+    parts.push(`${DEVICE_TYPE_LABELS[device.deviceType] || device.deviceType} (${device.deviceTypeConfidence}%)`);
+  }
+  if (device.osFamily) {
+    parts.push(`${OS_FAMILY_LABELS[device.osFamily] || device.osFamily} (${device.osFamilyConfidence}%)`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'Unknown device type';
+};
+
+// Icon for a device's guessed type; unclassified devices keep the generic server icon
+const DeviceTypeIcon = ({ device, className }) => {
+  const Icon = ICONS[device.deviceType] || ServerIcon;
+  return (
+    <span title={describeClassification(device)}>
+      <Icon className={className} />
+    </span>
+  );
+};
+
+export default DeviceTypeIcon;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { PlayIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { apiService, wsService } from '../services/api';
+
+const emptySchedule = {
+  name: '',
+  cronExpression: '0 * * * *',
+  range: '192.168.1.1-254',
+  exclude: '',
+  includePorts: false,
+  enabled: true
+};
+
+const DiscoverySchedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [newSchedule, setNewSchedule] = useState(emptySchedule);
+
+  useEffect(() => {
+    loadSchedules();
+
+    // Keep last-run information current while the page is open
+    const handleScheduleEvent = () => loadSchedules();
+    wsService.on('discoveryScheduleRun', handleScheduleEvent);
+    wsService.on('discoveryScheduleChanged', handleScheduleEvent);
+
+    return () => {
+      wsService.off('discoveryScheduleRun', handleScheduleEvent);
+      wsService.off('discoveryScheduleChanged', handleScheduleEvent);
+    };
+  }, []);
+
+  const loadSchedules = async () => {
+    try {
+      const response = await apiService.getDiscoverySchedules();
+      setSchedules(response.schedules || []);
+    } catch (error) {
+      console.error('Failed to load discovery schedules:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await apiService.createDiscoverySchedule({
+        name: newSchedule.name,
+        cronExpression: newSchedule.cronExpression,
+        range: newSchedule.range,
+        exclude: newSchedule.exclude.split(',').map(item => item.trim()).filter(Boolean),
+        options: { includePorts: newSchedule.includePorts },
+        enabled: newSchedule.enabled
+      });
+      setNewSchedule(emptySchedule);
+      setShowForm(false);
+      await loadSchedules();
+    } catch (error) {
+      alert('Failed to create schedule: ' + error.message);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await apiService.updateDiscoverySchedule(schedule.id, { enabled: !schedule.enabled });
+      await loadSchedules();
+    } catch (error) {
+      alert('Failed to update schedule: ' + error.message);
+    }
+  };
+
+  const handleRun = async (schedule) => {
+    try {
+      const response = await apiService.runDiscoverySchedule(schedule.id);
+      alert(`Scan job ${response.job.id} queued for ${schedule.name}`);
+      await loadSchedules();
+    } catch (error) {
+      alert('Failed to run schedule: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete discovery schedule "${schedule.name}"?`)) return;
+    try {
+      await apiService.deleteDiscoverySchedule(schedule.id);
+      await loadSchedules();
+    } catch (error) {
+      alert('Failed to delete schedule: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Discovery Schedules</h2>
+          <p className="text-sm text-gray-500">Recurring network scans using cron expressions</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 text-sm"
+        >
+          <PlusIcon className="h-4 w-4" />
+          <span>Add Schedule</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="p-6 border-b border-gray-200">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={newSchedule.name}
+                onChange={(e) => setNewSchedule({...newSchedule, name: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Nightly office sweep"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Cron Expression</label>
+              <input
+                type="text"
+                value={newSchedule.cronExpression}
+                onChange={(e) => setNewSchedule({...newSchedule, cronExpression: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+                placeholder="0 * * * *"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">IP Range</label>
+              <input
+                type="text"
+                value={newSchedule.range}
+                onChange={(e) => setNewSchedule({...newSchedule, range: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Exclude (comma separated)</label>
+              <input
+                type="text"
+                value={newSchedule.exclude}
+                onChange={(e) => setNewSchedule({...newSchedule, exclude: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="192.168.1.1, 192.168.1.200-210"
+              />
+            </div>
+          </div>
+          <div className="flex items-center space-x-6 mt-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newSchedule.includePorts}
+                onChange={(e) => setNewSchedule({...newSchedule, includePorts: e.target.checked})}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Scan common ports
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newSchedule.enabled}
+                onChange={(e) => setNewSchedule({...newSchedule, enabled: e.target.checked})}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Enabled
+            </label>
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              Create Schedule
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="p-6">
+        {schedules.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No discovery schedules configured</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Range</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Run</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {schedules.map((schedule) => (
+                  <tr key={schedule.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{schedule.name}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">{schedule.cronExpression}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {schedule.range}
+                      {schedule.exclude.length > 0 && (
+                        <span className="block text-xs text-gray-400">excluding {schedule.exclude.join(', ')}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <input
+                        type="checkbox"
+                        checked={schedule.enabled}
+                        onChange={() => handleToggle(schedule)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                      <button
+                        type="button"
+                        onClick={() => handleRun(schedule)}
+                        className="text-blue-600 hover:text-blue-800 mr-3"
+                        title="Run now"
+                      >
+                        <PlayIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(schedule)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiscoverySchedules;
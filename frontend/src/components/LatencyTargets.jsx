@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { PlayIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { apiService, wsService } from '../services/api';
+
+const emptyTarget = {
+  name: '',
+  deviceId: '',
+  host: '',
+  intervalSeconds: 60,
+  packetCount: 20,
+  enabled: true
+};
+
+const LatencyTargets = () => {
+  const [targets, setTargets] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [newTarget, setNewTarget] = useState(emptyTarget);
+
+  useEffect(() => {
+    loadTargets();
+    loadDevices();
+
+    // Keep last-probe times current while the page is open
+    const handleTargetEvent = () => loadTargets();
+    wsService.on('latencySample', handleTargetEvent);
+    wsService.on('latencyTargetChanged', handleTargetEvent);
+
+    return () => {
+      wsService.off('latencySample', handleTargetEvent);
+      wsService.off('latencyTargetChanged', handleTargetEvent);
+    };
+  }, []);
+
+  const loadTargets = async () => {
+    try {
+      const response = await apiService.getLatencyTargets();
+      setTargets(response.targets || []);
+    } catch (error) {
+      console.error('Failed to load latency targets:', error);
+    }
+  };
+
+  const loadDevices = async () => {
+    try {
+      const response = await apiService.getDevices();
+      setDevices(response.devices || []);
+    } catch (error) {
+      console.error('Failed to load devices:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await apiService.createLatencyTarget({
+        name: newTarget.name,
+        ...(newTarget.deviceId ? { deviceId: newTarget.deviceId } : { host: newTarget.host.trim() }),
+        intervalSeconds: parseInt(newTarget.intervalSeconds),
+        packetCount: parseInt(newTarget.packetCount),
+        enabled: newTarget.enabled
+      });
+      setNewTarget(emptyTarget);
+      setShowForm(false);
+      await loadTargets();
+    } catch (error) {
+      alert('Failed to create latency target: ' + error.message);
+    }
+  };
+
+  const handleToggle = async (target) => {
+    try {
+      await apiService.updateLatencyTarget(target.id, { enabled: !target.enabled });
+      await loadTargets();
+    } catch (error) {
+      alert('Failed to update latency target: ' + error.message);
+    }
+  };
+
+  const handleProbe = async (target) => {
+    try {
+      const response = await apiService.probeLatencyTarget(target.id);
+      const { sample } = response;
+      alert(`${target.name}: median ${sample.median ?? '—'} ms, ${sample.packetLoss}% loss`);
+      await loadTargets();
+    } catch (error) {
+      alert('Failed to probe latency target: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Delete latency target "${target.name}" and its history?`)) return;
+    try {
+      await apiService.deleteLatencyTarget(target.id);
+      await loadTargets();
+    } catch (error) {
+      alert('Failed to delete latency target: ' + error.message);
+    }
+  };
+
+  const describeTarget = (target) => {
+    if (!target.deviceId) return target.host;
+    const device = devices.find(d => d.id === target.deviceId);
+    return device ? `${device.hostname || device.ip} (${device.ip})` : 'Device';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Latency Targets</h2>
+          <p className="text-sm text-gray-500">Hosts probed continuously for latency, jitter and packet loss</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 text-sm"
+        >
+          <PlusIcon className="h-4 w-4" />
+          <span>Add Target</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="p-6 border-b border-gray-200">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={newTarget.name}
+                onChange={(e) => setNewTarget({...newTarget, name: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="ISP gateway"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Device</label>
+              <select
+                value={newTarget.deviceId}
+                onChange={(e) => setNewTarget({...newTarget, deviceId: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Other host…</option>
+                {devices.map((device) => (
+                  <option key={device.id} value={device.id}>{device.hostname || device.ip} ({device.ip})</option>
+                ))}
+              </select>
+            </div>
+            {!newTarget.deviceId && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Host</label>
+                <input
+                  type="text"
+                  value={newTarget.host}
+                  onChange={(e) => setNewTarget({...newTarget, host: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="203.0.113.1 or gateway.example.net"
+                  required
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Interval (seconds)</label>
+              <input
+                type="number"
+                min="5"
+                max="3600"
+                value={newTarget.intervalSeconds}
+                onChange={(e) => setNewTarget({...newTarget, intervalSeconds: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Packets per Probe</label>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={newTarget.packetCount}
+                onChange={(e) => setNewTarget({...newTarget, packetCount: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+          <div className="flex items-center space-x-6 mt-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newTarget.enabled}
+                onChange={(e) => setNewTarget({...newTarget, enabled: e.target.checked})}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Enabled
+            </label>
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              Create Target
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="p-6">
+        {targets.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No latency targets configured</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Probe</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Probe</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {targets.map((target) => (
+                  <tr key={target.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{target.name}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{describeTarget(target)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {target.packetCount} packets every {target.intervalSeconds}s
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {target.lastProbeAt ? new Date(target.lastProbeAt).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <input
+                        type="checkbox"
+                        checked={target.enabled}
+                        onChange={() => handleToggle(target)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                      <button
+                        type="button"
+                        onClick={() => handleProbe(target)}
+                        className="text-blue-600 hover:text-blue-800 mr-3"
+                        title="Probe now"
+                      >
+                        <PlayIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(target)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LatencyTargets;
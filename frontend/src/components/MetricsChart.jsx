@@ -1,6 +1,318 @@
 import React from 'react';
 
-const MetricsChart = ({ devices, metricType, color }) => {
+// Median line colour by packet loss, as in smokeping
+const getLossColor = (loss, color) => {
+  if (!loss) return color;
+  if (loss <= 5) return '#F59E0B';
+  if (loss <= 20) return '#F97316';
+  return '#EF4444';
+};
+
+/**
+ * Latency over time: grey "smoke" bands show the spread of round-trip times
+ * in each interval, the line marks the median.
+ */
+const SmokeChart = ({ series, hours, color }) => {
+  const points = series.filter(point => point.percentiles.length > 0 || point.packetLoss === 100);
+
+  if (points.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-500">No latency samples yet</p>
+      </div>
+    );
+  }
+
+  const chartHeight = 200;
+  const chartWidth = 1000;
+  const end = Date.now();
+  const start = end - hours * 60 * 60 * 1000;
+  const slotWidth = Math.max(2, chartWidth / Math.max(points.length, 60));
+
+  // Scale to the 90th percentile so rare spikes don't flatten the chart
+  const peak = Math.max(1, ...points.filter(point => point.percentiles.length > 0).map(point => point.percentiles[9]));
+  const maxValue = Math.ceil(peak * 1.2);
+  const y = (value) => chartHeight - (Math.min(value, maxValue) / maxValue) * chartHeight;
+  const x = (timestamp) => ((new Date(timestamp).getTime() - start) / (end - start)) * chartWidth;
+
+  const latest = points[points.length - 1];
+  const withLatency = points.filter(point => point.median !== null);
+  const totalSent = points.reduce((sum, point) => sum + point.sent, 0);
+  const totalReceived = points.reduce((sum, point) => sum + point.received, 0);
+
+  return (
+    <div className="space-y-4">
+      {/* Chart */}
+      <div className="relative" style={{ height: chartHeight }}>
+        <svg width="100%" height={chartHeight} viewBox={`0 0 ${chartWidth} ${chartHeight}`} preserveAspectRatio="none" className="overflow-visible">
+          {/* Grid lines */}
+          {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+            <line
+              key={fraction}
+              x1="0"
+              y1={chartHeight - fraction * chartHeight}
+              x2={chartWidth}
+              y2={chartHeight - fraction * chartHeight}
+              stroke="#e5e7eb"
+              strokeWidth="1"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+
+          {points.map((point) => {
+            const left = x(point.timestamp) - slotWidth;
+
+            // Every probe lost: mark the interval instead of drawing smoke
+            if (point.percentiles.length === 0) {
+              return (
+                <rect key={point.timestamp} x={left} y={0} width={slotWidth} height={4} fill="#EF4444" />
+              );
+            }
+
+            return (
+              <g key={point.timestamp}>
+                {/* Nested bands from min-max in to 40th-60th percentile */}
+                {[0, 1, 2, 3, 4].map((band) => (
+                  <rect
+                    key={band}
+                    x={left}
+                    y={y(point.percentiles[10 - band])}
+                    width={slotWidth}
+                    height={Math.max(1, y(point.percentiles[band]) - y(point.percentiles[10 - band]))}
+                    fill="#6b7280"
+                    opacity={0.08 + band * 0.05}
+                  />
+                ))}
+                <rect
+                  x={left}
+                  y={y(point.median) - 1}
+                  width={slotWidth}
+                  height={2}
+                  fill={getLossColor(point.packetLoss, color)}
+                />
+              </g>
+            );
+          })}
+        </svg>
+
+        {/* Axis labels stay unscaled outside the stretched SVG */}
+        {[0, 0.5, 1].map((fraction) => (
+          <span
+            key={fraction}
+            className="absolute left-0 text-xs text-gray-500"
+            style={{ top: chartHeight - fraction * chartHeight - 16 }}
+          >
+            {Math.round(maxValue * fraction * 10) / 10} ms
+          </span>
+        ))}
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{new Date(start).toLocaleTimeString()}</span>
+        <span>{new Date(end).toLocaleTimeString()}</span>
+      </div>
+
+      {/* Summary stats */}
+      <div className="grid grid-cols-4 gap-4 text-sm">
+        <div className="text-center">
+          <div className="text-gray-500">Median</div>
+          <div className="font-semibold">{latest.median !== null ? `${latest.median} ms` : '—'}</div>
+        </div>
+        <div className="text-center">
+          <div className="text-gray-500">95th Pct.</div>
+          <div className="font-semibold">
+            {withLatency.length > 0 ? `${Math.max(...withLatency.map(point => point.p95))} ms` : '—'}
+          </div>
+        </div>
+        <div className="text-center">
+          <div className="text-gray-500">Jitter</div>
+          <div className="font-semibold">{latest.jitter !== null ? `${latest.jitter} ms` : '—'}</div>
+        </div>
+        <div className="text-center">
+          <div className="text-gray-500">Loss</div>
+          <div className="font-semibold">
+            {totalSent > 0 ? `${Math.round((totalSent - totalReceived) / totalSent * 1000) / 10}%` : '—'}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Bits per second with a decimal unit, e.g. "12.5 Mbit/s"
+ */
+export const formatBitRate = (bps) => {
+  if (bps === null || bps === undefined) return '—';
+  const units = ['bit/s', 'kbit/s', 'Mbit/s', 'Gbit/s', 'Tbit/s'];
+  let value = bps;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
+
+const TRAFFIC_OUT_COLOR = '#10B981';
+
+/**
+ * Interface traffic over time: average in/out bit rate lines over a faint
+ * band up to each interval's peak.
+ */
+const TrafficChart = ({ series, summary, hours, color }) => {
+  const points = series.filter(point => point.inBps !== null || point.outBps !== null);
+
+  if (points.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-500">No traffic samples yet; rates appear after the second collection</p>
+      </div>
+    );
+  }
+
+  const chartHeight = 200;
+  const chartWidth = 1000;
+  const end = Date.now();
+  const start = end - hours * 60 * 60 * 1000;
+
+  const peak = Math.max(1, ...points.map(point => Math.max(point.inBpsMax || 0, point.outBpsMax || 0)));
+  const maxValue = peak * 1.1;
+  const y = (value) => chartHeight - (Math.min(value, maxValue) / maxValue) * chartHeight;
+  const x = (timestamp) => ((new Date(timestamp).getTime() - start) / (end - start)) * chartWidth;
+
+  // Break the lines where collection stopped for more than a few intervals
+  const gapMs = Math.max(3 * (end - start) / 200, 5 * 60 * 1000);
+  const segments = (field) => {
+    const result = [];
+    let previous = null;
+    for (const point of points) {
+      if (point[field] === null) {
+        previous = null;
+        continue;
+      }
+      const time = new Date(point.timestamp).getTime();
+      if (!previous || time - previous > gapMs) {
+        result.push([]);
+      }
+      result[result.length - 1].push(`${x(point.timestamp)},${y(point[field])}`);
+      previous = time;
+    }
+    return result;
+  };
+
+  const lines = [
+    { field: 'inBps', peakField: 'inBpsMax', stroke: color, label: 'In' },
+    { field: 'outBps', peakField: 'outBpsMax', stroke: TRAFFIC_OUT_COLOR, label: 'Out' }
+  ];
+
+  return (
+    <div className="space-y-4">
+      {/* Chart */}
+      <div className="relative" style={{ height: chartHeight }}>
+        <svg width="100%" height={chartHeight} viewBox={`0 0 ${chartWidth} ${chartHeight}`} preserveAspectRatio="none" className="overflow-visible">
+          {/* Grid lines */}
+          {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+            <line
+              key={fraction}
+              x1="0"
+              y1={chartHeight - fraction * chartHeight}
+              x2={chartWidth}
+              y2={chartHeight - fraction * chartHeight}
+              stroke="#e5e7eb"
+              strokeWidth="1"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+
+          {lines.map(({ field, peakField, stroke }) => (
+            <g key={field}>
+              {points.filter(point => point[peakField] !== null).map((point) => (
+                <line
+                  key={point.timestamp}
+                  x1={x(point.timestamp)}
+                  y1={y(point[peakField])}
+                  x2={x(point.timestamp)}
+                  y2={y(point[field] ?? 0)}
+                  stroke={stroke}
+                  strokeWidth="3"
+                  opacity={0.15}
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+              {segments(field).map((segment, index) => (
+                <polyline
+                  key={index}
+                  points={segment.join(' ')}
+                  fill="none"
+                  stroke={stroke}
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+            </g>
+          ))}
+        </svg>
+
+        {/* Axis labels stay unscaled outside the stretched SVG */}
+        {[0, 0.5, 1].map((fraction) => (
+          <span
+            key={fraction}
+            className="absolute left-0 text-xs text-gray-500"
+            style={{ top: chartHeight - fraction * chartHeight - 16 }}
+          >
+            {formatBitRate(maxValue * fraction)}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{new Date(start).toLocaleTimeString()}</span>
+        <span className="space-x-4">
+          {lines.map(({ field, stroke, label }) => (
+            <span key={field}>
+              <span className="inline-block w-3 h-0.5 align-middle mr-1" style={{ backgroundColor: stroke }} />
+              {label}
+            </span>
+          ))}
+        </span>
+        <span>{new Date(end).toLocaleTimeString()}</span>
+      </div>
+
+      {/* Summary stats */}
+      {summary && (
+        <div className="grid grid-cols-4 gap-4 text-sm">
+          <div className="text-center">
+            <div className="text-gray-500">Average In / Out</div>
+            <div className="font-semibold">{formatBitRate(summary.inBps)} / {formatBitRate(summary.outBps)}</div>
+          </div>
+          <div className="text-center">
+            <div className="text-gray-500">Peak In / Out</div>
+            <div className="font-semibold">{formatBitRate(summary.inBpsMax)} / {formatBitRate(summary.outBpsMax)}</div>
+          </div>
+          <div className="text-center">
+            <div className="text-gray-500">Errors In / Out</div>
+            <div className="font-semibold">{summary.inErrors} / {summary.outErrors}</div>
+          </div>
+          <div className="text-center">
+            <div className="text-gray-500">Discards In / Out</div>
+            <div className="font-semibold">{summary.inDiscards} / {summary.outDiscards}</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MetricsChart = ({ devices, metricType, color, series = [], summary = null, hours = 3 }) => {
+  if (metricType === 'latency') {
+    return <SmokeChart series={series} hours={hours} color={color} />;
+  }
+
+  if (metricType === 'traffic') {
+    return <TrafficChart series={series} summary={summary} hours={hours} color={color} />;
+  }
+
   const getMetricValue = (device, type) => {
     switch (type) {
       case 'cpu': return device.cpu || 0;
@@ -0,0 +1,724 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  ArrowPathIcon,
+  MagnifyingGlassPlusIcon,
+  MagnifyingGlassMinusIcon,
+  ArrowsPointingOutIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { apiService, wsService } from '../services/api';
+
+const STATUS_COLORS = {
+  online: '#22c55e',
+  warning: '#eab308',
+  critical: '#ef4444',
+  offline: '#6b7280',
+  unknown: '#d1d5db'
+};
+
+const NODE_RADIUS = 18;
+const GROUP_SPACING = 420;
+const LAYOUT_ITERATIONS = 150;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 4;
+
+const emptyLink = {
+  sourceDeviceId: '',
+  targetDeviceId: '',
+  sourcePort: '',
+  targetPort: '',
+  description: ''
+};
+
+/**
+ * Subnet of an IPv4 address for grouping, e.g. ("10.1.2.3", 24) -> "10.1.2.0/24"
+ */
+const subnetOf = (ip, prefix) => {
+  const octets = (ip || '').split('.').map(Number);
+  if (octets.length !== 4 || octets.some(octet => isNaN(octet))) {
+    return 'Other';
+  }
+  const value = octets.reduce((acc, octet) => (acc << 8) + octet, 0) >>> 0;
+  const network = prefix === 0 ? 0 : (value & (~0 << (32 - prefix))) >>> 0;
+  return `${[24, 16, 8, 0].map(shift => (network >>> shift) & 255).join('.')}/${prefix}`;
+};
+
+/**
+ * Place nodes that have no saved position with a small force simulation:
+ * nodes push each other apart, links pull their ends together and, when
+ * grouping, every node is drawn towards the centre of its subnet's cell
+ */
+const layoutNodes = (nodes, links, groupOf) => {
+  const sizes = new Map();
+  for (const node of nodes) {
+    sizes.set(groupOf(node), (sizes.get(groupOf(node)) || 0) + 1);
+  }
+
+  // Cells grow with the largest group so big subnets do not spill into their neighbours
+  const groups = Array.from(sizes.keys()).sort();
+  const spacing = Math.max(GROUP_SPACING, Math.sqrt(Math.max(...sizes.values(), 1)) * 140);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(groups.length)));
+  const centers = new Map(groups.map((group, index) => [group, {
+    x: (index % columns) * spacing,
+    y: Math.floor(index / columns) * spacing
+  }]));
+
+  const positions = new Map();
+  const members = new Map();
+  for (const node of nodes) {
+    const group = groupOf(node);
+    const count = members.get(group) || 0;
+    members.set(group, count + 1);
+
+    if (node.position) {
+      positions.set(node.id, { ...node.position, fixed: true });
+    } else {
+      // Seed on a spiral around the group centre so the simulation starts untangled
+      const center = centers.get(group);
+      const angle = count * 2.4;
+      const radius = 40 * Math.sqrt(count + 1);
+      positions.set(node.id, { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle), fixed: false });
+    }
+  }
+
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const edges = links.filter(link => positions.has(link.source) && positions.has(link.target));
+  const ideal = 120;
+
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    const cooling = 1 - iteration / LAYOUT_ITERATIONS;
+    const forces = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = positions.get(nodes[i].id);
+        const b = positions.get(nodes[j].id);
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+        if (distance > ideal * 3) continue;
+        const push = (ideal * ideal) / distance / distance / 4;
+        forces.get(nodes[i].id).x += dx * push;
+        forces.get(nodes[i].id).y += dy * push;
+        forces.get(nodes[j].id).x -= dx * push;
+        forces.get(nodes[j].id).y -= dy * push;
+      }
+    }
+
+    for (const edge of edges) {
+      const a = positions.get(edge.source);
+      const b = positions.get(edge.target);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      // Links between subnets must not drag the groups into each other
+      const sameGroup = groupOf(nodesById.get(edge.source)) === groupOf(nodesById.get(edge.target));
+      const pull = (distance - ideal) * (sameGroup ? 0.5 : 0.05) / distance;
+      forces.get(edge.source).x += dx * pull;
+      forces.get(edge.source).y += dy * pull;
+      forces.get(edge.target).x -= dx * pull;
+      forces.get(edge.target).y -= dy * pull;
+    }
+
+    for (const node of nodes) {
+      const position = positions.get(node.id);
+      if (position.fixed) continue;
+
+      const center = centers.get(groupOf(node));
+      const force = forces.get(node.id);
+      force.x += (center.x - position.x) * 0.15;
+      force.y += (center.y - position.y) * 0.15;
+
+      const magnitude = Math.sqrt(force.x * force.x + force.y * force.y);
+      const step = Math.min(magnitude, 30 * cooling + 1);
+      if (magnitude > 0) {
+        position.x += (force.x / magnitude) * step;
+        position.y += (force.y / magnitude) * step;
+      }
+    }
+  }
+
+  return new Map(Array.from(positions, ([id, { x, y }]) => [id, { x, y }]));
+};
+
+const NetworkMap = ({ devices }) => {
+  const navigate = useNavigate();
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [topology, setTopology] = useState({ nodes: [], links: [] });
+  const [moved, setMoved] = useState({});
+  const [view, setView] = useState({ x: 400, y: 300, scale: 1 });
+  const [groupBySubnet, setGroupBySubnet] = useState(true);
+  const [subnetPrefix, setSubnetPrefix] = useState(24);
+  const [showUnknown, setShowUnknown] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [showLinkForm, setShowLinkForm] = useState(false);
+  const [newLink, setNewLink] = useState(emptyLink);
+
+  useEffect(() => {
+    loadTopology();
+
+    const handleTopologyEvent = () => loadTopology();
+    wsService.on('topologyUpdated', handleTopologyEvent);
+    wsService.on('topologyLinkChanged', handleTopologyEvent);
+    wsService.on('devicesMerged', handleTopologyEvent);
+
+    return () => {
+      wsService.off('topologyUpdated', handleTopologyEvent);
+      wsService.off('topologyLinkChanged', handleTopologyEvent);
+      wsService.off('devicesMerged', handleTopologyEvent);
+    };
+  }, [showUnknown]);
+
+  const loadTopology = async () => {
+    try {
+      const response = await apiService.getTopology({ includeUnknown: showUnknown, includeIsolated: true });
+      setTopology({ nodes: response.nodes || [], links: response.links || [] });
+    } catch (error) {
+      console.error('Failed to load topology:', error);
+    }
+  };
+
+  const groupOf = (node) => (groupBySubnet ? subnetOf(node.ip, subnetPrefix) : '');
+
+  const layout = useMemo(
+    () => layoutNodes(topology.nodes, topology.links, groupOf),
+    [topology, groupBySubnet, subnetPrefix]
+  );
+
+  const positionOf = (nodeId) => moved[nodeId] || layout.get(nodeId) || { x: 0, y: 0 };
+
+  // Live status comes from the monitoringUpdate devices; the topology only knows online/offline
+  const devicesById = useMemo(() => new Map(devices.map(device => [device.id, device])), [devices]);
+
+  const getNodeStatus = (node) => {
+    const device = node.deviceId ? devicesById.get(node.deviceId) : null;
+    if (!device) return node.status === 'online' || node.status === 'offline' ? node.status : 'unknown';
+    if (device.status === 'offline') return 'offline';
+    if (device.cpu > 90 || device.memory > 95 || device.disk > 95) return 'critical';
+    if (device.cpu > 75 || device.memory > 80 || device.disk > 85) return 'warning';
+    return 'online';
+  };
+
+  const groups = useMemo(() => {
+    if (!groupBySubnet) return [];
+
+    const boxes = new Map();
+    for (const node of topology.nodes) {
+      const group = groupOf(node);
+      const { x, y } = positionOf(node.id);
+      const box = boxes.get(group) || { name: group, minX: x, minY: y, maxX: x, maxY: y };
+      boxes.set(group, {
+        ...box,
+        minX: Math.min(box.minX, x),
+        minY: Math.min(box.minY, y),
+        maxX: Math.max(box.maxX, x),
+        maxY: Math.max(box.maxY, y)
+      });
+    }
+    return Array.from(boxes.values());
+  }, [topology, layout, moved, groupBySubnet, subnetPrefix]);
+
+  // Wheel zoom needs a non-passive listener to stop the page scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const pointerX = e.clientX - rect.left;
+      const pointerY = e.clientY - rect.top;
+      setView(current => {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        const ratio = scale / current.scale;
+        return {
+          scale,
+          x: pointerX - (pointerX - current.x) * ratio,
+          y: pointerY - (pointerY - current.y) * ratio
+        };
+      });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const zoomBy = (factor) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    setView(current => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+      const ratio = scale / current.scale;
+      return {
+        scale,
+        x: rect.width / 2 - (rect.width / 2 - current.x) * ratio,
+        y: rect.height / 2 - (rect.height / 2 - current.y) * ratio
+      };
+    });
+  };
+
+  const fitToView = () => {
+    if (topology.nodes.length === 0) return;
+
+    const rect = svgRef.current.getBoundingClientRect();
+    const points = topology.nodes.map(node => positionOf(node.id));
+    const minX = Math.min(...points.map(point => point.x)) - 80;
+    const maxX = Math.max(...points.map(point => point.x)) + 80;
+    const minY = Math.min(...points.map(point => point.y)) - 80;
+    const maxY = Math.max(...points.map(point => point.y)) + 80;
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.min(rect.width / (maxX - minX), rect.height / (maxY - minY))));
+
+    setView({
+      scale,
+      x: rect.width / 2 - ((minX + maxX) / 2) * scale,
+      y: rect.height / 2 - ((minY + maxY) / 2) * scale
+    });
+  };
+
+  // Fit once the first layout is known
+  const fitted = useRef(false);
+  useEffect(() => {
+    if (!fitted.current && topology.nodes.length > 0) {
+      fitted.current = true;
+      fitToView();
+    }
+  }, [layout]);
+
+  const handlePointerDown = (e, node = null) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = {
+      node,
+      startX: e.clientX,
+      startY: e.clientY,
+      origin: node ? positionOf(node.id) : { x: view.x, y: view.y },
+      moved: false
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+    if (!drag.moved) return;
+
+    if (drag.node) {
+      setMoved(current => ({
+        ...current,
+        [drag.node.id]: { x: drag.origin.x + dx / view.scale, y: drag.origin.y + dy / view.scale }
+      }));
+    } else {
+      setView(current => ({ ...current, x: drag.origin.x + dx, y: drag.origin.y + dy }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+
+    // A click without a drag opens the device
+    if (drag && drag.node && !drag.moved && drag.node.deviceId) {
+      navigate(`/devices/${drag.node.deviceId}`);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await apiService.refreshTopology();
+      await loadTopology();
+    } catch (error) {
+      alert('Failed to refresh topology: ' + error.message);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleSaveLayout = async () => {
+    setSaving(true);
+    try {
+      const positions = topology.nodes.map(node => {
+        const { x, y } = positionOf(node.id);
+        return { nodeId: node.id, x: Math.round(x), y: Math.round(y) };
+      });
+      await apiService.saveTopologyPositions(positions);
+      setMoved({});
+      await loadTopology();
+    } catch (error) {
+      alert('Failed to save layout: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResetLayout = async () => {
+    if (!window.confirm('Forget saved node positions and lay the map out automatically?')) return;
+    try {
+      await apiService.resetTopologyPositions();
+      setMoved({});
+      await loadTopology();
+    } catch (error) {
+      alert('Failed to reset layout: ' + error.message);
+    }
+  };
+
+  const handleCreateLink = async (e) => {
+    e.preventDefault();
+    try {
+      await apiService.createTopologyLink({
+        sourceDeviceId: newLink.sourceDeviceId,
+        targetDeviceId: newLink.targetDeviceId,
+        sourcePort: newLink.sourcePort || null,
+        targetPort: newLink.targetPort || null,
+        description: newLink.description || null
+      });
+      setNewLink(emptyLink);
+      setShowLinkForm(false);
+      await loadTopology();
+    } catch (error) {
+      alert('Failed to create link: ' + error.message);
+    }
+  };
+
+  const handleDeleteLink = async (link) => {
+    if (!window.confirm('Delete this manual link?')) return;
+    try {
+      await apiService.deleteTopologyLink(link.manualLinkId);
+      await loadTopology();
+    } catch (error) {
+      alert('Failed to delete link: ' + error.message);
+    }
+  };
+
+  const nodesById = new Map(topology.nodes.map(node => [node.id, node]));
+  const deviceNodes = topology.nodes.filter(node => node.deviceId).sort((a, b) => a.label.localeCompare(b.label));
+  const manualLinks = topology.links.filter(link => link.manualLinkId);
+  const hasUnsavedMoves = Object.keys(moved).length > 0;
+
+  return (
+    <div className="p-6 space-y-6 h-full overflow-y-auto">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Network Map</h1>
+          <p className="text-gray-600">Devices and the links between them from LLDP, CDP, switch port tables and manual links</p>
+        </div>
+        <button
+          onClick={handleRefresh}
+          disabled={refreshing}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+        >
+          <ArrowPathIcon className={`h-5 w-5 ${refreshing ? 'animate-spin' : ''}`} />
+          <span>{refreshing ? 'Collecting...' : 'Collect Now'}</span>
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-4 border-b border-gray-200 flex flex-wrap items-center gap-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={groupBySubnet}
+              onChange={(e) => setGroupBySubnet(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+            />
+            Group by subnet
+          </label>
+          <select
+            value={subnetPrefix}
+            onChange={(e) => setSubnetPrefix(parseInt(e.target.value))}
+            disabled={!groupBySubnet}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+          >
+            {[16, 20, 22, 24, 26, 28].map(prefix => (
+              <option key={prefix} value={prefix}>/{prefix}</option>
+            ))}
+          </select>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showUnknown}
+              onChange={(e) => setShowUnknown(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+            />
+            Show unknown hosts
+          </label>
+
+          <div className="flex items-center space-x-2 ml-auto">
+            <button type="button" onClick={() => zoomBy(1.25)} className="p-2 text-gray-600 hover:bg-gray-100 rounded" title="Zoom in">
+              <MagnifyingGlassPlusIcon className="h-5 w-5" />
+            </button>
+            <button type="button" onClick={() => zoomBy(0.8)} className="p-2 text-gray-600 hover:bg-gray-100 rounded" title="Zoom out">
+              <MagnifyingGlassMinusIcon className="h-5 w-5" />
+            </button>
+            <button type="button" onClick={fitToView} className="p-2 text-gray-600 hover:bg-gray-100 rounded" title="Fit to view">
+              <ArrowsPointingOutIcon className="h-5 w-5" />
+            </button>
+            <button
+              type="button"
+              onClick={handleResetLayout}
+              className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Reset Layout
+            </button>
+            <button
+              type="button"
+              onClick={handleSaveLayout}
+              disabled={saving}
+              className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : hasUnsavedMoves ? 'Save Layout *' : 'Save Layout'}
+            </button>
+          </div>
+        </div>
+
+        <svg
+          ref={svgRef}
+          className="w-full bg-gray-50 cursor-move select-none"
+          style={{ height: '600px', touchAction: 'none' }}
+          onPointerDown={(e) => handlePointerDown(e)}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        >
+          <g transform={`translate(${view.x},${view.y}) scale(${view.scale})`}>
+            {groups.map(group => (
+              <g key={group.name}>
+                <rect
+                  x={group.minX - 50}
+                  y={group.minY - 60}
+                  width={group.maxX - group.minX + 100}
+                  height={group.maxY - group.minY + 110}
+                  rx={12}
+                  fill="#eff6ff"
+                  stroke="#bfdbfe"
+                  strokeDasharray="6 4"
+                />
+                <text x={group.minX - 40} y={group.minY - 40} fontSize={13} fill="#1d4ed8">
+                  {group.name}
+                </text>
+              </g>
+            ))}
+
+            {topology.links.map(link => {
+              const source = positionOf(link.source);
+              const target = positionOf(link.target);
+              const manualOnly = link.protocols.length === 1 && link.protocols[0] === 'manual';
+              const labelAt = (from, to) => ({ x: from.x + (to.x - from.x) * 0.25, y: from.y + (to.y - from.y) * 0.25 });
+              const sourceLabel = labelAt(source, target);
+              const targetLabel = labelAt(target, source);
+
+              return (
+                <g key={link.id}>
+                  <line
+                    x1={source.x}
+                    y1={source.y}
+                    x2={target.x}
+                    y2={target.y}
+                    stroke={manualOnly ? '#9ca3af' : '#64748b'}
+                    strokeWidth={2}
+                    strokeDasharray={manualOnly ? '6 4' : undefined}
+                  >
+                    <title>
+                      {`${nodesById.get(link.source)?.label} ${link.sourcePort || ''} — ${nodesById.get(link.target)?.label} ${link.targetPort || ''}\n`}
+                      {`${link.protocols.map(protocol => protocol.toUpperCase()).join(', ')}${link.vlan ? `, VLAN ${link.vlan}` : ''}`}
+                      {link.description ? `\n${link.description}` : ''}
+                    </title>
+                  </line>
+                  {view.scale >= 0.8 && link.sourcePort && (
+                    <text x={sourceLabel.x} y={sourceLabel.y - 4} fontSize={10} fill="#6b7280" textAnchor="middle">{link.sourcePort}</text>
+                  )}
+                  {view.scale >= 0.8 && link.targetPort && (
+                    <text x={targetLabel.x} y={targetLabel.y - 4} fontSize={10} fill="#6b7280" textAnchor="middle">{link.targetPort}</text>
+                  )}
+                </g>
+              );
+            })}
+
+            {topology.nodes.map(node => {
+              const { x, y } = positionOf(node.id);
+              const color = STATUS_COLORS[getNodeStatus(node)];
+
+              return (
+                <g
+                  key={node.id}
+                  transform={`translate(${x},${y})`}
+                  className={node.deviceId ? 'cursor-pointer' : 'cursor-default'}
+                  onPointerDown={(e) => handlePointerDown(e, node)}
+                >
+                  {node.bridge ? (
+                    <rect
+                      x={-NODE_RADIUS}
+                      y={-NODE_RADIUS * 0.7}
+                      width={NODE_RADIUS * 2}
+                      height={NODE_RADIUS * 1.4}
+                      rx={4}
+                      fill={color}
+                      stroke="#1f2937"
+                      strokeWidth={1.5}
+                    />
+                  ) : (
+                    <circle
+                      r={node.external ? NODE_RADIUS * 0.6 : NODE_RADIUS}
+                      fill={color}
+                      stroke={node.external ? '#9ca3af' : '#1f2937'}
+                      strokeWidth={1.5}
+                      strokeDasharray={node.external ? '3 2' : undefined}
+                    />
+                  )}
+                  <text y={NODE_RADIUS + 14} fontSize={12} fill="#111827" textAnchor="middle">{node.label}</text>
+                  <title>
+                    {[node.label, node.ip, node.mac, node.vendor, node.deviceType].filter(Boolean).join('\n')}
+                  </title>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+
+        <div className="p-4 border-t border-gray-200 flex flex-wrap gap-4 text-sm text-gray-600">
+          {Object.entries(STATUS_COLORS).map(([status, color]) => (
+            <div key={status} className="flex items-center space-x-2">
+              <span className="w-3 h-3 rounded-full inline-block" style={{ backgroundColor: color }}></span>
+              <span className="capitalize">{status}</span>
+            </div>
+          ))}
+          <div className="flex items-center space-x-2">
+            <span className="w-4 h-3 rounded-sm inline-block border border-gray-800"></span>
+            <span>Switch</span>
+          </div>
+          <span className="ml-auto text-gray-400">Drag to pan or move nodes, scroll to zoom, click a device to open it</span>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Manual Links</h2>
+            <p className="text-sm text-gray-500">Connections nothing reports, e.g. through an unmanaged switch</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowLinkForm(!showLinkForm)}
+            className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 text-sm"
+          >
+            <PlusIcon className="h-4 w-4" />
+            <span>Add Link</span>
+          </button>
+        </div>
+
+        {showLinkForm && (
+          <form onSubmit={handleCreateLink} className="p-6 border-b border-gray-200">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {[['sourceDeviceId', 'sourcePort', 'From'], ['targetDeviceId', 'targetPort', 'To']].map(([deviceField, portField, label]) => (
+                <div key={deviceField} className="flex space-x-2">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                    <select
+                      value={newLink[deviceField]}
+                      onChange={(e) => setNewLink({...newLink, [deviceField]: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      required
+                    >
+                      <option value="">Select a device</option>
+                      {deviceNodes.map(node => (
+                        <option key={node.id} value={node.deviceId}>{node.label} ({node.ip})</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="w-32">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Port</label>
+                    <input
+                      type="text"
+                      value={newLink[portField]}
+                      onChange={(e) => setNewLink({...newLink, [portField]: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Gi0/1"
+                    />
+                  </div>
+                </div>
+              ))}
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                <input
+                  type="text"
+                  value={newLink.description}
+                  onChange={(e) => setNewLink({...newLink, description: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Desk switch in room 2"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3 mt-4">
+              <button
+                type="button"
+                onClick={() => setShowLinkForm(false)}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Create Link
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="p-6">
+          {manualLinks.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No manual links</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {manualLinks.map(link => (
+                    <tr key={link.id}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {nodesById.get(link.source)?.label}
+                        {link.sourcePort && <span className="text-gray-500"> ({link.sourcePort})</span>}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {nodesById.get(link.target)?.label}
+                        {link.targetPort && <span className="text-gray-500"> ({link.targetPort})</span>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{link.description || '-'}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteLink(link)}
+                          className="text-red-600 hover:text-red-800"
+                          title="Delete"
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NetworkMap;
@@ -1,18 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { MagnifyingGlassIcon, StopIcon } from '@heroicons/react/24/outline';
+import { MagnifyingGlassIcon, StopIcon, WifiIcon } from '@heroicons/react/24/outline';
 import { apiService } from '../services/api';
+import Traceroute from './Traceroute';
+
+const DEFAULT_RANGE = '192.168.1.1-254';
 
 const NetworkScan = ({ onScanStart }) => {
-  const [scanRange, setScanRange] = useState('192.168.1.1-254');
+  const [scanRange, setScanRange] = useState(DEFAULT_RANGE);
   const [scanOptions, setScanOptions] = useState({
     timeout: 3000,
     concurrent: 50,
-    includePorts: false
+    includePorts: false,
+    ports: 'common',
+    probeUDP: true,
+    announcements: true,
+    polite: false,
+    rateLimit: 0
   });
   const [scanStatus, setScanStatus] = useState(null);
   const [discoveredHosts, setDiscoveredHosts] = useState([]);
   const [scanHistory, setScanHistory] = useState([]);
   const [presets, setPresets] = useState([]);
+  const [portProfiles, setPortProfiles] = useState([]);
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
@@ -21,25 +30,42 @@ const NetworkScan = ({ onScanStart }) => {
 
   const loadScanData = async () => {
     try {
-      const [statusResponse, historyResponse, presetsResponse] = await Promise.all([
+      const [statusResponse, historyResponse, presetsResponse, profilesResponse] = await Promise.all([
         apiService.getScanStatus(),
         apiService.getScanHistory(10),
-        apiService.getScanPresets()
+        apiService.getScanPresets(),
+        apiService.getPortProfiles()
       ]);
       
       setScanStatus(statusResponse.scan);
       setScanHistory(historyResponse.history);
       setPresets(presetsResponse.presets);
+      setPortProfiles(profilesResponse.profiles);
+
+      // Start from our own subnet rather than a guess, unless a range was already typed
+      const localPreset = presetsResponse.presets.find(preset => preset.local);
+      if (localPreset) {
+        setScanRange(range => range === DEFAULT_RANGE ? localPreset.range : range);
+      }
     } catch (error) {
       console.error('Failed to load scan data:', error);
     }
   };
 
+  const buildScanOptions = () => {
+    const { ports, probeUDP, ...options } = scanOptions;
+    if (!probeUDP) options.udpServices = [];
+    // Leave pacing to the polite preset unless a rate was typed in
+    if (options.polite) delete options.concurrent;
+    if (!options.rateLimit) delete options.rateLimit;
+    return options.includePorts ? { ...options, ports } : options;
+  };
+
   const handleStartScan = async (e) => {
     e.preventDefault();
     try {
       setLoading(true);
-      await onScanStart(scanRange, scanOptions);
+      await onScanStart(scanRange, buildScanOptions());
       await loadScanData();
     } catch (error) {
       alert('Failed to start scan: ' + error.message);
@@ -48,6 +74,19 @@ const NetworkScan = ({ onScanStart }) => {
     }
   };
 
+  const handleScanLocalNetworks = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.scanLocalNetworks(buildScanOptions());
+      setScanRange(response.range);
+      await loadScanData();
+    } catch (error) {
+      alert('Failed to scan local networks: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleStopScan = async () => {
     try {
       await apiService.stopNetworkScan();
@@ -57,11 +96,25 @@ const NetworkScan = ({ onScanStart }) => {
     }
   };
 
+  const handleCancelJob = async (jobId) => {
+    try {
+      await apiService.cancelScanJob(jobId);
+      await loadScanData();
+    } catch (error) {
+      alert('Failed to cancel scan: ' + error.message);
+    }
+  };
+
   const validateRange = async () => {
     try {
       const response = await apiService.validateIPRange(scanRange);
       if (response.valid) {
-        alert(`Valid range: ${response.totalIPs} IPs to scan`);
+        const breakdown = [
+          response.ipv4Count ? `${response.ipv4Count} IPv4` : null,
+          response.ipv6Count ? `${response.ipv6Count} IPv6` : null,
+          response.excludedCount ? `${response.excludedCount} excluded` : null
+        ].filter(Boolean).join(', ');
+        alert(`Valid range: ${response.totalIPs} IPs to scan${breakdown ? ` (${breakdown})` : ''}`);
       } else {
         alert(`Invalid range: ${response.error}`);
       }
@@ -94,7 +147,7 @@ const NetworkScan = ({ onScanStart }) => {
                   value={scanRange}
                   onChange={(e) => setScanRange(e.target.value)}
                   className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="192.168.1.1-254"
+                  placeholder="192.168.1.1-254, 10.0.0.0/22, !192.168.1.1"
                   required
                 />
                 <button
@@ -115,7 +168,11 @@ const NetworkScan = ({ onScanStart }) => {
                       key={preset.name}
                       type="button"
                       onClick={() => setScanRange(preset.range)}
-                      className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                      className={`text-xs px-2 py-1 rounded ${
+                        preset.local
+                          ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                          : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                      }`}
                       title={preset.description}
                     >
                       {preset.name}
@@ -148,10 +205,38 @@ const NetworkScan = ({ onScanStart }) => {
                   type="number"
                   value={scanOptions.concurrent}
                   onChange={(e) => setScanOptions({...scanOptions, concurrent: parseInt(e.target.value)})}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
                   min="1"
                   max="100"
+                  disabled={scanOptions.polite}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Rate Limit (probes/sec, 0 = unlimited)
+                </label>
+                <input
+                  type="number"
+                  value={scanOptions.rateLimit}
+                  onChange={(e) => setScanOptions({...scanOptions, rateLimit: parseFloat(e.target.value) || 0})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  min="0"
+                  max="10000"
+                />
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="polite"
+                  checked={scanOptions.polite}
+                  onChange={(e) => setScanOptions({...scanOptions, polite: e.target.checked})}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                 />
+                <label htmlFor="polite" className="ml-2 text-sm text-gray-700">
+                  Polite mode (slow, randomized order, backs off when the network struggles)
+                </label>
               </div>
 
               <div className="flex items-center">
@@ -163,9 +248,63 @@ const NetworkScan = ({ onScanStart }) => {
                   className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                 />
                 <label htmlFor="includePorts" className="ml-2 text-sm text-gray-700">
-                  Scan common ports
+                  Scan ports
+                </label>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="probeUDP"
+                  checked={scanOptions.probeUDP}
+                  onChange={(e) => setScanOptions({...scanOptions, probeUDP: e.target.checked})}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="probeUDP" className="ml-2 text-sm text-gray-700">
+                  Probe UDP services (SNMP, DNS, NTP, SSDP, mDNS, NetBIOS)
+                </label>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="announcements"
+                  checked={scanOptions.announcements}
+                  onChange={(e) => setScanOptions({...scanOptions, announcements: e.target.checked})}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="announcements" className="ml-2 text-sm text-gray-700">
+                  Find devices that announce themselves (mDNS, SSDP, NetBIOS) but ignore ping
                 </label>
               </div>
+
+              {scanOptions.includePorts && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Ports
+                  </label>
+                  <input
+                    type="text"
+                    value={scanOptions.ports}
+                    onChange={(e) => setScanOptions({...scanOptions, ports: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="web, 22, 8000-8100"
+                  />
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {portProfiles.map((profile) => (
+                      <button
+                        key={profile.name}
+                        type="button"
+                        onClick={() => setScanOptions({...scanOptions, ports: profile.name})}
+                        className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                        title={`${profile.description} (${profile.count} ports)`}
+                      >
+                        {profile.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -180,14 +319,26 @@ const NetworkScan = ({ onScanStart }) => {
                 <span>Stop Scan</span>
               </button>
             ) : (
-              <button
-                type="submit"
-                disabled={loading}
-                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 disabled:opacity-50"
-              >
-                <MagnifyingGlassIcon className="h-5 w-5" />
-                <span>{loading ? 'Starting...' : 'Start Scan'}</span>
-              </button>
+              <>
+                <button
+                  type="button"
+                  onClick={handleScanLocalNetworks}
+                  disabled={loading || !presets.some(preset => preset.local)}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 flex items-center space-x-2 disabled:opacity-50"
+                  title="Scan every subnet this machine is attached to"
+                >
+                  <WifiIcon className="h-5 w-5" />
+                  <span>Scan My Networks</span>
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 disabled:opacity-50"
+                >
+                  <MagnifyingGlassIcon className="h-5 w-5" />
+                  <span>{loading ? 'Starting...' : 'Start Scan'}</span>
+                </button>
+              </>
             )}
           </div>
         </form>
@@ -241,6 +392,9 @@ const NetworkScan = ({ onScanStart }) => {
         </div>
       )}
 
+      {/* Traceroute */}
+      <Traceroute />
+
       {/* Scan History */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-6 border-b border-gray-200">
@@ -257,6 +411,9 @@ const NetworkScan = ({ onScanStart }) => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Range
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Total IPs
                     </th>
@@ -272,11 +429,23 @@ const NetworkScan = ({ onScanStart }) => {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {scanHistory.map((scan, index) => (
-                    <tr key={index}>
+                  {scanHistory.map((scan) => (
+                    <tr key={scan.id}>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {scan.scan_range}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <span className="capitalize">{scan.status || 'completed'}</span>
+                        {(scan.status === 'queued' || scan.status === 'running') && (
+                          <button
+                            type="button"
+                            onClick={() => handleCancelJob(scan.id)}
+                            className="ml-2 text-xs text-red-600 hover:text-red-800"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {scan.total_ips}
                       </td>
@@ -284,10 +453,10 @@ const NetworkScan = ({ onScanStart }) => {
                         {scan.discovered_hosts}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {Math.round(scan.duration_ms / 1000)}s
+                        {scan.duration_ms != null ? `${Math.round(scan.duration_ms / 1000)}s` : '-'}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {new Date(scan.completed_at).toLocaleString()}
+                        {scan.completed_at ? new Date(scan.completed_at).toLocaleString() : '-'}
                       </td>
                     </tr>
                   ))}
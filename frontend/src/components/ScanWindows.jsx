@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { apiService, wsService } from '../services/api';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyWindow = {
+  subnet: '',
+  startTime: '22:00',
+  endTime: '06:00',
+  days: [],
+  description: '',
+  enabled: true
+};
+
+const ScanWindows = () => {
+  const [windows, setWindows] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [newWindow, setNewWindow] = useState(emptyWindow);
+
+  useEffect(() => {
+    loadWindows();
+
+    const handleWindowEvent = () => loadWindows();
+    wsService.on('scanWindowChanged', handleWindowEvent);
+
+    return () => {
+      wsService.off('scanWindowChanged', handleWindowEvent);
+    };
+  }, []);
+
+  const loadWindows = async () => {
+    try {
+      const response = await apiService.getScanWindows();
+      setWindows(response.windows || []);
+    } catch (error) {
+      console.error('Failed to load scan windows:', error);
+    }
+  };
+
+  const toggleDay = (day) => {
+    const days = newWindow.days.includes(day)
+      ? newWindow.days.filter(item => item !== day)
+      : [...newWindow.days, day].sort();
+    setNewWindow({...newWindow, days});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await apiService.createScanWindow({
+        ...newWindow,
+        description: newWindow.description || null
+      });
+      setNewWindow(emptyWindow);
+      setShowForm(false);
+      await loadWindows();
+    } catch (error) {
+      alert('Failed to create scan window: ' + error.message);
+    }
+  };
+
+  const handleToggle = async (scanWindow) => {
+    try {
+      await apiService.updateScanWindow(scanWindow.id, { enabled: !scanWindow.enabled });
+      await loadWindows();
+    } catch (error) {
+      alert('Failed to update scan window: ' + error.message);
+    }
+  };
+
+  const handleDelete = async (scanWindow) => {
+    if (!window.confirm(`Delete scan window for ${scanWindow.subnet}?`)) return;
+    try {
+      await apiService.deleteScanWindow(scanWindow.id);
+      await loadWindows();
+    } catch (error) {
+      alert('Failed to delete scan window: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Scan Windows</h2>
+          <p className="text-sm text-gray-500">
+            Subnets with windows are only scanned during them; other addresses are scanned any time
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 flex items-center space-x-2 text-sm"
+        >
+          <PlusIcon className="h-4 w-4" />
+          <span>Add Window</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="p-6 border-b border-gray-200">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Subnet (CIDR)</label>
+              <input
+                type="text"
+                value={newWindow.subnet}
+                onChange={(e) => setNewWindow({...newWindow, subnet: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="10.20.0.0/16"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+              <input
+                type="text"
+                value={newWindow.description}
+                onChange={(e) => setNewWindow({...newWindow, description: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Production servers, out of hours only"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+              <input
+                type="time"
+                value={newWindow.startTime}
+                onChange={(e) => setNewWindow({...newWindow, startTime: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Until</label>
+              <input
+                type="time"
+                value={newWindow.endTime}
+                onChange={(e) => setNewWindow({...newWindow, endTime: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+          </div>
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Days (none selected = every day)</label>
+            <div className="flex flex-wrap gap-3">
+              {DAY_NAMES.map((name, day) => (
+                <label key={day} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newWindow.days.includes(day)}
+                    onChange={() => toggleDay(day)}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-1"
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              Create Window
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="p-6">
+        {windows.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No scan windows configured; every subnet may be scanned at any time</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subnet</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Days</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {windows.map((scanWindow) => (
+                  <tr key={scanWindow.id}>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {scanWindow.subnet}
+                      {scanWindow.description && (
+                        <span className="block text-xs text-gray-400">{scanWindow.description}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">
+                      {scanWindow.startTime}–{scanWindow.endTime}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {scanWindow.days.length > 0 ? scanWindow.days.map(day => DAY_NAMES[day]).join(', ') : 'Every day'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <input
+                        type="checkbox"
+                        checked={scanWindow.enabled}
+                        onChange={() => handleToggle(scanWindow)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(scanWindow)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScanWindows;
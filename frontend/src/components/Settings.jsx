@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { CogIcon } from '@heroicons/react/24/outline';
 import { apiService } from '../services/api';
+import DiscoverySchedules from './DiscoverySchedules';
+import ScanWindows from './ScanWindows';
+import LatencyTargets from './LatencyTargets';
+import CredentialProfiles from './CredentialProfiles';
 
 const Settings = ({ systemStatus, onConfigUpdate }) => {
   const [config, setConfig] = useState({
@@ -14,7 +18,11 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
     max_history_days: 30,
     default_community: 'public',
     scan_timeout: 3000,
-    snmp_timeout: 5000
+    snmp_timeout: 5000,
+    snmp_max_repetitions: 25,
+    dns_server: '',
+    hostname_precedence: 'snmp,dns,mdns,netbios',
+    hostname_refresh_interval: 60
   });
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -32,7 +40,7 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
       const flatConfig = {};
       Object.values(response.configuration).forEach(group => {
         Object.entries(group).forEach(([key, { value }]) => {
-          flatConfig[key] = isNaN(value) ? value : parseInt(value);
+          flatConfig[key] = value === '' || isNaN(value) ? value : parseInt(value);
         });
       });
       
@@ -73,6 +81,11 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
           await apiService.clearSystemLogs();
           alert('System logs cleared');
           break;
+        case 'updateOUI': {
+          const response = await apiService.updateOUIDatabase();
+          alert(`Vendor database updated (${response.oui.entries} prefixes)`);
+          break;
+        }
         default:
           break;
       }
@@ -277,6 +290,58 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
                   max="30000"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  SNMP Max Repetitions
+                </label>
+                <input
+                  type="number"
+                  value={config.snmp_max_repetitions}
+                  onChange={(e) => setConfig({...config, snmp_max_repetitions: parseInt(e.target.value)})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  min="1"
+                  max="100"
+                />
+                <p className="text-xs text-gray-500 mt-1">Table rows per GETBULK request; lower it for agents that drop large responses</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  DNS Server
+                </label>
+                <input
+                  type="text"
+                  value={config.dns_server}
+                  onChange={(e) => setConfig({...config, dns_server: e.target.value.trim()})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="System default"
+                />
+                <p className="text-xs text-gray-500 mt-1">Used for reverse (PTR) lookups</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Hostname Precedence
+                </label>
+                <input
+                  type="text"
+                  value={config.hostname_precedence}
+                  onChange={(e) => setConfig({...config, hostname_precedence: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">Any order of snmp, dns, mdns, netbios</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Hostname Refresh (minutes)
+                </label>
+                <input
+                  type="number"
+                  value={config.hostname_refresh_interval}
+                  onChange={(e) => setConfig({...config, hostname_refresh_interval: parseInt(e.target.value)})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  min="5"
+                  max="10080"
+                />
+              </div>
             </div>
           </div>
         </div>
@@ -293,13 +358,25 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
         </div>
       </form>
 
+      {/* Discovery Schedules */}
+      <DiscoverySchedules />
+
+      {/* Credential Profiles */}
+      <CredentialProfiles />
+
+      {/* Scan Windows */}
+      <ScanWindows />
+
+      {/* Latency Targets */}
+      <LatencyTargets />
+
       {/* Maintenance Tasks */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-6 border-b border-gray-200">
           <h2 className="text-lg font-semibold text-gray-900">Maintenance Tasks</h2>
         </div>
         <div className="p-6">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <button
               onClick={() => handleMaintenanceTask('cleanup')}
               className="p-4 border border-gray-300 rounded-lg hover:bg-gray-50 text-left"
@@ -321,6 +398,13 @@ const Settings = ({ systemStatus, onConfigUpdate }) => {
               <h3 className="font-medium text-gray-900 mb-1">Clear Logs</h3>
               <p className="text-sm text-gray-500">Clear system log files</p>
             </button>
+            <button
+              onClick={() => handleMaintenanceTask('updateOUI')}
+              className="p-4 border border-gray-300 rounded-lg hover:bg-gray-50 text-left"
+            >
+              <h3 className="font-medium text-gray-900 mb-1">Update Vendor Database</h3>
+              <p className="text-sm text-gray-500">Download the latest IEEE MAC vendor list</p>
+            </button>
           </div>
         </div>
       </div>
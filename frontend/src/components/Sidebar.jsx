@@ -4,7 +4,9 @@ import {
   HomeIcon, 
   ServerIcon, 
   MagnifyingGlassIcon, 
+  ShareIcon,
   ExclamationTriangleIcon, 
+  BellAlertIcon,
   CogIcon,
   WifiIcon,
   SignalIcon
@@ -16,8 +18,10 @@ const Sidebar = ({ devices, alerts, isConnected }) => {
   const navigation = [
     { name: 'Dashboard', href: '/', icon: HomeIcon },
     { name: 'Devices', href: '/devices', icon: ServerIcon },
+    { name: 'Network Map', href: '/topology', icon: ShareIcon },
     { name: 'Network Scan', href: '/scan', icon: MagnifyingGlassIcon },
     { name: 'Alerts', href: '/alerts', icon: ExclamationTriangleIcon },
+    { name: 'SNMP Traps', href: '/traps', icon: BellAlertIcon },
     { name: 'Settings', href: '/settings', icon: CogIcon },
   ];
 
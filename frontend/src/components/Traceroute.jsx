@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { MapIcon } from '@heroicons/react/24/outline';
+import { apiService } from '../services/api';
+
+const TRACE_METHODS = [
+  { value: 'auto', label: 'Auto (UDP, ICMP, then TCP)' },
+  { value: 'udp', label: 'UDP' },
+  { value: 'icmp', label: 'ICMP' },
+  { value: 'tcp', label: 'TCP' }
+];
+
+const Traceroute = () => {
+  const [host, setHost] = useState('');
+  const [method, setMethod] = useState('auto');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [tracing, setTracing] = useState(false);
+
+  const handleTrace = async (e) => {
+    e.preventDefault();
+    setTracing(true);
+    setError(null);
+    try {
+      setResult(await apiService.traceroute(host, { method }));
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setTracing(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Traceroute</h2>
+        <p className="text-sm text-gray-500">Layer-3 path to a host, hop by hop</p>
+      </div>
+      <form onSubmit={handleTrace} className="p-6 border-b border-gray-200 flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          value={host}
+          onChange={(e) => setHost(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="8.8.8.8 or example.com"
+          required
+        />
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {TRACE_METHODS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={tracing}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center space-x-2"
+        >
+          <MapIcon className="h-5 w-5" />
+          <span>{tracing ? 'Tracing...' : 'Trace'}</span>
+        </button>
+      </form>
+
+      <div className="p-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {result && (
+          <>
+            <p className="text-sm text-gray-500 mb-3">
+              {result.reached ? 'Reached' : 'Did not reach'} {result.targetIp} in {result.hops.length} hops
+              using {result.method.toUpperCase()} ({(result.durationMs / 1000).toFixed(1)}s)
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hop</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Address</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Avg RTT</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Loss</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {result.hops.map((hop) => (
+                    <tr key={hop.hop}>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{hop.hop}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 font-mono">
+                        {hop.addresses.length > 0 ? hop.addresses.join(', ') : '*'}
+                        {hop.flags.length > 0 && <span className="ml-2 text-xs text-red-600">{hop.flags.join(' ')}</span>}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{hop.hostname || '-'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
+                        {hop.avg !== null ? `${hop.avg} ms` : '-'}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{hop.loss}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Traceroute;
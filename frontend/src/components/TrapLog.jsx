@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { apiService, wsService } from '../services/api';
+
+const PAGE_SIZE = 100;
+
+const TRAP_NAMES = ['coldStart', 'warmStart', 'linkDown', 'linkUp', 'authenticationFailure', 'egpNeighborLoss'];
+
+const emptyFilters = {
+  search: '',
+  trapName: '',
+  version: '',
+  ip: ''
+};
+
+const trapColor = (trapName) => {
+  switch (trapName) {
+    case 'linkDown':
+    case 'authenticationFailure':
+      return 'text-yellow-700 bg-yellow-50';
+    case 'linkUp':
+      return 'text-green-700 bg-green-50';
+    case 'coldStart':
+    case 'warmStart':
+      return 'text-blue-700 bg-blue-50';
+    default:
+      return 'text-gray-700 bg-gray-100';
+  }
+};
+
+// sysUpTime is in hundredths of a second
+const formatUptime = (ticks) => {
+  if (ticks === null || ticks === undefined) return '-';
+  const seconds = Math.floor(ticks / 100);
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m ${seconds % 60}s`;
+};
+
+const TrapLog = ({ devices }) => {
+  const [traps, setTraps] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [status, setStatus] = useState(null);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [expanded, setExpanded] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+
+  const filtering = Object.values(applied).some(Boolean);
+
+  useEffect(() => {
+    loadTraps(applied);
+  }, [applied]);
+
+  useEffect(() => {
+    loadStatus();
+
+    // New traps go on top of the unfiltered list; a filtered list is left as searched
+    const handleTrap = (trap) => {
+      setStatus(current => current && { ...current, received: current.received + 1, lastReceivedAt: trap.receivedAt });
+      if (filtering) return;
+      setTraps(current => [trap, ...current].slice(0, PAGE_SIZE));
+      setTotal(current => current + 1);
+    };
+    wsService.on('snmpTrap', handleTrap);
+
+    return () => {
+      wsService.off('snmpTrap', handleTrap);
+    };
+  }, [filtering]);
+
+  const loadTraps = async (query) => {
+    try {
+      setLoading(true);
+      const response = await apiService.getTraps({ ...query, limit: PAGE_SIZE });
+      setTraps(response.traps || []);
+      setTotal(response.total || 0);
+    } catch (error) {
+      console.error('Failed to load SNMP traps:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await apiService.getTrapStatus());
+    } catch (error) {
+      console.error('Failed to load trap receiver status:', error);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+  };
+
+  const clearFilters = () => {
+    setFilters(emptyFilters);
+    setApplied(emptyFilters);
+  };
+
+  const toggleExpanded = (trapId) => {
+    const next = new Set(expanded);
+    if (next.has(trapId)) {
+      next.delete(trapId);
+    } else {
+      next.add(trapId);
+    }
+    setExpanded(next);
+  };
+
+  const deviceName = (trap) => {
+    const device = devices.find(d => d.id === trap.deviceId);
+    return device ? device.hostname || device.ip : null;
+  };
+
+  return (
+    <div className="p-6 space-y-6 overflow-y-auto h-full">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">SNMP Traps</h1>
+        <p className="text-gray-600">Traps and informs sent by devices, as they arrive</p>
+      </div>
+
+      {status && (
+        <div className={`rounded-lg p-4 text-sm ${status.listening ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {status.listening
+            ? `Listening on UDP port ${status.port}${status.acceptAny ? ', accepting any community' : ''}. ${status.received} received, ${status.rejected} rejected since startup.`
+            : `Not listening: ${status.error || 'the receiver is stopped'}`}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <form onSubmit={handleSearch} className="p-6 border-b border-gray-200">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({...filters, search: e.target.value})}
+              className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Search OIDs, names and values"
+            />
+            <input
+              type="text"
+              value={filters.ip}
+              onChange={(e) => setFilters({...filters, ip: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Agent IP"
+            />
+            <select
+              value={filters.trapName}
+              onChange={(e) => setFilters({...filters, trapName: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All traps</option>
+              {TRAP_NAMES.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.version}
+              onChange={(e) => setFilters({...filters, version: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All versions</option>
+              <option value="1">v1</option>
+              <option value="2c">v2c</option>
+              <option value="3">v3</option>
+            </select>
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            {filtering && (
+              <button
+                type="button"
+                onClick={clearFilters}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Clear
+              </button>
+            )}
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              Search
+            </button>
+          </div>
+        </form>
+
+        <div className="p-6">
+          <p className="text-sm text-gray-500 mb-4">
+            {loading ? 'Loading...' : `Showing ${traps.length} of ${total} traps${filtering ? ' matching the search' : ', live'}`}
+          </p>
+          {traps.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No traps received</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3"></th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Agent</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trap</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Interface</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Agent Uptime</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {traps.map((trap) => (
+                    <React.Fragment key={trap.id}>
+                      <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggleExpanded(trap.id)}>
+                        <td className="px-4 py-3 text-gray-400">
+                          {expanded.has(trap.id)
+                            ? <ChevronDownIcon className="h-4 w-4" />
+                            : <ChevronRightIcon className="h-4 w-4" />}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {new Date(trap.receivedAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                          {trap.deviceId ? (
+                            <Link
+                              to={`/devices/${trap.deviceId}`}
+                              onClick={(e) => e.stopPropagation()}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              {deviceName(trap) || trap.agentAddress}
+                            </Link>
+                          ) : trap.agentAddress}
+                          {trap.sourceIp !== trap.agentAddress && (
+                            <span className="block text-xs text-gray-400">via {trap.sourceIp}</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${trapColor(trap.trapName)}`}>
+                            {trap.trapName || trap.trapOid}
+                          </span>
+                          {trap.pduType === 'inform' && (
+                            <span className="ml-2 text-xs text-gray-400">inform</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {trap.interface
+                            ? `${trap.interface.name || trap.interface.descr || `ifIndex ${trap.interface.index}`}${trap.interface.operStatus ? ` (${trap.interface.operStatus})` : ''}`
+                            : '-'}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          v{trap.version}{trap.user ? ` (${trap.user})` : ''}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatUptime(trap.uptime)}</td>
+                      </tr>
+                      {expanded.has(trap.id) && (
+                        <tr>
+                          <td></td>
+                          <td colSpan={6} className="px-4 pb-4 text-sm">
+                            <p className="text-gray-500 mb-2 font-mono text-xs">
+                              {trap.trapOid}{trap.enterprise ? ` (enterprise ${trap.enterprise})` : ''}
+                            </p>
+                            {trap.varbinds.length === 0 ? (
+                              <p className="text-gray-400">No variable bindings</p>
+                            ) : (
+                              <table className="min-w-full">
+                                <tbody>
+                                  {trap.varbinds.map((varbind, index) => (
+                                    <tr key={index}>
+                                      <td className="pr-4 py-1 font-mono text-xs text-gray-600">{varbind.name || varbind.oid}</td>
+                                      <td className="pr-4 py-1 text-xs text-gray-400">{varbind.type}</td>
+                                      <td className="py-1 font-mono text-xs text-gray-900 break-all">
+                                        {varbind.value === null ? '-' : String(varbind.value)}
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrapLog;
@@ -48,6 +48,75 @@ class ApiService {
     return this.request(`/devices/${deviceId}`);
   }
 
+  async getDeviceAddresses(deviceId) {
+    return this.request(`/devices/${deviceId}/addresses`);
+  }
+
+  async getDeviceLocation(deviceId) {
+    return this.request(`/devices/${deviceId}/location`);
+  }
+
+  async getDevicePorts(deviceId) {
+    return this.request(`/devices/${deviceId}/ports`);
+  }
+
+  async getDeviceInterfaces(deviceId) {
+    return this.request(`/devices/${deviceId}/interfaces`);
+  }
+
+  async getInterfaceHistory(deviceId, ifIndex, hours = 24, points = 200) {
+    return this.request(`/devices/${deviceId}/interfaces/${ifIndex}/history?hours=${hours}&points=${points}`);
+  }
+
+  async getDeviceSNMPStats(deviceId) {
+    return this.request(`/devices/${deviceId}/snmp-stats`);
+  }
+
+  async locateMAC(mac) {
+    return this.request(`/devices/locate/${encodeURIComponent(mac)}`);
+  }
+
+  async getDeviceServices(deviceId) {
+    return this.request(`/devices/${deviceId}/services`);
+  }
+
+  async getDeviceHostnames(deviceId) {
+    return this.request(`/devices/${deviceId}/hostnames`);
+  }
+
+  async resolveDeviceHostname(deviceId) {
+    return this.request(`/devices/${deviceId}/hostnames/resolve`, {
+      method: 'POST',
+    });
+  }
+
+  async clearManualHostname(deviceId) {
+    return this.request(`/devices/${deviceId}/hostnames/manual`, {
+      method: 'DELETE',
+    });
+  }
+
+  async scanDeviceServices(deviceId, ports = null) {
+    return this.request(`/devices/${deviceId}/services/scan`, {
+      method: 'POST',
+      body: JSON.stringify({ ports }),
+    });
+  }
+
+  async mergeDevices(deviceId, sourceIds) {
+    return this.request(`/devices/${deviceId}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ sourceIds }),
+    });
+  }
+
+  async splitDevice(deviceId, ips) {
+    return this.request(`/devices/${deviceId}/split`, {
+      method: 'POST',
+      body: JSON.stringify({ ips }),
+    });
+  }
+
   async addDevice(deviceData) {
     return this.request('/devices', {
       method: 'POST',
@@ -68,10 +137,11 @@ class ApiService {
     });
   }
 
-  async testDeviceSNMP(deviceId, community) {
+  // Tests the stored credentials unless a community or SNMPv3 credentials are given
+  async testDeviceSNMP(deviceId, credentials = {}) {
     return this.request(`/devices/${deviceId}/test-snmp`, {
       method: 'POST',
-      body: { community },
+      body: credentials,
     });
   }
 
@@ -109,20 +179,295 @@ class ApiService {
     return this.request(`/scan/history?limit=${limit}`);
   }
 
-  async pingHost(ip, timeout = 3000) {
+  async getScanJobs(status = null, limit = 50) {
+    const params = new URLSearchParams({ limit: limit.toString() });
+    if (status) params.append('status', status);
+    return this.request(`/scan/jobs?${params}`);
+  }
+
+  async getScanJob(jobId) {
+    return this.request(`/scan/jobs/${jobId}`);
+  }
+
+  async getScanJobDiff(jobId, againstId = null) {
+    const params = againstId ? `?against=${againstId}` : '';
+    return this.request(`/scan/jobs/${jobId}/diff${params}`);
+  }
+
+  async cancelScanJob(jobId) {
+    return this.request(`/scan/jobs/${jobId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async getDiscoverySchedules() {
+    return this.request('/scan/schedules');
+  }
+
+  async getDiscoverySchedule(scheduleId) {
+    return this.request(`/scan/schedules/${scheduleId}`);
+  }
+
+  async createDiscoverySchedule(scheduleData) {
+    return this.request('/scan/schedules', {
+      method: 'POST',
+      body: scheduleData,
+    });
+  }
+
+  async updateDiscoverySchedule(scheduleId, scheduleData) {
+    return this.request(`/scan/schedules/${scheduleId}`, {
+      method: 'PUT',
+      body: scheduleData,
+    });
+  }
+
+  async deleteDiscoverySchedule(scheduleId) {
+    return this.request(`/scan/schedules/${scheduleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async runDiscoverySchedule(scheduleId) {
+    return this.request(`/scan/schedules/${scheduleId}/run`, {
+      method: 'POST',
+    });
+  }
+
+  async getScanWindows() {
+    return this.request('/scan/windows');
+  }
+
+  async createScanWindow(windowData) {
+    return this.request('/scan/windows', {
+      method: 'POST',
+      body: windowData,
+    });
+  }
+
+  async updateScanWindow(windowId, windowData) {
+    return this.request(`/scan/windows/${windowId}`, {
+      method: 'PUT',
+      body: windowData,
+    });
+  }
+
+  async deleteScanWindow(windowId) {
+    return this.request(`/scan/windows/${windowId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Credential profiles come back without secrets; leave a secret out of an update to keep it
+  async getCredentialProfiles(type = null) {
+    const params = new URLSearchParams();
+    if (type) params.append('type', type);
+    return this.request(`/credentials?${params}`);
+  }
+
+  async createCredentialProfile(profileData) {
+    return this.request('/credentials', {
+      method: 'POST',
+      body: profileData,
+    });
+  }
+
+  async updateCredentialProfile(profileId, profileData) {
+    return this.request(`/credentials/${profileId}`, {
+      method: 'PUT',
+      body: profileData,
+    });
+  }
+
+  async deleteCredentialProfile(profileId) {
+    return this.request(`/credentials/${profileId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getDiscoveryCredentials() {
+    return this.request('/credentials/discovery');
+  }
+
+  async setDiscoveryCredentials(profileIds) {
+    return this.request('/credentials/discovery', {
+      method: 'PUT',
+      body: { profileIds },
+    });
+  }
+
+  // SNMP trap endpoints
+  async getTraps(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') params.append(key, value.toString());
+    }
+    return this.request(`/traps?${params}`);
+  }
+
+  async getTrapStatus() {
+    return this.request('/traps/status');
+  }
+
+  async traceroute(host, options = {}) {
+    return this.request('/scan/traceroute', {
+      method: 'POST',
+      body: { host, ...options },
+    });
+  }
+
+  async getPathTargets() {
+    return this.request('/scan/traceroute/targets');
+  }
+
+  async createPathTarget(targetData) {
+    return this.request('/scan/traceroute/targets', {
+      method: 'POST',
+      body: targetData,
+    });
+  }
+
+  async updatePathTarget(targetId, targetData) {
+    return this.request(`/scan/traceroute/targets/${targetId}`, {
+      method: 'PUT',
+      body: targetData,
+    });
+  }
+
+  async deletePathTarget(targetId) {
+    return this.request(`/scan/traceroute/targets/${targetId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async runPathTarget(targetId) {
+    return this.request(`/scan/traceroute/targets/${targetId}/run`, {
+      method: 'POST',
+    });
+  }
+
+  async getPathTraces(targetId, limit = 20) {
+    return this.request(`/scan/traceroute/targets/${targetId}/traces?limit=${limit}`);
+  }
+
+  async getTopology({ includeUnknown = false, includeIsolated = false } = {}) {
+    const params = new URLSearchParams({
+      includeUnknown: includeUnknown.toString(),
+      includeIsolated: includeIsolated.toString()
+    });
+    return this.request(`/topology?${params}`);
+  }
+
+  async refreshTopology() {
+    return this.request('/topology/refresh', {
+      method: 'POST',
+    });
+  }
+
+  async getTopologyLinks() {
+    return this.request('/topology/links');
+  }
+
+  async createTopologyLink(linkData) {
+    return this.request('/topology/links', {
+      method: 'POST',
+      body: linkData,
+    });
+  }
+
+  async deleteTopologyLink(linkId) {
+    return this.request(`/topology/links/${linkId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async saveTopologyPositions(positions) {
+    return this.request('/topology/positions', {
+      method: 'PUT',
+      body: { positions },
+    });
+  }
+
+  async resetTopologyPositions() {
+    return this.request('/topology/positions', {
+      method: 'DELETE',
+    });
+  }
+
+  async getDeviceTopology(deviceId) {
+    return this.request(`/topology/devices/${deviceId}`);
+  }
+
+  async getLatencyTargets() {
+    return this.request('/latency/targets');
+  }
+
+  async createLatencyTarget(targetData) {
+    return this.request('/latency/targets', {
+      method: 'POST',
+      body: targetData,
+    });
+  }
+
+  async updateLatencyTarget(targetId, targetData) {
+    return this.request(`/latency/targets/${targetId}`, {
+      method: 'PUT',
+      body: targetData,
+    });
+  }
+
+  async deleteLatencyTarget(targetId) {
+    return this.request(`/latency/targets/${targetId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async probeLatencyTarget(targetId) {
+    return this.request(`/latency/targets/${targetId}/probe`, {
+      method: 'POST',
+    });
+  }
+
+  async getLatencySeries(targetId, hours = 3, points = 200) {
+    return this.request(`/latency/targets/${targetId}/series?hours=${hours}&points=${points}`);
+  }
+
+  async pingHost(ip, timeout = 3000, count = 3) {
     return this.request('/scan/ping', {
       method: 'POST',
-      body: { ip, timeout },
+      body: { ip, timeout, count },
     });
   }
 
-  async scanPorts(ip, ports = null, timeout = 2000) {
+  async scanPorts(ip, ports = null, timeout = 2000, options = {}) {
     return this.request('/scan/port-scan', {
       method: 'POST',
-      body: { ip, ports, timeout },
+      body: { ip, ports, timeout, ...options },
+    });
+  }
+
+  async probeUDPServices(ip, services = null, options = {}) {
+    return this.request('/scan/udp-probe', {
+      method: 'POST',
+      body: { ip, ...(services ? { services } : {}), ...options },
+    });
+  }
+
+  async getAnnouncedHosts() {
+    return this.request('/scan/announcements');
+  }
+
+  async queryAnnouncements(timeout = null) {
+    return this.request('/scan/announcements/query', {
+      method: 'POST',
+      body: timeout ? { timeout } : {},
     });
   }
 
+  async getPortProfiles() {
+    return this.request('/scan/port-profiles');
+  }
+
   async getDiscoveredHosts() {
     return this.request('/scan/discovered-hosts');
   }
@@ -133,10 +478,10 @@ class ApiService {
     });
   }
 
-  async validateIPRange(range) {
+  async validateIPRange(range, exclude = null) {
     return this.request('/scan/validate-range', {
       method: 'POST',
-      body: { range },
+      body: exclude ? { range, exclude } : { range },
     });
   }
 
@@ -144,6 +489,13 @@ class ApiService {
     return this.request('/scan/presets');
   }
 
+  async scanLocalNetworks(options = {}) {
+    return this.request('/scan/local', {
+      method: 'POST',
+      body: { options },
+    });
+  }
+
   // Metrics endpoints
   async getMetricsOverview() {
     return this.request('/metrics/overview');
@@ -319,6 +671,16 @@ class ApiService {
     });
   }
 
+  async getOUIStatus() {
+    return this.request('/system/oui');
+  }
+
+  async updateOUIDatabase() {
+    return this.request('/system/oui/update', {
+      method: 'POST',
+    });
+  }
+
   async getSystemHealth() {
     return this.request('/system/health');
   }